@@ -10,9 +10,12 @@ import { authMiddleware } from "@clerk/nextjs";
  * Public routes:
  * - / (home page)
  * - /api/submit/* (webhook endpoints for form submissions)
+ * - /api/attachments/* (signed download links for uploaded files)
+ * - /api/worker/* (background workers, authenticated with CRON_SECRET)
+ * - /api/slack/* (Slack interactivity, authenticated with Slack request signatures)
  */
 export default authMiddleware({
-  publicRoutes: ["/", "/api/submit/(.*)"],
+  publicRoutes: ["/", "/api/submit/(.*)", "/api/attachments/(.*)", "/api/worker/(.*)", "/api/slack/(.*)"],
 });
 
 export const config = {
@@ -66,6 +66,11 @@ export default function Activity() {
     email: 'from-rose-500 to-pink-600',
     sheets: 'from-emerald-500 to-green-600',
     slack: 'from-purple-500 to-violet-600',
+    teams: 'from-blue-500 to-indigo-600',
+    discord: 'from-indigo-500 to-fuchsia-600',
+    airtable: 'from-sky-500 to-teal-600',
+    notion: 'from-slate-400 to-zinc-600',
+    hubspot: 'from-orange-500 to-rose-600',
     sms: 'from-amber-500 to-orange-600',
     webhook: 'from-cyan-500 to-blue-600',
   }
@@ -0,0 +1,110 @@
+import { NextResponse } from 'next/server'
+import { supabase } from '@/lib/supabase'
+import { requireAuth } from '@/lib/auth'
+import { getStorageDriver } from '@/lib/storage'
+import { getAttachmentConnectorId, isValidAttachmentKey, verifyAttachmentSignature } from '@/lib/attachments'
+import { createErrorResponse, createNotFoundError } from '@/lib/apiErrors'
+
+/**
+ * Checks whether the signed-in user owns the connector an attachment belongs to
+ * 
+ * @param {string} key - Storage key, already checked with `isValidAttachmentKey`
+ * @returns {Promise<boolean>} True for the connector's owner
+ * @private
+ */
+async function isAttachmentOwner(key) {
+  const authResult = await requireAuth()
+  if (!('userId' in authResult)) {
+    return false
+  }
+
+  const { data: connector } = await supabase
+    .from('connectors')
+    .select('id')
+    .eq('id', getAttachmentConnectorId(key))
+    .eq('user_id', authResult.userId)
+    .single()
+
+  return Boolean(connector)
+}
+
+/**
+ * GET an uploaded submission attachment
+ * 
+ * Public endpoint used by the signed download links stored in submission file
+ * references. The `sig` query parameter must be the HMAC of the storage key
+ * and the `expires` time (see `signAttachmentKey`), so links cannot be
+ * guessed, altered or extended. Once a link has expired (or without a
+ * signature), only the signed-in owner of the attachment's connector can
+ * download the file. The optional `driver` parameter names the storage driver
+ * that holds the file (default: ATTACHMENT_STORAGE_DRIVER).
+ * 
+ * Only keys of the exact `<connectorId>/<uuid>/<filename>` shape are served;
+ * keys with `..`, `.` or empty segments are rejected before the signature or
+ * ownership is checked, so a path cannot reach another connector's files.
+ * 
+ * Files are always served as downloads with `nosniff` so uploaded HTML or
+ * scripts are never rendered on this origin.
+ * 
+ * @param {Request} request - Request object with `sig`, `expires` and `driver` query parameters
+ * @param {Object} context - Next.js route context
+ * @param {Object} context.params - Route parameters (must be awaited)
+ * @param {string[]} context.params.key - Storage key path segments
+ * @returns {Promise<NextResponse>} File contents or error response
+ * 
+ * @example
+ * // GET /api/attachments/abc-123/9f1c.../resume.pdf?driver=local&expires=1767225600&sig=5d41...
+ */
+export async function GET(request, context) {
+  try {
+    const { key: segments } = await context.params
+    let key
+    try {
+      key = segments.map(decodeURIComponent).join('/')
+    } catch {
+      return createNotFoundError('Attachment')
+    }
+
+    if (!isValidAttachmentKey(key)) {
+      console.log(`🚫 Rejected malformed attachment key ${JSON.stringify(key)}`)
+      return createNotFoundError('Attachment')
+    }
+
+    const { searchParams } = new URL(request.url)
+    const signature = searchParams.get('sig')
+
+    if (!verifyAttachmentSignature(key, searchParams.get('expires'), signature) && !(await isAttachmentOwner(key))) {
+      console.log(`🚫 Invalid or expired attachment signature for ${key}`)
+      return createErrorResponse('Invalid, expired or missing download signature', 'INVALID_SIGNATURE', 403)
+    }
+
+    let file
+    try {
+      file = await getStorageDriver(searchParams.get('driver') || undefined).get(key)
+    } catch (error) {
+      console.error(`❌ Attachment ${key} could not be read:`, error.message)
+      return createNotFoundError('Attachment')
+    }
+
+    const filename = key.split('/')[2]
+
+    return new NextResponse(file.body, {
+      status: 200,
+      headers: {
+        'Content-Type': file.contentType,
+        'Content-Length': String(file.body.length),
+        'Content-Disposition': `attachment; filename="${filename.replace(/"/g, '')}"`,
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': 'private, max-age=3600'
+      }
+    })
+  } catch (error) {
+    console.error('❌ Error serving attachment:', error)
+    return createErrorResponse(
+      'Failed to load attachment',
+      'ATTACHMENT_READ_ERROR',
+      500,
+      { details: error.message }
+    )
+  }
+}
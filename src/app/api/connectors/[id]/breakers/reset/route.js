@@ -0,0 +1,75 @@
+import { NextResponse } from 'next/server'
+import { supabase } from '@/lib/supabase'
+import { requireAuth } from '@/lib/auth'
+import { createErrorResponse, createNotFoundError, createValidationError } from '@/lib/apiErrors'
+import { resetBreaker } from '@/lib/circuitBreaker'
+
+/**
+ * POST reset a destination's circuit breaker
+ * 
+ * Closes the breaker of a paused destination and makes its queued deliveries
+ * due immediately. Use after fixing the destination (new webhook URL,
+ * re-shared spreadsheet). Requires authentication and verifies user owns the
+ * connector.
+ * 
+ * Request body:
+ * - destination: Key of the breaker to reset in `circuit_breakers` (the
+ *   destination's id, or its type for destinations saved without one)
+ * 
+ * @param {Request} request - Request object with JSON body
+ * @param {Object} context - Route context
+ * @param {Object} context.params - Route parameters
+ * @param {string} context.params.id - Connector ID
+ * @returns {Promise<NextResponse>} JSON response with the connector's `circuit_breakers`
+ */
+export async function POST(request, { params }) {
+  try {
+    // Get authenticated user ID
+    const authResult = await requireAuth()
+    if (!('userId' in authResult)) {
+      return authResult // Return unauthorized error response
+    }
+    const { userId } = authResult
+
+    const { id } = await params
+    const { destination } = await request.json()
+
+    if (!destination || typeof destination !== 'string') {
+      return createValidationError('destination is required', 'destination')
+    }
+
+    // First verify the connector exists and belongs to the user
+    const { data: connector, error: connectorError } = await supabase
+      .from('connectors')
+      .select('id, user_id, circuit_breakers')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .single()
+
+    if (connectorError || !connector) {
+      console.log(`❌ Connector ${id} not found or not owned by user ${userId}`)
+      return createNotFoundError('Connector')
+    }
+
+    await resetBreaker(connector, destination)
+
+    const { data, error } = await supabase
+      .from('connectors')
+      .select('circuit_breakers')
+      .eq('id', id)
+      .single()
+
+    if (error) throw error
+
+    console.log(`✅ Reset ${destination} circuit breaker for connector ${id} (user: ${userId})`)
+    return NextResponse.json({ data: { circuit_breakers: data.circuit_breakers || {} }, error: null })
+  } catch (error) {
+    console.error('❌ Reset circuit breaker error:', error)
+    return createErrorResponse(
+      'Failed to reset circuit breaker',
+      'BREAKER_RESET_ERROR',
+      500,
+      { details: error.message }
+    )
+  }
+}
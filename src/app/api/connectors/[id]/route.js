@@ -1,7 +1,14 @@
 import { NextResponse } from 'next/server'
 import { supabase } from '@/lib/supabase'
 import { requireAuth } from '@/lib/auth'
-import { createErrorResponse, createNotFoundError } from '@/lib/apiErrors'
+import { createErrorResponse, createNotFoundError, createValidationError } from '@/lib/apiErrors'
+import { isValidRedirectUrl } from '@/lib/formResponses'
+import { resolveAttachmentSettings, MAX_ATTACHMENT_FILE_SIZE_MB, MAX_ATTACHMENT_FILES } from '@/lib/attachments'
+import { normalizeFieldSchema } from '@/lib/fieldSchema'
+import { normalizeSpamSettings } from '@/lib/spam'
+import { normalizeAllowedOrigins } from '@/lib/cors'
+import { normalizeTransforms } from '@/lib/transforms'
+import { normalizeDestinations } from '@/lib/destinationSettings'
 
 /**
  * GET single connector
@@ -80,7 +87,92 @@ export async function PUT(request, { params }) {
 
     const { id } = await params
     const body = await request.json()
-    const { name, description, destinations, is_active } = body
+    const {
+      name,
+      description,
+      destinations,
+      is_active,
+      success_redirect_url,
+      error_redirect_url,
+      attachment_settings,
+      field_schema,
+      spam_settings,
+      allowed_origins,
+      transforms
+    } = body
+
+    // Redirect targets for browser form posts must be absolute http(s) URLs
+    for (const [field, value] of Object.entries({ success_redirect_url, error_redirect_url })) {
+      if (value && !isValidRedirectUrl(value)) {
+        return createValidationError(`${field} must be a valid http(s) URL`, field)
+      }
+    }
+
+    // File upload limits are capped so a connector cannot accept unbounded uploads
+    let attachmentSettings
+    if (attachment_settings !== undefined) {
+      if (typeof attachment_settings !== 'object' || attachment_settings === null || Array.isArray(attachment_settings)) {
+        return createValidationError('attachment_settings must be an object', 'attachment_settings')
+      }
+      attachmentSettings = resolveAttachmentSettings(attachment_settings)
+      if (attachmentSettings.maxFileSizeMb <= 0 || attachmentSettings.maxFileSizeMb > MAX_ATTACHMENT_FILE_SIZE_MB) {
+        return createValidationError(
+          `attachment_settings.maxFileSizeMb must be between 1 and ${MAX_ATTACHMENT_FILE_SIZE_MB}`,
+          'attachment_settings'
+        )
+      }
+      if (attachmentSettings.maxFiles < 1 || attachmentSettings.maxFiles > MAX_ATTACHMENT_FILES) {
+        return createValidationError(
+          `attachment_settings.maxFiles must be between 1 and ${MAX_ATTACHMENT_FILES}`,
+          'attachment_settings'
+        )
+      }
+    }
+
+    let fieldSchema
+    if (field_schema !== undefined) {
+      try {
+        fieldSchema = normalizeFieldSchema(field_schema || [])
+      } catch (schemaError) {
+        return createValidationError(schemaError.message, 'field_schema')
+      }
+    }
+
+    let spamSettings
+    if (spam_settings !== undefined) {
+      try {
+        spamSettings = normalizeSpamSettings(spam_settings)
+      } catch (spamError) {
+        return createValidationError(spamError.message, 'spam_settings')
+      }
+    }
+
+    let allowedOrigins
+    if (allowed_origins !== undefined) {
+      try {
+        allowedOrigins = normalizeAllowedOrigins(allowed_origins || [])
+      } catch (originError) {
+        return createValidationError(originError.message, 'allowed_origins')
+      }
+    }
+
+    let routedDestinations
+    if (destinations !== undefined) {
+      try {
+        routedDestinations = normalizeDestinations(destinations)
+      } catch (destinationError) {
+        return createValidationError(destinationError.message, 'destinations')
+      }
+    }
+
+    let fieldTransforms
+    if (transforms !== undefined) {
+      try {
+        fieldTransforms = normalizeTransforms(transforms || [])
+      } catch (transformError) {
+        return createValidationError(transformError.message, 'transforms')
+      }
+    }
 
     console.log(`📝 Updating connector ${id} for user: ${userId}`)
 
@@ -100,8 +192,15 @@ export async function PUT(request, { params }) {
     const updateData = {}
     if (name !== undefined) updateData.name = name
     if (description !== undefined) updateData.description = description
-    if (destinations !== undefined) updateData.destinations = destinations
+    if (routedDestinations !== undefined) updateData.destinations = routedDestinations
     if (is_active !== undefined) updateData.is_active = is_active
+    if (success_redirect_url !== undefined) updateData.success_redirect_url = success_redirect_url || null
+    if (error_redirect_url !== undefined) updateData.error_redirect_url = error_redirect_url || null
+    if (attachmentSettings !== undefined) updateData.attachment_settings = attachmentSettings
+    if (fieldSchema !== undefined) updateData.field_schema = fieldSchema
+    if (spamSettings !== undefined) updateData.spam_settings = spamSettings
+    if (allowedOrigins !== undefined) updateData.allowed_origins = allowedOrigins
+    if (fieldTransforms !== undefined) updateData.transforms = fieldTransforms
     updateData.updated_at = new Date().toISOString()
 
     const { data, error } = await supabase
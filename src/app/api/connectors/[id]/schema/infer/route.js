@@ -0,0 +1,76 @@
+import { NextResponse } from 'next/server'
+import { supabase } from '@/lib/supabase'
+import { requireAuth } from '@/lib/auth'
+import { createErrorResponse, createNotFoundError } from '@/lib/apiErrors'
+import { inferFieldSchema } from '@/lib/fieldSchema'
+
+// Number of recent submissions sampled when inferring a schema (spam excluded)
+const SAMPLE_SIZE = 50
+
+/**
+ * GET draft field schema inferred from recent submissions
+ * 
+ * Samples the connector's most recent non-spam submissions and returns a draft field
+ * schema (field names, guessed types, required flags) for review in the schema
+ * editor. Nothing is saved; the edit page sends the reviewed schema with PUT.
+ * Requires authentication and verifies user owns the connector.
+ * 
+ * @param {Request} request - Request object
+ * @param {Object} context - Route context
+ * @param {Object} context.params - Route parameters
+ * @param {string} context.params.id - Connector ID
+ * @returns {Promise<NextResponse>} JSON response with `{ fields, sampleSize }`
+ */
+export async function GET(request, { params }) {
+  try {
+    // Get authenticated user ID
+    const authResult = await requireAuth()
+    if (!('userId' in authResult)) {
+      return authResult // Return unauthorized error response
+    }
+    const { userId } = authResult
+
+    const { id } = await params
+
+    console.log(`🔍 Inferring field schema for connector ${id} (user: ${userId})`)
+
+    // First verify the connector exists and belongs to the user
+    const { data: connector, error: connectorError } = await supabase
+      .from('connectors')
+      .select('id, user_id')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .single()
+
+    if (connectorError || !connector) {
+      console.log(`❌ Connector ${id} not found or not owned by user ${userId}`)
+      return createNotFoundError('Connector')
+    }
+
+    const { data: submissions, error: submissionsError } = await supabase
+      .from('submissions')
+      .select('form_data')
+      .eq('connector_id', id)
+      .neq('status', 'spam')
+      .order('created_at', { ascending: false })
+      .limit(SAMPLE_SIZE)
+
+    if (submissionsError) throw submissionsError
+
+    const fields = inferFieldSchema((submissions || []).map(sub => sub.form_data))
+
+    console.log(`✅ Inferred ${fields.length} field(s) from ${submissions?.length || 0} submission(s)`)
+    return NextResponse.json({
+      data: { fields, sampleSize: submissions?.length || 0 },
+      error: null
+    })
+  } catch (error) {
+    console.error('❌ Infer schema error:', error)
+    return createErrorResponse(
+      'Failed to infer field schema',
+      'SCHEMA_INFER_ERROR',
+      500,
+      { details: error.message }
+    )
+  }
+}
@@ -0,0 +1,100 @@
+import { NextResponse } from 'next/server'
+import { supabase } from '@/lib/supabase'
+import { requireAuth } from '@/lib/auth'
+import { createErrorResponse, createNotFoundError, createValidationError } from '@/lib/apiErrors'
+import { applyTransforms, normalizeTransforms } from '@/lib/transforms'
+
+/**
+ * POST preview field transforms against a sample submission
+ *
+ * Runs unsaved transform pipelines from the edit page over a sample and
+ * returns the fields a destination would receive. Nothing is saved.
+ * Requires authentication and verifies user owns the connector.
+ *
+ * Request body:
+ * - transforms: Connector pipeline steps
+ * - destinationTransforms: Destination pipeline steps (optional, run after the connector pipeline)
+ * - sample: Fields to transform (optional, defaults to the latest non-spam submission)
+ *
+ * @param {Request} request - Request object with JSON body
+ * @param {Object} context - Route context
+ * @param {Object} context.params - Route parameters
+ * @param {string} context.params.id - Connector ID
+ * @returns {Promise<NextResponse>} JSON response with `{ input, output, sampleSubmissionId }`
+ */
+export async function POST(request, { params }) {
+  try {
+    // Get authenticated user ID
+    const authResult = await requireAuth()
+    if (!('userId' in authResult)) {
+      return authResult // Return unauthorized error response
+    }
+    const { userId } = authResult
+
+    const { id } = await params
+    const { transforms, destinationTransforms, sample } = await request.json()
+
+    let connectorSteps
+    let destinationSteps
+    try {
+      connectorSteps = normalizeTransforms(transforms || [])
+    } catch (transformError) {
+      return createValidationError(transformError.message, 'transforms')
+    }
+    try {
+      destinationSteps = normalizeTransforms(destinationTransforms || [])
+    } catch (transformError) {
+      return createValidationError(transformError.message, 'destinationTransforms')
+    }
+
+    if (sample !== undefined && (typeof sample !== 'object' || sample === null || Array.isArray(sample))) {
+      return createValidationError('sample must be an object of fields', 'sample')
+    }
+
+    // First verify the connector exists and belongs to the user
+    const { data: connector, error: connectorError } = await supabase
+      .from('connectors')
+      .select('id, user_id')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .single()
+
+    if (connectorError || !connector) {
+      console.log(`❌ Connector ${id} not found or not owned by user ${userId}`)
+      return createNotFoundError('Connector')
+    }
+
+    let input = sample
+    let sampleSubmissionId = null
+
+    if (input === undefined) {
+      const { data: submissions, error: submissionsError } = await supabase
+        .from('submissions')
+        .select('id, form_data, status')
+        .eq('connector_id', id)
+        .order('created_at', { ascending: false })
+        .limit(10)
+
+      if (submissionsError) throw submissionsError
+
+      const latest = (submissions || []).find(sub => sub.status !== 'spam')
+      input = latest?.form_data || {}
+      sampleSubmissionId = latest?.id || null
+    }
+
+    const output = applyTransforms(applyTransforms(input, connectorSteps), destinationSteps)
+
+    return NextResponse.json({
+      data: { input, output, sampleSubmissionId },
+      error: null
+    })
+  } catch (error) {
+    console.error('❌ Transform preview error:', error)
+    return createErrorResponse(
+      'Failed to preview transforms',
+      'TRANSFORM_PREVIEW_ERROR',
+      500,
+      { details: error.message }
+    )
+  }
+}
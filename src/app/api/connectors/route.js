@@ -3,6 +3,7 @@ import { supabase } from '@/lib/supabase'
 import { randomUUID } from 'crypto'
 import { requireAuth } from '@/lib/auth'
 import { createErrorResponse, createValidationError } from '@/lib/apiErrors'
+import { normalizeDestinations } from '@/lib/destinationSettings'
 
 /**
  * GET all connectors for the authenticated user
@@ -66,6 +67,8 @@ export async function GET() {
  * 
  * Creates a new connector for the authenticated user.
  * Requires authentication - returns 401 if not authenticated.
+ * Destinations are checked the same way as on update (see
+ * `normalizeDestinations`); invalid settings return 400.
  * 
  * @param {Request} request - Request object with connector data
  * @returns {Promise<NextResponse>} JSON response with created connector
@@ -86,6 +89,13 @@ export async function POST(request) {
       return createValidationError('Name is required', 'name')
     }
 
+    let savedDestinations
+    try {
+      savedDestinations = normalizeDestinations(destinations)
+    } catch (destinationError) {
+      return createValidationError(destinationError.message, 'destinations')
+    }
+
     console.log(`📝 Creating connector "${name}" for user: ${userId}`)
 
     // Generate unique webhook URL
@@ -99,7 +109,7 @@ export async function POST(request) {
       p_description: description || null,
       p_webhook_url: webhookUrl,
       p_webhook_id: webhookId,
-      p_destinations: destinations || [],
+      p_destinations: savedDestinations,
       p_user_id: userId
     })
 
@@ -113,7 +123,7 @@ export async function POST(request) {
           description: description || null,
           webhook_url: webhookUrl,
           webhook_id: webhookId,
-          destinations: destinations || [],
+          destinations: savedDestinations,
           user_id: userId,
           created_at: new Date().toISOString(),
         }])
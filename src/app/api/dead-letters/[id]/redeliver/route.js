@@ -0,0 +1,117 @@
+import { NextResponse } from 'next/server'
+import { supabase, supabaseAdmin } from '@/lib/supabase'
+import { requireAuth } from '@/lib/auth'
+import { createErrorResponse, createNotFoundError, createValidationError } from '@/lib/apiErrors'
+import { getDeadLetterForUser } from '@/lib/deadLetters'
+import { enqueueDeliveries, attemptQueuedJobs, postReplayFollowUp } from '@/lib/deliveryQueue'
+
+/**
+ * POST redeliver dead-letter entry
+ * 
+ * Queues a new delivery of the entry's submission using the entry's (possibly
+ * edited) destination config and attempts it immediately. The entry is marked
+ * `redelivered` before the delivery is queued, so concurrent requests cannot
+ * queue it twice, and is reopened if queueing fails. If the new delivery also
+ * fails permanently, it creates a new dead-letter entry with the latest error.
+ * The outcome is posted in the submission's Slack thread when it has one.
+ * 
+ * **Response Format:**
+ * {
+ *   data: {
+ *     entry: { ...dead letter, status: "redelivered" },
+ *     result: { status: "succeeded", success: true, attempts: 1, error: null }
+ *   },
+ *   error: null
+ * }
+ * 
+ * @param {Request} request - Request object
+ * @param {Object} context - Route context
+ * @param {Object} context.params - Route parameters
+ * @param {string} context.params.id - Dead-letter entry ID
+ * @returns {Promise<NextResponse>} JSON response with the delivery outcome
+ */
+export async function POST(request, { params }) {
+  try {
+    // Get authenticated user ID
+    const authResult = await requireAuth()
+    if (!('userId' in authResult)) {
+      return authResult // Return unauthorized error response
+    }
+    const { userId } = authResult
+
+    const { id } = await params
+
+    const found = await getDeadLetterForUser(id, userId)
+    if (!found) {
+      return createNotFoundError('Dead letter')
+    }
+    const { entry, connector } = found
+
+    if (entry.status !== 'open') {
+      return createValidationError(`Dead letter is already ${entry.status}`)
+    }
+
+    const { data: submission, error: submissionError } = await supabase
+      .from('submissions')
+      .select('*')
+      .eq('id', entry.submission_id)
+      .single()
+
+    if (submissionError || !submission) {
+      return createNotFoundError('Submission')
+    }
+
+    // Close the entry first so a repeated failure opens a fresh one, and so
+    // only one request can redeliver it
+    const now = new Date().toISOString()
+    const { data: updated, error: updateError } = await supabaseAdmin
+      .from('dead_letters')
+      .update({ status: 'redelivered', resolved_at: now, updated_at: now })
+      .eq('id', id)
+      .eq('status', 'open')
+      .select()
+      .single()
+
+    if (updateError || !updated) {
+      return createValidationError('Dead letter is already being redelivered')
+    }
+
+    console.log(`🔁 Redelivering dead letter ${id} (${entry.destination_type}) for user ${userId}`)
+
+    let jobs
+    try {
+      jobs = await enqueueDeliveries(submission, [{ ...entry.destination, enabled: true }])
+    } catch (queueError) {
+      // Nothing was queued: reopen the entry so it can be redelivered again
+      const { error: reopenError } = await supabaseAdmin
+        .from('dead_letters')
+        .update({ status: 'open', resolved_at: null, updated_at: new Date().toISOString() })
+        .eq('id', id)
+
+      if (reopenError) {
+        console.error(`❌ Failed to reopen dead letter ${id}:`, reopenError.message)
+      }
+      throw queueError
+    }
+
+    // The job is queued from here on; if the immediate attempt cannot run, the worker delivers it
+    const results = await attemptQueuedJobs(submission, jobs)
+    await postReplayFollowUp(submission.id, connector, results)
+
+    return NextResponse.json({
+      data: {
+        entry: updated,
+        result: results[entry.destination_type] || null
+      },
+      error: null
+    })
+  } catch (error) {
+    console.error('❌ Redeliver dead letter error:', error)
+    return createErrorResponse(
+      'Failed to redeliver dead letter',
+      'REDELIVER_ERROR',
+      500,
+      { details: error.message }
+    )
+  }
+}
@@ -0,0 +1,150 @@
+import { NextResponse } from 'next/server'
+import { supabase, supabaseAdmin } from '@/lib/supabase'
+import { requireAuth } from '@/lib/auth'
+import { createErrorResponse, createNotFoundError, createValidationError } from '@/lib/apiErrors'
+import { getDeadLetterForUser, replaceDestinationConfig } from '@/lib/deadLetters'
+import { normalizeDestinations } from '@/lib/destinationSettings'
+
+/**
+ * PATCH dead-letter entry config
+ * 
+ * Corrects the destination config stored on a dead-letter entry before it is
+ * redelivered. With `applyToConnector: true` the same config is also saved to
+ * the connector, so future submissions use it too. The config goes through
+ * the same checks as a connector update (see `normalizeDestinations`);
+ * invalid settings return 400.
+ * 
+ * Request body:
+ * - config: Destination config object (replaces the stored config)
+ * - applyToConnector: Also update the connector's destination (optional)
+ * 
+ * @param {Request} request - Request object with JSON body
+ * @param {Object} context - Route context
+ * @param {Object} context.params - Route parameters
+ * @param {string} context.params.id - Dead-letter entry ID
+ * @returns {Promise<NextResponse>} JSON response with the updated entry
+ */
+export async function PATCH(request, { params }) {
+  try {
+    // Get authenticated user ID
+    const authResult = await requireAuth()
+    if (!('userId' in authResult)) {
+      return authResult // Return unauthorized error response
+    }
+    const { userId } = authResult
+
+    const { id } = await params
+    const { config, applyToConnector = false } = await request.json()
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return createValidationError('config must be an object', 'config')
+    }
+
+    const found = await getDeadLetterForUser(id, userId)
+    if (!found) {
+      return createNotFoundError('Dead letter')
+    }
+    const { entry, connector } = found
+
+    let destination
+    try {
+      [destination] = normalizeDestinations([{ ...entry.destination, config }])
+    } catch (configError) {
+      return createValidationError(configError.message, 'config')
+    }
+
+    if (applyToConnector) {
+      let destinations
+      try {
+        destinations = normalizeDestinations(
+          replaceDestinationConfig(connector, entry.destination_type, destination.config)
+        )
+      } catch (configError) {
+        return createValidationError(configError.message, 'applyToConnector')
+      }
+
+      const { error: connectorError } = await supabase
+        .from('connectors')
+        .update({ destinations, updated_at: new Date().toISOString() })
+        .eq('id', connector.id)
+        .eq('user_id', userId)
+
+      if (connectorError) throw connectorError
+      console.log(`✅ Applied ${entry.destination_type} config to connector ${connector.id}`)
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('dead_letters')
+      .update({
+        destination,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    console.log(`✅ Updated dead letter ${id}`)
+    return NextResponse.json({ data, error: null })
+  } catch (error) {
+    console.error('❌ PATCH dead letter error:', error)
+    return createErrorResponse(
+      'Failed to update dead letter',
+      'UPDATE_ERROR',
+      500,
+      { details: error.message }
+    )
+  }
+}
+
+/**
+ * DELETE discard dead-letter entry
+ * 
+ * Marks an entry as discarded. The entry is kept for reference but no longer
+ * shown in the open list.
+ * 
+ * @param {Request} request - Request object
+ * @param {Object} context - Route context
+ * @param {Object} context.params - Route parameters
+ * @param {string} context.params.id - Dead-letter entry ID
+ * @returns {Promise<NextResponse>} JSON response with the discarded entry
+ */
+export async function DELETE(request, { params }) {
+  try {
+    // Get authenticated user ID
+    const authResult = await requireAuth()
+    if (!('userId' in authResult)) {
+      return authResult // Return unauthorized error response
+    }
+    const { userId } = authResult
+
+    const { id } = await params
+
+    const found = await getDeadLetterForUser(id, userId)
+    if (!found) {
+      return createNotFoundError('Dead letter')
+    }
+
+    const now = new Date().toISOString()
+    const { data, error } = await supabaseAdmin
+      .from('dead_letters')
+      .update({ status: 'discarded', resolved_at: now, updated_at: now })
+      .eq('id', id)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    console.log(`🗑️  Discarded dead letter ${id}`)
+    return NextResponse.json({ data, error: null })
+  } catch (error) {
+    console.error('❌ DELETE dead letter error:', error)
+    return createErrorResponse(
+      'Failed to discard dead letter',
+      'DELETE_ERROR',
+      500,
+      { details: error.message }
+    )
+  }
+}
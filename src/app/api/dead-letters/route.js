@@ -0,0 +1,102 @@
+import { NextResponse } from 'next/server'
+import { supabase, supabaseAdmin } from '@/lib/supabase'
+import { requireAuth } from '@/lib/auth'
+import { createErrorResponse, createValidationError } from '@/lib/apiErrors'
+import { DEAD_LETTER_STATUSES } from '@/lib/deadLetters'
+
+// Maximum entries returned per request
+const MAX_ENTRIES = 200
+
+/**
+ * GET dead-letter entries
+ * 
+ * Lists permanently failed deliveries for the authenticated user's connectors,
+ * newest first, with the connector name and the original submission.
+ * 
+ * Query parameters:
+ * - status: open | redelivered | discarded | all (default: open)
+ * - connectorId: Only entries for this connector (optional)
+ * 
+ * @param {Request} request - Request object with query parameters
+ * @returns {Promise<NextResponse>} JSON response with dead-letter entries
+ */
+export async function GET(request) {
+  try {
+    // Get authenticated user ID
+    const authResult = await requireAuth()
+    if (!('userId' in authResult)) {
+      return authResult // Return unauthorized error response
+    }
+    const { userId } = authResult
+
+    const { searchParams } = new URL(request.url)
+    const status = searchParams.get('status') || 'open'
+    const connectorId = searchParams.get('connectorId')
+
+    if (status !== 'all' && !DEAD_LETTER_STATUSES.includes(status)) {
+      return createValidationError(`status must be one of: all, ${DEAD_LETTER_STATUSES.join(', ')}`, 'status')
+    }
+
+    const { data: connectors, error: connectorsError } = await supabase
+      .from('connectors')
+      .select('id, name')
+      .eq('user_id', userId)
+
+    if (connectorsError) throw connectorsError
+
+    const connectorNames = Object.fromEntries((connectors || []).map(c => [c.id, c.name]))
+    const connectorIds = connectorId
+      ? (connectorNames[connectorId] ? [connectorId] : [])
+      : Object.keys(connectorNames)
+
+    if (connectorIds.length === 0) {
+      return NextResponse.json({ data: [], error: null })
+    }
+
+    let query = supabaseAdmin
+      .from('dead_letters')
+      .select('*')
+      .in('connector_id', connectorIds)
+      .order('created_at', { ascending: false })
+      .limit(MAX_ENTRIES)
+
+    if (status !== 'all') {
+      query = query.eq('status', status)
+    }
+
+    const { data: entries, error: entriesError } = await query
+    if (entriesError) throw entriesError
+
+    const submissionIds = [...new Set((entries || []).map(entry => entry.submission_id))]
+    let submissions = []
+    if (submissionIds.length > 0) {
+      const { data, error: submissionsError } = await supabase
+        .from('submissions')
+        .select('id, form_data, created_at')
+        .in('id', submissionIds)
+
+      if (submissionsError) throw submissionsError
+      submissions = data || []
+    }
+
+    const submissionsById = Object.fromEntries(submissions.map(sub => [sub.id, sub]))
+
+    console.log(`✅ Found ${entries?.length || 0} dead letter(s) for user ${userId}`)
+    return NextResponse.json({
+      data: (entries || []).map(entry => ({
+        ...entry,
+        connector_name: connectorNames[entry.connector_id],
+        submission: submissionsById[entry.submission_id] || null
+      })),
+      error: null
+    })
+  } catch (error) {
+    console.error('❌ GET dead letters error:', error)
+    return createErrorResponse(
+      'Failed to fetch dead letters',
+      'FETCH_ERROR',
+      500,
+      { details: error.message }
+    )
+  }
+}
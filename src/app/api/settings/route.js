@@ -0,0 +1,82 @@
+import { NextResponse } from 'next/server'
+import { supabaseAdmin } from '@/lib/supabase'
+import { requireAuth } from '@/lib/auth'
+import { createErrorResponse, createValidationError } from '@/lib/apiErrors'
+import { getNotificationSettings, normalizeNotificationSettings } from '@/lib/alerts'
+
+/**
+ * GET account settings
+ * 
+ * Returns the authenticated user's notification settings (defaults if the
+ * user has never saved any).
+ * 
+ * @returns {Promise<NextResponse>} JSON response with `{ email_notifications, notification_email }`
+ */
+export async function GET() {
+  try {
+    // Get authenticated user ID
+    const authResult = await requireAuth()
+    if (!('userId' in authResult)) {
+      return authResult // Return unauthorized error response
+    }
+    const { userId } = authResult
+
+    const settings = await getNotificationSettings(userId)
+    return NextResponse.json({ data: settings, error: null })
+  } catch (error) {
+    console.error('❌ GET settings error:', error)
+    return createErrorResponse(
+      'Failed to fetch settings',
+      'FETCH_ERROR',
+      500,
+      { details: error.message }
+    )
+  }
+}
+
+/**
+ * PUT update account settings
+ * 
+ * Request body:
+ * - email_notifications: Send failure alert emails (boolean)
+ * - notification_email: Alert recipient (optional; defaults to the account email)
+ * 
+ * @param {Request} request - Request object with JSON body
+ * @returns {Promise<NextResponse>} JSON response with the saved settings
+ */
+export async function PUT(request) {
+  try {
+    // Get authenticated user ID
+    const authResult = await requireAuth()
+    if (!('userId' in authResult)) {
+      return authResult // Return unauthorized error response
+    }
+    const { userId } = authResult
+
+    let settings
+    try {
+      settings = normalizeNotificationSettings(await request.json())
+    } catch (settingsError) {
+      return createValidationError(settingsError.message)
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('user_settings')
+      .upsert({ user_id: userId, ...settings, updated_at: new Date().toISOString() })
+      .select('email_notifications, notification_email')
+      .single()
+
+    if (error) throw error
+
+    console.log(`✅ Updated settings for user ${userId}`)
+    return NextResponse.json({ data, error: null })
+  } catch (error) {
+    console.error('❌ PUT settings error:', error)
+    return createErrorResponse(
+      'Failed to update settings',
+      'UPDATE_ERROR',
+      500,
+      { details: error.message }
+    )
+  }
+}
@@ -0,0 +1,67 @@
+import { NextResponse } from 'next/server';
+import { verifySlackSignature } from '@/lib/slackApi';
+import { applySlackTriageAction, getSlackInteractionSigningSecret } from '@/lib/slackTriage';
+import { createUnauthorizedError, createValidationError } from '@/lib/apiErrors';
+
+/**
+ * Receives Slack interactivity requests (triage button clicks)
+ * 
+ * Slack posts here when someone clicks "Mark handled", "Assign to me" or
+ * "Mark spam" on a submission notification (see `slackTriage.js`). The
+ * submission is updated and the notification rewritten to show who triaged it.
+ * 
+ * **Authentication:**
+ * Requests must carry a valid `X-Slack-Signature`, made within the last five
+ * minutes with the signing secret of the clicked notification's Slack
+ * destination (SLACK_SIGNING_SECRET for destinations using SLACK_BOT_TOKEN).
+ * 
+ * **Request Format:**
+ * `application/x-www-form-urlencoded` with a `payload` field holding the
+ * `block_actions` JSON.
+ * 
+ * **Response Format:**
+ * Always 200 once the signature is valid, so Slack does not show an error
+ * for clicks that cannot be applied (stale messages, deleted submissions);
+ * those are logged and reported in the body.
+ * { ok: true, submissionId: "uuid", status: "handled", assignee: null }
+ * 
+ * @param {Request} request - Next.js request object
+ * @returns {Promise<NextResponse>} JSON response
+ */
+export async function POST(request) {
+  const rawBody = await request.text();
+
+  // Parsed before verifying only to pick the signing secret
+  let payload = null;
+  try {
+    payload = JSON.parse(new URLSearchParams(rawBody).get('payload') || '');
+  } catch {
+    payload = null;
+  }
+
+  if (!verifySlackSignature(
+    rawBody,
+    request.headers.get('x-slack-request-timestamp'),
+    request.headers.get('x-slack-signature'),
+    await getSlackInteractionSigningSecret(payload)
+  )) {
+    return createUnauthorizedError('Invalid Slack signature');
+  }
+
+  if (!payload) {
+    return createValidationError('Request must include a JSON payload');
+  }
+
+  if (payload?.type !== 'block_actions') {
+    console.log(`⚠️  Ignoring Slack interaction of type ${payload?.type}`);
+    return NextResponse.json({ ok: true, ignored: true });
+  }
+
+  try {
+    const result = await applySlackTriageAction(payload);
+    return NextResponse.json({ ok: true, ...result });
+  } catch (error) {
+    console.error('❌ Slack interaction failed:', error.message);
+    return NextResponse.json({ ok: false, error: error.message });
+  }
+}
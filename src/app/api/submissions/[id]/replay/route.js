@@ -0,0 +1,122 @@
+import { NextResponse } from 'next/server'
+import { supabase } from '@/lib/supabase'
+import { requireAuth } from '@/lib/auth'
+import { createErrorResponse, createNotFoundError, createValidationError } from '@/lib/apiErrors'
+import { getFailedDestinationTypes, replayDeliveries } from '@/lib/deliveryQueue'
+
+/**
+ * POST replay a submission's deliveries
+ * 
+ * Re-runs destinations for a stored submission using the connector's current
+ * destination configuration and merges the new results into the submission's
+ * `destinations_sent`. The outcome is posted in the submission's Slack thread
+ * when a bot-mode Slack destination notified it. Requires authentication and
+ * verifies user owns the submission's connector.
+ * 
+ * Request body (optional):
+ * - destinations: Destination types to replay (default: every destination whose last delivery failed)
+ * 
+ * **Response Format:**
+ * {
+ *   data: {
+ *     submissionId: "uuid",
+ *     results: { slack: { status: "succeeded", success: true, attempts: 1, error: null } },
+ *     skipped: [{ destination: "sheets", reason: "A delivery is already queued" }],
+ *     destinations_sent: { ... }
+ *   },
+ *   error: null
+ * }
+ * 
+ * @param {Request} request - Request object with optional JSON body
+ * @param {Object} context - Route context
+ * @param {Object} context.params - Route parameters
+ * @param {string} context.params.id - Submission ID
+ * @returns {Promise<NextResponse>} JSON response with replay results
+ */
+export async function POST(request, { params }) {
+  try {
+    // Get authenticated user ID
+    const authResult = await requireAuth()
+    if (!('userId' in authResult)) {
+      return authResult // Return unauthorized error response
+    }
+    const { userId } = authResult
+
+    const { id } = await params
+
+    let body = {}
+    const rawBody = await request.text()
+    if (rawBody.trim()) {
+      try {
+        body = JSON.parse(rawBody)
+      } catch {
+        return createValidationError('Request body must be valid JSON')
+      }
+    }
+
+    if (body.destinations !== undefined &&
+        (!Array.isArray(body.destinations) || !body.destinations.every(type => typeof type === 'string'))) {
+      return createValidationError('destinations must be an array of destination types', 'destinations')
+    }
+
+    const { data: submission, error: submissionError } = await supabase
+      .from('submissions')
+      .select('*')
+      .eq('id', id)
+      .single()
+
+    if (submissionError || !submission) {
+      return createNotFoundError('Submission')
+    }
+
+    // Verify the submission's connector belongs to the user
+    const { data: connector, error: connectorError } = await supabase
+      .from('connectors')
+      .select('*')
+      .eq('id', submission.connector_id)
+      .eq('user_id', userId)
+      .single()
+
+    if (connectorError || !connector) {
+      console.log(`❌ Submission ${id} not found or not owned by user ${userId}`)
+      return createNotFoundError('Submission')
+    }
+
+    if (submission.status === 'spam') {
+      return createValidationError('Submissions flagged as spam cannot be replayed')
+    }
+
+    const types = body.destinations || getFailedDestinationTypes(submission)
+    if (types.length === 0) {
+      return createValidationError('Submission has no failed destinations to replay', 'destinations')
+    }
+
+    console.log(`🔁 Replaying ${types.join(', ')} for submission ${id} (user: ${userId})`)
+
+    const { results, skipped } = await replayDeliveries(submission, connector, types)
+
+    const { data: updated } = await supabase
+      .from('submissions')
+      .select('destinations_sent')
+      .eq('id', id)
+      .single()
+
+    return NextResponse.json({
+      data: {
+        submissionId: id,
+        results,
+        skipped,
+        destinations_sent: updated?.destinations_sent || submission.destinations_sent
+      },
+      error: null
+    })
+  } catch (error) {
+    console.error('❌ Replay submission error:', error)
+    return createErrorResponse(
+      'Failed to replay submission',
+      'REPLAY_ERROR',
+      500,
+      { details: error.message }
+    )
+  }
+}
@@ -1,31 +1,82 @@
-import { NextResponse } from 'next/server';
+import { NextResponse, after } from 'next/server';
 import { supabase } from '@/lib/supabase';
 import { rateLimit } from '@/lib/rateLimit';
 import { validateSubmission } from '@/lib/validation';
-import { destinationHandlers } from '@/lib/destinations';
+import { validateAgainstSchema } from '@/lib/fieldSchema';
+import { checkSpam } from '@/lib/spam';
+import { isOriginAllowed, applyCorsHeaders, getCorsHeaders } from '@/lib/cors';
+import {
+  parseSubmissionBody,
+  assertContentLength,
+  getMaxBodyBytes,
+  PayloadTooLargeError
+} from '@/lib/requestBody';
+import {
+  resolveAttachmentSettings,
+  validateAttachments,
+  storeAttachments,
+  MAX_ATTACHMENT_FILE_SIZE_MB,
+  MAX_ATTACHMENT_FILES
+} from '@/lib/attachments';
+import { wantsHtmlResponse, createFormPostResponse } from '@/lib/formResponses';
+import { getConnectorDestinations } from '@/lib/destinations';
+import { enqueueDeliveries, processDeliveryQueue } from '@/lib/deliveryQueue';
+import { evaluateCondition, describeCondition } from '@/lib/routingRules';
 import {
   createRateLimitError,
   createValidationError,
+  createFieldValidationError,
   createNotFoundError,
+  createOriginNotAllowedError,
+  createPayloadTooLargeError,
   createErrorResponse
 } from '@/lib/apiErrors';
 
+// Largest body any connector accepts (uploads at the highest allowed limits);
+// bodies declaring more are rejected before the connector is looked up
+const MAX_REQUEST_BODY_BYTES = getMaxBodyBytes({
+  enabled: true,
+  maxFiles: MAX_ATTACHMENT_FILES,
+  maxFileSizeMb: MAX_ATTACHMENT_FILE_SIZE_MB
+});
+
+// Submission attempts per hour, counted before the spam checks, which store
+// flagged submissions and may call the CAPTCHA provider: per client IP and
+// connector, and for the whole connector
+const CLIENT_ATTEMPT_LIMIT = 30;
+const CONNECTOR_ATTEMPT_LIMIT = 1000;
+
 /**
  * Processes a form submission and routes it to configured destinations
  * 
  * This endpoint handles form submissions by:
- * 1. Validating rate limits (100 requests per hour per connector)
- * 2. Validating input data (size, field count, types, lengths)
- * 3. Fetching the connector configuration from the database
- * 4. Checking if the connector is active
- * 5. Storing the submission in the database
- * 6. Processing all enabled destinations (email, slack, sms, sheets, webhook)
- * 7. Updating the submission with processing results
+ * 1. Fetching the connector configuration from the database
+ * 2. Reading the body up to the connector's size limit and validating input
+ *    data (size, field count, types, lengths)
+ * 3. Checking the request origin and that the connector is active
+ * 4. Limiting submission attempts (30 per hour per client IP, 1000 per hour
+ *    per connector)
+ * 5. Running the connector's spam checks (honeypot, time trap, CAPTCHA)
+ * 6. Validating rate limits (100 accepted submissions per hour per connector)
+ * 7. Validating uploaded files (multipart bodies only)
+ * 8. Validating fields against the connector's field schema, if any
+ * 9. Storing uploaded files and the submission in the database
+ * 10. Queueing one delivery job per enabled destination whose routing condition matches
+ * 11. Responding immediately; the first delivery attempt runs after the response
  * 
  * **Security Features:**
- * - Rate limiting per connector ID
+ * - Attempt limits per client IP and per connector before the spam checks,
+ *   so flagged traffic cannot flood the submissions table or the CAPTCHA
+ *   provider
+ * - Rate limiting per connector ID (after the spam checks, so flagged bot
+ *   traffic does not use up the connector's budget)
+ * - Body size limit checked on Content-Length before the body is read: text
+ *   fields only, plus the largest uploads the connector allows (413
+ *   `PAYLOAD_TOO_LARGE`)
  * - Input validation (payload size, field count, types, string lengths)
+ * - Per-connector origin allowlist (see `@/lib/cors`)
  * - Connector active status check
+ * - Opt-in spam protection (see `@/lib/spam`)
  * - HTML escaping to prevent XSS attacks
  * 
  * **Request Format:**
@@ -34,18 +85,65 @@ import {
  * 
  * Body: { "field1": "value1", "field2": "value2", ... }
  * 
+ * Plain HTML forms may also post `application/x-www-form-urlencoded` or
+ * `multipart/form-data` bodies. Repeated keys (e.g. checkbox groups) are
+ * collected into arrays.
+ * 
+ * **File Uploads:**
+ * Multipart bodies may include files when the connector's `attachment_settings`
+ * enable uploads. Files are checked against the connector's size, count and
+ * MIME type limits, stored via the configured storage driver, and saved in
+ * `form_data` as file references with a signed download URL.
+ * 
+ * **CORS:**
+ * Browser requests whose `Origin` is not in the connector's `allowed_origins`
+ * are rejected with 403 `ORIGIN_NOT_ALLOWED`. Allowed origins are echoed in
+ * `Access-Control-Allow-Origin`. An empty allowlist accepts any origin.
+ * 
+ * **Spam Protection:**
+ * Submissions failing an enabled spam check are stored with `status: 'spam'`
+ * and a `spam_reason`, and are not routed to destinations. Honeypot and time
+ * trap failures still receive a normal success response so bots are not tipped
+ * off; CAPTCHA failures get a 400 `CAPTCHA_FAILED` so real visitors can retry.
+ * 
+ * **Field Schema:**
+ * When the connector has a `field_schema`, every declared field is checked
+ * (required, type, min/max, pattern, enum options) and all failures are
+ * returned together as a 400 with a `fields: [{ field, message }]` list.
+ * 
+ * **Browser Form Posts:**
+ * When a plain HTML form posts here (form body and `Accept: text/html`), the
+ * visitor is sent a 303 redirect to the connector's `success_redirect_url` or
+ * `error_redirect_url` with `submission_id`, `status` and `error_code` query
+ * parameters. Without configured URLs, an HTML result page is served instead.
+ * 
+ * **Delivery Queue:**
+ * Destinations are not called inline. Each enabled destination becomes a
+ * `delivery_jobs` row (see `@/lib/deliveryQueue`) that is retried with
+ * backoff until it succeeds or exhausts its attempts, so a slow or failing
+ * destination never delays the response or loses the submission. Per-destination
+ * outcomes appear in the submission's `destinations_sent` as jobs complete.
+ * 
+ * **Routing Conditions:**
+ * A destination with a `condition` (see `@/lib/routingRules`) is only queued
+ * when the submitted fields match it, e.g. `budget > 10000`. Other destinations
+ * are recorded in `destinations_sent` as
+ * `{ status: 'skipped', reason: 'Condition not met', condition: 'budget > 10000' }`.
+ * 
  * **Response Format:**
  * Success (200):
  * {
  *   success: true,
  *   submissionId: "uuid",
- *   results: {
- *     email: { success: true },
- *     slack: { success: false, error: "...", timestamp: "..." }
- *   }
+ *   status: "queued",
+ *   deliveries: [
+ *     { jobId: "uuid", destination: "email", status: "pending" },
+ *     { jobId: "uuid", destination: "slack", status: "pending" },
+ *     { jobId: null, destination: "sms", status: "skipped" }
+ *   ]
  * }
  * 
- * Error (400/403/404/429/500):
+ * Error (400/403/404/413/429/500):
  * {
  *   error: "User-friendly message",
  *   code: "ERROR_CODE",
@@ -57,8 +155,8 @@ import {
  * @param {Object} context - Next.js route context
  * @param {Object} context.params - Route parameters (must be awaited in Next.js 15+)
  * @param {string} context.params.connectorId - UUID of the connector to submit to
- * @returns {Promise<NextResponse>} JSON response with submission results or error details
- * @throws {Error} If request parsing fails or unexpected errors occur
+ * @returns {Promise<NextResponse>} JSON response with submission results or error details,
+ *   or a redirect / HTML page for browser form posts
  * 
  * @example
  * // POST /api/submit/abc-123-def-456
@@ -68,36 +166,149 @@ import {
  * // {
  * //   success: true,
  * //   submissionId: "sub-789",
- * //   results: { email: { success: true } }
+ * //   status: "queued",
+ * //   deliveries: [{ jobId: "job-123", destination: "email", status: "pending" }]
  * // }
  */
 export async function POST(request, context) {
-  try {
-    // In Next.js 15+, params must be awaited
-    const { connectorId } = await context.params;
-    const formData = await request.json();
+  // In Next.js 15+, params must be awaited
+  const { connectorId } = await context.params;
+  const state = { connector: null };
 
-    console.log('📥 Received submission for connector:', connectorId);
-    console.log('📋 Form data:', formData);
+  const response = await processSubmission(request, connectorId, state);
+  const connector = state.connector || await findResponseSettings(connectorId);
 
-    // SECURITY CHECK 1: Rate limiting
-    const rateLimitResult = rateLimit(connectorId, 100, 3600000); // 100 requests per hour
-    if (!rateLimitResult.allowed) {
-      console.log('🚫 Rate limit exceeded for connector:', connectorId);
-      return createRateLimitError(rateLimitResult.resetTime, rateLimitResult.remaining);
+  if (!wantsHtmlResponse(request)) {
+    return applyCorsHeaders(response, request, connector?.allowed_origins);
+  }
+
+  // Browser form post: redirect or render a result page instead of raw JSON
+  return createFormPostResponse(request, response, connector);
+}
+
+/**
+ * Loads a connector's response settings (redirects and allowed origins)
+ * 
+ * Used when a submission is rejected before the connector has been loaded
+ * (e.g. an oversized body), so the visitor can still be sent to
+ * the connector's error page and scripts can read the error response.
+ * 
+ * @param {string} connectorId - UUID of the connector
+ * @returns {Promise<Object|null>} Response settings, or null if unavailable
+ * @private
+ */
+async function findResponseSettings(connectorId) {
+  const { data, error } = await supabase
+    .from('connectors')
+    .select('success_redirect_url, error_redirect_url, allowed_origins')
+    .eq('id', connectorId)
+    .single();
+
+  return error ? null : data;
+}
+
+/**
+ * Gets the visitor's IP address from proxy headers
+ * 
+ * @param {Request} request - Incoming request
+ * @returns {string|null} Client IP address, if known
+ * @private
+ */
+function getClientIp(request) {
+  const forwardedFor = request.headers.get('x-forwarded-for');
+  if (forwardedFor) {
+    return forwardedFor.split(',')[0].trim();
+  }
+  return request.headers.get('x-real-ip');
+}
+
+/**
+ * Stores a submission flagged as spam without routing it to destinations
+ * 
+ * @param {string} connectorId - UUID of the connector
+ * @param {Object} formData - Submission fields (control fields already removed)
+ * @param {{ check: string, reason: string }} spam - Failed spam check
+ * @returns {Promise<NextResponse>} Success-shaped response for honeypot and time trap
+ *   failures, or a 400 CAPTCHA_FAILED error
+ * @private
+ */
+async function storeSpamSubmission(connectorId, formData, spam) {
+  const { data: submission, error } = await supabase
+    .from('submissions')
+    .insert({
+      connector_id: connectorId,
+      form_data: formData,
+      destinations_sent: {},
+      errors: null,
+      status: 'spam',
+      spam_reason: `${spam.check}: ${spam.reason}`
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Error storing spam submission:', error);
+  }
+
+  if (spam.check === 'captcha') {
+    return createErrorResponse(
+      'CAPTCHA verification failed. Please try again.',
+      'CAPTCHA_FAILED',
+      400
+    );
+  }
+
+  return NextResponse.json({
+    success: true,
+    submissionId: submission?.id || null,
+    status: 'queued',
+    deliveries: []
+  });
+}
+
+/**
+ * Adds not-yet-stored uploads to the fields so the schema can check them
+ * 
+ * @param {Object} fields - Parsed text fields
+ * @param {Array<{ field: string, file: File, multiple: boolean }>} files - Uploaded files
+ * @returns {Object} Fields with `{ kind: 'file', filename, size }` entries for uploads
+ * @private
+ */
+function withFilePlaceholders(fields, files) {
+  const result = { ...fields };
+  for (const { field, file, multiple } of files) {
+    const placeholder = { kind: 'file', filename: file.name, size: file.size };
+    const existing = result[field];
+    if (existing && typeof existing === 'object' && (Array.isArray(existing) || existing.kind === 'file')) {
+      result[field] = [...(Array.isArray(existing) ? existing : [existing]), placeholder];
+    } else {
+      result[field] = multiple ? [placeholder] : placeholder;
     }
-    console.log('✅ Rate limit check passed');
+  }
+  return result;
+}
 
-    // SECURITY CHECK 2: Input validation
+/**
+ * Runs the submission pipeline and produces the JSON endpoint response
+ * 
+ * @param {Request} request - Next.js request object containing form submission data
+ * @param {string} connectorId - UUID of the connector to submit to
+ * @param {Object} state - Mutable state shared with the caller
+ * @param {Object|null} state.connector - Set to the connector row once it has been loaded
+ * @returns {Promise<NextResponse>} JSON response with submission results or error details
+ * @private
+ */
+async function processSubmission(request, connectorId, state) {
+  try {
+    // SECURITY CHECK 1: Body size, before anything is read or looked up
     try {
-      validateSubmission(formData);
-      console.log('✅ Input validation passed');
-    } catch (validationError) {
-      console.error('❌ Input validation failed:', validationError.message);
-      return createValidationError(validationError.message);
+      assertContentLength(request, MAX_REQUEST_BODY_BYTES);
+    } catch (sizeError) {
+      console.error('❌ Request body too large:', sizeError.message);
+      return createPayloadTooLargeError(sizeError);
     }
 
-    // 1. Look up the connector
+    // 1. Look up the connector (its upload limits decide how large the body may be)
     const { data: connector, error: connectorError } = await supabase
       .from('connectors')
       .select('*')
@@ -110,8 +321,41 @@ export async function POST(request, context) {
     }
 
     console.log('✅ Connector found:', connector.name);
+    state.connector = connector;
+
+    let formData;
+    let files;
+    try {
+      const maxBytes = getMaxBodyBytes(resolveAttachmentSettings(connector.attachment_settings));
+      ({ fields: formData, files } = await parseSubmissionBody(request, { maxBytes }));
+    } catch (parseError) {
+      console.error('❌ Failed to parse request body:', parseError.message);
+      if (parseError instanceof PayloadTooLargeError) {
+        return createPayloadTooLargeError(parseError);
+      }
+      return createValidationError(parseError.message);
+    }
+
+    console.log('📥 Received submission for connector:', connectorId);
+    console.log('📋 Form data:', formData);
+
+    // SECURITY CHECK 2: Input validation
+    try {
+      validateSubmission(formData);
+      console.log('✅ Input validation passed');
+    } catch (validationError) {
+      console.error('❌ Input validation failed:', validationError.message);
+      return createValidationError(validationError.message);
+    }
 
-    // SECURITY CHECK 3: Connector active status check
+    // SECURITY CHECK 3: Origin allowlist
+    const origin = request.headers.get('origin');
+    if (!isOriginAllowed(origin, connector.allowed_origins)) {
+      console.log(`🚫 Origin ${origin} not allowed for connector:`, connectorId);
+      return createOriginNotAllowedError(origin);
+    }
+
+    // SECURITY CHECK 4: Connector active status check
     if (connector.is_active !== true) {
       console.log('🚫 Connector is not active:', connectorId);
       return createErrorResponse(
@@ -122,13 +366,101 @@ export async function POST(request, context) {
     }
     console.log('✅ Connector is active');
 
-    // 3. Store submission in database
+    // SECURITY CHECK 5: Attempt limits, before the spam checks store flagged
+    // submissions or call the CAPTCHA provider. The client's own limit is
+    // checked first so a blocked client does not use up the connector's.
+    const clientIp = getClientIp(request);
+    const attemptLimits = [
+      ...(clientIp ? [[`attempts:${connectorId}:${clientIp}`, CLIENT_ATTEMPT_LIMIT]] : []),
+      [`attempts:${connectorId}`, CONNECTOR_ATTEMPT_LIMIT]
+    ];
+    for (const [identifier, maxAttempts] of attemptLimits) {
+      const attemptLimitResult = rateLimit(identifier, maxAttempts, 3600000);
+      if (!attemptLimitResult.allowed) {
+        console.log('🚫 Attempt limit exceeded:', identifier);
+        return createRateLimitError(attemptLimitResult.resetTime, attemptLimitResult.remaining);
+      }
+    }
+    console.log('✅ Attempt limit check passed');
+
+    // SECURITY CHECK 6: Spam protection (before rate limiting, so bots cannot exhaust the limit)
+    const spamCheck = await checkSpam(formData, connector, { remoteIp: clientIp });
+    formData = spamCheck.fields;
+
+    if (spamCheck.spam) {
+      console.log(`🚫 Submission flagged as spam (${spamCheck.spam.check}): ${spamCheck.spam.reason}`);
+      return storeSpamSubmission(connectorId, formData, spamCheck.spam);
+    }
+    console.log('✅ Spam checks passed');
+
+    // SECURITY CHECK 7: Rate limiting
+    const rateLimitResult = rateLimit(connectorId, 100, 3600000); // 100 requests per hour
+    if (!rateLimitResult.allowed) {
+      console.log('🚫 Rate limit exceeded for connector:', connectorId);
+      return createRateLimitError(rateLimitResult.resetTime, rateLimitResult.remaining);
+    }
+    console.log('✅ Rate limit check passed');
+
+    // SECURITY CHECK 8: Uploaded files
+    if (files.length > 0) {
+      try {
+        validateAttachments(files, resolveAttachmentSettings(connector.attachment_settings));
+        console.log(`✅ Attachment validation passed (${files.length} file(s))`);
+      } catch (attachmentError) {
+        console.error('❌ Attachment validation failed:', attachmentError.message);
+        return createValidationError(attachmentError.message);
+      }
+    }
+
+    // 2. Validate against the connector's field schema (files checked by presence)
+    const fieldErrors = validateAgainstSchema(
+      withFilePlaceholders(formData, files),
+      connector.field_schema
+    );
+    if (fieldErrors.length > 0) {
+      console.log('❌ Field schema validation failed:', fieldErrors);
+      return createFieldValidationError(fieldErrors);
+    }
+
+    if (files.length > 0) {
+      try {
+        const references = await storeAttachments(connectorId, files);
+        formData = { ...formData, ...references };
+      } catch (storageError) {
+        console.error('❌ Error storing attachments:', storageError);
+        return createErrorResponse(
+          'Failed to store attachments',
+          'ATTACHMENT_STORAGE_ERROR',
+          500,
+          { details: storageError.message }
+        );
+      }
+    }
+
+    // 3. Apply each destination's routing condition
+    const destinations = [];
+    const skipped = {};
+    for (const destination of getConnectorDestinations(connector)) {
+      if (!destination.enabled || evaluateCondition(destination.condition, formData)) {
+        destinations.push(destination);
+      } else {
+        console.log(`⏭️  Skipping ${destination.type}: condition not met`);
+        skipped[destination.type] = {
+          status: 'skipped',
+          reason: 'Condition not met',
+          condition: describeCondition(destination.condition),
+          timestamp: new Date().toISOString()
+        };
+      }
+    }
+
+    // 4. Store submission in database
     const { data: submission, error: submissionError } = await supabase
       .from('submissions')
       .insert({
         connector_id: connectorId,
         form_data: formData,
-        destinations_sent: {},
+        destinations_sent: skipped,
         errors: null
       })
       .select()
@@ -146,68 +478,41 @@ export async function POST(request, context) {
 
     console.log('✅ Submission stored with ID:', submission.id);
 
-    // 4. Process destinations
-    const destinations = connector.destinations || [];
-    console.log('🔍 Raw destinations from database:', JSON.stringify(destinations, null, 2));
-    console.log('🔍 Destinations type:', typeof destinations);
-    console.log('🔍 Is array?:', Array.isArray(destinations));
-    console.log('🔍 Length:', destinations.length);
-    
-    const results = {};
-
-    // Flatten if double nested (fix for [[...]] format)
-    let flatDestinations = destinations;
-    if (destinations.length > 0 && Array.isArray(destinations[0])) {
-      console.log('⚠️  Detected double-nested array, flattening...');
-      flatDestinations = destinations[0];
-    }
-
-    console.log('🔍 Processing destinations:', JSON.stringify(flatDestinations, null, 2));
-
-    for (const destination of flatDestinations) {
-      const handler = destinationHandlers[destination.type];
-      
-      if (!handler) {
-        console.log(`⚠️  Unknown destination type: ${destination.type}`);
-        continue;
-      }
-      
-      if (!destination.enabled) {
-        console.log(`⏭️  Skipping disabled destination: ${destination.type}`);
-        continue;
-      }
-      
-      console.log(`🔄 Processing ${destination.type} destination...`);
-      
-      try {
-        await handler(destination, formData, connector);
-        results[destination.type] = { success: true };
-        console.log(`✅ ${destination.type} processed successfully`);
-      } catch (error) {
-        results[destination.type] = { 
-          success: false, 
-          error: error.message,
-          timestamp: new Date().toISOString()
-        };
-        console.error(`❌ ${destination.type} failed:`, error.message);
-      }
+    // 5. Queue matching destinations for delivery
+    let jobs;
+    try {
+      jobs = await enqueueDeliveries(submission, destinations);
+    } catch (queueError) {
+      console.error('❌ Error queueing deliveries:', queueError);
+      return createErrorResponse(
+        'Failed to queue deliveries',
+        'DELIVERY_QUEUE_ERROR',
+        500,
+        { details: queueError.message, submissionId: submission.id }
+      );
     }
 
-    // 5. Update submission with results
-    console.log('💾 Updating submission with results:', results);
-    await supabase
-      .from('submissions')
-      .update({
-        destinations_sent: results
-      })
-      .eq('id', submission.id);
+    // 6. Make the first delivery attempt once the response has been sent
+    if (jobs.length > 0) {
+      after(() => processDeliveryQueue({ submissionId: submission.id }).catch(error => {
+        console.error('❌ Immediate delivery attempt failed:', error.message);
+      }));
+    }
 
-    console.log('✅ Submission processed successfully');
+    console.log('✅ Submission accepted');
 
     return NextResponse.json({
       success: true,
       submissionId: submission.id,
-      results
+      status: 'queued',
+      deliveries: [
+        ...jobs.map(job => ({
+          jobId: job.id,
+          destination: job.destination_type,
+          status: job.status
+        })),
+        ...Object.keys(skipped).map(type => ({ jobId: null, destination: type, status: 'skipped' }))
+      ]
     });
 
   } catch (error) {
@@ -224,26 +529,44 @@ export async function POST(request, context) {
 /**
  * Handles CORS preflight requests
  * 
- * This function responds to OPTIONS requests with appropriate CORS headers
- * to allow cross-origin requests from web forms. It enables:
- * - All origins (*)
- * - Common HTTP methods (GET, POST, PUT, DELETE, OPTIONS)
- * - Content-Type and Authorization headers
+ * This function responds to OPTIONS requests using the connector's origin
+ * allowlist. Allowed origins are echoed back together with the methods and
+ * headers the submit endpoint accepts; other origins get a 403
+ * `ORIGIN_NOT_ALLOWED` response without CORS headers, so the browser blocks
+ * the actual request.
  * 
- * @param {Request} request - Next.js request object (unused but required by Next.js)
- * @returns {NextResponse} Response with CORS headers and 200 status
+ * @param {Request} request - Next.js request object (Origin header is checked)
+ * @param {Object} context - Next.js route context
+ * @param {Object} context.params - Route parameters (must be awaited)
+ * @param {string} context.params.connectorId - UUID of the connector
+ * @returns {Promise<NextResponse>} 204 response with CORS headers, or an error response
  * 
  * @example
  * // OPTIONS /api/submit/abc-123
- * // Response: 200 OK with CORS headers
+ * // Origin: https://www.example.com
+ * // Response: 204 with Access-Control-Allow-Origin: https://www.example.com
  */
-export async function OPTIONS(request) {
+export async function OPTIONS(request, context) {
+  const { connectorId } = await context.params;
+  const origin = request.headers.get('origin');
+
+  const connector = await findResponseSettings(connectorId);
+  if (!connector) {
+    return createNotFoundError('Connector');
+  }
+
+  if (!isOriginAllowed(origin, connector.allowed_origins)) {
+    console.log(`🚫 Preflight from ${origin} not allowed for connector:`, connectorId);
+    return createOriginNotAllowedError(origin);
+  }
+
   return new NextResponse(null, {
-    status: 200,
+    status: 204,
     headers: {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+      ...getCorsHeaders(origin),
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
       'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '600',
     },
   });
 }
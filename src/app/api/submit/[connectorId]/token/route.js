@@ -0,0 +1,66 @@
+import { NextResponse } from 'next/server';
+import { supabase } from '@/lib/supabase';
+import { createFormToken, FORM_TOKEN_FIELD } from '@/lib/spam';
+import { isOriginAllowed, getCorsHeaders } from '@/lib/cors';
+import { createNotFoundError, createOriginNotAllowedError, createErrorResponse } from '@/lib/apiErrors';
+
+/**
+ * Issues a signed time-trap token for a connector's form
+ * 
+ * Forms protected by a minimum fill time fetch a token when the page loads and
+ * post it back in the `_fc_token` field. The submit endpoint rejects
+ * submissions whose token is missing, forged, expired or too recent.
+ * Browser requests follow the connector's origin allowlist (see `@/lib/cors`).
+ * 
+ * **Response Format:**
+ * { data: { token: "1718000000000.ab12...", field: "_fc_token" }, error: null }
+ * 
+ * @param {Request} request - Next.js request object
+ * @param {Object} context - Next.js route context
+ * @param {Object} context.params - Route parameters (must be awaited)
+ * @param {string} context.params.connectorId - UUID of the connector
+ * @returns {Promise<NextResponse>} JSON response with the token
+ * 
+ * @example
+ * // In the form page:
+ * // const { data } = await (await fetch('/api/submit/abc-123/token')).json();
+ * // form.querySelector('input[name="_fc_token"]').value = data.token;
+ */
+export async function GET(request, context) {
+  const { connectorId } = await context.params;
+
+  try {
+    const { data: connector, error } = await supabase
+      .from('connectors')
+      .select('id, allowed_origins')
+      .eq('id', connectorId)
+      .single();
+
+    if (error || !connector) {
+      return createNotFoundError('Connector');
+    }
+
+    const origin = request.headers.get('origin');
+    if (!isOriginAllowed(origin, connector.allowed_origins)) {
+      return createOriginNotAllowedError(origin);
+    }
+
+    return NextResponse.json(
+      { data: { token: createFormToken(connector.id), field: FORM_TOKEN_FIELD }, error: null },
+      {
+        headers: {
+          ...getCorsHeaders(origin),
+          'Cache-Control': 'no-store'
+        }
+      }
+    );
+  } catch (error) {
+    console.error('❌ Failed to issue form token:', error);
+    return createErrorResponse(
+      'Failed to issue form token',
+      'FORM_TOKEN_ERROR',
+      500,
+      { details: error.message }
+    );
+  }
+}
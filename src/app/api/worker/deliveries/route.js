@@ -0,0 +1,82 @@
+import { NextResponse } from 'next/server';
+import { timingSafeEqual } from 'crypto';
+import { processDeliveryQueue } from '@/lib/deliveryQueue';
+import { createUnauthorizedError, createErrorResponse } from '@/lib/apiErrors';
+
+// Upper bound on jobs per run so a single invocation stays within function time limits
+const MAX_BATCH_SIZE = 50;
+
+/**
+ * Checks the worker secret sent by the scheduler
+ * 
+ * @param {Request} request - Incoming request
+ * @returns {boolean} True if the Authorization header carries CRON_SECRET
+ * @private
+ */
+function isAuthorizedWorker(request) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return false;
+  }
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const actual = Buffer.from(request.headers.get('authorization') || '');
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Runs one batch of the delivery queue
+ * 
+ * Claims due delivery jobs (new, retrying, or abandoned by a crashed worker)
+ * and runs them. Call this on a schedule (e.g. a Vercel cron every minute) so
+ * retries happen even when no new submissions arrive. Several workers may run
+ * at once; each job is claimed by exactly one of them.
+ * 
+ * **Authentication:**
+ * Requires `Authorization: Bearer <CRON_SECRET>`. Vercel cron sends this
+ * header automatically when the CRON_SECRET environment variable is set.
+ * 
+ * **Query Parameters:**
+ * - limit: Maximum jobs to run (default 10, max 50)
+ * 
+ * **Response Format:**
+ * { data: { claimed: 3, succeeded: 2, failed: 0, retrying: 1, paused: 0 }, error: null }
+ * 
+ * @param {Request} request - Next.js request object
+ * @returns {Promise<NextResponse>} JSON response with the run summary
+ * 
+ * @example
+ * // vercel.json
+ * // { "crons": [{ "path": "/api/worker/deliveries", "schedule": "* * * * *" }] }
+ */
+export async function GET(request) {
+  if (!isAuthorizedWorker(request)) {
+    return createUnauthorizedError('Invalid worker credentials');
+  }
+
+  const { searchParams } = new URL(request.url);
+  const limit = Math.min(Math.max(parseInt(searchParams.get('limit'), 10) || 10, 1), MAX_BATCH_SIZE);
+
+  try {
+    const summary = await processDeliveryQueue({ limit });
+    return NextResponse.json({ data: summary, error: null });
+  } catch (error) {
+    console.error('❌ Delivery worker failed:', error);
+    return createErrorResponse(
+      'Failed to process delivery queue',
+      'DELIVERY_WORKER_ERROR',
+      500,
+      { details: error.message }
+    );
+  }
+}
+
+/**
+ * Runs one batch of the delivery queue (for schedulers that only send POST)
+ * 
+ * @param {Request} request - Next.js request object
+ * @returns {Promise<NextResponse>} JSON response with the run summary
+ */
+export async function POST(request) {
+  return GET(request);
+}
@@ -4,6 +4,12 @@ import { useEffect, useState } from 'react'
 import { useRouter, useParams } from 'next/navigation'
 import Link from 'next/link'
 import DestinationCard from '@/components/DestinationCard'
+import ConditionBuilder from '@/components/ConditionBuilder'
+import DestinationConfigForm from '@/components/DestinationConfigForm'
+import TransformEditor from '@/components/TransformEditor'
+import TransformPreview from '@/components/TransformPreview'
+import FieldSchemaEditor from '@/components/FieldSchemaEditor'
+import PausedDestinations from '@/components/PausedDestinations'
 import Toast from '@/components/Toast'
 
 const destinations = [
@@ -22,6 +28,31 @@ const destinations = [
     title: 'Slack',
     description: 'Get instant notifications in your Slack channel'
   },
+  {
+    type: 'teams',
+    title: 'Microsoft Teams',
+    description: 'Post submission cards to a Teams channel'
+  },
+  {
+    type: 'discord',
+    title: 'Discord',
+    description: 'Post submissions to a Discord channel'
+  },
+  {
+    type: 'airtable',
+    title: 'Airtable',
+    description: 'Create a record in an Airtable table for each submission'
+  },
+  {
+    type: 'notion',
+    title: 'Notion',
+    description: 'Add each submission as a page in a Notion database'
+  },
+  {
+    type: 'hubspot',
+    title: 'HubSpot',
+    description: 'Create or update a HubSpot contact for each submission'
+  },
   {
     type: 'sms',
     title: 'SMS',
@@ -44,7 +75,25 @@ export default function EditConnector() {
     name: '',
     description: '',
     destinations: [], // Array of objects: { type, enabled, config }
-    is_active: true
+    is_active: true,
+    success_redirect_url: '',
+    error_redirect_url: '',
+    attachment_settings: {
+      enabled: false,
+      maxFileSizeMb: 10,
+      maxFiles: 5,
+      allowedMimeTypes: ''
+    },
+    field_schema: [],
+    spam_settings: {
+      honeypotField: '',
+      minFillSeconds: 0,
+      captchaProvider: '',
+      captchaSecret: '',
+      captchaMinScore: 0.5
+    },
+    allowed_origins: '',
+    transforms: []
   })
   const [destinationConfigs, setDestinationConfigs] = useState({})
   const [showConfigModal, setShowConfigModal] = useState(null) // Destination type to show config for
@@ -52,6 +101,8 @@ export default function EditConnector() {
   const [copied, setCopied] = useState(false)
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false)
   const [deleting, setDeleting] = useState(false)
+  const [inferringSchema, setInferringSchema] = useState(false)
+  const [transformTarget, setTransformTarget] = useState('connector') // 'connector' or a destination type
 
   useEffect(() => {
     if (params.id) {
@@ -90,7 +141,25 @@ export default function EditConnector() {
           name: result.data.name || '',
           description: result.data.description || '',
           destinations: destinations,
-          is_active: result.data.is_active !== false
+          is_active: result.data.is_active !== false,
+          success_redirect_url: result.data.success_redirect_url || '',
+          error_redirect_url: result.data.error_redirect_url || '',
+          attachment_settings: {
+            enabled: result.data.attachment_settings?.enabled === true,
+            maxFileSizeMb: result.data.attachment_settings?.maxFileSizeMb || 10,
+            maxFiles: result.data.attachment_settings?.maxFiles || 5,
+            allowedMimeTypes: (result.data.attachment_settings?.allowedMimeTypes || []).join(', ')
+          },
+          field_schema: result.data.field_schema || [],
+          spam_settings: {
+            honeypotField: result.data.spam_settings?.honeypotField || '',
+            minFillSeconds: result.data.spam_settings?.minFillSeconds || 0,
+            captchaProvider: result.data.spam_settings?.captchaProvider || '',
+            captchaSecret: result.data.spam_settings?.captchaSecret || '',
+            captchaMinScore: result.data.spam_settings?.captchaMinScore ?? 0.5
+          },
+          allowed_origins: (result.data.allowed_origins || []).join('\n'),
+          transforms: result.data.transforms || []
         })
         setDestinationConfigs(configs)
       }
@@ -107,6 +176,49 @@ export default function EditConnector() {
     setFormData(prev => ({ ...prev, [name]: value }))
   }
 
+  const handleAttachmentSettingChange = (key, value) => {
+    setFormData(prev => ({
+      ...prev,
+      attachment_settings: { ...prev.attachment_settings, [key]: value }
+    }))
+  }
+
+  const handleSpamSettingChange = (key, value) => {
+    setFormData(prev => ({
+      ...prev,
+      spam_settings: { ...prev.spam_settings, [key]: value }
+    }))
+  }
+
+  const inferFieldSchema = async () => {
+    if (formData.field_schema.length > 0 && !confirm('Replace the current field schema with one inferred from recent submissions?')) {
+      return
+    }
+
+    setInferringSchema(true)
+    try {
+      const response = await fetch(`/api/connectors/${params.id}/schema/infer`)
+      const result = await response.json()
+
+      if (result.error) {
+        setToast({ message: result.error, type: 'error' })
+      } else if (result.data.sampleSize === 0) {
+        setToast({ message: 'No submissions yet to infer a schema from', type: 'info' })
+      } else {
+        setFormData(prev => ({ ...prev, field_schema: result.data.fields }))
+        setToast({
+          message: `Inferred ${result.data.fields.length} fields from ${result.data.sampleSize} submissions. Review and save.`,
+          type: 'success'
+        })
+      }
+    } catch (error) {
+      console.error('Error:', error)
+      setToast({ message: 'Failed to infer field schema', type: 'error' })
+    } finally {
+      setInferringSchema(false)
+    }
+  }
+
   const toggleDestination = (type) => {
     setFormData(prev => {
       const existingIndex = prev.destinations.findIndex(d => d.type === type)
@@ -146,6 +258,24 @@ export default function EditConnector() {
     }))
   }
 
+  const updateDestinationCondition = (type, condition) => {
+    setFormData(prev => ({
+      ...prev,
+      destinations: prev.destinations.map(dest =>
+        dest.type === type ? { ...dest, condition } : dest
+      )
+    }))
+  }
+
+  const updateDestinationTransforms = (type, transforms) => {
+    setFormData(prev => ({
+      ...prev,
+      destinations: prev.destinations.map(dest =>
+        dest.type === type ? { ...dest, transforms } : dest
+      )
+    }))
+  }
+
   const getSelectedDestinations = () => {
     return formData.destinations.map(d => d.type)
   }
@@ -168,7 +298,26 @@ export default function EditConnector() {
         name: formData.name,
         description: formData.description,
         destinations: destinationsWithConfig,
-        is_active: formData.is_active
+        is_active: formData.is_active,
+        success_redirect_url: formData.success_redirect_url.trim(),
+        error_redirect_url: formData.error_redirect_url.trim(),
+        attachment_settings: {
+          ...formData.attachment_settings,
+          maxFileSizeMb: Number(formData.attachment_settings.maxFileSizeMb),
+          maxFiles: parseInt(formData.attachment_settings.maxFiles, 10)
+        },
+        field_schema: formData.field_schema,
+        spam_settings: {
+          ...formData.spam_settings,
+          honeypotField: formData.spam_settings.honeypotField.trim(),
+          minFillSeconds: Number(formData.spam_settings.minFillSeconds) || 0,
+          captchaMinScore: Number(formData.spam_settings.captchaMinScore)
+        },
+        allowed_origins: formData.allowed_origins
+          .split('\n')
+          .map(origin => origin.trim())
+          .filter(Boolean),
+        transforms: formData.transforms
       }
 
       console.log('📤 Updating connector with payload:', JSON.stringify(payload, null, 2))
@@ -435,12 +584,335 @@ export default function EditConnector() {
           </div>
         </div>
 
+        {/* Form Redirects Section */}
+        <div className="bg-slate-800/30 rounded-3xl border border-slate-700/50 p-8 mb-8">
+          <div className="mb-6">
+            <h2 className="text-xl font-semibold text-white mb-2">After Submit</h2>
+            <p className="text-slate-400 text-sm">
+              Where to send visitors after a plain HTML form posts to this connector. Leave empty to show a built-in thank-you page.
+            </p>
+          </div>
+
+          <div className="space-y-6">
+            <div>
+              <label htmlFor="success_redirect_url" className="block text-sm font-medium text-slate-300 mb-2">
+                Success Redirect URL <span className="text-slate-500">(Optional)</span>
+              </label>
+              <input
+                type="url"
+                id="success_redirect_url"
+                name="success_redirect_url"
+                value={formData.success_redirect_url}
+                onChange={handleInputChange}
+                placeholder="https://example.com/thank-you"
+                className="w-full px-4 py-3.5 bg-slate-900/50 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-500/20 transition-all"
+              />
+            </div>
+
+            <div>
+              <label htmlFor="error_redirect_url" className="block text-sm font-medium text-slate-300 mb-2">
+                Error Redirect URL <span className="text-slate-500">(Optional)</span>
+              </label>
+              <input
+                type="url"
+                id="error_redirect_url"
+                name="error_redirect_url"
+                value={formData.error_redirect_url}
+                onChange={handleInputChange}
+                placeholder="https://example.com/form-error"
+                className="w-full px-4 py-3.5 bg-slate-900/50 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-500/20 transition-all"
+              />
+              <p className="text-xs text-slate-500 mt-2">
+                Visitors are redirected with <code className="text-indigo-400">submission_id</code>, <code className="text-indigo-400">status</code> and <code className="text-indigo-400">error_code</code> query parameters
+              </p>
+            </div>
+          </div>
+        </div>
+
+        {/* Field Schema Section */}
+        <div className="bg-slate-800/30 rounded-3xl border border-slate-700/50 p-8 mb-8">
+          <div className="mb-6">
+            <h2 className="text-xl font-semibold text-white mb-2">Field Schema</h2>
+            <p className="text-slate-400 text-sm">
+              Declare the fields this form sends. Submissions that break these rules are rejected with a 400 listing every invalid field.
+            </p>
+          </div>
+
+          <FieldSchemaEditor
+            fields={formData.field_schema}
+            onChange={(fieldSchema) => setFormData(prev => ({ ...prev, field_schema: fieldSchema }))}
+            onInfer={inferFieldSchema}
+            inferring={inferringSchema}
+          />
+        </div>
+
+        {/* Field Mapping Section */}
+        <div className="bg-slate-800/30 rounded-3xl border border-slate-700/50 p-8 mb-8">
+          <div className="mb-6">
+            <h2 className="text-xl font-semibold text-white mb-2">Field Mapping</h2>
+            <p className="text-slate-400 text-sm">
+              Rename, clean up and format fields before they are delivered. Steps for all destinations run first, then the steps of each destination.
+            </p>
+          </div>
+
+          <div className="mb-4">
+            <label htmlFor="transformTarget" className="block text-sm font-medium text-slate-300 mb-2">
+              Apply to
+            </label>
+            <select
+              id="transformTarget"
+              value={transformTarget}
+              onChange={(e) => setTransformTarget(e.target.value)}
+              className="px-4 py-2 bg-slate-900/50 border border-slate-700 rounded-xl text-sm text-white focus:border-indigo-500 focus:ring-2 focus:ring-indigo-500/20 transition-all"
+            >
+              <option value="connector">All destinations</option>
+              {formData.destinations.map(dest => (
+                <option key={dest.type} value={dest.type}>
+                  {destinations.find(d => d.type === dest.type)?.title || dest.type} only
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {transformTarget === 'connector' || !formData.destinations.some(dest => dest.type === transformTarget) ? (
+            <TransformEditor
+              steps={formData.transforms}
+              onChange={(transforms) => setFormData(prev => ({ ...prev, transforms }))}
+            />
+          ) : (
+            <TransformEditor
+              steps={formData.destinations.find(dest => dest.type === transformTarget)?.transforms || []}
+              onChange={(transforms) => updateDestinationTransforms(transformTarget, transforms)}
+              emptyMessage="No extra steps for this destination."
+            />
+          )}
+
+          <div className="mt-6">
+            <TransformPreview
+              connectorId={params.id}
+              transforms={formData.transforms}
+              destinationTransforms={formData.destinations.find(dest => dest.type === transformTarget)?.transforms}
+            />
+          </div>
+        </div>
+
+        {/* Allowed Origins Section */}
+        <div className="bg-slate-800/30 rounded-3xl border border-slate-700/50 p-8 mb-8">
+          <div className="mb-6">
+            <h2 className="text-xl font-semibold text-white mb-2">Allowed Origins</h2>
+            <p className="text-slate-400 text-sm">
+              Websites allowed to submit to this connector from the browser. Leave empty to accept submissions from any site.
+            </p>
+          </div>
+
+          <textarea
+            id="allowed_origins"
+            name="allowed_origins"
+            value={formData.allowed_origins}
+            onChange={handleInputChange}
+            placeholder={'https://example.com\nhttps://*.example.com'}
+            rows={4}
+            className="w-full px-4 py-3.5 bg-slate-900/50 border border-slate-700 rounded-xl text-white font-mono text-sm placeholder-slate-500 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-500/20 transition-all resize-none"
+          />
+          <p className="text-xs text-slate-500 mt-2">
+            One origin per line. Use <code className="text-indigo-400">https://*.example.com</code> to allow every subdomain.
+          </p>
+        </div>
+
+        {/* Spam Protection Section */}
+        <div className="bg-slate-800/30 rounded-3xl border border-slate-700/50 p-8 mb-8">
+          <div className="mb-6">
+            <h2 className="text-xl font-semibold text-white mb-2">Spam Protection</h2>
+            <p className="text-slate-400 text-sm">
+              Flagged submissions are saved with a spam status and are not sent to destinations.
+            </p>
+          </div>
+
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <label htmlFor="honeypotField" className="block text-sm font-medium text-slate-300 mb-2">
+                  Honeypot Field <span className="text-slate-500">(Optional)</span>
+                </label>
+                <input
+                  type="text"
+                  id="honeypotField"
+                  value={formData.spam_settings.honeypotField}
+                  onChange={(e) => handleSpamSettingChange('honeypotField', e.target.value)}
+                  placeholder="e.g., website"
+                  className="w-full px-4 py-3.5 bg-slate-900/50 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-500/20 transition-all"
+                />
+                <p className="text-xs text-slate-500 mt-2">
+                  Add a hidden input with this name. Bots fill it in; people don&apos;t.
+                </p>
+              </div>
+
+              <div>
+                <label htmlFor="minFillSeconds" className="block text-sm font-medium text-slate-300 mb-2">
+                  Minimum Fill Time (seconds)
+                </label>
+                <input
+                  type="number"
+                  id="minFillSeconds"
+                  min={0}
+                  max={3600}
+                  value={formData.spam_settings.minFillSeconds}
+                  onChange={(e) => handleSpamSettingChange('minFillSeconds', e.target.value)}
+                  className="w-full px-4 py-3.5 bg-slate-900/50 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-500/20 transition-all"
+                />
+                <p className="text-xs text-slate-500 mt-2">
+                  0 disables. Otherwise post a token from <code className="text-indigo-400">GET {connector.webhook_url}/token</code> in a <code className="text-indigo-400">_fc_token</code> field.
+                </p>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+              <div>
+                <label htmlFor="captchaProvider" className="block text-sm font-medium text-slate-300 mb-2">
+                  CAPTCHA
+                </label>
+                <select
+                  id="captchaProvider"
+                  value={formData.spam_settings.captchaProvider}
+                  onChange={(e) => handleSpamSettingChange('captchaProvider', e.target.value)}
+                  className="w-full px-4 py-3.5 bg-slate-900/50 border border-slate-700 rounded-xl text-white focus:border-indigo-500 focus:ring-2 focus:ring-indigo-500/20 transition-all"
+                >
+                  <option value="">None</option>
+                  <option value="hcaptcha">hCaptcha</option>
+                  <option value="recaptcha">reCAPTCHA</option>
+                  <option value="turnstile">Cloudflare Turnstile</option>
+                </select>
+              </div>
+
+              {formData.spam_settings.captchaProvider && (
+                <>
+                  <div>
+                    <label htmlFor="captchaSecret" className="block text-sm font-medium text-slate-300 mb-2">
+                      Secret Key <span className="text-red-400">*</span>
+                    </label>
+                    <input
+                      type="password"
+                      id="captchaSecret"
+                      value={formData.spam_settings.captchaSecret}
+                      onChange={(e) => handleSpamSettingChange('captchaSecret', e.target.value)}
+                      placeholder="Provider secret key"
+                      className="w-full px-4 py-3.5 bg-slate-900/50 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-500/20 transition-all"
+                    />
+                  </div>
+
+                  {formData.spam_settings.captchaProvider === 'recaptcha' && (
+                    <div>
+                      <label htmlFor="captchaMinScore" className="block text-sm font-medium text-slate-300 mb-2">
+                        Minimum Score (v3)
+                      </label>
+                      <input
+                        type="number"
+                        id="captchaMinScore"
+                        min={0}
+                        max={1}
+                        step={0.1}
+                        value={formData.spam_settings.captchaMinScore}
+                        onChange={(e) => handleSpamSettingChange('captchaMinScore', e.target.value)}
+                        className="w-full px-4 py-3.5 bg-slate-900/50 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-500/20 transition-all"
+                      />
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* File Uploads Section */}
+        <div className="bg-slate-800/30 rounded-3xl border border-slate-700/50 p-8 mb-8">
+          <div className="flex items-center justify-between mb-6">
+            <div>
+              <h2 className="text-xl font-semibold text-white mb-2">File Uploads</h2>
+              <p className="text-slate-400 text-sm">
+                Accept <code className="text-indigo-400">{'<input type="file">'}</code> fields from multipart form posts. Files are stored and linked in submissions and destinations.
+              </p>
+            </div>
+            <label className="relative inline-flex items-center cursor-pointer flex-shrink-0 ml-6">
+              <input
+                type="checkbox"
+                checked={formData.attachment_settings.enabled}
+                onChange={(e) => handleAttachmentSettingChange('enabled', e.target.checked)}
+                className="sr-only peer"
+              />
+              <div className="w-14 h-7 bg-slate-700 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-indigo-500/20 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-0.5 after:left-[4px] after:bg-white after:border-slate-300 after:border after:rounded-full after:h-6 after:w-6 after:transition-all peer-checked:bg-gradient-to-r peer-checked:from-indigo-600 peer-checked:to-purple-600"></div>
+            </label>
+          </div>
+
+          {formData.attachment_settings.enabled && (
+            <div className="space-y-6">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <label htmlFor="maxFileSizeMb" className="block text-sm font-medium text-slate-300 mb-2">
+                    Max File Size (MB)
+                  </label>
+                  <input
+                    type="number"
+                    id="maxFileSizeMb"
+                    min={1}
+                    max={25}
+                    value={formData.attachment_settings.maxFileSizeMb}
+                    onChange={(e) => handleAttachmentSettingChange('maxFileSizeMb', e.target.value)}
+                    className="w-full px-4 py-3.5 bg-slate-900/50 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-500/20 transition-all"
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="maxFiles" className="block text-sm font-medium text-slate-300 mb-2">
+                    Max Files per Submission
+                  </label>
+                  <input
+                    type="number"
+                    id="maxFiles"
+                    min={1}
+                    max={20}
+                    value={formData.attachment_settings.maxFiles}
+                    onChange={(e) => handleAttachmentSettingChange('maxFiles', e.target.value)}
+                    className="w-full px-4 py-3.5 bg-slate-900/50 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-500/20 transition-all"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label htmlFor="allowedMimeTypes" className="block text-sm font-medium text-slate-300 mb-2">
+                  Allowed File Types <span className="text-slate-500">(Optional)</span>
+                </label>
+                <input
+                  type="text"
+                  id="allowedMimeTypes"
+                  value={formData.attachment_settings.allowedMimeTypes}
+                  onChange={(e) => handleAttachmentSettingChange('allowedMimeTypes', e.target.value)}
+                  placeholder="image/*, application/pdf"
+                  className="w-full px-4 py-3.5 bg-slate-900/50 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-500/20 transition-all"
+                />
+                <p className="text-xs text-slate-500 mt-2">
+                  Comma-separated MIME types. Leave empty to accept any file type.
+                </p>
+              </div>
+            </div>
+          )}
+        </div>
+
         {/* Destinations Section */}
         <div className="bg-slate-800/30 rounded-3xl border border-slate-700/50 p-8">
           <div className="mb-6">
             <h2 className="text-xl font-semibold text-white mb-2">Destinations</h2>
             <p className="text-slate-400 text-sm">Choose where form submissions should be sent</p>
           </div>
+
+          <PausedDestinations
+            connectorId={params.id}
+            breakers={connector.circuit_breakers}
+            onReset={(breakers) => {
+              setConnector(prev => ({ ...prev, circuit_breakers: breakers }))
+              setToast({ message: 'Destination resumed', type: 'success' })
+            }}
+            className="mb-6"
+          />
           
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             {destinations.map((dest) => {
@@ -479,6 +951,29 @@ export default function EditConnector() {
               </p>
             </div>
           )}
+
+          {formData.destinations.length > 0 && (
+            <div className="mt-8">
+              <h3 className="text-lg font-semibold text-white mb-2">Routing Rules</h3>
+              <p className="text-slate-400 text-sm mb-4">
+                Only send submissions to a destination when they match its rules. Skipped destinations are shown as skipped on the submission.
+              </p>
+              <div className="space-y-4">
+                {formData.destinations.map(dest => (
+                  <div key={dest.type} className="p-4 bg-slate-900/30 border border-slate-700/50 rounded-xl">
+                    <h4 className="text-sm font-semibold text-white mb-3">
+                      {destinations.find(d => d.type === dest.type)?.title || dest.type}
+                    </h4>
+                    <ConditionBuilder
+                      condition={dest.condition}
+                      onChange={(condition) => updateDestinationCondition(dest.type, condition)}
+                      fieldNames={formData.field_schema.map(field => field.name).filter(Boolean)}
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
 
         {/* Destination Configuration Modal */}
@@ -500,77 +995,18 @@ export default function EditConnector() {
                 </button>
               </div>
 
-              {/* Google Sheets Configuration */}
-              {showConfigModal === 'sheets' && (
-                <div className="space-y-4">
-                  <div>
-                    <label htmlFor="edit-spreadsheetId" className="block text-sm font-medium text-slate-300 mb-2">
-                      Spreadsheet ID <span className="text-red-400">*</span>
-                    </label>
-                    <input
-                      type="text"
-                      id="edit-spreadsheetId"
-                      value={destinationConfigs.sheets?.spreadsheetId || ''}
-                      onChange={(e) => updateDestinationConfig('sheets', { spreadsheetId: e.target.value })}
-                      placeholder="1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms"
-                      className="w-full px-4 py-3 bg-slate-900 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-500/20 transition-all"
-                    />
-                    <p className="text-xs text-slate-500 mt-2">
-                      Find this in your Google Sheet URL
-                    </p>
-                  </div>
-
-                  <div>
-                    <label htmlFor="edit-sheetName" className="block text-sm font-medium text-slate-300 mb-2">
-                      Sheet Name <span className="text-slate-500">(Optional)</span>
-                    </label>
-                    <input
-                      type="text"
-                      id="edit-sheetName"
-                      value={destinationConfigs.sheets?.sheetName || 'Form Submissions'}
-                      onChange={(e) => updateDestinationConfig('sheets', { sheetName: e.target.value || 'Form Submissions' })}
-                      placeholder="Form Submissions"
-                      className="w-full px-4 py-3 bg-slate-900 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-500/20 transition-all"
-                    />
-                  </div>
-                </div>
-              )}
-
-              {/* Slack Configuration */}
-              {showConfigModal === 'slack' && (
-                <div className="space-y-4">
-                  <div>
-                    <label htmlFor="edit-slackWebhookUrl" className="block text-sm font-medium text-slate-300 mb-2">
-                      Webhook URL <span className="text-red-400">*</span>
-                    </label>
-                    <input
-                      type="url"
-                      id="edit-slackWebhookUrl"
-                      value={destinationConfigs.slack?.webhookUrl || ''}
-                      onChange={(e) => updateDestinationConfig('slack', { webhookUrl: e.target.value })}
-                      placeholder="Enter your Slack webhook URL"
-                      className="w-full px-4 py-3 bg-slate-900 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-purple-500 focus:ring-2 focus:ring-purple-500/20 transition-all"
-                    />
-                    <p className="text-xs text-slate-500 mt-2">
-                      Get your webhook URL from Slack → Apps → Incoming Webhooks
-                    </p>
-                  </div>
-                </div>
-              )}
-
-              {/* Email Configuration - placeholder */}
-              {showConfigModal === 'email' && (
-                <div className="text-center py-8">
-                  <p className="text-slate-400">Email configuration will be added soon</p>
-                </div>
-              )}
-
-              {/* Other destinations - placeholder */}
-              {!['sheets', 'slack', 'email'].includes(showConfigModal) && (
-                <div className="text-center py-8">
-                  <p className="text-slate-400">Configuration for this destination type coming soon</p>
-                </div>
-              )}
+              <DestinationConfigForm
+                type={showConfigModal}
+                config={destinationConfigs[showConfigModal]}
+                onChange={(changes) => updateDestinationConfig(showConfigModal, changes)}
+                fieldNames={formData.field_schema.map(field => field.name).filter(Boolean)}
+                templatePreview={{
+                  connectorId: params.id,
+                  connectorName: formData.name,
+                  transforms: formData.transforms,
+                  destinationTransforms: formData.destinations.find(dest => dest.type === showConfigModal)?.transforms
+                }}
+              />
 
               <div className="mt-6 flex justify-end">
                 <button
@@ -583,7 +1019,6 @@ export default function EditConnector() {
             </div>
           </div>
         )}
-        </div>
       </main>
 
       {/* Delete Confirmation Modal */}
@@ -16,6 +16,7 @@ import Toast from '@/components/Toast'
  * - Destination status filters
  * - Search functionality
  * - CSV export
+ * - Replay of failed deliveries, per submission or for every failure in the current filter
  */
 export default function SubmissionsPage() {
   const params = useParams()
@@ -30,9 +31,11 @@ export default function SubmissionsPage() {
   const [expandedRow, setExpandedRow] = useState(null)
   const [currentPage, setCurrentPage] = useState(1)
   const [dateFilter, setDateFilter] = useState('all') // '7days', '30days', 'all'
-  const [statusFilter, setStatusFilter] = useState('all') // 'all', 'success', 'failure'
+  const [statusFilter, setStatusFilter] = useState('all') // 'all', 'success', 'failure', 'spam', 'handled', 'unhandled'
   const [searchQuery, setSearchQuery] = useState('')
   const [showRawJson, setShowRawJson] = useState({})
+  const [replaying, setReplaying] = useState({}) // submissionId -> true while a replay runs
+  const [bulkProgress, setBulkProgress] = useState(null) // { done, total } during bulk retry
 
   const submissionsPerPage = 20
 
@@ -107,6 +110,9 @@ export default function SubmissionsPage() {
     const dateFiltered = getDateFilteredSubmissions()
     
     if (statusFilter === 'all') return dateFiltered
+    if (statusFilter === 'spam') return dateFiltered.filter(sub => sub.status === 'spam')
+    if (statusFilter === 'handled') return dateFiltered.filter(sub => sub.status === 'handled')
+    if (statusFilter === 'unhandled') return dateFiltered.filter(sub => sub.status !== 'handled' && sub.status !== 'spam')
 
     return dateFiltered.filter(sub => {
       const destinations = sub.destinations_sent || {}
@@ -122,6 +128,36 @@ export default function SubmissionsPage() {
     })
   }
 
+  // Uploaded files are stored in form_data as { kind: 'file', filename, url, ... }
+  const isFileValue = (value) => Boolean(value) && typeof value === 'object' && value.kind === 'file'
+
+  const formatFieldText = (value, fileText = (file) => file.filename) => {
+    if (Array.isArray(value)) return value.map(item => formatFieldText(item, fileText)).join(', ')
+    if (isFileValue(value)) return fileText(value)
+    return value == null ? '' : String(value)
+  }
+
+  const renderFieldValue = (value) => {
+    const files = (Array.isArray(value) ? value : [value]).filter(isFileValue)
+    if (files.length === 0) return formatFieldText(value) || '(empty)'
+
+    return (
+      <span className="flex flex-wrap gap-2">
+        {files.map(file => (
+          <a
+            key={file.key}
+            href={file.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-blue-400 hover:text-blue-300 underline"
+          >
+            📎 {file.filename}
+          </a>
+        ))}
+      </span>
+    )
+  }
+
   const getSearchFilteredSubmissions = () => {
     const statusFiltered = getStatusFilteredSubmissions()
     
@@ -132,7 +168,7 @@ export default function SubmissionsPage() {
       // Search in form data
       const formData = sub.form_data || {}
       return Object.values(formData).some(value => 
-        String(value).toLowerCase().includes(query)
+        formatFieldText(value).toLowerCase().includes(query)
       )
     })
   }
@@ -151,6 +187,8 @@ export default function SubmissionsPage() {
         statuses[type] = 'success'
       } else if (result?.success === false) {
         statuses[type] = 'failure'
+      } else if (result?.status === 'skipped') {
+        statuses[type] = 'skipped'
       } else {
         statuses[type] = 'pending'
       }
@@ -163,10 +201,100 @@ export default function SubmissionsPage() {
     const entries = Object.entries(formData || {})
     return entries.slice(0, 3).map(([key, value]) => ({
       key,
-      value: String(value).substring(0, 50) // Truncate long values
+      value: formatFieldText(value).substring(0, 50) // Truncate long values
     }))
   }
 
+  const hasFailedDestinations = (submission) =>
+    submission.status !== 'spam' &&
+    Object.values(submission.destinations_sent || {}).some(result => result?.success === false)
+
+  // Re-runs destinations (default: the failed ones) and merges the new results into the row
+  const replaySubmission = async (submission, destinations) => {
+    setReplaying(prev => ({ ...prev, [submission.id]: true }))
+    try {
+      const response = await fetch(`/api/submissions/${submission.id}/replay`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(destinations ? { destinations } : {}),
+      })
+      const result = await response.json()
+
+      if (!response.ok || result.error) {
+        throw new Error(result.error || 'Replay failed')
+      }
+
+      setSubmissions(prev => prev.map(sub => (
+        sub.id === submission.id
+          ? { ...sub, destinations_sent: result.data.destinations_sent }
+          : sub
+      )))
+      return result.data
+    } finally {
+      setReplaying(prev => {
+        const next = { ...prev }
+        delete next[submission.id]
+        return next
+      })
+    }
+  }
+
+  const handleReplay = async (submission, destinations) => {
+    try {
+      const data = await replaySubmission(submission, destinations)
+      const outcomes = Object.values(data.results)
+      const succeeded = outcomes.filter(outcome => outcome.success === true).length
+
+      if (outcomes.length === 0) {
+        setToast({ message: data.skipped[0]?.reason || 'Nothing to retry', type: 'info' })
+      } else if (succeeded === outcomes.length) {
+        setToast({ message: `Delivered to ${succeeded} destination${succeeded !== 1 ? 's' : ''}`, type: 'success' })
+      } else {
+        setToast({ message: `${outcomes.length - succeeded} of ${outcomes.length} destination(s) still failing`, type: 'error' })
+      }
+    } catch (err) {
+      setToast({ message: err.message, type: 'error' })
+    }
+  }
+
+  const retryAllFailed = async () => {
+    const targets = filteredSubmissions.filter(hasFailedDestinations)
+    if (targets.length === 0) return
+
+    if (!confirm(`Retry failed deliveries for ${targets.length} submission${targets.length !== 1 ? 's' : ''}?`)) {
+      return
+    }
+
+    let recovered = 0
+    let stillFailing = 0
+
+    setBulkProgress({ done: 0, total: targets.length })
+    // One at a time so a large backlog does not flood the destinations
+    for (const [index, submission] of targets.entries()) {
+      try {
+        const data = await replaySubmission(submission)
+        const outcomes = Object.values(data.results)
+        if (outcomes.length > 0 && outcomes.every(outcome => outcome.success === true)) {
+          recovered++
+        } else {
+          stillFailing++
+        }
+      } catch (err) {
+        console.error(`Error replaying submission ${submission.id}:`, err)
+        stillFailing++
+      }
+      setBulkProgress({ done: index + 1, total: targets.length })
+    }
+    setBulkProgress(null)
+
+    setToast({
+      message: `Retried ${targets.length} submission${targets.length !== 1 ? 's' : ''}: ${recovered} recovered, ${stillFailing} still failing or queued`,
+      type: stillFailing === 0 ? 'success' : 'info',
+    })
+  }
+
+  const failedInFilterCount = filteredSubmissions.filter(hasFailedDestinations).length
+
   const exportToCSV = () => {
     const csvRows = []
     
@@ -188,17 +316,19 @@ export default function SubmissionsPage() {
       ]
       
       allFieldNames.forEach(fieldName => {
-        const value = sub.form_data?.[fieldName] || ''
+        // Export download links for uploaded files
+        const value = formatFieldText(sub.form_data?.[fieldName], (file) => file.url)
         // Escape commas and quotes in CSV
-        const escapedValue = String(value).replace(/"/g, '""')
+        const escapedValue = value.replace(/"/g, '""')
         row.push(`"${escapedValue}"`)
       })
       
       const destinations = sub.destinations_sent || {}
-      const statusText = Object.entries(destinations)
+      const statusText = sub.status === 'spam' ? 'spam' : Object.entries(destinations)
         .map(([type, result]) => {
           if (result?.success === true) return `${type}: success`
           if (result?.success === false) return `${type}: failed`
+          if (result?.status === 'skipped') return `${type}: skipped`
           return `${type}: pending`
         })
         .join('; ')
@@ -230,7 +360,12 @@ export default function SubmissionsPage() {
   const destinationIcons = {
     email: '📧',
     slack: '💬',
+    teams: '👥',
+    discord: '🎮',
     sheets: '📊',
+    airtable: '🗃️',
+    notion: '📓',
+    hubspot: '🧲',
     sms: '📱',
     webhook: '🔗',
   }
@@ -300,6 +435,9 @@ export default function SubmissionsPage() {
                 <option value="all">All Statuses</option>
                 <option value="success">Success Only</option>
                 <option value="failure">Failures Only</option>
+                <option value="spam">Spam</option>
+                <option value="handled">Handled</option>
+                <option value="unhandled">Not Handled</option>
               </select>
             </div>
 
@@ -332,6 +470,24 @@ export default function SubmissionsPage() {
               </button>
             </div>
           </div>
+
+          {/* Bulk Retry */}
+          {failedInFilterCount > 0 && (
+            <div className="mt-4 pt-4 border-t border-slate-700/50 flex items-center justify-between gap-4">
+              <p className="text-sm text-slate-400">
+                {bulkProgress
+                  ? `Retrying ${bulkProgress.done} of ${bulkProgress.total}...`
+                  : `${failedInFilterCount} submission${failedInFilterCount !== 1 ? 's' : ''} in this view ${failedInFilterCount !== 1 ? 'have' : 'has'} failed deliveries`}
+              </p>
+              <button
+                onClick={retryAllFailed}
+                disabled={bulkProgress !== null}
+                className="px-4 py-2 bg-amber-500/10 border border-amber-500/20 hover:bg-amber-500/20 text-amber-400 text-sm font-medium rounded-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {bulkProgress ? 'Retrying...' : 'Retry All Failed'}
+              </button>
+            </div>
+          )}
         </div>
 
         {/* Submissions Table */}
@@ -410,6 +566,30 @@ export default function SubmissionsPage() {
                           </td>
                           <td className="px-6 py-4">
                             <div className="flex flex-wrap gap-2">
+                              {submission.status === 'spam' && (
+                                <span
+                                  className="inline-flex items-center gap-1 px-2 py-1 rounded-lg text-xs font-medium bg-slate-500/10 text-slate-400 border border-slate-500/20"
+                                  title={submission.spam_reason || 'Flagged as spam'}
+                                >
+                                  🚫 spam
+                                </span>
+                              )}
+                              {submission.status === 'handled' && (
+                                <span
+                                  className="inline-flex items-center gap-1 px-2 py-1 rounded-lg text-xs font-medium bg-indigo-500/10 text-indigo-400 border border-indigo-500/20"
+                                  title={submission.handled_at ? `Handled ${formatDate(submission.handled_at)}` : 'Handled'}
+                                >
+                                  ✅ handled{submission.handled_by ? ` by ${submission.handled_by}` : ''}
+                                </span>
+                              )}
+                              {submission.assignee && (
+                                <span
+                                  className="inline-flex items-center gap-1 px-2 py-1 rounded-lg text-xs font-medium bg-slate-500/10 text-slate-300 border border-slate-500/20"
+                                  title={submission.assigned_at ? `Assigned ${formatDate(submission.assigned_at)}` : 'Assignee'}
+                                >
+                                  👤 {submission.assignee}
+                                </span>
+                              )}
                               {Object.entries(statuses).map(([type, status]) => (
                                 <span
                                   key={type}
@@ -418,11 +598,13 @@ export default function SubmissionsPage() {
                                       ? 'bg-emerald-500/10 text-emerald-400 border border-emerald-500/20'
                                       : status === 'failure'
                                       ? 'bg-red-500/10 text-red-400 border border-red-500/20'
+                                      : status === 'skipped'
+                                      ? 'bg-slate-500/10 text-slate-400 border border-slate-500/20'
                                       : 'bg-amber-500/10 text-amber-400 border border-amber-500/20'
                                   }`}
-                                  title={status === 'success' ? 'Success' : status === 'failure' ? 'Failed' : 'Pending'}
+                                  title={status === 'success' ? 'Success' : status === 'failure' ? 'Failed' : status === 'skipped' ? 'Skipped: condition not met' : 'Pending'}
                                 >
-                                  {status === 'success' ? '✅' : status === 'failure' ? '❌' : '⏳'}
+                                  {status === 'success' ? '✅' : status === 'failure' ? '❌' : status === 'skipped' ? '⏭️' : '⏳'}
                                   {destinationIcons[type] || '📋'} {type}
                                 </span>
                               ))}
@@ -451,15 +633,32 @@ export default function SubmissionsPage() {
                                     {Object.entries(submission.form_data || {}).map(([key, value]) => (
                                       <div key={key} className="flex border-b border-slate-700/50 pb-2 last:border-0">
                                         <div className="w-1/4 text-sm font-medium text-slate-400">{key}</div>
-                                        <div className="flex-1 text-sm text-white">{String(value || '(empty)')}</div>
+                                        <div className="flex-1 text-sm text-white">{renderFieldValue(value)}</div>
                                       </div>
                                     ))}
                                   </div>
                                 </div>
 
+                                {submission.status === 'spam' && (
+                                  <div className="p-4 bg-slate-500/10 border border-slate-500/20 rounded-xl text-sm text-slate-300">
+                                    🚫 Flagged as spam and not sent to destinations{submission.spam_reason ? ` (${submission.spam_reason})` : ''}
+                                  </div>
+                                )}
+
                                 {/* Destinations Status */}
                                 <div>
-                                  <h4 className="text-sm font-semibold text-white mb-3">Destinations Status</h4>
+                                  <div className="flex items-center justify-between mb-3">
+                                    <h4 className="text-sm font-semibold text-white">Destinations Status</h4>
+                                    {hasFailedDestinations(submission) && (
+                                      <button
+                                        onClick={() => handleReplay(submission)}
+                                        disabled={replaying[submission.id] || bulkProgress !== null}
+                                        className="px-3 py-1.5 bg-amber-500/10 border border-amber-500/20 hover:bg-amber-500/20 text-amber-400 text-xs font-medium rounded-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                                      >
+                                        {replaying[submission.id] ? 'Retrying...' : 'Retry Failed'}
+                                      </button>
+                                    )}
+                                  </div>
                                   <div className="bg-slate-900/50 rounded-xl p-4 space-y-3">
                                     {Object.entries(submission.destinations_sent || {}).map(([type, result]) => (
                                       <div key={type} className="flex items-start gap-3">
@@ -468,12 +667,25 @@ export default function SubmissionsPage() {
                                             ? 'bg-emerald-500/20 text-emerald-400'
                                             : result?.success === false
                                             ? 'bg-red-500/20 text-red-400'
+                                            : result?.status === 'skipped'
+                                            ? 'bg-slate-500/20 text-slate-400'
                                             : 'bg-amber-500/20 text-amber-400'
                                         }`}>
-                                          {result?.success === true ? '✅' : result?.success === false ? '❌' : '⏳'}
+                                          {result?.success === true ? '✅' : result?.success === false ? '❌' : result?.status === 'skipped' ? '⏭️' : '⏳'}
                                         </div>
                                         <div className="flex-1">
-                                          <div className="text-sm font-medium text-white capitalize">{type}</div>
+                                          <div className="flex items-center gap-3">
+                                            <div className="text-sm font-medium text-white capitalize">{type}</div>
+                                            {submission.status !== 'spam' && result?.success !== undefined && (
+                                              <button
+                                                onClick={() => handleReplay(submission, [type])}
+                                                disabled={replaying[submission.id] || bulkProgress !== null}
+                                                className="text-xs text-indigo-400 hover:text-indigo-300 font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                                              >
+                                                {result.success ? 'Resend' : 'Retry'}
+                                              </button>
+                                            )}
+                                          </div>
                                           {result?.error && (
                                             <div className="text-xs text-red-400 mt-1">{result.error}</div>
                                           )}
@@ -482,6 +694,78 @@ export default function SubmissionsPage() {
                                               Processed: {formatDate(result.timestamp)}
                                             </div>
                                           )}
+                                          {result?.status === 'retrying' && result.nextAttemptAt && (
+                                            <div className="text-xs text-amber-400 mt-1">
+                                              Attempt {result.attempts} failed, retrying at {formatDate(result.nextAttemptAt)}
+                                            </div>
+                                          )}
+                                          {result?.recipients?.some(recipient => recipient?.status) && (
+                                            <div className="text-xs mt-1 space-y-0.5">
+                                              {result.routes?.length > 0 && (
+                                                <div className="text-slate-500">Routed by: {result.routes.join(', ')}</div>
+                                              )}
+                                              {result.recipients.map(recipient => (
+                                                <div
+                                                  key={`${recipient.type || 'sms'}-${recipient.email || recipient.to}`}
+                                                  className={recipient.status === 'sent' ? 'text-slate-400' : 'text-amber-400'}
+                                                >
+                                                  {recipient.type && <span className="uppercase">{recipient.type} </span>}
+                                                  {recipient.email || recipient.to}: {recipient.status}{recipient.reason || recipient.error ? ` (${recipient.reason || recipient.error})` : ''}
+                                                </div>
+                                              ))}
+                                            </div>
+                                          )}
+                                          {result?.mode === 'bot' && result.ts && (
+                                            <div className="text-xs text-slate-400 mt-1">Posted to {result.channel} (thread {result.ts})</div>
+                                          )}
+                                          {result?.action === 'updated' && result.row && (
+                                            <div className="text-xs text-slate-400 mt-1">Updated row {result.row}</div>
+                                          )}
+                                          {result?.addedColumns?.length > 0 && (
+                                            <div className="text-xs text-slate-400 mt-1">Added columns: {result.addedColumns.join(', ')}</div>
+                                          )}
+                                          {result?.recordId && (
+                                            <div className="text-xs text-slate-400 mt-1">Created record {result.recordId}</div>
+                                          )}
+                                          {result?.pageId && (
+                                            <div className="text-xs text-slate-400 mt-1">
+                                              Created page{' '}
+                                              {result.url ? (
+                                                <a href={result.url} target="_blank" rel="noopener noreferrer" className="text-indigo-400 hover:text-indigo-300">{result.pageId}</a>
+                                              ) : result.pageId}
+                                            </div>
+                                          )}
+                                          {result?.contactId && (
+                                            <div className="text-xs text-slate-400 mt-1">
+                                              {result.action === 'created' ? 'Created' : 'Updated'} contact {result.contactId}
+                                            </div>
+                                          )}
+                                          {result?.note && (
+                                            <div className={`text-xs mt-1 ${result.note.status === 'logged' ? 'text-slate-400' : 'text-amber-400'}`}>
+                                              Note {result.note.status}{result.note.reason ? ` (${result.note.reason})` : ''}
+                                            </div>
+                                          )}
+                                          {result?.skippedProperties?.length > 0 && (
+                                            <div className="text-xs text-amber-400 mt-1">Not written: {result.skippedProperties.join(', ')}</div>
+                                          )}
+                                          {result?.ignoredFields?.length > 0 && (
+                                            <div className="text-xs text-amber-400 mt-1">No column for: {result.ignoredFields.join(', ')}</div>
+                                          )}
+                                          {result?.autoReply && (
+                                            <div className={`text-xs mt-1 ${result.autoReply.status === 'sent' ? 'text-slate-400' : 'text-amber-400'}`}>
+                                              Auto-reply {result.autoReply.status}{result.autoReply.recipient ? ` to ${result.autoReply.recipient}` : ''}{result.autoReply.reason ? ` (${result.autoReply.reason})` : ''}
+                                            </div>
+                                          )}
+                                          {result?.status === 'skipped' && (
+                                            <div className="text-xs text-slate-400 mt-1">
+                                              Skipped: condition not met{result.condition ? ` (${result.condition})` : ''}
+                                            </div>
+                                          )}
+                                          {result?.status === 'paused' && result.nextAttemptAt && (
+                                            <div className="text-xs text-amber-400 mt-1">
+                                              Destination paused, next attempt at {formatDate(result.nextAttemptAt)}
+                                            </div>
+                                          )}
                                         </div>
                                       </div>
                                     ))}
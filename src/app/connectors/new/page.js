@@ -4,6 +4,7 @@ import { useState } from 'react'
 import { useRouter } from 'next/navigation'
 import Link from 'next/link'
 import DestinationCard from '@/components/DestinationCard'
+import DestinationConfigForm from '@/components/DestinationConfigForm'
 import Toast from '@/components/Toast'
 
 const destinations = [
@@ -22,6 +23,31 @@ const destinations = [
     title: 'Slack',
     description: 'Get instant notifications in your Slack channel'
   },
+  {
+    type: 'teams',
+    title: 'Microsoft Teams',
+    description: 'Post submission cards to a Teams channel'
+  },
+  {
+    type: 'discord',
+    title: 'Discord',
+    description: 'Post submissions to a Discord channel'
+  },
+  {
+    type: 'airtable',
+    title: 'Airtable',
+    description: 'Create a record in an Airtable table for each submission'
+  },
+  {
+    type: 'notion',
+    title: 'Notion',
+    description: 'Add each submission as a page in a Notion database'
+  },
+  {
+    type: 'hubspot',
+    title: 'HubSpot',
+    description: 'Create or update a HubSpot contact for each submission'
+  },
   {
     type: 'sms',
     title: 'SMS',
@@ -93,11 +119,28 @@ export default function NewConnector() {
         if (dest.type === 'sheets') {
           return !destinationConfigs.sheets?.spreadsheetId
         }
+        if (dest.type === 'airtable') {
+          return !destinationConfigs.airtable?.baseId || !destinationConfigs.airtable?.table
+        }
+        if (dest.type === 'notion') {
+          return !destinationConfigs.notion?.databaseId
+        }
         if (dest.type === 'email') {
           return !destinationConfigs.email?.to_email && !destinationConfigs.email?.toEmail
         }
         if (dest.type === 'slack') {
-          return !destinationConfigs.slack?.webhookUrl
+          return destinationConfigs.slack?.mode === 'bot'
+            ? !destinationConfigs.slack?.channel
+            : !destinationConfigs.slack?.webhookUrl
+        }
+        if (dest.type === 'teams' || dest.type === 'discord') {
+          return !destinationConfigs[dest.type]?.webhookUrl
+        }
+        if (dest.type === 'sms') {
+          return !destinationConfigs.sms?.recipients
+        }
+        if (dest.type === 'webhook') {
+          return !destinationConfigs.webhook?.url
         }
         return false
       })
@@ -379,51 +422,15 @@ export default function NewConnector() {
                       </div>
                     </div>
 
-                    <div className="space-y-4">
-                      <div>
-                        <label htmlFor="spreadsheetId" className="block text-sm font-medium text-slate-300 mb-2">
-                          Spreadsheet ID <span className="text-red-400">*</span>
-                        </label>
-                        <input
-                          type="text"
-                          id="spreadsheetId"
-                          value={destinationConfigs.sheets?.spreadsheetId || ''}
-                          onChange={(e) => updateDestinationConfig('sheets', { spreadsheetId: e.target.value })}
-                          placeholder="1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms"
-                          className="w-full px-4 py-3 bg-slate-800 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-500/20 transition-all"
-                        />
-                        <p className="text-xs text-slate-500 mt-2">
-                          Find this in your Google Sheet URL: <code className="text-emerald-400">docs.google.com/spreadsheets/d/SPREADSHEET_ID/edit</code>
-                        </p>
-                        <div className="mt-3 p-3 bg-blue-500/10 border border-blue-500/20 rounded-lg">
-                          <p className="text-xs text-blue-400">
-                            <strong className="text-blue-300">Important:</strong> Make sure to share your spreadsheet with the service account email 
-                            (found in GOOGLE_SERVICE_ACCOUNT_JSON as "client_email") and give it Editor permissions.
-                          </p>
-                        </div>
-                      </div>
-
-                      <div>
-                        <label htmlFor="sheetName" className="block text-sm font-medium text-slate-300 mb-2">
-                          Sheet Name <span className="text-slate-500">(Optional)</span>
-                        </label>
-                        <input
-                          type="text"
-                          id="sheetName"
-                          value={destinationConfigs.sheets?.sheetName || 'Form Submissions'}
-                          onChange={(e) => updateDestinationConfig('sheets', { sheetName: e.target.value || 'Form Submissions' })}
-                          placeholder="Form Submissions"
-                          className="w-full px-4 py-3 bg-slate-800 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-500/20 transition-all"
-                        />
-                        <p className="text-xs text-slate-500 mt-2">
-                          Name of the sheet tab. Defaults to "Form Submissions" if left empty.
-                        </p>
-                      </div>
-                    </div>
+                    <DestinationConfigForm
+                      type="sheets"
+                      config={destinationConfigs.sheets}
+                      onChange={(changes) => updateDestinationConfig('sheets', changes)}
+                    />
                   </div>
                 )}
 
-                {/* Email Configuration - placeholder for now */}
+                {/* Email Configuration */}
                 {getSelectedDestinations().includes('email') && (
                   <div className="bg-slate-900/50 rounded-2xl border border-slate-700/50 p-6">
                     <div className="flex items-center gap-3 mb-4">
@@ -434,10 +441,15 @@ export default function NewConnector() {
                       </div>
                       <div>
                         <h3 className="text-lg font-semibold text-white">Email</h3>
-                        <p className="text-sm text-slate-400">Email configuration will be added in connector settings</p>
+                        <p className="text-sm text-slate-400">Choose who receives each submission</p>
                       </div>
                     </div>
-                    <p className="text-sm text-slate-400">You can configure email settings after creating the connector.</p>
+
+                    <DestinationConfigForm
+                      type="email"
+                      config={destinationConfigs.email}
+                      onChange={(changes) => updateDestinationConfig('email', changes)}
+                    />
                   </div>
                 )}
 
@@ -452,40 +464,153 @@ export default function NewConnector() {
                       </div>
                       <div>
                         <h3 className="text-lg font-semibold text-white">Slack</h3>
-                        <p className="text-sm text-slate-400">Configure your Slack webhook</p>
+                        <p className="text-sm text-slate-400">Choose how messages are posted</p>
+                      </div>
+                    </div>
+
+                    <DestinationConfigForm
+                      type="slack"
+                      config={destinationConfigs.slack}
+                      onChange={(changes) => updateDestinationConfig('slack', changes)}
+                    />
+                  </div>
+                )}
+
+                {/* Microsoft Teams Configuration */}
+                {getSelectedDestinations().includes('teams') && (
+                  <div className="bg-slate-900/50 rounded-2xl border border-slate-700/50 p-6">
+                    <div className="flex items-center gap-3 mb-4">
+                      <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-blue-500 to-indigo-600 flex items-center justify-center">
+                        <svg className="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" />
+                        </svg>
+                      </div>
+                      <div>
+                        <h3 className="text-lg font-semibold text-white">Microsoft Teams</h3>
+                        <p className="text-sm text-slate-400">Configure your Teams webhook</p>
+                      </div>
+                    </div>
+
+                    <DestinationConfigForm
+                      type="teams"
+                      config={destinationConfigs.teams}
+                      onChange={(changes) => updateDestinationConfig('teams', changes)}
+                    />
+                  </div>
+                )}
+
+                {/* Discord Configuration */}
+                {getSelectedDestinations().includes('discord') && (
+                  <div className="bg-slate-900/50 rounded-2xl border border-slate-700/50 p-6">
+                    <div className="flex items-center gap-3 mb-4">
+                      <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-indigo-500 to-fuchsia-600 flex items-center justify-center">
+                        <svg className="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M17 8h2a2 2 0 012 2v6a2 2 0 01-2 2h-2v4l-4-4H9a1.994 1.994 0 01-1.414-.586m0 0L11 14h4a2 2 0 002-2V6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2v4l.586-.586z" />
+                        </svg>
+                      </div>
+                      <div>
+                        <h3 className="text-lg font-semibold text-white">Discord</h3>
+                        <p className="text-sm text-slate-400">Configure your Discord webhook</p>
                       </div>
                     </div>
 
-                    <div className="space-y-4">
+                    <DestinationConfigForm
+                      type="discord"
+                      config={destinationConfigs.discord}
+                      onChange={(changes) => updateDestinationConfig('discord', changes)}
+                    />
+                  </div>
+                )}
+
+                {/* Airtable Configuration */}
+                {getSelectedDestinations().includes('airtable') && (
+                  <div className="bg-slate-900/50 rounded-2xl border border-slate-700/50 p-6">
+                    <div className="flex items-center gap-3 mb-4">
+                      <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-sky-500 to-teal-600 flex items-center justify-center">
+                        <svg className="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M4 7v10c0 2.21 3.582 4 8 4s8-1.79 8-4V7M4 7c0 2.21 3.582 4 8 4s8-1.79 8-4M4 7c0-2.21 3.582-4 8-4s8 1.79 8 4m0 5c0 2.21-3.582 4-8 4s-8-1.79-8-4" />
+                        </svg>
+                      </div>
+                      <div>
+                        <h3 className="text-lg font-semibold text-white">Airtable</h3>
+                        <p className="text-sm text-slate-400">Choose the table that receives a record per submission</p>
+                      </div>
+                    </div>
+
+                    <DestinationConfigForm
+                      type="airtable"
+                      config={destinationConfigs.airtable}
+                      onChange={(changes) => updateDestinationConfig('airtable', changes)}
+                    />
+                  </div>
+                )}
+
+                {/* Notion Configuration */}
+                {getSelectedDestinations().includes('notion') && (
+                  <div className="bg-slate-900/50 rounded-2xl border border-slate-700/50 p-6">
+                    <div className="flex items-center gap-3 mb-4">
+                      <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-slate-400 to-zinc-600 flex items-center justify-center">
+                        <svg className="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                        </svg>
+                      </div>
+                      <div>
+                        <h3 className="text-lg font-semibold text-white">Notion</h3>
+                        <p className="text-sm text-slate-400">Choose the database that receives a page per submission</p>
+                      </div>
+                    </div>
+
+                    <DestinationConfigForm
+                      type="notion"
+                      config={destinationConfigs.notion}
+                      onChange={(changes) => updateDestinationConfig('notion', changes)}
+                    />
+                  </div>
+                )}
+
+                {/* SMS Configuration */}
+                {getSelectedDestinations().includes('sms') && (
+                  <div className="bg-slate-900/50 rounded-2xl border border-slate-700/50 p-6">
+                    <div className="flex items-center gap-3 mb-4">
+                      <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-amber-500 to-orange-600 flex items-center justify-center">
+                        <svg className="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M12 18h.01M8 21h8a2 2 0 002-2V5a2 2 0 00-2-2H8a2 2 0 00-2 2v14a2 2 0 002 2z" />
+                        </svg>
+                      </div>
                       <div>
-                        <label htmlFor="slackWebhookUrl" className="block text-sm font-medium text-slate-300 mb-2">
-                          Webhook URL <span className="text-red-400">*</span>
-                        </label>
-                        <input
-                          type="url"
-                          id="slackWebhookUrl"
-                          value={destinationConfigs.slack?.webhookUrl || ''}
-                          onChange={(e) => updateDestinationConfig('slack', { webhookUrl: e.target.value })}
-                          placeholder="Enter your Slack webhook URL"
-                          className="w-full px-4 py-3 bg-slate-800 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-purple-500 focus:ring-2 focus:ring-purple-500/20 transition-all"
-                        />
-                        <p className="text-xs text-slate-500 mt-2">
-                          Get your webhook URL from Slack → Apps → Incoming Webhooks
-                        </p>
-                        <div className="mt-3 p-3 bg-blue-500/10 border border-blue-500/20 rounded-lg">
-                          <p className="text-xs text-blue-400">
-                            <strong className="text-blue-300">How to get webhook URL:</strong>
-                          </p>
-                          <ol className="text-xs text-blue-400/80 mt-2 ml-4 list-decimal space-y-1">
-                            <li>Go to <a href="https://api.slack.com/apps" target="_blank" rel="noopener noreferrer" className="underline">api.slack.com/apps</a></li>
-                            <li>Create a new app or select existing one</li>
-                            <li>Go to "Incoming Webhooks" → Activate</li>
-                            <li>Add webhook to workspace → Select channel</li>
-                            <li>Copy the webhook URL</li>
-                          </ol>
-                        </div>
+                        <h3 className="text-lg font-semibold text-white">SMS</h3>
+                        <p className="text-sm text-slate-400">Configure text message alerts</p>
                       </div>
                     </div>
+
+                    <DestinationConfigForm
+                      type="sms"
+                      config={destinationConfigs.sms}
+                      onChange={(changes) => updateDestinationConfig('sms', changes)}
+                    />
+                  </div>
+                )}
+
+                {/* Webhook Configuration */}
+                {getSelectedDestinations().includes('webhook') && (
+                  <div className="bg-slate-900/50 rounded-2xl border border-slate-700/50 p-6">
+                    <div className="flex items-center gap-3 mb-4">
+                      <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-cyan-500 to-blue-600 flex items-center justify-center">
+                        <svg className="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M10 20l4-16m4 4l4 4-4 4M6 16l-4-4 4-4" />
+                        </svg>
+                      </div>
+                      <div>
+                        <h3 className="text-lg font-semibold text-white">Webhook</h3>
+                        <p className="text-sm text-slate-400">Configure your endpoint</p>
+                      </div>
+                    </div>
+
+                    <DestinationConfigForm
+                      type="webhook"
+                      config={destinationConfigs.webhook}
+                      onChange={(changes) => updateDestinationConfig('webhook', changes)}
+                    />
                   </div>
                 )}
               </div>
@@ -504,7 +629,14 @@ export default function NewConnector() {
                   onClick={handleNext}
                   disabled={loading || 
                     (getSelectedDestinations().includes('sheets') && !destinationConfigs.sheets?.spreadsheetId) ||
-                    (getSelectedDestinations().includes('slack') && !destinationConfigs.slack?.webhookUrl)}
+                    (getSelectedDestinations().includes('airtable') && (!destinationConfigs.airtable?.baseId || !destinationConfigs.airtable?.table)) ||
+                    (getSelectedDestinations().includes('notion') && !destinationConfigs.notion?.databaseId) ||
+                    (getSelectedDestinations().includes('email') && !destinationConfigs.email?.to_email) ||
+                    (getSelectedDestinations().includes('slack') && (destinationConfigs.slack?.mode === 'bot' ? !destinationConfigs.slack?.channel : !destinationConfigs.slack?.webhookUrl)) ||
+                    (getSelectedDestinations().includes('teams') && !destinationConfigs.teams?.webhookUrl) ||
+                    (getSelectedDestinations().includes('discord') && !destinationConfigs.discord?.webhookUrl) ||
+                    (getSelectedDestinations().includes('sms') && !destinationConfigs.sms?.recipients) ||
+                    (getSelectedDestinations().includes('webhook') && !destinationConfigs.webhook?.url)}
                   className="flex items-center gap-2 px-6 py-3 bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-medium rounded-xl hover:from-indigo-500 hover:to-purple-500 transition-all shadow-lg shadow-indigo-500/25 hover:shadow-indigo-500/40 disabled:opacity-50"
                 >
                   {loading ? (
@@ -0,0 +1,369 @@
+'use client'
+
+import { useCallback, useEffect, useState } from 'react'
+import Sidebar from '@/components/Sidebar'
+import Toast from '@/components/Toast'
+
+/**
+ * Dead Letters Page
+ *
+ * Lists deliveries that failed permanently (retries exhausted or a
+ * configuration error) across all of the user's connectors. Each entry can be
+ * inspected (error, attempt history, submission data), have its destination
+ * config corrected, and be redelivered or discarded.
+ */
+export default function DeadLetters() {
+  const [entries, setEntries] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [toast, setToast] = useState(null)
+  const [filter, setFilter] = useState('open')
+  const [expanded, setExpanded] = useState(null)
+  const [configDrafts, setConfigDrafts] = useState({}) // entryId -> JSON text
+  const [applyToConnector, setApplyToConnector] = useState({}) // entryId -> boolean
+  const [busy, setBusy] = useState({}) // entryId -> action in progress
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const response = await fetch(`/api/dead-letters?status=${filter}`)
+      const result = await response.json()
+
+      if (result.error) {
+        setError(result.error)
+      } else {
+        setEntries(result.data || [])
+      }
+    } catch (err) {
+      setError('Failed to fetch dead letters')
+      console.error('Error:', err)
+    } finally {
+      setLoading(false)
+    }
+  }, [filter])
+
+  useEffect(() => {
+    fetchEntries()
+  }, [fetchEntries])
+
+  const formatTime = (timestamp) => {
+    const date = new Date(timestamp)
+    const now = new Date()
+    const diff = Math.floor((now - date) / 1000 / 60)
+
+    if (diff < 1) return 'Just now'
+    if (diff < 60) return `${diff}m ago`
+    if (diff < 1440) return `${Math.floor(diff / 60)}h ago`
+    return date.toLocaleDateString()
+  }
+
+  const destinationColors = {
+    email: 'from-rose-500 to-pink-600',
+    sheets: 'from-emerald-500 to-green-600',
+    slack: 'from-purple-500 to-violet-600',
+    teams: 'from-blue-500 to-indigo-600',
+    discord: 'from-indigo-500 to-fuchsia-600',
+    airtable: 'from-sky-500 to-teal-600',
+    notion: 'from-slate-400 to-zinc-600',
+    hubspot: 'from-orange-500 to-rose-600',
+    sms: 'from-amber-500 to-orange-600',
+    webhook: 'from-cyan-500 to-blue-600',
+  }
+
+  const getConfigDraft = (entry) =>
+    configDrafts[entry.id] ?? JSON.stringify(entry.destination?.config || {}, null, 2)
+
+  const runAction = async (entry, action, request) => {
+    setBusy(prev => ({ ...prev, [entry.id]: action }))
+    try {
+      const response = await request()
+      const result = await response.json()
+
+      if (!response.ok || result.error) {
+        throw new Error(result.error || `Failed to ${action}`)
+      }
+      return result.data
+    } catch (err) {
+      setToast({ message: err.message, type: 'error' })
+      return null
+    } finally {
+      setBusy(prev => {
+        const next = { ...prev }
+        delete next[entry.id]
+        return next
+      })
+    }
+  }
+
+  const saveConfig = async (entry) => {
+    let config
+    try {
+      config = JSON.parse(getConfigDraft(entry))
+    } catch {
+      setToast({ message: 'Config must be valid JSON', type: 'error' })
+      return false
+    }
+
+    const data = await runAction(entry, 'save', () => fetch(`/api/dead-letters/${entry.id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ config, applyToConnector: applyToConnector[entry.id] === true }),
+    }))
+    if (!data) return false
+
+    setEntries(prev => prev.map(e => (e.id === entry.id ? { ...e, destination: data.destination } : e)))
+    setConfigDrafts(prev => {
+      const next = { ...prev }
+      delete next[entry.id]
+      return next
+    })
+    setToast({
+      message: applyToConnector[entry.id] ? 'Config saved to entry and connector' : 'Config saved',
+      type: 'success',
+    })
+    return true
+  }
+
+  const redeliver = async (entry) => {
+    // Save pending config edits first so the redelivery uses them
+    if (configDrafts[entry.id] !== undefined && !(await saveConfig(entry))) {
+      return
+    }
+
+    const data = await runAction(entry, 'redeliver', () => fetch(`/api/dead-letters/${entry.id}/redeliver`, {
+      method: 'POST',
+    }))
+    if (!data) return
+
+    if (data.result?.success) {
+      setToast({ message: `Redelivered to ${entry.destination_type}`, type: 'success' })
+    } else if (data.result?.status === 'failed') {
+      setToast({ message: `Still failing: ${data.result.error}`, type: 'error' })
+    } else {
+      setToast({ message: 'Redelivery queued for retry', type: 'info' })
+    }
+    fetchEntries()
+  }
+
+  const discard = async (entry) => {
+    if (!confirm('Discard this failed delivery? It will not be redelivered.')) return
+
+    const data = await runAction(entry, 'discard', () => fetch(`/api/dead-letters/${entry.id}`, {
+      method: 'DELETE',
+    }))
+    if (!data) return
+
+    setToast({ message: 'Dead letter discarded', type: 'success' })
+    fetchEntries()
+  }
+
+  return (
+    <div className="min-h-screen bg-[#0f172a]">
+      <Sidebar />
+
+      <main className="pl-64">
+        {/* Header */}
+        <header className="sticky top-0 z-40 bg-[#0f172a]/80 backdrop-blur-xl border-b border-slate-800/50">
+          <div className="px-8 py-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <h1 className="text-2xl font-bold text-white">Dead Letters</h1>
+                <p className="text-slate-400 mt-1">Deliveries that failed permanently and need attention</p>
+              </div>
+              <div className="flex items-center gap-2 bg-slate-800/50 p-1 rounded-xl">
+                {['open', 'redelivered', 'discarded', 'all'].map((f) => (
+                  <button
+                    key={f}
+                    onClick={() => setFilter(f)}
+                    className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                      filter === f
+                        ? 'bg-slate-700 text-white'
+                        : 'text-slate-400 hover:text-white'
+                    }`}
+                  >
+                    {f.charAt(0).toUpperCase() + f.slice(1)}
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
+        </header>
+
+        <div className="p-8">
+          <div className="bg-slate-800/30 rounded-2xl border border-slate-700/50 overflow-hidden">
+            {loading ? (
+              <div className="p-12 text-center">
+                <div className="w-12 h-12 border-4 border-indigo-500 border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
+                <p className="text-slate-400">Loading dead letters...</p>
+              </div>
+            ) : error ? (
+              <div className="p-8 text-center">
+                <p className="text-red-400 font-medium mb-2">Error loading dead letters</p>
+                <p className="text-red-400/70 text-sm mb-4">{error}</p>
+                <button
+                  onClick={fetchEntries}
+                  className="px-4 py-2 bg-red-500/20 hover:bg-red-500/30 text-red-400 rounded-xl text-sm font-medium transition-colors"
+                >
+                  Try Again
+                </button>
+              </div>
+            ) : entries.length === 0 ? (
+              <div className="p-12 text-center">
+                <div className="w-16 h-16 bg-slate-800 rounded-2xl flex items-center justify-center mx-auto mb-4">
+                  <svg className="w-8 h-8 text-slate-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
+                  </svg>
+                </div>
+                <h3 className="text-lg font-semibold text-white mb-2">Nothing here</h3>
+                <p className="text-slate-400">
+                  {filter === 'open' ? 'All deliveries are healthy' : `No ${filter === 'all' ? '' : `${filter} `}dead letters`}
+                </p>
+              </div>
+            ) : (
+              <div className="divide-y divide-slate-700/50">
+                {entries.map((entry) => {
+                  const isExpanded = expanded === entry.id
+
+                  return (
+                    <div key={entry.id}>
+                      <div
+                        className={`flex items-center gap-4 p-4 hover:bg-slate-800/30 transition-colors cursor-pointer ${isExpanded ? 'bg-slate-800/30' : ''}`}
+                        onClick={() => setExpanded(isExpanded ? null : entry.id)}
+                      >
+                        <div className="w-10 h-10 rounded-xl flex items-center justify-center bg-red-500/10">
+                          <svg className="w-5 h-5 text-red-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                          </svg>
+                        </div>
+
+                        <div className="flex-1 min-w-0">
+                          <div className="flex items-center gap-2 mb-1">
+                            <span className="font-medium text-white">{entry.connector_name || 'Unknown connector'}</span>
+                            <svg className="w-4 h-4 text-slate-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14 5l7 7m0 0l-7 7m7-7H3" />
+                            </svg>
+                            <span className={`px-2 py-0.5 rounded-full text-xs font-medium text-white bg-gradient-to-r ${destinationColors[entry.destination_type] || 'from-slate-500 to-slate-600'}`}>
+                              {entry.destination_type}
+                            </span>
+                            {entry.status !== 'open' && (
+                              <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-slate-700 text-slate-300">
+                                {entry.status}
+                              </span>
+                            )}
+                          </div>
+                          <p className="text-sm text-red-400 truncate">{entry.error}</p>
+                        </div>
+
+                        <div className="text-right">
+                          <div className="text-sm text-slate-500">{formatTime(entry.created_at)}</div>
+                          <div className="text-xs text-slate-600">{entry.attempts} attempt{entry.attempts !== 1 ? 's' : ''}</div>
+                        </div>
+                      </div>
+
+                      {isExpanded && (
+                        <div className="px-6 pb-6 pt-2 bg-slate-900/30 space-y-6">
+                          {/* Attempt History */}
+                          <div>
+                            <h4 className="text-sm font-semibold text-white mb-3">Attempt History</h4>
+                            <div className="bg-slate-900/50 rounded-xl p-4 space-y-2">
+                              {(entry.attempt_history || []).map((attempt, index) => (
+                                <div key={index} className="flex items-start gap-3 text-sm">
+                                  <span className="text-slate-500 w-20 flex-shrink-0">#{attempt.attempt}</span>
+                                  <span className="text-slate-400 w-40 flex-shrink-0">{new Date(attempt.started_at).toLocaleString()}</span>
+                                  <span className="text-slate-500 w-20 flex-shrink-0">{attempt.duration_ms}ms</span>
+                                  <span className={attempt.success ? 'text-emerald-400' : 'text-red-400'}>
+                                    {attempt.success ? 'Delivered' : attempt.error}
+                                  </span>
+                                </div>
+                              ))}
+                            </div>
+                          </div>
+
+                          {/* Submission */}
+                          <div>
+                            <h4 className="text-sm font-semibold text-white mb-3">Submission</h4>
+                            <div className="bg-slate-900/50 rounded-xl p-4 space-y-2">
+                              {entry.submission ? (
+                                Object.entries(entry.submission.form_data || {}).map(([key, value]) => (
+                                  <div key={key} className="flex border-b border-slate-700/50 pb-2 last:border-0">
+                                    <div className="w-1/4 text-sm font-medium text-slate-400">{key}</div>
+                                    <div className="flex-1 text-sm text-white break-all">
+                                      {typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value)}
+                                    </div>
+                                  </div>
+                                ))
+                              ) : (
+                                <p className="text-sm text-slate-500">Submission no longer exists</p>
+                              )}
+                            </div>
+                          </div>
+
+                          {/* Destination Config */}
+                          {entry.status === 'open' && (
+                            <div>
+                              <h4 className="text-sm font-semibold text-white mb-3">Destination Config</h4>
+                              <textarea
+                                value={getConfigDraft(entry)}
+                                onChange={(e) => setConfigDrafts(prev => ({ ...prev, [entry.id]: e.target.value }))}
+                                rows={8}
+                                spellCheck={false}
+                                className="w-full px-4 py-3 bg-slate-900/50 border border-slate-700 rounded-xl text-sm text-white font-mono focus:border-indigo-500 focus:ring-2 focus:ring-indigo-500/20 transition-all"
+                              />
+                              <label className="flex items-center gap-2 mt-3 text-sm text-slate-300">
+                                <input
+                                  type="checkbox"
+                                  checked={applyToConnector[entry.id] === true}
+                                  onChange={(e) => setApplyToConnector(prev => ({ ...prev, [entry.id]: e.target.checked }))}
+                                  className="rounded border-slate-600 bg-slate-900 text-indigo-500 focus:ring-indigo-500/20"
+                                />
+                                Also save this config to the connector
+                              </label>
+
+                              <div className="flex flex-wrap gap-3 mt-4">
+                                <button
+                                  onClick={() => redeliver(entry)}
+                                  disabled={Boolean(busy[entry.id])}
+                                  className="px-4 py-2 bg-indigo-600 hover:bg-indigo-500 text-white text-sm font-medium rounded-xl transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                  {busy[entry.id] === 'redeliver' ? 'Redelivering...' : 'Redeliver'}
+                                </button>
+                                <button
+                                  onClick={() => saveConfig(entry)}
+                                  disabled={Boolean(busy[entry.id]) || configDrafts[entry.id] === undefined}
+                                  className="px-4 py-2 bg-slate-700 hover:bg-slate-600 text-white text-sm font-medium rounded-xl transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                  {busy[entry.id] === 'save' ? 'Saving...' : 'Save Config'}
+                                </button>
+                                <button
+                                  onClick={() => discard(entry)}
+                                  disabled={Boolean(busy[entry.id])}
+                                  className="px-4 py-2 bg-red-500/10 border border-red-500/20 hover:bg-red-500/20 text-red-400 text-sm font-medium rounded-xl transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                  Discard
+                                </button>
+                              </div>
+                            </div>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  )
+                })}
+              </div>
+            )}
+          </div>
+        </div>
+      </main>
+
+      {/* Toast */}
+      {toast && (
+        <Toast
+          message={toast.message}
+          type={toast.type}
+          onClose={() => setToast(null)}
+        />
+      )}
+    </div>
+  )
+}
@@ -1,6 +1,6 @@
 'use client'
 
-import { useState } from 'react'
+import { useEffect, useState } from 'react'
 import Sidebar from '@/components/Sidebar'
 import Toast from '@/components/Toast'
 
@@ -11,10 +11,65 @@ export default function Settings() {
     webhookRetries: true,
     apiKey: 'fc_live_xxxxxxxxxxxxxxxxxxxx',
     baseUrl: 'http://localhost:3000',
+    notificationEmail: '',
   })
 
-  const handleToggle = (key) => {
-    setSettings(prev => ({ ...prev, [key]: !prev[key] }))
+  useEffect(() => {
+    fetchNotificationSettings()
+  }, [])
+
+  const fetchNotificationSettings = async () => {
+    try {
+      const response = await fetch('/api/settings')
+      const result = await response.json()
+      if (result.data) {
+        setSettings(prev => ({
+          ...prev,
+          emailNotifications: result.data.email_notifications,
+          notificationEmail: result.data.notification_email || '',
+        }))
+      }
+    } catch (err) {
+      console.error('Error fetching settings:', err)
+    }
+  }
+
+  // Failure alert settings are stored server-side so the delivery worker can read them
+  const saveNotificationSettings = async (next) => {
+    try {
+      const response = await fetch('/api/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          email_notifications: next.emailNotifications,
+          notification_email: next.notificationEmail,
+        }),
+      })
+      const result = await response.json()
+
+      if (!response.ok || result.error) {
+        throw new Error(result.error || 'Failed to save settings')
+      }
+
+      setToast({ message: 'Setting updated', type: 'success' })
+      return true
+    } catch (err) {
+      setToast({ message: err.message, type: 'error' })
+      return false
+    }
+  }
+
+  const handleToggle = async (key) => {
+    const next = { ...settings, [key]: !settings[key] }
+    setSettings(next)
+
+    if (key === 'emailNotifications') {
+      if (!(await saveNotificationSettings(next))) {
+        setSettings(prev => ({ ...prev, [key]: !next[key] }))
+      }
+      return
+    }
+
     setToast({ message: 'Setting updated', type: 'success' })
   }
 
@@ -68,6 +123,29 @@ export default function Settings() {
                 </button>
               </div>
 
+              {/* Alert Email */}
+              {settings.emailNotifications && (
+                <div>
+                  <label className="block text-white font-medium mb-2">Alert Email</label>
+                  <div className="flex items-center gap-3">
+                    <input
+                      type="email"
+                      value={settings.notificationEmail}
+                      onChange={(e) => setSettings(prev => ({ ...prev, notificationEmail: e.target.value }))}
+                      placeholder="Your account email"
+                      className="flex-1 px-4 py-3 bg-slate-900/50 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-500/20 transition-all"
+                    />
+                    <button
+                      onClick={() => saveNotificationSettings(settings)}
+                      className="px-4 py-3 bg-slate-700 hover:bg-slate-600 text-white rounded-xl text-sm font-medium transition-colors"
+                    >
+                      Save
+                    </button>
+                  </div>
+                  <p className="text-xs text-slate-500 mt-2">Sent when a delivery is moved to Dead Letters (at most once an hour per destination)</p>
+                </div>
+              )}
+
               {/* Webhook Retries */}
               <div className="flex items-center justify-between">
                 <div>
@@ -0,0 +1,80 @@
+'use client'
+
+import { useId } from 'react'
+import PropertyMappingEditor from '@/components/PropertyMappingEditor'
+
+const inputClass = 'w-full px-4 py-3 bg-slate-900 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-sky-500 focus:ring-2 focus:ring-sky-500/20 transition-all'
+const labelClass = 'block text-sm font-medium text-slate-300 mb-2'
+
+/**
+ * Settings form for an Airtable destination (see `@/lib/destinations/airtable`)
+ */
+export default function AirtableConfigForm({ config = {}, onChange, fieldNames = [] }) {
+  const id = useId()
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor={`${id}-baseId`} className={labelClass}>
+            Base ID <span className="text-red-400">*</span>
+          </label>
+          <input
+            type="text"
+            id={`${id}-baseId`}
+            value={config.baseId || ''}
+            onChange={(e) => onChange({ baseId: e.target.value })}
+            placeholder="appXXXXXXXXXXXXXX"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor={`${id}-table`} className={labelClass}>
+            Table <span className="text-red-400">*</span>
+          </label>
+          <input
+            type="text"
+            id={`${id}-table`}
+            value={config.table || ''}
+            onChange={(e) => onChange({ table: e.target.value })}
+            placeholder="Leads"
+            className={inputClass}
+          />
+        </div>
+      </div>
+      <p className="text-xs text-slate-500 -mt-2">
+        Find both in the table&apos;s URL: airtable.com/<code className="text-sky-400">appXXXX</code>/<code className="text-sky-400">tblXXXX</code>. The table can be given by name or ID.
+      </p>
+
+      <div>
+        <label htmlFor={`${id}-apiKey`} className={labelClass}>
+          Access Token <span className="text-slate-500">(Optional)</span>
+        </label>
+        <input
+          type="password"
+          id={`${id}-apiKey`}
+          autoComplete="off"
+          value={config.apiKey || ''}
+          onChange={(e) => onChange({ apiKey: e.target.value })}
+          placeholder="pat... (leave blank to use AIRTABLE_API_KEY)"
+          className={inputClass}
+        />
+        <p className="text-xs text-slate-500 mt-2">
+          A personal access token with the <code className="text-sky-400">data.records:write</code> scope and access to the base
+        </p>
+      </div>
+
+      <div className="pt-4 border-t border-slate-700/50">
+        <h4 className="text-sm font-semibold text-white mb-3">
+          Field Mapping <span className="text-slate-500 font-normal">(Optional)</span>
+        </h4>
+        <PropertyMappingEditor
+          mappings={config.propertyMapping || []}
+          onChange={(propertyMapping) => onChange({ propertyMapping })}
+          fieldNames={fieldNames}
+          propertyLabel="Airtable field"
+        />
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,80 @@
+'use client'
+
+import { useId } from 'react'
+
+const inputClass = 'w-full px-3 py-2 bg-slate-900/50 border border-slate-700 rounded-lg text-sm text-white placeholder-slate-500 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-500/20 transition-all'
+
+/**
+ * Editor for a Google Sheets destination's field-to-column mapping (see `@/lib/sheetColumns`)
+ */
+export default function ColumnMappingEditor({ mappings = [], onChange, fieldNames = [] }) {
+  const listId = useId()
+
+  const updateMapping = (index, changes) => {
+    onChange(mappings.map((mapping, i) => (i === index ? { ...mapping, ...changes } : mapping)))
+  }
+
+  const addMapping = () => {
+    onChange([...mappings, { field: '', column: '' }])
+  }
+
+  const removeMapping = (index) => {
+    onChange(mappings.filter((_, i) => i !== index))
+  }
+
+  return (
+    <div className="space-y-3">
+      {mappings.map((mapping, index) => (
+        <div key={index} className="grid grid-cols-1 md:grid-cols-12 gap-2 items-center">
+          <input
+            type="text"
+            list={listId}
+            value={mapping.field || ''}
+            onChange={(e) => updateMapping(index, { field: e.target.value })}
+            placeholder="Form field"
+            className={`${inputClass} md:col-span-5`}
+          />
+          <span className="hidden md:block md:col-span-1 text-center text-slate-500">→</span>
+          <input
+            type="text"
+            value={mapping.column || ''}
+            onChange={(e) => updateMapping(index, { column: e.target.value })}
+            placeholder="Column header"
+            className={`${inputClass} md:col-span-5`}
+          />
+          <button
+            type="button"
+            onClick={() => removeMapping(index)}
+            className="md:col-span-1 p-1 text-slate-500 hover:text-red-400 transition-colors justify-self-end"
+            title="Remove mapping"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+      ))}
+
+      <datalist id={listId}>
+        <option value="@timestamp" />
+        <option value="@connector" />
+        <option value="@submission_id" />
+        {fieldNames.map(name => (
+          <option key={name} value={name} />
+        ))}
+      </datalist>
+
+      <button
+        type="button"
+        onClick={addMapping}
+        className="px-4 py-2 bg-slate-700 hover:bg-slate-600 text-white text-sm font-medium rounded-xl transition-all"
+      >
+        + Add Mapping
+      </button>
+      <p className="text-xs text-slate-500">
+        Unmapped fields go to the column with the same name. Headers match regardless of case and spacing.
+        Use <code className="text-emerald-400">@timestamp</code>, <code className="text-emerald-400">@connector</code> and <code className="text-emerald-400">@submission_id</code> to rename the Timestamp, Connector Name and Submission ID columns.
+      </p>
+    </div>
+  )
+}
@@ -0,0 +1,167 @@
+'use client'
+
+import { useId } from 'react'
+
+const operators = [
+  { value: 'equals', label: 'equals' },
+  { value: 'not_equals', label: 'does not equal' },
+  { value: 'gt', label: '>' },
+  { value: 'gte', label: '≥' },
+  { value: 'lt', label: '<' },
+  { value: 'lte', label: '≤' },
+  { value: 'contains', label: 'contains' },
+  { value: 'not_contains', label: 'does not contain' },
+  { value: 'matches', label: 'matches regex' },
+  { value: 'is_empty', label: 'is empty' },
+  { value: 'is_not_empty', label: 'is not empty' },
+]
+
+// Operators that take no comparison value
+const valuelessOperators = ['is_empty', 'is_not_empty']
+
+// Same limit as normalizeCondition in lib/routingRules.js
+const MAX_DEPTH = 3
+
+const inputClass = 'w-full px-3 py-2 bg-slate-900/50 border border-slate-700 rounded-lg text-sm text-white placeholder-slate-500 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-500/20 transition-all'
+
+const emptyGroup = { match: 'all', rules: [] }
+
+/**
+ * Visual editor for a destination's routing condition
+ *
+ * Edits a `{ match, rules }` group (see `@/lib/routingRules`); nested groups
+ * render recursively. `fieldNames` are offered as suggestions for the field input.
+ */
+export default function ConditionBuilder({ condition, onChange, fieldNames = [], depth = 1, onRemove, listId: parentListId }) {
+  const group = condition || emptyGroup
+  const ownListId = useId()
+  const listId = parentListId || ownListId
+
+  const updateRule = (index, rule) => {
+    onChange({ ...group, rules: group.rules.map((existing, i) => (i === index ? rule : existing)) })
+  }
+
+  const removeRule = (index) => {
+    onChange({ ...group, rules: group.rules.filter((_, i) => i !== index) })
+  }
+
+  const addRule = () => {
+    onChange({ ...group, rules: [...group.rules, { field: '', operator: 'equals', value: '' }] })
+  }
+
+  const addGroup = () => {
+    onChange({ ...group, rules: [...group.rules, { match: 'any', rules: [{ field: '', operator: 'equals', value: '' }] }] })
+  }
+
+  return (
+    <div className={`space-y-3 ${depth > 1 ? 'p-3 border border-slate-700/50 rounded-xl bg-slate-900/20' : ''}`}>
+      {!parentListId && fieldNames.length > 0 && (
+        <datalist id={listId}>
+          {fieldNames.map(name => <option key={name} value={name} />)}
+        </datalist>
+      )}
+
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-2 text-sm text-slate-300">
+          <span>Match</span>
+          <select
+            value={group.match}
+            onChange={(e) => onChange({ ...group, match: e.target.value })}
+            className="px-2 py-1 bg-slate-900/50 border border-slate-700 rounded-lg text-sm text-white"
+          >
+            <option value="all">all (AND)</option>
+            <option value="any">any (OR)</option>
+          </select>
+          <span>of these rules</span>
+        </div>
+        {onRemove && (
+          <button
+            type="button"
+            onClick={onRemove}
+            className="text-xs text-slate-500 hover:text-red-400 transition-colors"
+          >
+            Remove group
+          </button>
+        )}
+      </div>
+
+      {group.rules.length === 0 && depth === 1 && (
+        <p className="text-xs text-slate-500">No rules. This destination receives every submission.</p>
+      )}
+
+      {group.rules.map((rule, index) => (
+        Array.isArray(rule.rules) ? (
+          <ConditionBuilder
+            key={index}
+            condition={rule}
+            onChange={(nested) => updateRule(index, nested)}
+            onRemove={() => removeRule(index)}
+            fieldNames={fieldNames}
+            depth={depth + 1}
+            listId={listId}
+          />
+        ) : (
+          <div key={index} className="grid grid-cols-1 md:grid-cols-12 gap-2 items-center">
+            <input
+              type="text"
+              value={rule.field}
+              onChange={(e) => updateRule(index, { ...rule, field: e.target.value })}
+              placeholder="Field name"
+              list={fieldNames.length > 0 ? listId : undefined}
+              className={`${inputClass} md:col-span-4`}
+            />
+            <select
+              value={rule.operator}
+              onChange={(e) => updateRule(index, { ...rule, operator: e.target.value })}
+              className={`${inputClass} md:col-span-3`}
+            >
+              {operators.map(operator => (
+                <option key={operator.value} value={operator.value}>{operator.label}</option>
+              ))}
+            </select>
+            {valuelessOperators.includes(rule.operator) ? (
+              <div className="md:col-span-4" />
+            ) : (
+              <input
+                type="text"
+                value={rule.value ?? ''}
+                onChange={(e) => updateRule(index, { ...rule, value: e.target.value })}
+                placeholder={rule.operator === 'matches' ? 'Regular expression' : 'Value'}
+                className={`${inputClass} md:col-span-4 ${rule.operator === 'matches' ? 'font-mono' : ''}`}
+              />
+            )}
+            <button
+              type="button"
+              onClick={() => removeRule(index)}
+              className="md:col-span-1 justify-self-end p-2 text-slate-500 hover:text-red-400 transition-colors"
+              title="Remove rule"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        )
+      ))}
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={addRule}
+          className="px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-white text-xs font-medium rounded-lg transition-all"
+        >
+          + Add Rule
+        </button>
+        {depth < MAX_DEPTH && (
+          <button
+            type="button"
+            onClick={addGroup}
+            className="px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-white text-xs font-medium rounded-lg transition-all"
+          >
+            + Add Group
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
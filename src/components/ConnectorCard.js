@@ -3,11 +3,17 @@
 import { useState, useRef, useEffect } from 'react'
 import Link from 'next/link'
 import { useRouter } from 'next/navigation'
+import PausedDestinations from '@/components/PausedDestinations'
 
 const destinationColors = {
   email: 'from-rose-500 to-pink-600',
   sheets: 'from-emerald-500 to-green-600',
   slack: 'from-purple-500 to-violet-600',
+  teams: 'from-blue-500 to-indigo-600',
+  discord: 'from-indigo-500 to-fuchsia-600',
+  airtable: 'from-sky-500 to-teal-600',
+  notion: 'from-slate-400 to-zinc-600',
+  hubspot: 'from-orange-500 to-rose-600',
   sms: 'from-amber-500 to-orange-600',
   webhook: 'from-cyan-500 to-blue-600',
 }
@@ -28,6 +34,31 @@ const destinationIcons = {
       <path d="M5.042 15.165a2.528 2.528 0 0 1-2.52 2.523A2.528 2.528 0 0 1 0 15.165a2.527 2.527 0 0 1 2.522-2.52h2.52v2.52zM6.313 15.165a2.527 2.527 0 0 1 2.521-2.52 2.527 2.527 0 0 1 2.521 2.52v6.313A2.528 2.528 0 0 1 8.834 24a2.528 2.528 0 0 1-2.521-2.522v-6.313z"/>
     </svg>
   ),
+  teams: (
+    <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" />
+    </svg>
+  ),
+  discord: (
+    <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 8h2a2 2 0 012 2v6a2 2 0 01-2 2h-2v4l-4-4H9a1.994 1.994 0 01-1.414-.586m0 0L11 14h4a2 2 0 002-2V6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2v4l.586-.586z" />
+    </svg>
+  ),
+  airtable: (
+    <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 7v10c0 2.21 3.582 4 8 4s8-1.79 8-4V7M4 7c0 2.21 3.582 4 8 4s8-1.79 8-4M4 7c0-2.21 3.582-4 8-4s8 1.79 8 4m0 5c0 2.21-3.582 4-8 4s-8-1.79-8-4" />
+    </svg>
+  ),
+  notion: (
+    <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+    </svg>
+  ),
+  hubspot: (
+    <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M18 9v3m0 0v3m0-3h3m-3 0h-3m-2-5a4 4 0 11-8 0 4 4 0 018 0zM3 20a6 6 0 0112 0v1H3v-1z" />
+    </svg>
+  ),
   sms: (
     <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" />
@@ -47,6 +78,7 @@ export default function ConnectorCard({ connector, onCopy, onDelete }) {
   const [showMenu, setShowMenu] = useState(false)
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false)
   const [deleting, setDeleting] = useState(false)
+  const [breakers, setBreakers] = useState(connector.circuit_breakers || {})
   const menuRef = useRef(null)
 
   // Close menu when clicking outside
@@ -119,28 +151,42 @@ export default function ConnectorCard({ connector, onCopy, onDelete }) {
               // Handle both old format (strings) and new format (objects)
               const destType = typeof dest === 'string' ? dest : dest.type;
               const isEnabled = typeof dest === 'string' ? true : dest.enabled;
+              // Breakers are keyed by destination id (type for destinations saved without one)
+              const breakerKey = (typeof dest === 'string' ? null : dest.id) || destType;
               
-              return { destType, isEnabled, originalIndex };
+              return { destType, isEnabled, breakerKey, originalIndex };
             })
             .filter(dest => dest.isEnabled)
-            .map(({ destType, originalIndex }) => {
+            .map(({ destType, breakerKey, originalIndex }) => {
               // Use original index from unfiltered array as stable key
               // This ensures keys remain consistent even after filtering
               const stableKey = `${destType}-${originalIndex}`;
+              const isPaused = breakers[breakerKey]?.state && breakers[breakerKey].state !== 'closed';
               
               return (
                 <span
                   key={stableKey}
-                  className={`flex items-center gap-1.5 px-2.5 py-1 rounded-lg text-xs font-medium text-white bg-gradient-to-r ${destinationColors[destType] || 'from-slate-500 to-slate-600'}`}
+                  className={`flex items-center gap-1.5 px-2.5 py-1 rounded-lg text-xs font-medium text-white bg-gradient-to-r ${destinationColors[destType] || 'from-slate-500 to-slate-600'} ${isPaused ? 'opacity-50' : ''}`}
+                  title={isPaused ? 'Paused due to errors' : undefined}
                 >
                   {destinationIcons[destType]}
                   {destType.charAt(0).toUpperCase() + destType.slice(1)}
+                  {isPaused && <span>⏸️</span>}
                 </span>
               );
             })}
         </div>
       )}
 
+      {/* Paused destinations (open circuit breakers) */}
+      <PausedDestinations
+        connectorId={id}
+        breakers={breakers}
+        onReset={setBreakers}
+        compact
+        className="mb-4"
+      />
+
       {/* Stats */}
       <div className="flex items-center gap-4 text-sm text-slate-400 mb-4">
         <div className="flex items-center gap-1.5">
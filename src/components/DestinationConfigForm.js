@@ -0,0 +1,54 @@
+'use client'
+
+import AirtableConfigForm from '@/components/AirtableConfigForm'
+import DiscordConfigForm from '@/components/DiscordConfigForm'
+import EmailConfigForm from '@/components/EmailConfigForm'
+import HubspotConfigForm from '@/components/HubspotConfigForm'
+import NotionConfigForm from '@/components/NotionConfigForm'
+import SheetsConfigForm from '@/components/SheetsConfigForm'
+import SlackConfigForm from '@/components/SlackConfigForm'
+import SmsConfigForm from '@/components/SmsConfigForm'
+import TeamsConfigForm from '@/components/TeamsConfigForm'
+import WebhookConfigForm from '@/components/WebhookConfigForm'
+
+const configForms = {
+  email: EmailConfigForm,
+  sheets: SheetsConfigForm,
+  slack: SlackConfigForm,
+  teams: TeamsConfigForm,
+  discord: DiscordConfigForm,
+  airtable: AirtableConfigForm,
+  notion: NotionConfigForm,
+  hubspot: HubspotConfigForm,
+  sms: SmsConfigForm,
+  webhook: WebhookConfigForm
+}
+
+/**
+ * Settings form of a destination type, used by the new connector and edit pages
+ *
+ * `config` is the destination's config and `onChange` receives the changed
+ * keys. `fieldNames` (from the field schema) are suggested where a form field
+ * is picked, and `templatePreview` enables the template editors of Slack and
+ * email (see `SlackConfigForm`).
+ */
+export default function DestinationConfigForm({ type, config, onChange, fieldNames, templatePreview }) {
+  const ConfigForm = configForms[type]
+
+  if (!ConfigForm) {
+    return (
+      <div className="text-center py-8">
+        <p className="text-slate-400">Configuration for this destination type coming soon</p>
+      </div>
+    )
+  }
+
+  return (
+    <ConfigForm
+      config={config || {}}
+      onChange={onChange}
+      fieldNames={fieldNames}
+      templatePreview={templatePreview}
+    />
+  )
+}
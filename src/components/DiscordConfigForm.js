@@ -0,0 +1,63 @@
+'use client'
+
+import { useId } from 'react'
+
+const inputClass = 'w-full px-4 py-3 bg-slate-900 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-500/20 transition-all'
+const labelClass = 'block text-sm font-medium text-slate-300 mb-2'
+
+/**
+ * Settings form for a Discord destination (see `@/lib/destinations/discord`)
+ */
+export default function DiscordConfigForm({ config = {}, onChange }) {
+  const id = useId()
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label htmlFor={`${id}-webhookUrl`} className={labelClass}>
+          Webhook URL <span className="text-red-400">*</span>
+        </label>
+        <input
+          type="url"
+          id={`${id}-webhookUrl`}
+          value={config.webhookUrl || ''}
+          onChange={(e) => onChange({ webhookUrl: e.target.value })}
+          placeholder="https://discord.com/api/webhooks/..."
+          className={inputClass}
+        />
+        <p className="text-xs text-slate-500 mt-2">
+          Get your webhook URL from Channel Settings → Integrations → Webhooks
+        </p>
+        <div className="mt-3 p-3 bg-blue-500/10 border border-blue-500/20 rounded-lg">
+          <p className="text-xs text-blue-400">
+            <strong className="text-blue-300">How to get webhook URL:</strong>
+          </p>
+          <ol className="text-xs text-blue-400/80 mt-2 ml-4 list-decimal space-y-1">
+            <li>Open the channel&apos;s settings → Integrations</li>
+            <li>Go to Webhooks → New Webhook</li>
+            <li>Name the webhook and pick the channel</li>
+            <li>Click &quot;Copy Webhook URL&quot;</li>
+          </ol>
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor={`${id}-username`} className={labelClass}>
+          Display Name <span className="text-slate-500">(Optional)</span>
+        </label>
+        <input
+          type="text"
+          id={`${id}-username`}
+          maxLength={80}
+          value={config.username || ''}
+          onChange={(e) => onChange({ username: e.target.value })}
+          placeholder="Form Connector"
+          className={inputClass}
+        />
+        <p className="text-xs text-slate-500 mt-2">
+          Overrides the webhook&apos;s name on posted messages
+        </p>
+      </div>
+    </div>
+  )
+}
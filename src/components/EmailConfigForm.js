@@ -0,0 +1,208 @@
+'use client'
+
+import { useId } from 'react'
+import RecipientRoutingEditor from '@/components/RecipientRoutingEditor'
+import TemplateEditor from '@/components/TemplateEditor'
+
+const inputClass = 'w-full px-4 py-3 bg-slate-900 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20 transition-all'
+const labelClass = 'block text-sm font-medium text-slate-300 mb-2'
+
+/**
+ * Settings form for an email destination (see `@/lib/destinations/email`)
+ *
+ * The email and auto-reply template editors are shown when `templatePreview`
+ * is given; their preview needs a saved connector
+ * (`{ connectorId, connectorName, transforms, destinationTransforms }`).
+ */
+export default function EmailConfigForm({ config = {}, onChange, fieldNames = [], templatePreview }) {
+  const id = useId()
+  const autoReply = config.autoReply || {}
+
+  const updateAutoReply = (changes) => {
+    onChange({ autoReply: { ...config.autoReply, ...changes } })
+  }
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label htmlFor={`${id}-to`} className={labelClass}>
+          Recipient Emails <span className="text-red-400">*</span>
+        </label>
+        <input
+          type="text"
+          id={`${id}-to`}
+          value={config.to_email || config.toEmail || ''}
+          onChange={(e) => onChange({ to_email: e.target.value })}
+          placeholder="you@example.com, team@example.com"
+          className={inputClass}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor={`${id}-cc`} className={labelClass}>
+            CC <span className="text-slate-500">(Optional)</span>
+          </label>
+          <input
+            type="text"
+            id={`${id}-cc`}
+            value={config.cc || ''}
+            onChange={(e) => onChange({ cc: e.target.value })}
+            placeholder="sales@example.com"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor={`${id}-bcc`} className={labelClass}>
+            BCC <span className="text-slate-500">(Optional)</span>
+          </label>
+          <input
+            type="text"
+            id={`${id}-bcc`}
+            value={config.bcc || ''}
+            onChange={(e) => onChange({ bcc: e.target.value })}
+            placeholder="archive@example.com"
+            className={inputClass}
+          />
+        </div>
+      </div>
+      <p className="text-xs text-slate-500">
+        Separate addresses with commas. Each address receives the email once, even if it is listed more than once.
+      </p>
+
+      <div className="pt-4 border-t border-slate-700/50">
+        <h4 className="text-sm font-semibold text-white mb-3">
+          Recipient Routing <span className="text-slate-500 font-normal">(Optional)</span>
+        </h4>
+        <RecipientRoutingEditor
+          routing={config.recipientRouting}
+          onChange={(recipientRouting) => onChange({ recipientRouting })}
+          fieldNames={fieldNames}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor={`${id}-from`} className={labelClass}>
+            Sender Email <span className="text-red-400">*</span>
+          </label>
+          <input
+            type="email"
+            id={`${id}-from`}
+            value={config.from_email || config.fromEmail || ''}
+            onChange={(e) => onChange({ from_email: e.target.value })}
+            placeholder="forms@yourdomain.com"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor={`${id}-fromName`} className={labelClass}>
+            Sender Name <span className="text-slate-500">(Optional)</span>
+          </label>
+          <input
+            type="text"
+            id={`${id}-fromName`}
+            value={config.from_name || config.fromName || ''}
+            onChange={(e) => onChange({ from_name: e.target.value })}
+            placeholder="Form Connector"
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor={`${id}-transport`} className={labelClass}>
+          Transport
+        </label>
+        <select
+          id={`${id}-transport`}
+          value={config.transport || ''}
+          onChange={(e) => onChange({ transport: e.target.value || undefined })}
+          className={inputClass}
+        >
+          <option value="">Server default</option>
+          <option value="sendgrid">SendGrid</option>
+          <option value="smtp">SMTP</option>
+          <option value="capture">Capture (development, nothing is sent)</option>
+        </select>
+        <p className="text-xs text-slate-500 mt-2">
+          The server default is set with <code className="text-blue-400">EMAIL_TRANSPORT</code>. With SendGrid, the sender address must be verified.
+        </p>
+      </div>
+
+      {templatePreview && (
+        <TemplateEditor
+          type="email"
+          config={config}
+          onChange={onChange}
+          {...templatePreview}
+        />
+      )}
+
+      <div className="pt-4 border-t border-slate-700/50 space-y-4">
+        <label className="flex items-center gap-3 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={autoReply.enabled === true}
+            onChange={(e) => updateAutoReply({ enabled: e.target.checked })}
+            className="rounded border-slate-600 bg-slate-900 text-blue-500 focus:ring-blue-500/20"
+          />
+          <span>
+            <span className="block text-sm font-medium text-white">Send auto-reply to submitter</span>
+            <span className="block text-xs text-slate-500">
+              Confirms receipt to the address in the form. Each address gets at most 3 auto-replies per hour.
+            </span>
+          </span>
+        </label>
+
+        {autoReply.enabled && (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor={`${id}-autoReplyField`} className={labelClass}>
+                  Email Field
+                </label>
+                <input
+                  type="text"
+                  id={`${id}-autoReplyField`}
+                  list={`${id}-fieldNames`}
+                  value={autoReply.emailField ?? 'email'}
+                  onChange={(e) => updateAutoReply({ emailField: e.target.value })}
+                  placeholder="email"
+                  className={inputClass}
+                />
+                <datalist id={`${id}-fieldNames`}>
+                  {fieldNames.map(name => (
+                    <option key={name} value={name} />
+                  ))}
+                </datalist>
+              </div>
+              <div>
+                <label htmlFor={`${id}-autoReplyReplyTo`} className={labelClass}>
+                  Reply-To <span className="text-slate-500">(Optional)</span>
+                </label>
+                <input
+                  type="email"
+                  id={`${id}-autoReplyReplyTo`}
+                  value={autoReply.replyTo || ''}
+                  onChange={(e) => updateAutoReply({ replyTo: e.target.value })}
+                  placeholder="support@yourdomain.com"
+                  className={inputClass}
+                />
+              </div>
+            </div>
+
+            {templatePreview && (
+              <TemplateEditor
+                type="autoReply"
+                config={config.autoReply}
+                onChange={updateAutoReply}
+                {...templatePreview}
+              />
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,156 @@
+'use client'
+
+const fieldTypes = [
+  { value: 'text', label: 'Text' },
+  { value: 'email', label: 'Email' },
+  { value: 'url', label: 'URL' },
+  { value: 'phone', label: 'Phone' },
+  { value: 'integer', label: 'Integer' },
+  { value: 'number', label: 'Number' },
+  { value: 'date', label: 'Date' },
+  { value: 'enum', label: 'One of (enum)' },
+  { value: 'boolean', label: 'Yes / No' },
+  { value: 'file', label: 'File' },
+]
+
+// Types whose min/max bounds apply, with the hint shown in the inputs
+const boundHints = {
+  text: 'length',
+  integer: 'value',
+  number: 'value',
+  date: 'YYYY-MM-DD',
+}
+
+const inputClass = 'w-full px-3 py-2 bg-slate-900/50 border border-slate-700 rounded-lg text-sm text-white placeholder-slate-500 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-500/20 transition-all'
+
+export default function FieldSchemaEditor({ fields, onChange, onInfer, inferring = false }) {
+  const updateField = (index, key, value) => {
+    onChange(fields.map((field, i) => (i === index ? { ...field, [key]: value } : field)))
+  }
+
+  const addField = () => {
+    onChange([...fields, { name: '', type: 'text', required: false }])
+  }
+
+  const removeField = (index) => {
+    onChange(fields.filter((_, i) => i !== index))
+  }
+
+  return (
+    <div className="space-y-4">
+      {fields.length === 0 && (
+        <div className="text-center py-8 border border-dashed border-slate-700 rounded-xl">
+          <p className="text-slate-400 text-sm">No fields declared. All fields are accepted with the default limits.</p>
+        </div>
+      )}
+
+      {fields.map((field, index) => (
+        <div key={index} className="p-4 bg-slate-900/30 border border-slate-700/50 rounded-xl space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-12 gap-3 items-center">
+            <input
+              type="text"
+              value={field.name}
+              onChange={(e) => updateField(index, 'name', e.target.value)}
+              placeholder="Field name"
+              className={`${inputClass} md:col-span-4`}
+            />
+            <select
+              value={field.type}
+              onChange={(e) => updateField(index, 'type', e.target.value)}
+              className={`${inputClass} md:col-span-4`}
+            >
+              {fieldTypes.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+            <label className="flex items-center gap-2 text-sm text-slate-300 md:col-span-3">
+              <input
+                type="checkbox"
+                checked={field.required === true}
+                onChange={(e) => updateField(index, 'required', e.target.checked)}
+                className="rounded border-slate-600 bg-slate-900 text-indigo-500 focus:ring-indigo-500/20"
+              />
+              Required
+            </label>
+            <button
+              type="button"
+              onClick={() => removeField(index)}
+              className="md:col-span-1 justify-self-end p-2 text-slate-500 hover:text-red-400 transition-colors"
+              title="Remove field"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {boundHints[field.type] && (
+              <>
+                <input
+                  type="text"
+                  value={field.min ?? ''}
+                  onChange={(e) => updateField(index, 'min', e.target.value)}
+                  placeholder={`Min (${boundHints[field.type]})`}
+                  className={inputClass}
+                />
+                <input
+                  type="text"
+                  value={field.max ?? ''}
+                  onChange={(e) => updateField(index, 'max', e.target.value)}
+                  placeholder={`Max (${boundHints[field.type]})`}
+                  className={inputClass}
+                />
+              </>
+            )}
+            {field.type === 'enum' && (
+              <input
+                type="text"
+                value={Array.isArray(field.options) ? field.options.join(', ') : (field.options || '')}
+                onChange={(e) => updateField(index, 'options', e.target.value)}
+                placeholder="Allowed values, comma-separated"
+                className={`${inputClass} md:col-span-2`}
+              />
+            )}
+            {!['enum', 'boolean', 'file'].includes(field.type) && (
+              <input
+                type="text"
+                value={field.pattern || ''}
+                onChange={(e) => updateField(index, 'pattern', e.target.value)}
+                placeholder="Pattern (regular expression, optional)"
+                className={`${inputClass} font-mono`}
+              />
+            )}
+            <input
+              type="text"
+              value={field.message || ''}
+              onChange={(e) => updateField(index, 'message', e.target.value)}
+              placeholder="Custom error message (optional)"
+              className={inputClass}
+            />
+          </div>
+        </div>
+      ))}
+
+      <div className="flex flex-wrap gap-3">
+        <button
+          type="button"
+          onClick={addField}
+          className="px-4 py-2 bg-slate-700 hover:bg-slate-600 text-white text-sm font-medium rounded-xl transition-all"
+        >
+          + Add Field
+        </button>
+        {onInfer && (
+          <button
+            type="button"
+            onClick={onInfer}
+            disabled={inferring}
+            className="px-4 py-2 bg-indigo-500/10 border border-indigo-500/20 hover:bg-indigo-500/20 text-indigo-400 text-sm font-medium rounded-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {inferring ? 'Inferring...' : 'Infer from Recent Submissions'}
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
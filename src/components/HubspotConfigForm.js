@@ -0,0 +1,90 @@
+'use client'
+
+import { useId } from 'react'
+import PropertyMappingEditor from '@/components/PropertyMappingEditor'
+
+const inputClass = 'w-full px-4 py-3 bg-slate-900 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-orange-500 focus:ring-2 focus:ring-orange-500/20 transition-all'
+const labelClass = 'block text-sm font-medium text-slate-300 mb-2'
+
+/**
+ * Settings form for a HubSpot destination (see `@/lib/destinations/hubspot`)
+ */
+export default function HubspotConfigForm({ config = {}, onChange, fieldNames = [] }) {
+  const id = useId()
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label htmlFor={`${id}-accessToken`} className={labelClass}>
+          Access Token <span className="text-slate-500">(Optional)</span>
+        </label>
+        <input
+          type="password"
+          id={`${id}-accessToken`}
+          autoComplete="off"
+          value={config.accessToken || ''}
+          onChange={(e) => onChange({ accessToken: e.target.value })}
+          placeholder="pat-... (leave blank to use HUBSPOT_ACCESS_TOKEN)"
+          className={inputClass}
+        />
+        <p className="text-xs text-slate-500 mt-2">
+          A private app token with the <code className="text-orange-400">crm.objects.contacts.write</code> and <code className="text-orange-400">crm.objects.contacts.read</code> scopes
+        </p>
+      </div>
+
+      <div>
+        <label htmlFor={`${id}-emailField`} className={labelClass}>
+          Email Field <span className="text-slate-500">(Optional)</span>
+        </label>
+        <input
+          type="text"
+          id={`${id}-emailField`}
+          list={`${id}-fieldNames`}
+          value={config.emailField || ''}
+          onChange={(e) => onChange({ emailField: e.target.value })}
+          placeholder="email"
+          className={inputClass}
+        />
+        <datalist id={`${id}-fieldNames`}>
+          {fieldNames.map(name => (
+            <option key={name} value={name} />
+          ))}
+        </datalist>
+        <p className="text-xs text-slate-500 mt-2">
+          Contacts are created or updated by this address. Submissions without a valid address fail.
+        </p>
+      </div>
+
+      <label className="flex items-center gap-3 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={config.logNote === true}
+          onChange={(e) => onChange({ logNote: e.target.checked })}
+          className="rounded border-slate-600 bg-slate-900 text-orange-500 focus:ring-orange-500/20"
+        />
+        <span>
+          <span className="block text-sm font-medium text-white">Log submission as a note</span>
+          <span className="block text-xs text-slate-500">
+            Adds every field of the submission to the contact&apos;s timeline
+          </span>
+        </span>
+      </label>
+
+      <div className="pt-4 border-t border-slate-700/50">
+        <h4 className="text-sm font-semibold text-white mb-3">
+          Property Mapping <span className="text-slate-500 font-normal">(Optional)</span>
+        </h4>
+        <PropertyMappingEditor
+          mappings={config.propertyMapping || []}
+          onChange={(propertyMapping) => onChange({ propertyMapping })}
+          fieldNames={fieldNames}
+          propertyLabel="HubSpot property"
+          emptyHint="Without mappings, fields named like first name, last name, name, phone, company, job title and website are written to the matching contact properties."
+        />
+        <p className="text-xs text-slate-500 mt-2">
+          Use internal property names (Settings → Properties → Internal name), e.g. <code className="text-orange-400">firstname</code>.
+        </p>
+      </div>
+    </div>
+  )
+}
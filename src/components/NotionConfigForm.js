@@ -0,0 +1,75 @@
+'use client'
+
+import { useId } from 'react'
+import PropertyMappingEditor from '@/components/PropertyMappingEditor'
+
+const inputClass = 'w-full px-4 py-3 bg-slate-900 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-slate-500 focus:ring-2 focus:ring-slate-500/20 transition-all'
+const labelClass = 'block text-sm font-medium text-slate-300 mb-2'
+
+/**
+ * Settings form for a Notion destination (see `@/lib/destinations/notion`)
+ */
+export default function NotionConfigForm({ config = {}, onChange, fieldNames = [] }) {
+  const id = useId()
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label htmlFor={`${id}-databaseId`} className={labelClass}>
+          Database <span className="text-red-400">*</span>
+        </label>
+        <input
+          type="text"
+          id={`${id}-databaseId`}
+          value={config.databaseId || ''}
+          onChange={(e) => onChange({ databaseId: e.target.value })}
+          placeholder="https://www.notion.so/... or database ID"
+          className={inputClass}
+        />
+        <p className="text-xs text-slate-500 mt-2">
+          Paste the database&apos;s link or ID, and add the integration under the database&apos;s &quot;Connections&quot; menu
+        </p>
+      </div>
+
+      <div>
+        <label htmlFor={`${id}-apiKey`} className={labelClass}>
+          Integration Token <span className="text-slate-500">(Optional)</span>
+        </label>
+        <input
+          type="password"
+          id={`${id}-apiKey`}
+          autoComplete="off"
+          value={config.apiKey || ''}
+          onChange={(e) => onChange({ apiKey: e.target.value })}
+          placeholder="ntn_... (leave blank to use NOTION_API_KEY)"
+          className={inputClass}
+        />
+        <p className="text-xs text-slate-500 mt-2">
+          The integration needs the &quot;Read content&quot; and &quot;Insert content&quot; capabilities. With Auto, values are converted to each database property&apos;s type.
+        </p>
+        <div className="mt-3 p-3 bg-blue-500/10 border border-blue-500/20 rounded-lg">
+          <p className="text-xs text-blue-400">
+            <strong className="text-blue-300">How to connect a database:</strong>
+          </p>
+          <ol className="text-xs text-blue-400/80 mt-2 ml-4 list-decimal space-y-1">
+            <li>Create an internal integration at notion.so/profile/integrations</li>
+            <li>Open the database → &quot;...&quot; → Connections, and add the integration</li>
+            <li>Copy the database link and paste it above</li>
+          </ol>
+        </div>
+      </div>
+
+      <div className="pt-4 border-t border-slate-700/50">
+        <h4 className="text-sm font-semibold text-white mb-3">
+          Property Mapping <span className="text-slate-500 font-normal">(Optional)</span>
+        </h4>
+        <PropertyMappingEditor
+          mappings={config.propertyMapping || []}
+          onChange={(propertyMapping) => onChange({ propertyMapping })}
+          fieldNames={fieldNames}
+          propertyLabel="Notion property"
+        />
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,74 @@
+'use client'
+
+import { useState } from 'react'
+
+/**
+ * Lists a connector's destinations whose circuit breaker is open, with a reset button
+ *
+ * Breakers are keyed by destination id (see `@/lib/circuitBreaker`) and
+ * labelled with their destination type. Renders nothing while every breaker
+ * is closed. `onReset` receives the connector's updated `circuit_breakers`
+ * after a successful reset.
+ */
+export default function PausedDestinations({ connectorId, breakers, onReset, compact = false, className = '' }) {
+  const [resetting, setResetting] = useState(null)
+  const [error, setError] = useState(null)
+
+  const paused = Object.entries(breakers || {}).filter(([, breaker]) => breaker?.state && breaker.state !== 'closed')
+  if (paused.length === 0) return null
+
+  const handleReset = async (key) => {
+    setResetting(key)
+    setError(null)
+    try {
+      const response = await fetch(`/api/connectors/${connectorId}/breakers/reset`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ destination: key }),
+      })
+      const result = await response.json()
+
+      if (!response.ok || result.error) {
+        throw new Error(result.error || 'Failed to reset')
+      }
+      onReset?.(result.data.circuit_breakers)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setResetting(null)
+    }
+  }
+
+  return (
+    <div className={`bg-amber-500/10 border border-amber-500/20 rounded-xl ${compact ? 'p-3' : 'p-4'} space-y-2 ${className}`}>
+      {paused.map(([key, breaker]) => (
+        <div key={key} className="flex items-start justify-between gap-3">
+          <div className="min-w-0">
+            <div className="flex items-center gap-2 text-sm font-medium text-amber-400">
+              <span>⏸️</span>
+              <span className="capitalize">{breaker.type || key}</span>
+              <span>paused due to errors</span>
+            </div>
+            {!compact && breaker.lastError && (
+              <p className="text-xs text-amber-400/70 mt-1 break-words">{breaker.lastError}</p>
+            )}
+            {!compact && breaker.nextProbeAt && breaker.state === 'open' && (
+              <p className="text-xs text-slate-500 mt-1">
+                Next test delivery {new Date(breaker.nextProbeAt).toLocaleTimeString()}
+              </p>
+            )}
+          </div>
+          <button
+            type="button"
+            onClick={() => handleReset(key)}
+            disabled={resetting !== null}
+            className="flex-shrink-0 px-3 py-1.5 bg-amber-500/20 hover:bg-amber-500/30 text-amber-300 text-xs font-medium rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {resetting === key ? 'Resetting...' : 'Reset'}
+          </button>
+        </div>
+      ))}
+      {error && <p className="text-xs text-red-400">{error}</p>}
+    </div>
+  )
+}
@@ -0,0 +1,101 @@
+'use client'
+
+import { useId } from 'react'
+
+const inputClass = 'w-full px-3 py-2 bg-slate-900/50 border border-slate-700 rounded-lg text-sm text-white placeholder-slate-500 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-500/20 transition-all'
+
+const TYPE_LABELS = {
+  auto: 'Auto',
+  text: 'Text',
+  number: 'Number',
+  checkbox: 'Checkbox',
+  select: 'Select',
+  multi_select: 'Multi-select',
+  date: 'Date'
+}
+
+/**
+ * Editor for an Airtable, Notion or CRM destination's field-to-property mapping (see `@/lib/recordMapping`)
+ */
+export default function PropertyMappingEditor({ mappings = [], onChange, fieldNames = [], propertyLabel = 'Property', emptyHint }) {
+  const listId = useId()
+
+  const updateMapping = (index, changes) => {
+    onChange(mappings.map((mapping, i) => (i === index ? { ...mapping, ...changes } : mapping)))
+  }
+
+  const addMapping = () => {
+    onChange([...mappings, { field: '', property: '', type: 'auto' }])
+  }
+
+  const removeMapping = (index) => {
+    onChange(mappings.filter((_, i) => i !== index))
+  }
+
+  return (
+    <div className="space-y-3">
+      {mappings.map((mapping, index) => (
+        <div key={index} className="grid grid-cols-1 md:grid-cols-12 gap-2 items-center">
+          <input
+            type="text"
+            list={listId}
+            value={mapping.field || ''}
+            onChange={(e) => updateMapping(index, { field: e.target.value })}
+            placeholder="Form field"
+            className={`${inputClass} md:col-span-4`}
+          />
+          <span className="hidden md:block md:col-span-1 text-center text-slate-500">→</span>
+          <input
+            type="text"
+            value={mapping.property || ''}
+            onChange={(e) => updateMapping(index, { property: e.target.value })}
+            placeholder={propertyLabel}
+            className={`${inputClass} md:col-span-4`}
+          />
+          <select
+            value={mapping.type || 'auto'}
+            onChange={(e) => updateMapping(index, { type: e.target.value })}
+            className={`${inputClass} md:col-span-2`}
+            title="Convert the value to"
+          >
+            {Object.entries(TYPE_LABELS).map(([type, label]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => removeMapping(index)}
+            className="md:col-span-1 p-1 text-slate-500 hover:text-red-400 transition-colors justify-self-end"
+            title="Remove mapping"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+      ))}
+
+      <datalist id={listId}>
+        <option value="@timestamp" />
+        <option value="@connector" />
+        <option value="@submission_id" />
+        {fieldNames.map(name => (
+          <option key={name} value={name} />
+        ))}
+      </datalist>
+
+      <button
+        type="button"
+        onClick={addMapping}
+        className="px-4 py-2 bg-slate-700 hover:bg-slate-600 text-white text-sm font-medium rounded-xl transition-all"
+      >
+        + Add Mapping
+      </button>
+      <p className="text-xs text-slate-500">
+        {emptyHint || `Without mappings, every form field is written to the ${propertyLabel.toLowerCase()} with the same name.`}{' '}
+        Numbers like <code className="text-emerald-400">$1,200</code>, checkbox values like <code className="text-emerald-400">yes</code>, comma-separated options and dates are converted to the chosen type; values that cannot be converted are left out.
+        Use <code className="text-emerald-400">@timestamp</code>, <code className="text-emerald-400">@connector</code> and <code className="text-emerald-400">@submission_id</code> to write the submission time, connector name and submission ID.
+      </p>
+    </div>
+  )
+}
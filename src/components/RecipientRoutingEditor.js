@@ -0,0 +1,94 @@
+'use client'
+
+import { useId } from 'react'
+
+const inputClass = 'w-full px-3 py-2 bg-slate-900/50 border border-slate-700 rounded-lg text-sm text-white placeholder-slate-500 focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20 transition-all'
+
+/**
+ * Editor for an email destination's recipient routing (see `@/lib/emailRecipients`)
+ *
+ * Each route maps a value of the chosen form field to the addresses that
+ * receive the email instead of the default recipients.
+ */
+export default function RecipientRoutingEditor({ routing, onChange, fieldNames = [] }) {
+  const listId = useId()
+  const field = routing?.field || ''
+  const routes = routing?.routes || []
+
+  const updateRoute = (index, changes) => {
+    onChange({ field, routes: routes.map((route, i) => (i === index ? { ...route, ...changes } : route)) })
+  }
+
+  const addRoute = () => {
+    onChange({ field, routes: [...routes, { value: '', to: '' }] })
+  }
+
+  const removeRoute = (index) => {
+    onChange({ field, routes: routes.filter((_, i) => i !== index) })
+  }
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <label htmlFor={`${listId}-field`} className="block text-sm font-medium text-slate-300 mb-2">
+          Route on Field
+        </label>
+        <input
+          type="text"
+          id={`${listId}-field`}
+          list={listId}
+          value={field}
+          onChange={(e) => onChange({ field: e.target.value, routes })}
+          placeholder="department"
+          className={inputClass}
+        />
+        <datalist id={listId}>
+          {fieldNames.map(name => (
+            <option key={name} value={name} />
+          ))}
+        </datalist>
+      </div>
+
+      {routes.map((route, index) => (
+        <div key={index} className="grid grid-cols-1 md:grid-cols-12 gap-2 items-center">
+          <input
+            type="text"
+            value={route.value || ''}
+            onChange={(e) => updateRoute(index, { value: e.target.value })}
+            placeholder="When value is..."
+            className={`${inputClass} md:col-span-4`}
+          />
+          <input
+            type="text"
+            value={route.to || ''}
+            onChange={(e) => updateRoute(index, { to: e.target.value })}
+            placeholder="send to team@example.com, lead@example.com"
+            className={`${inputClass} md:col-span-7`}
+          />
+          <button
+            type="button"
+            onClick={() => removeRoute(index)}
+            className="md:col-span-1 p-1 text-slate-500 hover:text-red-400 transition-colors justify-self-end"
+            title="Remove route"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={addRoute}
+        className="px-4 py-2 bg-slate-700 hover:bg-slate-600 text-white text-sm font-medium rounded-xl transition-all"
+      >
+        + Add Route
+      </button>
+      <p className="text-xs text-slate-500">
+        Values match case-insensitively. A matching route replaces the recipients above; CC and BCC still apply.
+        Submissions that match no route go to the recipients above.
+      </p>
+    </div>
+  )
+}
@@ -0,0 +1,154 @@
+'use client'
+
+import { useId } from 'react'
+import ColumnMappingEditor from '@/components/ColumnMappingEditor'
+
+const inputClass = 'w-full px-4 py-3 bg-slate-900 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-500/20 transition-all'
+const labelClass = 'block text-sm font-medium text-slate-300 mb-2'
+
+/**
+ * Settings form for a Google Sheets destination (see `@/lib/destinations/sheets`)
+ */
+export default function SheetsConfigForm({ config = {}, onChange, fieldNames = [] }) {
+  const id = useId()
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label htmlFor={`${id}-spreadsheetId`} className={labelClass}>
+          Spreadsheet ID <span className="text-red-400">*</span>
+        </label>
+        <input
+          type="text"
+          id={`${id}-spreadsheetId`}
+          value={config.spreadsheetId || ''}
+          onChange={(e) => onChange({ spreadsheetId: e.target.value })}
+          placeholder="1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms"
+          className={inputClass}
+        />
+        <p className="text-xs text-slate-500 mt-2">
+          Find this in your Google Sheet URL: <code className="text-emerald-400">docs.google.com/spreadsheets/d/SPREADSHEET_ID/edit</code>
+        </p>
+        <div className="mt-3 p-3 bg-blue-500/10 border border-blue-500/20 rounded-lg">
+          <p className="text-xs text-blue-400">
+            <strong className="text-blue-300">Important:</strong> Make sure to share your spreadsheet with the service account email
+            (found in GOOGLE_SERVICE_ACCOUNT_JSON as &quot;client_email&quot;) and give it Editor permissions.
+          </p>
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor={`${id}-sheetName`} className={labelClass}>
+          Sheet Name <span className="text-slate-500">(Optional)</span>
+        </label>
+        <input
+          type="text"
+          id={`${id}-sheetName`}
+          value={config.sheetName || 'Form Submissions'}
+          onChange={(e) => onChange({ sheetName: e.target.value || 'Form Submissions' })}
+          placeholder="Form Submissions"
+          className={inputClass}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor={`${id}-writeMode`} className={labelClass}>
+            Write Mode
+          </label>
+          <select
+            id={`${id}-writeMode`}
+            value={config.writeMode || 'append'}
+            onChange={(e) => onChange({ writeMode: e.target.value })}
+            className={inputClass}
+          >
+            <option value="append">Append a row per submission</option>
+            <option value="upsert">Update the matching row (upsert)</option>
+          </select>
+        </div>
+        {config.writeMode === 'upsert' && (
+          <div>
+            <label htmlFor={`${id}-upsertKey`} className={labelClass}>
+              Key Field <span className="text-red-400">*</span>
+            </label>
+            <input
+              type="text"
+              id={`${id}-upsertKey`}
+              list={`${id}-fieldNames`}
+              value={config.upsertKey || ''}
+              onChange={(e) => onChange({ upsertKey: e.target.value })}
+              placeholder="email"
+              className={inputClass}
+            />
+            <datalist id={`${id}-fieldNames`}>
+              {fieldNames.map(name => (
+                <option key={name} value={name} />
+              ))}
+            </datalist>
+          </div>
+        )}
+      </div>
+      {config.writeMode === 'upsert' && (
+        <p className="text-xs text-slate-500">
+          A submission whose key matches an existing row (ignoring case) updates that row&apos;s submitted columns; other columns are kept. Rows are appended when nothing matches.
+        </p>
+      )}
+
+      <label className="flex items-center gap-3 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={config.trackSubmissionId === true}
+          onChange={(e) => onChange({ trackSubmissionId: e.target.checked })}
+          className="rounded border-slate-600 bg-slate-900 text-emerald-500 focus:ring-emerald-500/20"
+        />
+        <span>
+          <span className="block text-sm font-medium text-white">Record submission ID</span>
+          <span className="block text-xs text-slate-500">
+            Writes the submission ID to a hidden &quot;Submission ID&quot; column for tracing rows back to submissions.
+          </span>
+        </span>
+      </label>
+
+      <div>
+        <label htmlFor={`${id}-unknownFields`} className={labelClass}>
+          New Form Fields
+        </label>
+        <select
+          id={`${id}-unknownFields`}
+          value={config.unknownFields || 'ignore'}
+          onChange={(e) => onChange({ unknownFields: e.target.value })}
+          className={inputClass}
+        >
+          <option value="ignore">Leave out fields that have no column</option>
+          <option value="append">Add them as new columns</option>
+        </select>
+      </div>
+
+      <label className="flex items-center gap-3 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={config.batchAppends === true}
+          onChange={(e) => onChange({ batchAppends: e.target.checked })}
+          className="rounded border-slate-600 bg-slate-900 text-emerald-500 focus:ring-emerald-500/20"
+        />
+        <span>
+          <span className="block text-sm font-medium text-white">Batch rows</span>
+          <span className="block text-xs text-slate-500">
+            The delivery worker writes waiting submissions in one request, so rows appear after a short delay. Recommended for busy forms (append mode only).
+          </span>
+        </span>
+      </label>
+
+      <div className="pt-4 border-t border-slate-700/50">
+        <h4 className="text-sm font-semibold text-white mb-3">
+          Column Mapping <span className="text-slate-500 font-normal">(Optional)</span>
+        </h4>
+        <ColumnMappingEditor
+          mappings={config.columnMapping || []}
+          onChange={(columnMapping) => onChange({ columnMapping })}
+          fieldNames={fieldNames}
+        />
+      </div>
+    </div>
+  )
+}
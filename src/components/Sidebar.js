@@ -26,6 +26,15 @@ export default function Sidebar() {
         </svg>
       ),
     },
+    {
+      name: 'Dead Letters',
+      href: '/dead-letters',
+      icon: (
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+        </svg>
+      ),
+    },
     {
       name: 'Settings',
       href: '/settings',
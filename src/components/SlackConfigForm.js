@@ -0,0 +1,143 @@
+'use client'
+
+import { useId } from 'react'
+import TemplateEditor from '@/components/TemplateEditor'
+
+const inputClass = 'w-full px-4 py-3 bg-slate-900 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-purple-500 focus:ring-2 focus:ring-purple-500/20 transition-all'
+const labelClass = 'block text-sm font-medium text-slate-300 mb-2'
+
+/**
+ * Settings form for a Slack destination (see `@/lib/destinations/slack`)
+ *
+ * The message template editor is shown when `templatePreview` is given; its
+ * preview needs a saved connector (`{ connectorId, connectorName, transforms, destinationTransforms }`).
+ */
+export default function SlackConfigForm({ config = {}, onChange, templatePreview }) {
+  const id = useId()
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label htmlFor={`${id}-mode`} className={labelClass}>
+          Send As
+        </label>
+        <select
+          id={`${id}-mode`}
+          value={config.mode || 'webhook'}
+          onChange={(e) => onChange({ mode: e.target.value })}
+          className={inputClass}
+        >
+          <option value="webhook">Incoming webhook</option>
+          <option value="bot">Slack app (bot token)</option>
+        </select>
+      </div>
+
+      {config.mode === 'bot' ? (
+        <>
+          <div>
+            <label htmlFor={`${id}-channel`} className={labelClass}>
+              Channel <span className="text-red-400">*</span>
+            </label>
+            <input
+              type="text"
+              id={`${id}-channel`}
+              value={config.channel || ''}
+              onChange={(e) => onChange({ channel: e.target.value })}
+              placeholder="#leads or C0123456789"
+              className={inputClass}
+            />
+            <p className="text-xs text-slate-500 mt-2">
+              Invite the app to the channel first (<code className="text-purple-400">/invite @your-app</code>).
+            </p>
+          </div>
+          <div>
+            <label htmlFor={`${id}-botToken`} className={labelClass}>
+              Bot Token
+            </label>
+            <input
+              type="password"
+              id={`${id}-botToken`}
+              autoComplete="off"
+              value={config.botToken || ''}
+              onChange={(e) => onChange({ botToken: e.target.value })}
+              placeholder="xoxb-... (leave blank to use SLACK_BOT_TOKEN)"
+              className={inputClass}
+            />
+            <p className="text-xs text-slate-500 mt-2">
+              The app needs the <code className="text-purple-400">chat:write</code> scope. Failed deliveries and replays are posted as replies in each submission&apos;s thread.
+            </p>
+          </div>
+          <div>
+            <label htmlFor={`${id}-signingSecret`} className={labelClass}>
+              Signing Secret
+            </label>
+            <input
+              type="password"
+              id={`${id}-signingSecret`}
+              autoComplete="off"
+              value={config.signingSecret || ''}
+              onChange={(e) => onChange({ signingSecret: e.target.value })}
+              placeholder="Required for triage buttons with your own bot token"
+              className={inputClass}
+            />
+            <p className="text-xs text-slate-500 mt-2">
+              From the app&apos;s Basic Information page. Without a bot token, SLACK_SIGNING_SECRET on the server is used.
+            </p>
+          </div>
+          <label className="flex items-center gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={config.triageActions === true}
+              onChange={(e) => onChange({ triageActions: e.target.checked })}
+              className="rounded border-slate-600 bg-slate-900 text-purple-500 focus:ring-purple-500/20"
+            />
+            <span>
+              <span className="block text-sm font-medium text-white">Triage buttons</span>
+              <span className="block text-xs text-slate-500">
+                Adds &quot;Mark handled&quot;, &quot;Assign to me&quot; and &quot;Mark spam&quot; buttons. Set the app&apos;s Interactivity Request URL to <code className="text-purple-400">/api/slack/interactions</code> on this site.
+              </span>
+            </span>
+          </label>
+        </>
+      ) : (
+        <div>
+          <label htmlFor={`${id}-webhookUrl`} className={labelClass}>
+            Webhook URL <span className="text-red-400">*</span>
+          </label>
+          <input
+            type="url"
+            id={`${id}-webhookUrl`}
+            value={config.webhookUrl || ''}
+            onChange={(e) => onChange({ webhookUrl: e.target.value })}
+            placeholder="Enter your Slack webhook URL"
+            className={inputClass}
+          />
+          <p className="text-xs text-slate-500 mt-2">
+            Get your webhook URL from Slack → Apps → Incoming Webhooks
+          </p>
+          <div className="mt-3 p-3 bg-blue-500/10 border border-blue-500/20 rounded-lg">
+            <p className="text-xs text-blue-400">
+              <strong className="text-blue-300">How to get webhook URL:</strong>
+            </p>
+            <ol className="text-xs text-blue-400/80 mt-2 ml-4 list-decimal space-y-1">
+              <li>Go to <a href="https://api.slack.com/apps" target="_blank" rel="noopener noreferrer" className="underline">api.slack.com/apps</a></li>
+              <li>Create a new app or select existing one</li>
+              <li>Go to &quot;Incoming Webhooks&quot; → Activate</li>
+              <li>Add webhook to workspace → Select channel</li>
+              <li>Copy the webhook URL</li>
+            </ol>
+          </div>
+        </div>
+      )}
+
+      {templatePreview && (
+        <TemplateEditor
+          type="slack"
+          config={config}
+          onChange={onChange}
+          {...templatePreview}
+        />
+      )}
+    </div>
+  )
+}
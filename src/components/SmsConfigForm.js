@@ -0,0 +1,98 @@
+'use client'
+
+import { useId } from 'react'
+
+const inputClass = 'w-full px-4 py-3 bg-slate-900 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-amber-500 focus:ring-2 focus:ring-amber-500/20 transition-all'
+const labelClass = 'block text-sm font-medium text-slate-300 mb-2'
+
+/**
+ * Settings form for an SMS destination (see `@/lib/destinations/sms`)
+ */
+export default function SmsConfigForm({ config = {}, onChange }) {
+  const id = useId()
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label htmlFor={`${id}-recipients`} className={labelClass}>
+          Recipients <span className="text-red-400">*</span>
+        </label>
+        <textarea
+          id={`${id}-recipients`}
+          value={config.recipients || ''}
+          onChange={(e) => onChange({ recipients: e.target.value })}
+          placeholder="+14155552671, +447700900123"
+          rows={2}
+          className={inputClass}
+        />
+        <p className="text-xs text-slate-500 mt-2">
+          Comma-separated phone numbers in E.164 format (e.g. +14155552671)
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor={`${id}-from`} className={labelClass}>
+            From Number
+          </label>
+          <input
+            type="text"
+            id={`${id}-from`}
+            value={config.from || ''}
+            onChange={(e) => onChange({ from: e.target.value })}
+            placeholder="+14155550100"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor={`${id}-messagingServiceSid`} className={labelClass}>
+            Or Messaging Service SID
+          </label>
+          <input
+            type="text"
+            id={`${id}-messagingServiceSid`}
+            value={config.messagingServiceSid || ''}
+            onChange={(e) => onChange({ messagingServiceSid: e.target.value })}
+            placeholder="MGxxxxxxxxxxxxxxxx"
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor={`${id}-template`} className={labelClass}>
+          Message Template <span className="text-slate-500">(Optional)</span>
+        </label>
+        <textarea
+          id={`${id}-template`}
+          value={config.template || ''}
+          onChange={(e) => onChange({ template: e.target.value })}
+          placeholder="Urgent lead: {{fields.name}} ({{fields.phone}})"
+          rows={3}
+          className={inputClass}
+        />
+        <p className="text-xs text-slate-500 mt-2">
+          Use <code className="text-amber-400">{'{{fields.name}}'}</code> placeholders. Leave empty to list all fields.
+        </p>
+      </div>
+
+      <div>
+        <label htmlFor={`${id}-longMessageMode`} className={labelClass}>
+          Long Messages
+        </label>
+        <select
+          id={`${id}-longMessageMode`}
+          value={config.longMessageMode || 'truncate'}
+          onChange={(e) => onChange({ longMessageMode: e.target.value })}
+          className={inputClass}
+        >
+          <option value="truncate">Truncate to a single message</option>
+          <option value="split">Split into numbered messages</option>
+        </select>
+        <p className="text-xs text-slate-500 mt-2">
+          One SMS holds 160 characters, or 70 if the message contains emoji or non-Latin characters.
+        </p>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,45 @@
+'use client'
+
+import { useId } from 'react'
+
+const inputClass = 'w-full px-4 py-3 bg-slate-900 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20 transition-all'
+const labelClass = 'block text-sm font-medium text-slate-300 mb-2'
+
+/**
+ * Settings form for a Microsoft Teams destination (see `@/lib/destinations/teams`)
+ */
+export default function TeamsConfigForm({ config = {}, onChange }) {
+  const id = useId()
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label htmlFor={`${id}-webhookUrl`} className={labelClass}>
+          Webhook URL <span className="text-red-400">*</span>
+        </label>
+        <input
+          type="url"
+          id={`${id}-webhookUrl`}
+          value={config.webhookUrl || ''}
+          onChange={(e) => onChange({ webhookUrl: e.target.value })}
+          placeholder="Enter your Teams webhook URL"
+          className={inputClass}
+        />
+        <p className="text-xs text-slate-500 mt-2">
+          Get your webhook URL from the channel&apos;s Workflows (or Connectors) menu
+        </p>
+        <div className="mt-3 p-3 bg-blue-500/10 border border-blue-500/20 rounded-lg">
+          <p className="text-xs text-blue-400">
+            <strong className="text-blue-300">How to get webhook URL:</strong>
+          </p>
+          <ol className="text-xs text-blue-400/80 mt-2 ml-4 list-decimal space-y-1">
+            <li>In Teams, open the channel&apos;s &quot;...&quot; menu → Workflows</li>
+            <li>Choose &quot;Post to a channel when a webhook request is received&quot;</li>
+            <li>Select the team and channel → Add workflow</li>
+            <li>Copy the webhook URL</li>
+          </ol>
+        </div>
+      </div>
+    </div>
+  )
+}
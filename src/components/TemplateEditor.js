@@ -0,0 +1,203 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import { buildTemplateContext, renderTemplate, renderSlackTemplate } from '@/lib/templates'
+
+// Starting points offered by the "Insert example" buttons
+const exampleTemplates = {
+  autoReply: {
+    subject: 'Thanks for reaching out, {{fields.name}}',
+    htmlTemplate: `<p>Hi {{fields.name}},</p>
+<p>Thanks for contacting {{connector.name}}. We received your message and will reply soon.</p>
+<p>Here is what you sent us:</p>
+<ul>
+  {{#all_fields}}<li><strong>{{label}}:</strong> {{value}}</li>{{/all_fields}}
+</ul>`,
+    textTemplate: `Hi {{fields.name}},
+
+Thanks for contacting {{connector.name}}. We received your message and will reply soon.`,
+  },
+  subject: 'New submission from {{fields.name}}',
+  htmlTemplate: `<h2>New submission: {{connector.name}}</h2>
+<table>
+  {{#all_fields}}
+  <tr>
+    <th align="left">{{label}}</th>
+    <td>{{#files}}<a href="{{url}}">{{filename}}</a> {{/files}}{{^files}}{{value}}{{^value}}(empty){{/value}}{{/files}}</td>
+  </tr>
+  {{/all_fields}}
+</table>`,
+  textTemplate: `New submission: {{connector.name}}
+
+{{#all_fields}}{{label}}: {{value}}
+{{/all_fields}}`,
+  blocksTemplate: `[
+  { "type": "header", "text": { "type": "plain_text", "text": "New submission: {{connector.name}}" } },
+  {{#all_fields}}
+  { "type": "section", "text": { "type": "mrkdwn", "text": "*{{label}}:* {{value}}" } },
+  {{/all_fields}}
+  { "type": "context", "elements": [{ "type": "mrkdwn", "text": "Received {{timestamp}}" }] }
+]`,
+}
+
+const templateFields = {
+  email: [
+    { key: 'subject', label: 'Subject', rows: 1, hint: 'Leave empty for "New Form Submission - connector name"' },
+    { key: 'htmlTemplate', label: 'HTML Body', rows: 8, hint: 'Values are HTML-escaped. Leave empty for the built-in layout.' },
+    { key: 'textTemplate', label: 'Plain-Text Body', rows: 5, hint: 'Leave empty for a "Label: value" list.' },
+  ],
+  autoReply: [
+    { key: 'subject', label: 'Subject', rows: 1, hint: 'Leave empty for "We received your submission"' },
+    { key: 'htmlTemplate', label: 'HTML Body', rows: 6, hint: 'Values are HTML-escaped. Leave empty to send plain text only.' },
+    { key: 'textTemplate', label: 'Plain-Text Body', rows: 4, hint: 'Leave empty for a short thank-you note.' },
+  ],
+  slack: [
+    { key: 'blocksTemplate', label: 'Block Kit JSON', rows: 10, hint: 'A list of blocks or { "text", "blocks" }. Values are escaped for Slack. Leave empty for the built-in layout.' },
+  ],
+}
+
+const textareaClass = 'w-full px-4 py-3 bg-slate-900 border border-slate-700 rounded-xl text-white placeholder-slate-500 font-mono text-xs focus:border-indigo-500 focus:ring-2 focus:ring-indigo-500/20 transition-all'
+
+/**
+ * Renders a template for the preview pane
+ *
+ * @returns {{ output: *, error: string|null }} Rendered output or the template error
+ */
+function renderPreview(type, key, template, context) {
+  if (!template) return { output: null, error: null }
+  try {
+    if (type === 'slack') return { output: renderSlackTemplate(template, context), error: null }
+    return { output: renderTemplate(template, context, key === 'htmlTemplate' ? 'html' : 'text'), error: null }
+  } catch (err) {
+    return { output: null, error: err.message }
+  }
+}
+
+/**
+ * Editor for a destination's message templates with a live preview
+ *
+ * `type` is `email`, `slack` or `autoReply` (the email destination's
+ * submitter confirmation).
+ *
+ * The preview renders the templates in the browser against the latest
+ * submission after the connector's field transforms (see `@/lib/templates`).
+ */
+export default function TemplateEditor({ type, config, onChange, connectorId, connectorName, transforms, destinationTransforms }) {
+  const [sample, setSample] = useState(null)
+
+  // Compare pipelines by content so re-renders with equal steps do not refetch
+  const pipelines = JSON.stringify({ transforms, destinationTransforms })
+
+  useEffect(() => {
+    let cancelled = false
+
+    const loadSample = async () => {
+      try {
+        const response = await fetch(`/api/connectors/${connectorId}/transforms/preview`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(JSON.parse(pipelines)),
+        })
+        const result = await response.json()
+        if (!cancelled) setSample(result.data?.output || {})
+      } catch {
+        if (!cancelled) setSample({})
+      }
+    }
+
+    loadSample()
+    return () => {
+      cancelled = true
+    }
+  }, [connectorId, pipelines])
+
+  const fields = templateFields[type] || []
+  const examples = { ...exampleTemplates, ...exampleTemplates[type] }
+  const context = buildTemplateContext(sample || {}, { id: connectorId, name: connectorName })
+
+  return (
+    <div className="space-y-4">
+      {fields.map(field => (
+        <div key={field.key}>
+          <div className="flex items-center justify-between mb-2">
+            <label htmlFor={`template-${type}-${field.key}`} className="block text-sm font-medium text-slate-300">
+              {field.label} <span className="text-slate-500">(Optional)</span>
+            </label>
+            {!config?.[field.key] && (
+              <button
+                type="button"
+                onClick={() => onChange({ [field.key]: examples[field.key] })}
+                className="text-xs text-indigo-400 hover:text-indigo-300 font-medium"
+              >
+                Insert example
+              </button>
+            )}
+          </div>
+          {field.rows === 1 ? (
+            <input
+              type="text"
+              id={`template-${type}-${field.key}`}
+              value={config?.[field.key] || ''}
+              onChange={(e) => onChange({ [field.key]: e.target.value })}
+              placeholder={examples[field.key]}
+              className={textareaClass}
+            />
+          ) : (
+            <textarea
+              id={`template-${type}-${field.key}`}
+              value={config?.[field.key] || ''}
+              onChange={(e) => onChange({ [field.key]: e.target.value })}
+              rows={field.rows}
+              spellCheck={false}
+              className={textareaClass}
+            />
+          )}
+          <p className="text-xs text-slate-500 mt-2">{field.hint}</p>
+        </div>
+      ))}
+
+      <p className="text-xs text-slate-500">
+        Use <code className="text-indigo-400">{'{{fields.name}}'}</code>, <code className="text-indigo-400">{'{{connector.name}}'}</code> and <code className="text-indigo-400">{'{{timestamp}}'}</code>.
+        Loop over every field with <code className="text-indigo-400">{'{{#all_fields}}{{label}}: {{value}}{{/all_fields}}'}</code>.
+        Show a block only when a field is filled in with <code className="text-indigo-400">{'{{#fields.company}}...{{/fields.company}}'}</code>, or when it is empty with <code className="text-indigo-400">{'{{^fields.company}}...{{/fields.company}}'}</code>.
+      </p>
+
+      <div className="pt-4 border-t border-slate-700/50">
+        <h4 className="text-sm font-semibold text-white mb-3">
+          Preview <span className="text-slate-500 font-normal">({sample === null ? 'loading sample...' : 'latest submission'})</span>
+        </h4>
+        <div className="space-y-3">
+          {fields.map(field => {
+            const { output, error } = renderPreview(type, field.key, config?.[field.key], context)
+            if (!output && !error) return null
+
+            return (
+              <div key={field.key}>
+                <div className="text-xs font-medium text-slate-400 mb-1">{field.label}</div>
+                {error ? (
+                  <div className="p-3 bg-red-500/10 border border-red-500/20 rounded-xl text-xs text-red-400">{error}</div>
+                ) : field.key === 'htmlTemplate' ? (
+                  <iframe
+                    title="Email preview"
+                    sandbox=""
+                    srcDoc={output}
+                    className="w-full h-64 bg-white rounded-xl"
+                  />
+                ) : (
+                  <pre className="bg-slate-900/50 border border-slate-700/50 rounded-xl p-3 overflow-x-auto text-xs text-slate-300 whitespace-pre-wrap">
+                    {typeof output === 'string' ? output : JSON.stringify(output, null, 2)}
+                  </pre>
+                )}
+              </div>
+            )
+          })}
+          {fields.every(field => !config?.[field.key]) && (
+            <p className="text-xs text-slate-500">
+              {type === 'autoReply' ? 'No custom templates. A short thank-you note is sent.' : 'No custom templates. The built-in layout is used.'}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,227 @@
+'use client'
+
+const operations = [
+  { value: 'rename', label: 'Rename' },
+  { value: 'drop', label: 'Drop' },
+  { value: 'reorder', label: 'Reorder' },
+  { value: 'default', label: 'Default value' },
+  { value: 'trim', label: 'Trim' },
+  { value: 'lowercase', label: 'Lowercase' },
+  { value: 'uppercase', label: 'Uppercase' },
+  { value: 'titlecase', label: 'Title Case' },
+  { value: 'split_name', label: 'Split full name' },
+  { value: 'format_date', label: 'Format date' },
+  { value: 'format_number', label: 'Format number' },
+  { value: 'template', label: 'Computed field' },
+]
+
+const inputClass = 'w-full px-3 py-2 bg-slate-900/50 border border-slate-700 rounded-lg text-sm text-white placeholder-slate-500 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-500/20 transition-all'
+
+/**
+ * Editor for an ordered list of field transform steps (see `@/lib/transforms`)
+ */
+export default function TransformEditor({ steps, onChange, emptyMessage = 'No transforms. Fields are sent as submitted.' }) {
+  const updateStep = (index, changes) => {
+    onChange(steps.map((step, i) => (i === index ? { ...step, ...changes } : step)))
+  }
+
+  const changeOperation = (index, op) => {
+    const field = steps[index].field || ''
+    onChange(steps.map((step, i) => (i === index ? { op, field: op === 'reorder' ? undefined : field } : step)))
+  }
+
+  const moveStep = (index, offset) => {
+    const target = index + offset
+    if (target < 0 || target >= steps.length) return
+    const next = [...steps]
+    ;[next[index], next[target]] = [next[target], next[index]]
+    onChange(next)
+  }
+
+  const addStep = () => {
+    onChange([...steps, { op: 'rename', field: '', to: '' }])
+  }
+
+  const removeStep = (index) => {
+    onChange(steps.filter((_, i) => i !== index))
+  }
+
+  const renderOptions = (step, index) => {
+    switch (step.op) {
+      case 'rename':
+        return (
+          <input
+            type="text"
+            value={step.to || ''}
+            onChange={(e) => updateStep(index, { to: e.target.value })}
+            placeholder="New name"
+            className={inputClass}
+          />
+        )
+      case 'default':
+        return (
+          <input
+            type="text"
+            value={step.value || ''}
+            onChange={(e) => updateStep(index, { value: e.target.value })}
+            placeholder="Value when missing or blank"
+            className={inputClass}
+          />
+        )
+      case 'split_name':
+        return (
+          <div className="grid grid-cols-2 gap-2">
+            <input
+              type="text"
+              value={step.first || ''}
+              onChange={(e) => updateStep(index, { first: e.target.value })}
+              placeholder="first_name"
+              className={inputClass}
+            />
+            <input
+              type="text"
+              value={step.last || ''}
+              onChange={(e) => updateStep(index, { last: e.target.value })}
+              placeholder="last_name"
+              className={inputClass}
+            />
+          </div>
+        )
+      case 'format_date':
+        return (
+          <input
+            type="text"
+            value={step.format || ''}
+            onChange={(e) => updateStep(index, { format: e.target.value })}
+            placeholder="DD/MM/YYYY (YYYY, YY, MMM, MM, M, DD, D, HH, mm, ss)"
+            className={`${inputClass} font-mono`}
+          />
+        )
+      case 'format_number':
+        return (
+          <div className="grid grid-cols-3 gap-2">
+            <input
+              type="number"
+              min="0"
+              max="10"
+              value={step.decimals ?? ''}
+              onChange={(e) => updateStep(index, { decimals: e.target.value })}
+              placeholder="Decimals"
+              className={inputClass}
+            />
+            <input
+              type="text"
+              value={step.locale || ''}
+              onChange={(e) => updateStep(index, { locale: e.target.value })}
+              placeholder="en-US"
+              className={inputClass}
+            />
+            <input
+              type="text"
+              value={step.currency || ''}
+              onChange={(e) => updateStep(index, { currency: e.target.value })}
+              placeholder="Currency (USD)"
+              className={inputClass}
+            />
+          </div>
+        )
+      case 'template':
+        return (
+          <input
+            type="text"
+            value={step.template || ''}
+            onChange={(e) => updateStep(index, { template: e.target.value })}
+            placeholder="{{fields.first_name}} {{fields.last_name}}"
+            className={`${inputClass} font-mono`}
+          />
+        )
+      default:
+        return null
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      {steps.length === 0 && (
+        <div className="text-center py-6 border border-dashed border-slate-700 rounded-xl">
+          <p className="text-slate-400 text-sm">{emptyMessage}</p>
+        </div>
+      )}
+
+      {steps.map((step, index) => (
+        <div key={index} className="p-3 bg-slate-900/30 border border-slate-700/50 rounded-xl">
+          <div className="grid grid-cols-1 md:grid-cols-12 gap-2 items-center">
+            <span className="hidden md:block md:col-span-1 text-xs text-slate-500">{index + 1}.</span>
+            <select
+              value={step.op}
+              onChange={(e) => changeOperation(index, e.target.value)}
+              className={`${inputClass} md:col-span-3`}
+            >
+              {operations.map(operation => (
+                <option key={operation.value} value={operation.value}>{operation.label}</option>
+              ))}
+            </select>
+            {step.op === 'reorder' ? (
+              <input
+                type="text"
+                value={Array.isArray(step.fields) ? step.fields.join(', ') : (step.fields || '')}
+                onChange={(e) => updateStep(index, { fields: e.target.value })}
+                placeholder="Fields to put first, comma-separated"
+                className={`${inputClass} md:col-span-7`}
+              />
+            ) : (
+              <>
+                <input
+                  type="text"
+                  value={step.field || ''}
+                  onChange={(e) => updateStep(index, { field: e.target.value })}
+                  placeholder={step.op === 'template' ? 'New field name' : 'Field name (* for all)'}
+                  className={`${inputClass} md:col-span-3`}
+                />
+                <div className="md:col-span-4">{renderOptions(step, index)}</div>
+              </>
+            )}
+            <div className="md:col-span-1 flex items-center justify-end gap-1">
+              <button
+                type="button"
+                onClick={() => moveStep(index, -1)}
+                disabled={index === 0}
+                className="p-1 text-slate-500 hover:text-white disabled:opacity-30 transition-colors"
+                title="Move up"
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                onClick={() => moveStep(index, 1)}
+                disabled={index === steps.length - 1}
+                className="p-1 text-slate-500 hover:text-white disabled:opacity-30 transition-colors"
+                title="Move down"
+              >
+                ↓
+              </button>
+              <button
+                type="button"
+                onClick={() => removeStep(index)}
+                className="p-1 text-slate-500 hover:text-red-400 transition-colors"
+                title="Remove step"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+          </div>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={addStep}
+        className="px-4 py-2 bg-slate-700 hover:bg-slate-600 text-white text-sm font-medium rounded-xl transition-all"
+      >
+        + Add Step
+      </button>
+    </div>
+  )
+}
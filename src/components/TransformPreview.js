@@ -0,0 +1,98 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+
+// Wait for typing to pause before asking the server for a new preview
+const PREVIEW_DELAY_MS = 400
+
+/**
+ * Live preview of a connector's transform pipelines
+ *
+ * Sends the unsaved pipelines to the preview endpoint whenever they change and
+ * shows the sample fields next to the fields a destination would receive. The
+ * sample defaults to the latest submission and can be edited as JSON.
+ */
+export default function TransformPreview({ connectorId, transforms, destinationTransforms }) {
+  const [sampleText, setSampleText] = useState('')
+  const [preview, setPreview] = useState(null)
+  const [error, setError] = useState(null)
+
+  // Compare pipelines by content so re-renders with equal steps do not refetch
+  const pipelines = JSON.stringify({ transforms, destinationTransforms })
+
+  let sampleError = null
+  if (sampleText.trim()) {
+    try {
+      JSON.parse(sampleText)
+    } catch {
+      sampleError = 'Sample must be valid JSON'
+    }
+  }
+
+  useEffect(() => {
+    if (sampleError) return
+    const sample = sampleText.trim() ? JSON.parse(sampleText) : undefined
+
+    const controller = new AbortController()
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(`/api/connectors/${connectorId}/transforms/preview`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ...JSON.parse(pipelines), sample }),
+          signal: controller.signal,
+        })
+        const result = await response.json()
+
+        if (!response.ok || result.error) {
+          setError(result.error || 'Failed to preview transforms')
+          return
+        }
+
+        setError(null)
+        setPreview(result.data)
+        if (sample === undefined) {
+          setSampleText(JSON.stringify(result.data.input, null, 2))
+        }
+      } catch (err) {
+        if (err.name !== 'AbortError') setError(err.message)
+      }
+    }, PREVIEW_DELAY_MS)
+
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [connectorId, pipelines, sampleText, sampleError])
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h4 className="text-sm font-semibold text-white">Sample Submission</h4>
+          {preview?.sampleSubmissionId && (
+            <span className="text-xs text-slate-500">Latest submission</span>
+          )}
+        </div>
+        <textarea
+          value={sampleText}
+          onChange={(e) => setSampleText(e.target.value)}
+          rows={12}
+          spellCheck={false}
+          placeholder={'{\n  "name": "Jane Doe",\n  "email": "jane@example.com"\n}'}
+          className="w-full px-3 py-2 bg-slate-900/50 border border-slate-700 rounded-xl text-xs text-slate-300 font-mono placeholder-slate-600 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-500/20 transition-all"
+        />
+      </div>
+      <div>
+        <h4 className="text-sm font-semibold text-white mb-2">Sent to Destination</h4>
+        {sampleError || error ? (
+          <div className="p-3 bg-red-500/10 border border-red-500/20 rounded-xl text-xs text-red-400">{sampleError || error}</div>
+        ) : (
+          <pre className="bg-slate-900/50 border border-slate-700/50 rounded-xl p-3 overflow-x-auto text-xs text-emerald-300 min-h-[12rem]">
+            {preview ? JSON.stringify(preview.output, null, 2) : 'Loading preview...'}
+          </pre>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,100 @@
+'use client'
+
+import { useId } from 'react'
+
+const inputClass = 'w-full px-4 py-3 bg-slate-900 border border-slate-700 rounded-xl text-white placeholder-slate-500 focus:border-cyan-500 focus:ring-2 focus:ring-cyan-500/20 transition-all'
+const labelClass = 'block text-sm font-medium text-slate-300 mb-2'
+
+/**
+ * Settings form for a webhook destination (see `@/lib/destinations/webhook`)
+ */
+export default function WebhookConfigForm({ config = {}, onChange }) {
+  const id = useId()
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label htmlFor={`${id}-url`} className={labelClass}>
+          Endpoint URL <span className="text-red-400">*</span>
+        </label>
+        <input
+          type="url"
+          id={`${id}-url`}
+          value={config.url || ''}
+          onChange={(e) => onChange({ url: e.target.value })}
+          placeholder="https://example.com/hooks/forms"
+          className={inputClass}
+        />
+        <p className="text-xs text-slate-500 mt-2">
+          Must be a public address. Local, private and link-local hosts are rejected, and redirects are not followed.
+        </p>
+      </div>
+
+      <div>
+        <label htmlFor={`${id}-method`} className={labelClass}>
+          Method
+        </label>
+        <select
+          id={`${id}-method`}
+          value={config.method || 'POST'}
+          onChange={(e) => onChange({ method: e.target.value })}
+          className={inputClass}
+        >
+          <option value="POST">POST</option>
+          <option value="PUT">PUT</option>
+          <option value="PATCH">PATCH</option>
+        </select>
+      </div>
+
+      <div>
+        <label htmlFor={`${id}-headers`} className={labelClass}>
+          Custom Headers <span className="text-slate-500">(Optional, JSON)</span>
+        </label>
+        <textarea
+          id={`${id}-headers`}
+          value={config.headers || ''}
+          onChange={(e) => onChange({ headers: e.target.value })}
+          placeholder='{ "X-Api-Key": "..." }'
+          rows={3}
+          className={`${inputClass} font-mono text-sm`}
+        />
+      </div>
+
+      <div>
+        <label htmlFor={`${id}-bodyTemplate`} className={labelClass}>
+          Body Template <span className="text-slate-500">(Optional, JSON)</span>
+        </label>
+        <textarea
+          id={`${id}-bodyTemplate`}
+          value={config.bodyTemplate || ''}
+          onChange={(e) => onChange({ bodyTemplate: e.target.value })}
+          placeholder='{ "email": "{{fields.email}}", "source": "{{connector.name}}" }'
+          rows={4}
+          className={`${inputClass} font-mono text-sm`}
+        />
+        <p className="text-xs text-slate-500 mt-2">
+          Use <code className="text-cyan-400">{'{{fields.name}}'}</code>, <code className="text-cyan-400">{'{{connector.name}}'}</code> and <code className="text-cyan-400">{'{{timestamp}}'}</code> placeholders. Leave empty to send all fields.
+        </p>
+      </div>
+
+      <div>
+        <label htmlFor={`${id}-secret`} className={labelClass}>
+          Signing Secret
+        </label>
+        <input
+          type="text"
+          id={`${id}-secret`}
+          value={config.secret || ''}
+          onChange={(e) => onChange({ secret: e.target.value })}
+          placeholder="Generated when the connector is saved"
+          autoComplete="off"
+          spellCheck={false}
+          className={`${inputClass} font-mono text-sm`}
+        />
+        <p className="text-xs text-slate-500 mt-2">
+          Requests are signed with HMAC-SHA256 in the <code className="text-cyan-400">X-FormConnector-Signature</code> header. Copy the secret to your endpoint to verify them.
+        </p>
+      </div>
+    </div>
+  )
+}
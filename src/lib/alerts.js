@@ -0,0 +1,177 @@
+import { clerkClient } from '@clerk/nextjs/server';
+import { supabaseAdmin } from './supabase';
+import { getEmailTransport, getMissingTransportEnv } from './mail';
+
+/**
+ * Failure alert emails
+ *
+ * Connector owners are emailed when a delivery lands in the dead-letter store,
+ * unless they turned off "Email Notifications" on the Settings page. Alerts
+ * for the same connector and destination are sent at most once per
+ * ALERT_COOLDOWN_MS so an outage does not flood the inbox.
+ *
+ * **Environment Variables:**
+ * - ALERT_FROM_EMAIL: Verified sender address for alerts (alerts are skipped without it)
+ * - EMAIL_TRANSPORT: Transport used for alerts (see `mail/index.js`); alerts are
+ *   skipped while its variables (e.g. SENDGRID_API_KEY) are missing
+ * - NEXT_PUBLIC_BASE_URL: Used to link to the Dead Letters dashboard
+ */
+
+// Minimum time between alerts for the same connector and destination
+const ALERT_COOLDOWN_MS = 60 * 60 * 1000;
+
+/**
+ * Default notification settings for users without a `user_settings` row
+ */
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  email_notifications: true,
+  notification_email: null
+};
+
+/**
+ * Loads a user's notification settings
+ *
+ * @param {string} userId - Clerk user ID
+ * @returns {Promise<{ email_notifications: boolean, notification_email: string|null }>} Settings
+ */
+export async function getNotificationSettings(userId) {
+  const { data, error } = await supabaseAdmin
+    .from('user_settings')
+    .select('email_notifications, notification_email')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`❌ Failed to load settings for user ${userId}:`, error.message);
+  }
+
+  return { ...DEFAULT_NOTIFICATION_SETTINGS, ...(data || {}) };
+}
+
+/**
+ * Validates and normalizes notification settings before they are saved
+ *
+ * @param {*} settings - Settings submitted from the Settings page
+ * @returns {{ email_notifications: boolean, notification_email: string|null }} Normalized settings
+ * @throws {Error} If a setting is invalid
+ */
+export function normalizeNotificationSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('Settings must be an object');
+  }
+
+  const email = String(settings.notification_email || '').trim();
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    throw new Error('Alert email must be a valid email address');
+  }
+
+  return {
+    email_notifications: settings.email_notifications !== false,
+    notification_email: email || null
+  };
+}
+
+/**
+ * Gets the primary email address of a Clerk user
+ *
+ * @param {string} userId - Clerk user ID
+ * @returns {Promise<string|null>} Email address, or null if unavailable
+ * @private
+ */
+async function getUserEmail(userId) {
+  try {
+    const client = await clerkClient();
+    const user = await client.users.getUser(userId);
+    return user.primaryEmailAddress?.emailAddress || null;
+  } catch (error) {
+    console.error(`❌ Failed to look up email for user ${userId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Checks whether an alert was sent recently for the same connector and destination
+ *
+ * @param {Object} entry - Dead-letter entry
+ * @returns {Promise<boolean>} True if the cooldown is still running
+ * @private
+ */
+async function isAlertCoolingDown(entry) {
+  const { data } = await supabaseAdmin
+    .from('dead_letters')
+    .select('id')
+    .eq('connector_id', entry.connector_id)
+    .eq('destination_type', entry.destination_type)
+    .gte('alerted_at', new Date(Date.now() - ALERT_COOLDOWN_MS).toISOString())
+    .limit(1);
+
+  return (data || []).length > 0;
+}
+
+/**
+ * Emails the connector owner about a dead-lettered delivery
+ *
+ * @param {Object} entry - Dead-letter entry
+ * @returns {Promise<boolean>} True if an alert was sent
+ * @throws {Error} If the email transport rejects the email
+ *
+ * @example
+ * await sendFailureAlert(entry);
+ */
+export async function sendFailureAlert(entry) {
+  const transport = getEmailTransport();
+  const missingVars = [...getMissingTransportEnv(transport), ...(process.env.ALERT_FROM_EMAIL ? [] : ['ALERT_FROM_EMAIL'])];
+  if (missingVars.length > 0) {
+    console.log(`⏭️  Failure alerts not configured (${missingVars.join(' / ')}), skipping`);
+    return false;
+  }
+
+  const { data: connector } = await supabaseAdmin
+    .from('connectors')
+    .select('id, name, user_id')
+    .eq('id', entry.connector_id)
+    .single();
+
+  if (!connector?.user_id) {
+    return false;
+  }
+
+  const settings = await getNotificationSettings(connector.user_id);
+  if (!settings.email_notifications) {
+    console.log(`⏭️  Email notifications disabled for user ${connector.user_id}`);
+    return false;
+  }
+
+  if (await isAlertCoolingDown(entry)) {
+    console.log(`⏭️  Alert for ${connector.name} / ${entry.destination_type} sent recently, skipping`);
+    return false;
+  }
+
+  const recipient = settings.notification_email || await getUserEmail(connector.user_id);
+  if (!recipient) {
+    return false;
+  }
+
+  const dashboardUrl = `${process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000'}/dead-letters`;
+
+  await transport.send({
+    to: recipient,
+    from: { email: process.env.ALERT_FROM_EMAIL, name: 'Form Connector' },
+    subject: `Delivery failed: ${connector.name} → ${entry.destination_type}`,
+    text:
+      `A submission to "${connector.name}" could not be delivered to ${entry.destination_type} ` +
+      `after ${entry.attempts} attempt(s).\n\n` +
+      `Error: ${entry.error}\n\n` +
+      `Review, fix the destination settings and redeliver: ${dashboardUrl}\n\n` +
+      `Further failures for this destination within the next hour will not be emailed.\n` +
+      `You can turn these alerts off under Settings → Email Notifications.`
+  });
+
+  await supabaseAdmin
+    .from('dead_letters')
+    .update({ alerted_at: new Date().toISOString() })
+    .eq('id', entry.id);
+
+  console.log(`📨 Failure alert sent to ${recipient} for dead letter ${entry.id}`);
+  return true;
+}
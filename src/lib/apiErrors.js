@@ -78,6 +78,34 @@ export function createValidationError(message, field = null) {
   return NextResponse.json(response, { status: 400 });
 }
 
+/**
+ * Creates a field-level validation error response (400 Bad Request)
+ * 
+ * Used when a submission fails a connector's field schema. Lists every
+ * failing field so forms can highlight all problems at once.
+ * 
+ * @param {Array<{ field: string, message: string }>} fieldErrors - Errors per field
+ * @returns {NextResponse} Next.js response with 400 status
+ * 
+ * @example
+ * return createFieldValidationError([{ field: 'email', message: 'email is required' }]);
+ * // Returns: { data: null, error: '1 field failed validation', code: 'VALIDATION_ERROR', fields: [...], timestamp: '...' }
+ */
+export function createFieldValidationError(fieldErrors) {
+  const count = fieldErrors.length;
+
+  return NextResponse.json(
+    {
+      data: null,
+      error: `${count} field${count === 1 ? '' : 's'} failed validation`,
+      code: 'VALIDATION_ERROR',
+      fields: fieldErrors,
+      timestamp: new Date().toISOString()
+    },
+    { status: 400 }
+  );
+}
+
 /**
  * Creates a rate limit error response (429 Too Many Requests)
  * 
@@ -107,6 +135,23 @@ export function createRateLimitError(resetTime, remaining = 0) {
   );
 }
 
+/**
+ * Creates a payload too large error response (413 Content Too Large)
+ * 
+ * Used when a request body is larger than the endpoint accepts.
+ * Includes the limit so clients can shrink or split their uploads.
+ * 
+ * @param {{ message: string, maxBytes: number }} error - Size error (see `PayloadTooLargeError` in `@/lib/requestBody`)
+ * @returns {NextResponse} Next.js response with 413 status
+ * 
+ * @example
+ * return createPayloadTooLargeError(new PayloadTooLargeError(262144));
+ * // Returns: { data: null, error: 'Request body exceeds maximum size of 0.25MB', code: 'PAYLOAD_TOO_LARGE', maxBytes: 262144, timestamp: '...' }
+ */
+export function createPayloadTooLargeError(error) {
+  return createErrorResponse(error.message, 'PAYLOAD_TOO_LARGE', 413, { maxBytes: error.maxBytes });
+}
+
 /**
  * Creates a not found error response (404 Not Found)
  * 
@@ -155,3 +200,29 @@ export function createUnauthorizedError(message = 'Unauthorized') {
   );
 }
 
+
+/**
+ * Creates an origin not allowed error response (403 Forbidden)
+ * 
+ * Used when a browser request comes from an origin that is not in the
+ * connector's allowed origins list.
+ * 
+ * @param {string} origin - Origin that was rejected
+ * @returns {NextResponse} Next.js response with 403 status
+ * 
+ * @example
+ * return createOriginNotAllowedError('https://evil.example');
+ * // Returns: { data: null, error: 'Origin https://evil.example is not allowed...', code: 'ORIGIN_NOT_ALLOWED', origin: '...', timestamp: '...' }
+ */
+export function createOriginNotAllowedError(origin) {
+  return NextResponse.json(
+    {
+      data: null,
+      error: `Origin ${origin} is not allowed to submit to this connector`,
+      code: 'ORIGIN_NOT_ALLOWED',
+      origin,
+      timestamp: new Date().toISOString()
+    },
+    { status: 403 }
+  );
+}
@@ -0,0 +1,333 @@
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+import { getStorageDriver } from './storage';
+
+/**
+ * File attachment module for form submissions
+ *
+ * This module validates uploaded files against per-connector limits, stores
+ * them through the configured storage driver and produces the file references
+ * that are saved in a submission's `form_data`.
+ *
+ * **File Reference Structure** (stored in `form_data` in place of the file):
+ * ```javascript
+ * {
+ *   kind: 'file',
+ *   filename: 'resume.pdf',
+ *   contentType: 'application/pdf',
+ *   size: 48213,                       // bytes
+ *   driver: 'local',                   // storage driver that holds the file
+ *   key: '<connectorId>/<uuid>/resume.pdf',
+ *   url: 'https://app.example.com/api/attachments/<key>?driver=local&expires=...&sig=...'
+ * }
+ * ```
+ *
+ * Download links are signed together with their expiry time, so anyone with
+ * the link (a Slack or Sheets recipient) can download the file until it
+ * expires. After that the connector's owner can still download it while
+ * signed in (see `/api/attachments/[...key]`).
+ *
+ * **Environment Variables:**
+ * - ATTACHMENT_SIGNING_SECRET: Secret used to sign download links (required for uploads)
+ * - ATTACHMENT_LINK_TTL_DAYS: Days a download link works without signing in (default 7)
+ * - ATTACHMENT_STORAGE_DRIVER: `local` or `s3` (see `src/lib/storage`)
+ * - NEXT_PUBLIC_BASE_URL: Base URL used to build download links
+ */
+
+/**
+ * Default per-connector attachment settings
+ *
+ * Uploads are disabled until enabled on the connector. An empty
+ * `allowedMimeTypes` list accepts any type.
+ */
+export const DEFAULT_ATTACHMENT_SETTINGS = {
+  enabled: false,
+  maxFileSizeMb: 10,
+  maxFiles: 5,
+  allowedMimeTypes: []
+};
+
+// Days a download link works without signing in, unless ATTACHMENT_LINK_TTL_DAYS is set
+const DEFAULT_ATTACHMENT_LINK_TTL_DAYS = 7;
+
+// Shape of a storage key written by `storeAttachments`: `<connectorId>/<uuid>/<filename>`
+// with a filename as produced by `sanitizeFilename`
+const UUID_PATTERN = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}';
+const ATTACHMENT_KEY_PATTERN = new RegExp(`^(${UUID_PATTERN})/${UUID_PATTERN}/([\\w\\- ][\\w.\\- ]{0,199})$`, 'i');
+
+// Upper bounds for per-connector file upload settings
+export const MAX_ATTACHMENT_FILE_SIZE_MB = 25;
+export const MAX_ATTACHMENT_FILES = 20;
+
+/**
+ * Merges a connector's attachment settings with the defaults
+ *
+ * @param {Object|null|undefined} settings - Connector `attachment_settings` column
+ * @returns {Object} Complete attachment settings
+ */
+export function resolveAttachmentSettings(settings) {
+  const merged = { ...DEFAULT_ATTACHMENT_SETTINGS, ...(settings || {}) };
+
+  let allowedMimeTypes = merged.allowedMimeTypes;
+  if (typeof allowedMimeTypes === 'string') {
+    allowedMimeTypes = allowedMimeTypes.split(',');
+  }
+
+  return {
+    enabled: merged.enabled === true,
+    maxFileSizeMb: Number(merged.maxFileSizeMb) || DEFAULT_ATTACHMENT_SETTINGS.maxFileSizeMb,
+    maxFiles: parseInt(merged.maxFiles, 10) || DEFAULT_ATTACHMENT_SETTINGS.maxFiles,
+    allowedMimeTypes: (allowedMimeTypes || [])
+      .map(type => String(type).trim().toLowerCase())
+      .filter(Boolean)
+  };
+}
+
+/**
+ * Checks whether a MIME type matches an allowlist entry (supports "image/*")
+ *
+ * @param {string} mimeType - MIME type of the uploaded file
+ * @param {string} pattern - Allowlist entry
+ * @returns {boolean} True if the type is allowed by the entry
+ * @private
+ */
+function mimeTypeMatches(mimeType, pattern) {
+  if (pattern.endsWith('/*')) {
+    return mimeType.startsWith(pattern.slice(0, -1));
+  }
+  return mimeType === pattern;
+}
+
+/**
+ * Validates uploaded files against a connector's attachment settings
+ *
+ * @param {Array<{ field: string, file: File }>} files - Uploaded files
+ * @param {Object} settings - Resolved attachment settings
+ * @returns {boolean} Returns true if all files are acceptable
+ * @throws {Error} Descriptive error naming the offending field
+ *
+ * @example
+ * validateAttachments(files, resolveAttachmentSettings(connector.attachment_settings));
+ */
+export function validateAttachments(files, settings) {
+  if (files.length === 0) {
+    return true;
+  }
+
+  if (!settings.enabled) {
+    throw new Error('File uploads are not enabled for this connector');
+  }
+
+  if (files.length > settings.maxFiles) {
+    throw new Error(`Too many files: ${files.length} > ${settings.maxFiles}`);
+  }
+
+  const maxBytes = settings.maxFileSizeMb * 1024 * 1024;
+
+  for (const { field, file } of files) {
+    if (file.size > maxBytes) {
+      throw new Error(
+        `File "${file.name}" in field "${field}" exceeds maximum size: ` +
+        `${(file.size / 1024 / 1024).toFixed(2)}MB > ${settings.maxFileSizeMb}MB`
+      );
+    }
+
+    const mimeType = (file.type || 'application/octet-stream').toLowerCase();
+    if (
+      settings.allowedMimeTypes.length > 0 &&
+      !settings.allowedMimeTypes.some(pattern => mimeTypeMatches(mimeType, pattern))
+    ) {
+      throw new Error(`File type "${mimeType}" is not allowed for field "${field}"`);
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Signs a storage key and expiry time for use in a download link
+ *
+ * @param {string} key - Storage key
+ * @param {number|string} expires - Expiry time (Unix seconds)
+ * @returns {string} Hex HMAC-SHA256 signature
+ * @throws {Error} If ATTACHMENT_SIGNING_SECRET is not set
+ */
+export function signAttachmentKey(key, expires) {
+  const secret = process.env.ATTACHMENT_SIGNING_SECRET;
+
+  if (!secret) {
+    throw new Error('ATTACHMENT_SIGNING_SECRET environment variable is not set');
+  }
+
+  return createHmac('sha256', secret).update(`${key}\n${expires}`).digest('hex');
+}
+
+/**
+ * Verifies a download link signature
+ *
+ * @param {string} key - Storage key
+ * @param {string|null} expires - Expiry time from the `expires` query parameter (Unix seconds)
+ * @param {string|null} signature - Signature from the `sig` query parameter
+ * @returns {boolean} True if the signature is valid and the link has not expired
+ */
+export function verifyAttachmentSignature(key, expires, signature) {
+  if (!signature || !/^\d+$/.test(expires || '')) return false;
+  if (Number(expires) * 1000 < Date.now()) return false;
+
+  const expected = Buffer.from(signAttachmentKey(key, expires));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Checks that a storage key has the exact shape `storeAttachments` writes
+ *
+ * Keys come from download URLs, so anything else (`..` or `.` segments, empty
+ * segments, extra path levels) is rejected before the key is used to check a
+ * signature or ownership, or to read a file.
+ *
+ * @param {string} key - Storage key
+ * @returns {boolean} True for a `<connectorId>/<uuid>/<sanitized filename>` key
+ */
+export function isValidAttachmentKey(key) {
+  return typeof key === 'string' && ATTACHMENT_KEY_PATTERN.test(key);
+}
+
+/**
+ * Gets the connector a stored attachment belongs to
+ *
+ * @param {string} key - Storage key (`<connectorId>/<uuid>/<filename>`)
+ * @returns {string|null} Connector ID, or null if the key is not a valid attachment key
+ */
+export function getAttachmentConnectorId(key) {
+  if (!isValidAttachmentKey(key)) return null;
+  return key.match(ATTACHMENT_KEY_PATTERN)[1];
+}
+
+/**
+ * Builds the signed download URL for a storage key
+ *
+ * @param {string} key - Storage key
+ * @param {string} driverName - Storage driver holding the file
+ * @returns {string} Absolute download URL, valid for ATTACHMENT_LINK_TTL_DAYS
+ * @private
+ */
+function buildAttachmentUrl(key, driverName) {
+  const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000';
+  const ttlDays = Number(process.env.ATTACHMENT_LINK_TTL_DAYS) || DEFAULT_ATTACHMENT_LINK_TTL_DAYS;
+  const expires = Math.floor(Date.now() / 1000 + ttlDays * 24 * 60 * 60);
+  const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+  return `${baseUrl}/api/attachments/${encodedKey}?driver=${driverName}&expires=${expires}&sig=${signAttachmentKey(key, expires)}`;
+}
+
+/**
+ * Reduces a user-supplied filename to a safe storage key segment
+ *
+ * @param {string} filename - Original filename
+ * @returns {string} Sanitized filename
+ * @private
+ */
+function sanitizeFilename(filename) {
+  const cleaned = String(filename || 'file')
+    .replace(/[/\\]/g, '_')
+    .replace(/[^\w.\- ]/g, '_')
+    .replace(/^\.+/, '')
+    .slice(0, 200);
+  return cleaned || 'file';
+}
+
+/**
+ * Stores uploaded files and returns file references keyed by field name
+ *
+ * Fields with a single file map to one reference; fields with several files
+ * (e.g. `<input type="file" multiple>`) map to an array of references.
+ *
+ * @param {string} connectorId - Connector the files belong to
+ * @param {Array<{ field: string, file: File, multiple?: boolean }>} files - Uploaded files
+ * @returns {Promise<Object>} Map of field name to file reference(s)
+ * @throws {Error} If the storage driver fails
+ */
+export async function storeAttachments(connectorId, files) {
+  const driver = getStorageDriver();
+  const references = {};
+
+  for (const { field, file, multiple } of files) {
+    const filename = sanitizeFilename(file.name);
+    const key = `${connectorId}/${randomUUID()}/${filename}`;
+    const contentType = file.type || 'application/octet-stream';
+
+    await driver.put({
+      key,
+      body: Buffer.from(await file.arrayBuffer()),
+      contentType
+    });
+
+    const reference = {
+      kind: 'file',
+      filename: file.name || filename,
+      contentType,
+      size: file.size,
+      driver: driver.name,
+      key,
+      url: buildAttachmentUrl(key, driver.name)
+    };
+
+    console.log(`📎 Stored attachment "${reference.filename}" (${file.size} bytes) via ${driver.name}`);
+
+    if (Object.prototype.hasOwnProperty.call(references, field)) {
+      const existing = references[field];
+      references[field] = Array.isArray(existing) ? [...existing, reference] : [existing, reference];
+    } else {
+      references[field] = multiple ? [reference] : reference;
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Checks whether a form value is a stored file reference
+ *
+ * @param {*} value - Form value
+ * @returns {boolean} True for file references
+ */
+export function isFileReference(value) {
+  return Boolean(value) && typeof value === 'object' && value.kind === 'file' && Boolean(value.key);
+}
+
+/**
+ * Collects every file reference in a submission's form data
+ *
+ * @param {Object} formData - Submission form data
+ * @returns {Object[]} File references in field order
+ */
+export function collectFileReferences(formData) {
+  return Object.values(formData || {})
+    .flatMap(value => (Array.isArray(value) ? value : [value]))
+    .filter(isFileReference);
+}
+
+/**
+ * Formats a form value as plain text
+ *
+ * Arrays are joined with commas and file references render as
+ * "filename (download URL)".
+ *
+ * @param {*} value - Form value
+ * @returns {string} Plain text representation
+ */
+export function formatFieldValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(formatFieldValue).join(', ');
+  if (isFileReference(value)) return `${value.filename} (${value.url})`;
+  return String(value);
+}
+
+/**
+ * Reads a stored attachment back from its storage driver
+ *
+ * @param {Object} reference - File reference
+ * @returns {Promise<{ body: Buffer, contentType: string }>} File contents and MIME type
+ */
+export async function loadAttachment(reference) {
+  return getStorageDriver(reference.driver).get(reference.key);
+}
@@ -0,0 +1,230 @@
+import { supabaseAdmin } from './supabase';
+import { buildTemplateContext, parseTemplate, renderTemplate } from './templates';
+import { getEmailTransport } from './mail';
+import { isValidEmailAddress } from './emailRecipients';
+
+/**
+ * Submitter auto-reply (confirmation receipt) for the email destination
+ *
+ * After the owner notification is sent, the email destination can send the
+ * person who submitted the form a confirmation. The recipient comes from a
+ * form field, so the address is attacker-controlled: it is strictly validated,
+ * each address receives at most AUTO_REPLY_LIMIT replies per
+ * AUTO_REPLY_WINDOW_MS, and replies never carry attachments.
+ *
+ * Sent replies are recorded in the `auto_replies` table (see
+ * `supabase-auto-reply-migration.sql`), so the limit holds across server
+ * instances and restarts, and a submission that is replayed or redelivered
+ * does not send its submitter a second receipt.
+ *
+ * **Settings Structure** (`config.autoReply` of an email destination):
+ * ```javascript
+ * {
+ *   enabled: true,
+ *   emailField: 'email',                      // Form field holding the submitter's address
+ *   replyTo: 'support@example.com',           // Optional Reply-To address
+ *   subject: 'Thanks, {{fields.name}}!',      // Template (optional)
+ *   htmlTemplate: '<p>We got your message.</p>', // Template (optional)
+ *   textTemplate: 'We got your message.'      // Template (optional)
+ * }
+ * ```
+ *
+ * Auto-reply problems never fail the delivery: the owner email has already
+ * been sent, so the outcome is reported in the destination result instead.
+ */
+
+// Replies allowed per recipient address within the window
+export const AUTO_REPLY_LIMIT = 3;
+export const AUTO_REPLY_WINDOW_MS = 60 * 60 * 1000;
+
+const DEFAULT_SUBJECT = 'We received your submission';
+const DEFAULT_TEXT = 'Thank you for contacting {{connector.name}}. We received your submission and will get back to you soon.';
+
+/**
+ * Gets the submitter's address from the form data
+ *
+ * @param {Object} formData - Submission fields
+ * @param {string} field - Field name
+ * @returns {string|null} Lowercased address, or null if missing or invalid
+ */
+export function getAutoReplyRecipient(formData, field) {
+  const value = formData?.[field || 'email'];
+  if (typeof value !== 'string') return null;
+
+  const address = value.trim().toLowerCase();
+  return isValidEmailAddress(address) ? address : null;
+}
+
+/**
+ * Reserves an auto-reply before it is sent
+ *
+ * Uses the `claim_auto_reply` RPC, which checks the submission's earlier
+ * replies and the address's limit and records the reply in one transaction.
+ *
+ * @param {string|null} submissionId - Submission being delivered
+ * @param {string} recipient - Submitter's address
+ * @returns {Promise<'claimed'|'duplicate'|'limited'>} Claim outcome
+ * @throws {Error} If the RPC fails
+ * @private
+ */
+async function claimAutoReply(submissionId, recipient) {
+  const { data, error } = await supabaseAdmin.rpc('claim_auto_reply', {
+    p_submission_id: submissionId,
+    p_recipient: recipient,
+    p_limit: AUTO_REPLY_LIMIT,
+    p_window_seconds: AUTO_REPLY_WINDOW_MS / 1000
+  });
+
+  if (error) {
+    throw new Error(`Failed to check auto-reply limit: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Gives back a submission's claimed auto-reply that could not be sent, so a replay can try again
+ *
+ * Replies sent outside a stored submission keep their claim and count toward
+ * the address's limit.
+ *
+ * @param {string|null} submissionId - Submission being delivered
+ * @returns {Promise<void>} Resolves when released (errors are logged)
+ * @private
+ */
+async function releaseAutoReply(submissionId) {
+  if (!submissionId) {
+    return;
+  }
+
+  const { error } = await supabaseAdmin
+    .from('auto_replies')
+    .delete()
+    .eq('submission_id', submissionId);
+
+  if (error) {
+    console.error(`❌ Failed to release auto-reply claim for submission ${submissionId}:`, error.message);
+  }
+}
+
+/**
+ * Sends the auto-reply for a submission
+ *
+ * @param {Object} settings - Auto-reply settings
+ * @param {Object} formData - Submission fields (after transforms)
+ * @param {Object} connector - Connector metadata
+ * @param {{ email: string, name: string }} from - Sender used for the owner email
+ * @param {Object} [options] - Delivery options
+ * @param {string} [options.transport] - Transport used for the owner email (defaults to EMAIL_TRANSPORT)
+ * @param {string} [options.submissionId] - Submission being delivered; a submission gets at most one reply
+ * @returns {Promise<{ status: 'sent'|'skipped'|'failed', recipient?: string, reason?: string }>} Outcome
+ */
+export async function sendAutoReply(settings, formData, connector, from, { transport, submissionId = null } = {}) {
+  const recipient = getAutoReplyRecipient(formData, settings.emailField);
+  if (!recipient) {
+    console.log(`⏭️  Auto-reply skipped: no valid address in "${settings.emailField || 'email'}"`);
+    return { status: 'skipped', reason: `No valid email address in "${settings.emailField || 'email'}"` };
+  }
+
+  let claim;
+  try {
+    claim = await claimAutoReply(submissionId, recipient);
+  } catch (error) {
+    // The address is attacker-controlled: without a working limit, do not send
+    console.error(`❌ Auto-reply to ${recipient} skipped:`, error.message);
+    return { status: 'skipped', recipient, reason: error.message };
+  }
+
+  if (claim === 'duplicate') {
+    console.log(`⏭️  Auto-reply for submission ${submissionId} already sent`);
+    return { status: 'skipped', recipient, reason: 'An auto-reply was already sent for this submission' };
+  }
+  if (claim !== 'claimed') {
+    console.log(`⏭️  Auto-reply to ${recipient} rate limited`);
+    return { status: 'skipped', recipient, reason: 'Too many auto-replies to this address' };
+  }
+
+  try {
+    const context = buildTemplateContext(formData, connector);
+    const msg = {
+      to: recipient,
+      from,
+      // Subjects are single-line headers
+      subject: renderTemplate(settings.subject || DEFAULT_SUBJECT, context, 'text').replace(/[\r\n]+/g, ' ').trim(),
+      text: renderTemplate(settings.textTemplate || DEFAULT_TEXT, context, 'text')
+    };
+    if (settings.htmlTemplate) {
+      msg.html = renderTemplate(settings.htmlTemplate, context, 'html');
+    }
+    if (settings.replyTo) {
+      msg.replyTo = settings.replyTo;
+    }
+
+    await getEmailTransport(transport).send(msg);
+    console.log(`📨 Auto-reply sent to ${recipient}`);
+    return { status: 'sent', recipient };
+  } catch (error) {
+    console.error(`❌ Auto-reply to ${recipient} failed:`, error.message);
+    await releaseAutoReply(submissionId);
+    return { status: 'failed', recipient, reason: error.message };
+  }
+}
+
+/**
+ * Validates and normalizes auto-reply settings before they are saved
+ *
+ * @param {*} settings - Settings submitted from the edit page
+ * @returns {Object} Normalized settings
+ * @throws {Error} If a setting or template is invalid
+ */
+export function normalizeAutoReplySettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('autoReply must be an object');
+  }
+
+  const emailField = String(settings.emailField || 'email').trim();
+  if (!emailField || emailField.length > 255) {
+    throw new Error('Auto-reply email field must be 1-255 characters');
+  }
+
+  const replyTo = String(settings.replyTo || '').trim();
+  if (replyTo && !isValidEmailAddress(replyTo)) {
+    throw new Error('Auto-reply Reply-To must be a valid email address');
+  }
+
+  const normalized = { enabled: settings.enabled === true, emailField };
+  if (replyTo) normalized.replyTo = replyTo;
+
+  for (const key of ['subject', 'htmlTemplate', 'textTemplate']) {
+    if (settings[key]) {
+      try {
+        parseTemplate(settings[key]);
+      } catch (error) {
+        throw new Error(`Auto-reply ${key}: ${error.message}`);
+      }
+      normalized[key] = String(settings[key]);
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Normalizes the auto-reply settings of a connector's email destinations before they are saved
+ *
+ * @param {Array<Object>} destinations - Destinations submitted from the edit page
+ * @returns {Array<Object>} Destinations with normalized `config.autoReply`
+ * @throws {Error} If an auto-reply setting is invalid
+ */
+export function normalizeDestinationAutoReplies(destinations) {
+  return destinations.map(destination => {
+    if (destination?.type !== 'email' || !destination.config?.autoReply) {
+      return destination;
+    }
+
+    return {
+      ...destination,
+      config: { ...destination.config, autoReply: normalizeAutoReplySettings(destination.config.autoReply) }
+    };
+  });
+}
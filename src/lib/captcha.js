@@ -0,0 +1,107 @@
+/**
+ * CAPTCHA verification module
+ *
+ * hCaptcha, reCAPTCHA and Cloudflare Turnstile all verify a client token by
+ * form-posting it with the site's secret key to a "siteverify" endpoint. Each
+ * provider is exposed as a verifier with the same interface:
+ *
+ * ```javascript
+ * verify({ token, secret, remoteIp }) => Promise<{ success: boolean, score?: number, errorCodes: string[] }>
+ * ```
+ *
+ * Verifiers live in a mutable registry so tests can swap a provider for a stub:
+ *
+ * ```javascript
+ * captchaVerifiers.turnstile = { verify: async () => ({ success: true, errorCodes: [] }) };
+ * ```
+ */
+
+/**
+ * Form field each provider's widget adds to the form with the client token
+ *
+ * @type {Object<string, string>}
+ */
+export const CAPTCHA_RESPONSE_FIELDS = {
+  hcaptcha: 'h-captcha-response',
+  recaptcha: 'g-recaptcha-response',
+  turnstile: 'cf-turnstile-response'
+};
+
+// How long a siteverify request may take before the submission is flagged
+const CAPTCHA_VERIFY_TIMEOUT_MS = 5000;
+
+/**
+ * Creates a verifier for a provider's siteverify endpoint
+ *
+ * @param {string} provider - Provider name (used in error messages)
+ * @param {string} verifyUrl - Siteverify endpoint URL
+ * @returns {{ verify: Function }} Verifier
+ * @private
+ */
+function createSiteVerifyVerifier(provider, verifyUrl) {
+  return {
+    /**
+     * Verifies a CAPTCHA token with the provider
+     *
+     * @param {Object} params - Verification parameters
+     * @param {string} params.token - Client token from the form
+     * @param {string} params.secret - Site secret key
+     * @param {string|null} [params.remoteIp] - Visitor IP address
+     * @returns {Promise<{ success: boolean, score?: number, errorCodes: string[] }>} Verification result
+     * @throws {Error} If the provider cannot be reached or does not answer
+     *   within 5 seconds
+     */
+    async verify({ token, secret, remoteIp }) {
+      const body = new URLSearchParams({ secret, response: token });
+      if (remoteIp) {
+        body.set('remoteip', remoteIp);
+      }
+
+      const response = await fetch(verifyUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body,
+        signal: AbortSignal.timeout(CAPTCHA_VERIFY_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        throw new Error(`${provider} verification failed: ${response.status} ${response.statusText}`);
+      }
+
+      const result = await response.json();
+      return {
+        success: result.success === true,
+        score: typeof result.score === 'number' ? result.score : undefined,
+        errorCodes: result['error-codes'] || []
+      };
+    }
+  };
+}
+
+/**
+ * CAPTCHA verifiers registry
+ *
+ * @type {Object<string, { verify: Function }>}
+ */
+export const captchaVerifiers = {
+  hcaptcha: createSiteVerifyVerifier('hCaptcha', 'https://api.hcaptcha.com/siteverify'),
+  recaptcha: createSiteVerifyVerifier('reCAPTCHA', 'https://www.google.com/recaptcha/api/siteverify'),
+  turnstile: createSiteVerifyVerifier('Turnstile', 'https://challenges.cloudflare.com/turnstile/v0/siteverify')
+};
+
+/**
+ * Gets the verifier for a CAPTCHA provider
+ *
+ * @param {string} provider - Provider name (`hcaptcha`, `recaptcha` or `turnstile`)
+ * @returns {{ verify: Function }} Verifier
+ * @throws {Error} If the provider is unknown
+ */
+export function getCaptchaVerifier(provider) {
+  const verifier = captchaVerifiers[provider];
+
+  if (!verifier) {
+    throw new Error(`Unknown CAPTCHA provider: ${provider}`);
+  }
+
+  return verifier;
+}
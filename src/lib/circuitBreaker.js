@@ -0,0 +1,237 @@
+import { randomUUID } from 'crypto';
+import { supabaseAdmin } from './supabase';
+
+/**
+ * Per-destination circuit breaker
+ *
+ * A revoked Slack webhook or unshared spreadsheet fails every delivery. The
+ * breaker stops the queue from hammering such a destination: after
+ * BREAKER_FAILURE_THRESHOLD consecutive failed attempts it opens, and jobs
+ * for that connector destination are parked in the queue (not attempted and
+ * not counted against their retries). After BREAKER_COOLDOWN_MS a single
+ * half-open probe delivery is let through; success closes the breaker,
+ * failure re-opens it for another cooldown.
+ *
+ * **States:**
+ * - `closed`: deliveries run normally
+ * - `open`: deliveries paused until `nextProbeAt`
+ * - `half_open`: one probe delivery in flight
+ *
+ * State is stored per destination in the connector's `circuit_breakers`
+ * column, keyed by the destination's `id` (see `normalizeDestinationIds`), so
+ * two destinations of the same type (e.g. two webhooks) trip separately.
+ * Destinations saved before they had an id are keyed by their type.
+ * ```javascript
+ * {
+ *   '6f1c...': {
+ *     type: 'slack',
+ *     state: 'open',
+ *     failures: 5,
+ *     lastError: 'Slack webhook not found...',
+ *     openedAt: '2024-01-01T00:00:00Z',
+ *     nextProbeAt: '2024-01-01T00:05:00Z'
+ *   }
+ * }
+ * ```
+ *
+ * Updates are merged per destination with the `merge_circuit_breaker` RPC
+ * (see supabase-circuit-breaker-keys-migration.sql). Concurrent workers may
+ * occasionally miscount a failure or send a second probe; the breaker only
+ * needs to be approximately right.
+ */
+
+// Consecutive failed attempts that open the breaker
+export const BREAKER_FAILURE_THRESHOLD = 5;
+
+// Time an open breaker waits before letting a probe through
+export const BREAKER_COOLDOWN_MS = 5 * 60 * 1000;
+
+// A probe that has not reported back after this long is considered lost
+const PROBE_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Longest destination id kept as is; other values are replaced with a new UUID
+const MAX_DESTINATION_ID_LENGTH = 64;
+
+const CLOSED_BREAKER = { state: 'closed', failures: 0 };
+
+/**
+ * Gives every destination a stable `id` before a connector is saved
+ *
+ * Existing ids are kept, so a destination keeps its breaker across edits;
+ * new destinations get a UUID.
+ *
+ * @param {Array<Object>} destinations - Destination configurations
+ * @returns {Array<Object>} Destinations with an `id`
+ */
+export function normalizeDestinationIds(destinations) {
+  if (!Array.isArray(destinations)) return destinations;
+
+  const seen = new Set();
+  return destinations.map(destination => {
+    if (!destination || typeof destination !== 'object' || Array.isArray(destination)) return destination;
+
+    const { id } = destination;
+    const keep = typeof id === 'string' && id.length > 0 && id.length <= MAX_DESTINATION_ID_LENGTH && !seen.has(id);
+    const destinationId = keep ? id : randomUUID();
+    seen.add(destinationId);
+    return { ...destination, id: destinationId };
+  });
+}
+
+/**
+ * Gets the key of a destination's breaker in `circuit_breakers`
+ *
+ * @param {Object} destination - Destination configuration (or a job's snapshot of it)
+ * @returns {string} Destination id, or its type if it has none
+ */
+export function getBreakerKey(destination) {
+  return destination?.id || destination?.type;
+}
+
+/**
+ * Gets a destination's breaker from a connector
+ *
+ * @param {Object} connector - Connector row
+ * @param {Object} destination - Destination configuration (or a job's snapshot of it)
+ * @returns {Object} Breaker state (closed if none is stored)
+ */
+export function getBreaker(connector, destination) {
+  return { ...CLOSED_BREAKER, ...(connector?.circuit_breakers?.[getBreakerKey(destination)] || {}) };
+}
+
+/**
+ * Decides whether a delivery may run through a breaker
+ *
+ * @param {Object} breaker - Breaker state
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {{ allowed: boolean, probe: boolean, retryAt: string|null }}
+ *   Whether to deliver, whether the delivery is the half-open probe, and when
+ *   a paused delivery should be tried again
+ */
+export function checkBreaker(breaker, now = Date.now()) {
+  if (breaker.state === 'open') {
+    const nextProbeAt = new Date(breaker.nextProbeAt).getTime();
+    if (!(now < nextProbeAt)) {
+      return { allowed: true, probe: true, retryAt: null };
+    }
+    return { allowed: false, probe: false, retryAt: breaker.nextProbeAt };
+  }
+
+  if (breaker.state === 'half_open') {
+    const probeExpiresAt = new Date(breaker.probeStartedAt).getTime() + PROBE_TIMEOUT_MS;
+    if (!(now < probeExpiresAt)) {
+      return { allowed: true, probe: true, retryAt: null };
+    }
+    return { allowed: false, probe: false, retryAt: new Date(probeExpiresAt).toISOString() };
+  }
+
+  return { allowed: true, probe: false, retryAt: null };
+}
+
+/**
+ * Marks a breaker as running its half-open probe
+ *
+ * @param {Object} breaker - Breaker state
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {Object} New breaker state
+ */
+export function startProbe(breaker, now = Date.now()) {
+  return { ...breaker, state: 'half_open', probeStartedAt: new Date(now).toISOString() };
+}
+
+/**
+ * Applies a failed delivery attempt to a breaker
+ *
+ * @param {Object} breaker - Breaker state
+ * @param {Error} error - Delivery error
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {Object} New breaker state (opened at the threshold or after a failed probe)
+ */
+export function recordBreakerFailure(breaker, error, now = Date.now()) {
+  const failures = (breaker.failures || 0) + 1;
+  const next = { ...breaker, failures, lastError: error.message };
+  delete next.probeStartedAt;
+
+  if (breaker.state === 'half_open' || failures >= BREAKER_FAILURE_THRESHOLD) {
+    return {
+      ...next,
+      state: 'open',
+      openedAt: breaker.state === 'closed' ? new Date(now).toISOString() : (breaker.openedAt || new Date(now).toISOString()),
+      nextProbeAt: new Date(now + BREAKER_COOLDOWN_MS).toISOString()
+    };
+  }
+
+  return next;
+}
+
+/**
+ * Gets the state of a breaker after a successful delivery
+ *
+ * @returns {Object} Closed breaker state
+ */
+export function recordBreakerSuccess() {
+  return { ...CLOSED_BREAKER };
+}
+
+/**
+ * Stores a destination's breaker state on its connector
+ *
+ * @param {string} connectorId - Connector UUID
+ * @param {Object} destination - Destination configuration (or a job's snapshot of it)
+ * @param {Object} breaker - Breaker state
+ * @returns {Promise<boolean>} True if stored (errors are logged)
+ */
+export async function saveBreaker(connectorId, destination, breaker) {
+  const { type } = destination;
+  const { error } = await supabaseAdmin.rpc('merge_circuit_breaker', {
+    p_connector_id: connectorId,
+    p_destination_key: getBreakerKey(destination),
+    p_state: { ...breaker, type }
+  });
+
+  if (error) {
+    console.error(`❌ Failed to save ${type} circuit breaker for connector ${connectorId}:`, error.message);
+    return false;
+  }
+
+  if (breaker.state !== 'closed') {
+    console.log(`🔌 ${type} circuit breaker for connector ${connectorId} is ${breaker.state}`);
+  }
+  return true;
+}
+
+/**
+ * Closes a destination's breaker and releases its paused deliveries
+ *
+ * @param {Object} connector - Connector row (`id` and `circuit_breakers`)
+ * @param {string} key - Breaker key (destination id, or type for destinations without one)
+ * @returns {Promise<void>} Resolves when the breaker is closed
+ * @throws {Error} If the breaker cannot be saved or the paused jobs cannot be released
+ */
+export async function resetBreaker(connector, key) {
+  const stored = connector.circuit_breakers?.[key];
+  const type = stored?.type || key;
+  // Breakers stored before destinations had ids are keyed by type
+  const destination = key === type ? { type } : { id: key, type };
+
+  if (!(await saveBreaker(connector.id, destination, recordBreakerSuccess()))) {
+    throw new Error(`Failed to reset ${type} circuit breaker`);
+  }
+
+  let query = supabaseAdmin
+    .from('delivery_jobs')
+    .update({ next_attempt_at: new Date().toISOString() })
+    .eq('connector_id', connector.id)
+    .eq('status', 'pending');
+  query = destination.id
+    ? query.eq('destination->>id', destination.id)
+    : query.eq('destination_type', type);
+
+  const { error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to release paused deliveries: ${error.message}`);
+  }
+
+  console.log(`🔌 ${type} circuit breaker for connector ${connector.id} reset`);
+}
@@ -0,0 +1,152 @@
+/**
+ * Per-connector CORS policy module
+ *
+ * Connectors store a list of origins allowed to post to their submit endpoint
+ * (the `allowed_origins` column). Matching origins are echoed back in
+ * `Access-Control-Allow-Origin`; mismatches are rejected before the
+ * submission is processed, so a leaked webhook URL cannot be used from
+ * arbitrary sites.
+ *
+ * **Allowed Origin Formats:**
+ * - `https://example.com` - exact origin (scheme, host and port must match)
+ * - `http://localhost:3000` - ports are part of the origin
+ * - `https://*.example.com` - any subdomain of example.com (not example.com itself)
+ * - `*` - any origin
+ *
+ * An empty list allows every origin, which keeps connectors created before
+ * the allowlist existed working.
+ */
+
+// scheme://[*.]host[:port]
+const ORIGIN_PATTERN = /^(https?):\/\/(\*\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)*)(?::(\d{1,5}))?$/;
+
+const MAX_ALLOWED_ORIGINS = 50;
+
+/**
+ * Validates and normalizes an allowed origins list before it is saved
+ *
+ * @param {*} origins - Array of origin patterns, or a newline/comma-separated string
+ * @returns {string[]} Normalized, de-duplicated origin patterns
+ * @throws {Error} If an entry is not a valid origin pattern
+ *
+ * @example
+ * normalizeAllowedOrigins(['https://Example.com/', 'https://*.example.com']);
+ * // Returns: ['https://example.com', 'https://*.example.com']
+ */
+export function normalizeAllowedOrigins(origins) {
+  const list = typeof origins === 'string' ? origins.split(/[\n,]/) : origins;
+
+  if (!Array.isArray(list)) {
+    throw new Error('allowed_origins must be an array of origins');
+  }
+
+  const normalized = list
+    .map(origin => String(origin).trim().toLowerCase().replace(/\/+$/, ''))
+    .filter(Boolean);
+
+  if (normalized.length > MAX_ALLOWED_ORIGINS) {
+    throw new Error(`Too many allowed origins: ${normalized.length} > ${MAX_ALLOWED_ORIGINS}`);
+  }
+
+  for (const origin of normalized) {
+    if (origin !== '*' && !ORIGIN_PATTERN.test(origin)) {
+      throw new Error(
+        `Invalid allowed origin "${origin}". Use a scheme and host such as https://example.com or https://*.example.com`
+      );
+    }
+    if (origin.includes('*.') && !ORIGIN_PATTERN.exec(origin)[3].includes('.')) {
+      throw new Error(`Wildcard origin "${origin}" must name a domain, e.g. https://*.example.com`);
+    }
+  }
+
+  return [...new Set(normalized)];
+}
+
+/**
+ * Checks whether a single origin matches one allowlist entry
+ *
+ * @param {URL} origin - Parsed request origin
+ * @param {string} pattern - Normalized allowlist entry
+ * @returns {boolean} True if the origin matches
+ * @private
+ */
+function originMatches(origin, pattern) {
+  if (pattern === '*') return true;
+
+  const match = ORIGIN_PATTERN.exec(pattern);
+  if (!match) return false;
+
+  const [, scheme, wildcard, host, port] = match;
+  const defaultPort = scheme === 'https' ? '443' : '80';
+
+  if (origin.protocol !== `${scheme}:`) return false;
+  if ((origin.port || defaultPort) !== (port || defaultPort)) return false;
+
+  return wildcard
+    ? origin.hostname.endsWith(`.${host}`)
+    : origin.hostname === host;
+}
+
+/**
+ * Checks whether a request origin is allowed by a connector's allowlist
+ *
+ * Requests without an `Origin` header (server-to-server calls, curl) are
+ * allowed: CORS only constrains browsers, and such callers can set any header.
+ *
+ * @param {string|null} origin - Value of the request's Origin header
+ * @param {string[]|null|undefined} allowedOrigins - Connector `allowed_origins` column
+ * @returns {boolean} True if the request may proceed
+ */
+export function isOriginAllowed(origin, allowedOrigins) {
+  if (!origin) return true;
+  if (!allowedOrigins || allowedOrigins.length === 0) return true;
+
+  let parsed;
+  try {
+    parsed = new URL(origin);
+  } catch {
+    // Opaque origins ("null") from sandboxed iframes and file:// pages
+    return allowedOrigins.includes('*');
+  }
+
+  return allowedOrigins.some(pattern => originMatches(parsed, pattern));
+}
+
+/**
+ * Builds CORS response headers for an allowed origin
+ *
+ * @param {string|null} origin - Value of the request's Origin header
+ * @returns {Object<string, string>} Headers to add to the response (empty without an origin)
+ */
+export function getCorsHeaders(origin) {
+  if (!origin) {
+    return {};
+  }
+
+  return {
+    'Access-Control-Allow-Origin': origin,
+    'Vary': 'Origin'
+  };
+}
+
+/**
+ * Adds CORS headers to a response when the request's origin is allowed
+ *
+ * @param {Response} response - Response to decorate (modified in place)
+ * @param {Request} request - Incoming request
+ * @param {string[]|null|undefined} allowedOrigins - Connector `allowed_origins` column
+ * @returns {Response} The same response
+ */
+export function applyCorsHeaders(response, request, allowedOrigins) {
+  const origin = request.headers.get('origin');
+
+  if (isOriginAllowed(origin, allowedOrigins)) {
+    for (const [name, value] of Object.entries(getCorsHeaders(origin))) {
+      response.headers.set(name, value);
+    }
+  } else {
+    response.headers.set('Vary', 'Origin');
+  }
+
+  return response;
+}
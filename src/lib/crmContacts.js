@@ -0,0 +1,246 @@
+import { formatFieldValue } from './attachments.js';
+import { permanentError } from './deliveryErrors.js';
+import { isValidEmailAddress } from './emailRecipients.js';
+import { buildPropertyValues, coercePropertyValue } from './recordMapping.js';
+
+/**
+ * "Create or update contact" for CRM destinations
+ *
+ * CRM destinations (e.g. `hubspot`) turn each submission into a contact keyed
+ * by email address: the contact is created if the CRM has none with that
+ * address, and updated otherwise. This module holds the CRM-independent part
+ * (finding the email, mapping fields to contact properties, the optional
+ * submission note); each CRM supplies a client object and a destination
+ * handler that calls `syncCrmContact` inside its retry loop.
+ *
+ * **CRM Client Interface:**
+ * ```javascript
+ * {
+ *   name: 'HubSpot',
+ *   standardProperties: { email: 'email', firstName: 'firstname', ... }, // Standard key → CRM property
+ *   formatValue(value) { ... },                       // Coerced value → CRM property value
+ *   async upsertContact(config, email, properties) { ... }, // → { contactId, created }
+ *   async createNote(config, contactId, note) { ... }       // → { noteId }
+ * }
+ * ```
+ *
+ * **Settings** (`config` of a CRM destination):
+ * ```javascript
+ * {
+ *   emailField: 'email',          // (optional) default: first field named like an email
+ *   propertyMapping: [...],       // (optional, see recordMapping.js) default: standard fields
+ *   logNote: true                 // (optional) attach the full submission as a note
+ * }
+ * ```
+ *
+ * Without a property mapping, form fields named like standard contact fields
+ * (first name, last name, phone, company, ...) are written to the CRM's
+ * standard properties, and a single "name" field is split into first and last
+ * name. Note problems never fail the delivery: the contact has already been
+ * saved, so the outcome is reported in the destination result instead.
+ */
+
+// Form field names recognized as standard contact fields, compared without case, spaces, "-" or "_"
+const STANDARD_FIELD_ALIASES = {
+  email: ['email', 'emailaddress', 'email1', 'mail'],
+  firstName: ['firstname', 'fname', 'givenname', 'first'],
+  lastName: ['lastname', 'lname', 'surname', 'familyname', 'last'],
+  phone: ['phone', 'phonenumber', 'telephone', 'tel', 'mobile', 'mobilephone'],
+  company: ['company', 'companyname', 'organization', 'organisation', 'business'],
+  jobTitle: ['jobtitle', 'title', 'position', 'role'],
+  website: ['website', 'url', 'site', 'homepage']
+};
+
+// Full-name fields split into first and last name when neither is present
+const FULL_NAME_ALIASES = ['name', 'fullname', 'yourname', 'contactname'];
+
+// Note bodies are capped so one huge field cannot make the CRM reject the note
+const MAX_NOTE_LENGTH = 60000;
+
+/**
+ * Normalizes a form field name for alias matching
+ *
+ * @param {string} name - Field name
+ * @returns {string} Lowercased name without spaces, dashes or underscores
+ * @private
+ */
+function normalizeFieldName(name) {
+  return String(name).toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+/**
+ * Finds the form field matching a list of aliases
+ *
+ * @param {Object} formData - Submission fields
+ * @param {string[]} aliases - Normalized field names
+ * @returns {string|undefined} Form field name
+ * @private
+ */
+function findAliasedField(formData, aliases) {
+  return Object.keys(formData).find(field => aliases.includes(normalizeFieldName(field)));
+}
+
+/**
+ * Gets the contact's email address from a submission
+ *
+ * @param {Object} formData - Submission fields (after transforms)
+ * @param {string} [emailField] - Configured email field (default: first field named like an email)
+ * @returns {string|null} Lowercased address, or null if missing or invalid
+ */
+export function getContactEmail(formData, emailField) {
+  const field = emailField || findAliasedField(formData, STANDARD_FIELD_ALIASES.email);
+  const value = field ? formData[field] : undefined;
+  if (typeof value !== 'string') return null;
+
+  const address = value.trim().toLowerCase();
+  return isValidEmailAddress(address) ? address : null;
+}
+
+/**
+ * Builds the default mapping: form fields named like standard contact fields
+ *
+ * @param {Object} formData - Submission fields
+ * @param {Object<string, string>} standardProperties - Standard key → CRM property
+ * @returns {Array<{ field: string, property: string, type: string }>} Property mapping
+ * @private
+ */
+function buildStandardMapping(formData, standardProperties) {
+  const mapping = [];
+  for (const [key, aliases] of Object.entries(STANDARD_FIELD_ALIASES)) {
+    const field = findAliasedField(formData, aliases);
+    if (key !== 'email' && field && standardProperties[key]) {
+      mapping.push({ field, property: standardProperties[key], type: 'text' });
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Splits a full name into first and last name
+ *
+ * @param {string} fullName - Full name
+ * @returns {{ firstName: string, lastName: string }} Name parts ("Ada King Lovelace" → "Ada", "King Lovelace")
+ * @private
+ */
+function splitFullName(fullName) {
+  const [firstName = '', ...rest] = fullName.trim().split(/\s+/);
+  return { firstName, lastName: rest.join(' ') };
+}
+
+/**
+ * Builds the contact properties for a submission
+ *
+ * @param {Object} client - CRM client (see module docs)
+ * @param {Object} config - Destination configuration
+ * @param {Object} formData - Submission fields (after transforms)
+ * @param {Object} connector - Connector metadata
+ * @param {Object} [context] - Delivery context ({ submissionId })
+ * @returns {{ properties: Object, skippedProperties: string[] }} CRM contact
+ *   properties, and the properties whose value could not be coerced
+ */
+export function buildContactProperties(client, config, formData, connector, context = {}) {
+  const hasMapping = Array.isArray(config.propertyMapping) && config.propertyMapping.length > 0;
+  const propertyMapping = hasMapping
+    ? config.propertyMapping
+    : buildStandardMapping(formData, client.standardProperties);
+
+  const properties = {};
+  const skippedProperties = [];
+
+  for (const { property, type, value } of buildPropertyValues(formData, connector, {
+    propertyMapping,
+    submissionId: context.submissionId
+  })) {
+    if (Object.prototype.hasOwnProperty.call(properties, property)) continue;
+
+    const coerced = coercePropertyValue(value, type);
+    if (coerced === null) {
+      skippedProperties.push(property);
+    } else {
+      properties[property] = client.formatValue(coerced);
+    }
+  }
+
+  // A single "name" field fills in first and last name
+  const { firstName, lastName } = client.standardProperties;
+  const nameField = !hasMapping && findAliasedField(formData, FULL_NAME_ALIASES);
+  if (nameField && !properties[firstName] && !properties[lastName]) {
+    const parts = splitFullName(formatFieldValue(formData[nameField]));
+    if (parts.firstName) properties[firstName] = parts.firstName;
+    if (parts.lastName) properties[lastName] = parts.lastName;
+  }
+
+  return { properties, skippedProperties };
+}
+
+/**
+ * Formats a submission as a plain-text note
+ *
+ * @param {Object} formData - Submission fields (after transforms)
+ * @param {Object} connector - Connector metadata
+ * @returns {{ title: string, lines: string[] }} Note heading and one "Field: value" line per field
+ */
+export function formatSubmissionNote(formData, connector) {
+  let remaining = MAX_NOTE_LENGTH;
+  const lines = [];
+  for (const [key, value] of Object.entries(formData)) {
+    const line = `${key}: ${formatFieldValue(value)}`;
+    if (line.length > remaining) {
+      lines.push('…');
+      break;
+    }
+    lines.push(line);
+    remaining -= line.length;
+  }
+
+  return { title: `Form submission: ${connector.name}`, lines };
+}
+
+/**
+ * Creates or updates the contact for a submission, then logs the optional note
+ *
+ * Errors from the upsert are thrown so the destination handler can retry or
+ * fail; note errors are returned in `note`.
+ *
+ * @param {Object} client - CRM client (see module docs)
+ * @param {Object} config - Destination configuration
+ * @param {Object} formData - Submission fields (after transforms)
+ * @param {Object} connector - Connector metadata
+ * @param {Object} [context] - Delivery context ({ submissionId })
+ * @returns {Promise<Object>} Outcome
+ * @returns {string} returns.contactId - CRM ID of the contact
+ * @returns {string} returns.action - `created` or `updated`
+ * @returns {string[]} [returns.skippedProperties] - Properties left out because their value could not be coerced
+ * @returns {Object} [returns.note] - Note outcome when `config.logNote` is set:
+ *   `{ status: 'logged', noteId }` or `{ status: 'failed', reason }`
+ * @throws {Error} If the submission has no valid email address, or the upsert fails
+ */
+export async function syncCrmContact(client, config, formData, connector, context = {}) {
+  const email = getContactEmail(formData, config.emailField);
+  if (!email) {
+    throw permanentError(
+      `A valid email address is required to create a ${client.name} contact (field "${config.emailField || 'email'}")`
+    );
+  }
+
+  const { properties, skippedProperties } = buildContactProperties(client, config, formData, connector, context);
+  const { contactId, created } = await client.upsertContact(config, email, properties);
+
+  console.log(`✅ ${client.name} contact ${contactId} ${created ? 'created' : 'updated'} for ${email}`);
+
+  const result = { contactId, action: created ? 'created' : 'updated' };
+  if (skippedProperties.length > 0) result.skippedProperties = skippedProperties;
+
+  if (config.logNote) {
+    try {
+      const { noteId } = await client.createNote(config, contactId, formatSubmissionNote(formData, connector));
+      console.log(`📝 ${client.name} note ${noteId} logged on contact ${contactId}`);
+      result.note = { status: 'logged', noteId };
+    } catch (error) {
+      console.error(`❌ ${client.name} note for contact ${contactId} failed:`, error.message);
+      result.note = { status: 'failed', reason: error.message };
+    }
+  }
+
+  return result;
+}
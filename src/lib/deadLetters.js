@@ -0,0 +1,135 @@
+import { supabaseAdmin } from './supabase';
+import { getConnectorDestinations } from './destinations';
+import { sendFailureAlert } from './alerts';
+
+/**
+ * Dead-letter store for deliveries that cannot succeed on their own
+ *
+ * When a delivery job exhausts its attempts or hits a permanent configuration
+ * error (Sheets "Permission denied", Slack "access denied", ...), the worker
+ * copies it to the `dead_letters` table and alerts the connector owner. From
+ * the Dead Letters dashboard the owner can inspect the failure, correct the
+ * destination config and redeliver.
+ *
+ * **Entry States:**
+ * - `open`: waiting for the owner
+ * - `redelivered`: sent again (a new failure creates a new entry)
+ * - `discarded`: dismissed without redelivery
+ *
+ * **Entry Structure** (`dead_letters` row):
+ * ```javascript
+ * {
+ *   id: 'uuid',
+ *   job_id: 'uuid',
+ *   submission_id: 'uuid',
+ *   connector_id: 'uuid',
+ *   destination_type: 'sheets',
+ *   destination: { type, enabled, config },  // Config used by the failed job (editable)
+ *   error: 'Permission denied...',
+ *   attempts: 5,
+ *   attempt_history: [...],
+ *   status: 'open',
+ *   alerted_at: '2024-01-01T00:00:00Z'
+ * }
+ * ```
+ */
+
+/**
+ * Dead-letter entry statuses
+ */
+export const DEAD_LETTER_STATUSES = ['open', 'redelivered', 'discarded'];
+
+/**
+ * Moves a permanently failed delivery job to the dead-letter store
+ *
+ * Errors are logged rather than thrown so a storage or alert problem never
+ * stops the worker.
+ *
+ * @param {Object} job - Failed `delivery_jobs` row (with its final `last_error` and history)
+ * @returns {Promise<Object|null>} Created entry, or null if it could not be stored
+ */
+export async function deadLetterJob(job) {
+  const { data: entry, error } = await supabaseAdmin
+    .from('dead_letters')
+    .insert({
+      job_id: job.id,
+      submission_id: job.submission_id,
+      connector_id: job.connector_id,
+      destination_type: job.destination_type,
+      destination: job.destination,
+      error: job.last_error,
+      attempts: job.attempts,
+      attempt_history: job.attempt_history || [],
+      status: 'open'
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`❌ Failed to dead-letter ${job.destination_type} job ${job.id}:`, error.message);
+    return null;
+  }
+
+  console.log(`🪦 Dead-lettered ${job.destination_type} job ${job.id}`);
+
+  try {
+    await sendFailureAlert(entry);
+  } catch (alertError) {
+    console.error(`❌ Failed to send failure alert for dead letter ${entry.id}:`, alertError.message);
+  }
+
+  return entry;
+}
+
+/**
+ * Loads a dead-letter entry and its connector, checking ownership
+ *
+ * @param {string} id - Dead-letter entry UUID
+ * @param {string} userId - Authenticated user ID
+ * @returns {Promise<{ entry: Object, connector: Object }|null>} Entry and connector, or null if not found or not owned
+ */
+export async function getDeadLetterForUser(id, userId) {
+  const { data: entry, error } = await supabaseAdmin
+    .from('dead_letters')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error || !entry) {
+    return null;
+  }
+
+  const { data: connector, error: connectorError } = await supabaseAdmin
+    .from('connectors')
+    .select('*')
+    .eq('id', entry.connector_id)
+    .eq('user_id', userId)
+    .single();
+
+  if (connectorError || !connector) {
+    return null;
+  }
+
+  return { entry, connector };
+}
+
+/**
+ * Replaces one destination's config in a connector's destinations
+ *
+ * @param {Object} connector - Connector row
+ * @param {string} type - Destination type to update
+ * @param {Object} config - New destination config
+ * @returns {Array<Object>} Updated (flat) destinations array
+ * @throws {Error} If the connector has no destination of that type
+ */
+export function replaceDestinationConfig(connector, type, config) {
+  const destinations = getConnectorDestinations(connector);
+
+  if (!destinations.some(destination => destination.type === type)) {
+    throw new Error(`Connector has no ${type} destination`);
+  }
+
+  return destinations.map(destination => (
+    destination.type === type ? { ...destination, config } : destination
+  ));
+}
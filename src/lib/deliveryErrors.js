@@ -0,0 +1,111 @@
+/**
+ * Delivery errors
+ *
+ * Destination handlers (and the transports and APIs they call) throw a
+ * `DeliveryError` to say whether retrying can help. The handlers' retries
+ * (`destinations/retry.js`) and the delivery queue read the `permanent` flag
+ * instead of the message text, so a provider's wording never decides whether
+ * a job is retried or dead-lettered.
+ *
+ * Errors without the flag (network failures, timeouts, plain `Error`s from
+ * libraries) are treated as transient.
+ *
+ * Rate limit errors carry the wait the destination asked for
+ * (`retryAfterMs`), so both the handlers and the queue retry no sooner.
+ *
+ * A handler that delivered part of a submission (e.g. an SMS that reached
+ * some recipients) attaches what it did as `details`. The queue records them
+ * and passes them back as `context.partialResult` on the job's next attempt,
+ * so the handler only retries what is still pending.
+ */
+
+// 4xx statuses that are worth retrying: timeouts, conflicts with a concurrent
+// write, "too early" and rate limits
+const RETRYABLE_CLIENT_STATUSES = [408, 409, 425, 429];
+
+/**
+ * Error thrown by destination handlers
+ *
+ * @example
+ * throw new DeliveryError('Webhook endpoint error: 503 Service Unavailable', { status: 503 });
+ * throw new DeliveryError('Teams rate limit exceeded', { status: 429, retryAfterMs: 30000 });
+ */
+export class DeliveryError extends Error {
+  /**
+   * @param {string} message - Error message (shown in delivery history and dead letters)
+   * @param {Object} [options]
+   * @param {boolean} [options.permanent=false] - Retrying cannot fix the error (bad configuration, rejected payload)
+   * @param {number} [options.status] - HTTP (or SMTP) status returned by the destination
+   * @param {number} [options.retryAfterMs] - Delay the destination asked for before the next attempt
+   * @param {Object} [options.details] - Result details of the part that was delivered
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { permanent = false, status = null, retryAfterMs = null, details = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'DeliveryError';
+    this.permanent = permanent;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.details = details;
+  }
+}
+
+/**
+ * Creates an error that retrying cannot fix (missing settings, invalid
+ * configuration, a payload the destination refuses)
+ *
+ * @param {string} message - Error message
+ * @param {Object} [options] - Other `DeliveryError` options (`status`, `cause`)
+ * @returns {DeliveryError} Permanent error
+ */
+export function permanentError(message, options = {}) {
+  return new DeliveryError(message, { ...options, permanent: true });
+}
+
+/**
+ * Checks whether an HTTP status means the request itself is wrong
+ *
+ * @param {number} status - HTTP status code
+ * @returns {boolean} True for 4xx statuses other than timeouts, conflicts and rate limits
+ */
+export function isPermanentStatus(status) {
+  return status >= 400 && status < 500 && !RETRYABLE_CLIENT_STATUSES.includes(status);
+}
+
+/**
+ * Reads how long a destination asked to wait from its Retry-After header
+ *
+ * @param {Headers} headers - Response headers
+ * @param {number} [fallbackSeconds=60] - Wait used when the header is missing or invalid
+ * @returns {number} Delay in milliseconds
+ *
+ * @example
+ * throw new DeliveryError('Teams rate limit exceeded', { status: 429, retryAfterMs: getRetryAfterMs(response.headers) });
+ */
+export function getRetryAfterMs(headers, fallbackSeconds = 60) {
+  const value = headers?.get('Retry-After');
+
+  if (value) {
+    // Either a number of seconds or an HTTP date
+    const seconds = Number(value);
+    if (Number.isFinite(seconds) && seconds >= 0) {
+      return Math.ceil(seconds * 1000);
+    }
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+      return Math.max(date - Date.now(), 0);
+    }
+  }
+
+  return fallbackSeconds * 1000;
+}
+
+/**
+ * Checks whether a delivery error should not be retried
+ *
+ * @param {Error} error - Error thrown by a destination handler
+ * @returns {boolean} True for permanent errors
+ */
+export function isPermanentDeliveryError(error) {
+  return error?.permanent === true;
+}
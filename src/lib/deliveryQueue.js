@@ -0,0 +1,853 @@
+import { randomUUID } from 'crypto';
+import { supabaseAdmin } from './supabase';
+import { destinationHandlers, getConnectorDestinations } from './destinations';
+import { deadLetterJob } from './deadLetters';
+import { isPermanentDeliveryError, permanentError } from './deliveryErrors';
+import { getSheetsBatchKey, handleSheetsBatch, MAX_SHEETS_BATCH_ROWS } from './destinations/sheets';
+import { transformForDestination } from './transforms';
+import { postSlackThreadReply } from './slackApi';
+import {
+  getBreaker,
+  checkBreaker,
+  startProbe,
+  recordBreakerFailure,
+  recordBreakerSuccess,
+  saveBreaker,
+  getBreakerKey
+} from './circuitBreaker';
+
+/**
+ * Database-backed delivery queue
+ *
+ * The submit endpoint no longer calls destination handlers inline. Instead it
+ * stores one `delivery_jobs` row per enabled destination and returns
+ * immediately. Workers claim due jobs, run the unchanged destination handler
+ * for each one and record the outcome.
+ *
+ * **Job States:**
+ * - `pending`: waiting for its `next_attempt_at` time
+ * - `in_progress`: claimed by a worker (reclaimed if the worker dies)
+ * - `succeeded`: handler completed; result merged into the submission
+ * - `failed`: retries exhausted or a permanent error (see `deliveryErrors.js`); the job is
+ *   copied to the dead-letter store (see `deadLetters.js`)
+ *
+ * **Job Structure** (`delivery_jobs` row):
+ * ```javascript
+ * {
+ *   id: 'uuid',
+ *   submission_id: 'uuid',
+ *   connector_id: 'uuid',
+ *   destination_type: 'slack',
+ *   destination: { type, enabled, config },  // Snapshot taken at enqueue time
+ *   status: 'pending',
+ *   attempts: 0,
+ *   max_attempts: 5,
+ *   next_attempt_at: '2024-01-01T00:00:00Z',
+ *   last_error: null,
+ *   attempt_history: [{ attempt, started_at, finished_at, duration_ms, success, error }],
+ *   result: null                             // Handler details; partial progress while retrying
+ * }
+ * ```
+ *
+ * Handlers are called with `maxRetries = 1` so retries and backoff happen in
+ * the queue (rescheduled jobs) rather than in sleeping request handlers.
+ * They receive the submission fields after the connector and destination
+ * transform pipelines (see `transforms.js`). When an attempt delivered part of
+ * a submission, the handler's `details` are kept on the job and passed back as
+ * `context.partialResult`, so the next attempt skips what already went out.
+ *
+ * Google Sheets destinations with `batchAppends` are not attempted right
+ * away: their jobs are first due a few seconds later, and the worker appends
+ * the waiting rows for the same sheet with one request (see
+ * `handleSheetsBatch`).
+ *
+ * When a bot-mode Slack destination has posted a submission's notification,
+ * permanent failures of the other destinations and replay outcomes are posted
+ * as replies in that message's thread (see `slackApi.js`).
+ */
+
+// Default attempts per job before it is marked failed
+export const DEFAULT_MAX_ATTEMPTS = 5;
+
+// Retry delays grow 30s, 60s, 120s... up to one hour
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Delay used when a destination reports a rate limit without saying how long to wait
+const RATE_LIMIT_DELAY_MS = 60 * 1000;
+
+// Batched Google Sheets jobs are first due this much later, so the submit
+// endpoint's immediate attempt leaves them to the worker, which appends the
+// rows waiting for the same sheet together
+const SHEETS_BATCH_DELAY_MS = 15 * 1000;
+
+/**
+ * Calculates when a failed job should run again
+ *
+ * A destination's own Retry-After (`error.retryAfterMs`) wins, capped at the
+ * longest backoff; other rate limits wait RATE_LIMIT_DELAY_MS.
+ *
+ * @param {number} attempts - Attempts made so far
+ * @param {Error} error - Error from the last attempt
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempts, error) {
+  if (Number.isFinite(error?.retryAfterMs)) {
+    return Math.min(Math.max(error.retryAfterMs, 0), MAX_RETRY_DELAY_MS);
+  }
+  if (error?.status === 429) {
+    return RATE_LIMIT_DELAY_MS;
+  }
+  return Math.min(Math.pow(2, attempts - 1) * BASE_RETRY_DELAY_MS, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Records a destination's latest outcome on its submission
+ *
+ * Uses the `merge_destination_result` RPC so concurrent jobs for the same
+ * submission do not overwrite each other's results.
+ *
+ * @param {string} submissionId - Submission UUID
+ * @param {string} type - Destination type
+ * @param {Object} result - Result to store under `destinations_sent[type]`
+ * @returns {Promise<void>} Resolves when stored
+ */
+export async function recordDestinationResult(submissionId, type, result) {
+  const { error } = await supabaseAdmin.rpc('merge_destination_result', {
+    p_submission_id: submissionId,
+    p_destination_type: type,
+    p_result: result
+  });
+
+  if (error) {
+    console.error(`❌ Failed to record ${type} result for submission ${submissionId}:`, error.message);
+  }
+}
+
+/**
+ * Records the Slack notification a submission's follow-ups reply to
+ *
+ * Kept in its own column because `destinations_sent.slack` is replaced by
+ * every later result (pending, retrying, a replay's outcome). Only a posted
+ * bot-mode message (with `channel` and `ts`) sets it, so the latest
+ * notification stays the thread.
+ *
+ * @param {string} submissionId - Submission UUID
+ * @param {{ channel: string, ts: string }} message - Posted message
+ * @returns {Promise<void>} Resolves when stored (errors are logged)
+ * @private
+ */
+async function recordSlackThread(submissionId, { channel, ts }) {
+  const { error } = await supabaseAdmin
+    .from('submissions')
+    .update({ slack_thread: { channel, ts } })
+    .eq('id', submissionId);
+
+  if (error) {
+    console.error(`❌ Failed to record Slack thread for submission ${submissionId}:`, error.message);
+  }
+}
+
+/**
+ * Posts a follow-up in the Slack thread of a submission's notification
+ *
+ * Only bot-mode notifications record a thread (`submissions.slack_thread`);
+ * without one nothing is posted. Follow-ups are best effort: errors are
+ * logged, never thrown.
+ *
+ * @param {string} submissionId - Submission UUID
+ * @param {Object} connector - Connector row (its Slack destination's token is used)
+ * @param {string} text - Reply text (Slack mrkdwn)
+ * @returns {Promise<void>} Resolves when posted or skipped
+ * @private
+ */
+async function postSlackFollowUp(submissionId, connector, text) {
+  const destination = getConnectorDestinations(connector).find(dest => dest.type === 'slack' && dest.enabled);
+  if (!destination) {
+    return;
+  }
+
+  const { data: submission } = await supabaseAdmin
+    .from('submissions')
+    .select('slack_thread')
+    .eq('id', submissionId)
+    .single();
+
+  const thread = submission?.slack_thread;
+  if (!thread?.ts || !thread.channel) {
+    return;
+  }
+
+  try {
+    await postSlackThreadReply(destination, thread, text);
+    console.log(`🧵 Posted Slack follow-up for submission ${submissionId}`);
+  } catch (error) {
+    console.error(`❌ Failed to post Slack follow-up for submission ${submissionId}:`, error.message);
+  }
+}
+
+/**
+ * Enqueues one delivery job per enabled destination of a submission
+ *
+ * @param {Object} submission - Stored submission row
+ * @param {Array<Object>} destinations - Connector destinations (`{ type, enabled, config }`)
+ * @returns {Promise<Array<Object>>} Created jobs
+ * @throws {Error} If the jobs cannot be stored
+ *
+ * @example
+ * const jobs = await enqueueDeliveries(submission, connector.destinations);
+ */
+export async function enqueueDeliveries(submission, destinations) {
+  const rows = [];
+
+  for (const destination of destinations) {
+    if (!destinationHandlers[destination.type]) {
+      console.log(`⚠️  Unknown destination type: ${destination.type}`);
+      continue;
+    }
+
+    if (!destination.enabled) {
+      console.log(`⏭️  Skipping disabled destination: ${destination.type}`);
+      continue;
+    }
+
+    const batched = destination.type === 'sheets' && getSheetsBatchKey(destination) !== null;
+    rows.push({
+      submission_id: submission.id,
+      connector_id: submission.connector_id,
+      destination_type: destination.type,
+      destination,
+      status: 'pending',
+      max_attempts: DEFAULT_MAX_ATTEMPTS,
+      next_attempt_at: new Date(Date.now() + (batched ? SHEETS_BATCH_DELAY_MS : 0)).toISOString()
+    });
+  }
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const { data: jobs, error } = await supabaseAdmin
+    .from('delivery_jobs')
+    .insert(rows)
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to enqueue deliveries: ${error.message}`);
+  }
+
+  // Merge each entry on its own so results of other destinations (including
+  // jobs finishing right now) are never overwritten with a stale snapshot
+  await Promise.all(jobs.map(job =>
+    recordDestinationResult(submission.id, job.destination_type, { status: 'pending', jobId: job.id })
+  ));
+
+  console.log(`📬 Enqueued ${jobs.length} delivery job(s) for submission ${submission.id}`);
+  return jobs;
+}
+
+/**
+ * Claims due jobs for a worker
+ *
+ * Uses the `claim_delivery_jobs` RPC (`FOR UPDATE SKIP LOCKED`), so several
+ * workers can run at once without processing the same job twice. The claim
+ * also counts the attempt.
+ *
+ * @param {string} workerId - Identifier of the claiming worker
+ * @param {Object} [options] - Claim options
+ * @param {number} [options.limit=10] - Maximum jobs to claim
+ * @param {string|null} [options.submissionId=null] - Only claim jobs for this submission
+ * @returns {Promise<Array<Object>>} Claimed jobs
+ * @throws {Error} If the RPC fails
+ */
+export async function claimJobs(workerId, { limit = 10, submissionId = null } = {}) {
+  const { data, error } = await supabaseAdmin.rpc('claim_delivery_jobs', {
+    p_worker_id: workerId,
+    p_limit: limit,
+    p_submission_id: submissionId
+  });
+
+  if (error) {
+    throw new Error(`Failed to claim delivery jobs: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Parks a job whose destination's circuit breaker is open
+ *
+ * The claim's attempt is given back so paused time does not use up retries.
+ *
+ * @param {Object} job - Claimed `delivery_jobs` row
+ * @param {Object} breaker - Open breaker state
+ * @param {string} retryAt - When the job should be tried again (ISO)
+ * @returns {Promise<Object>} Updated job fields (`status: 'paused'` in the returned object only)
+ * @private
+ */
+async function pauseJob(job, breaker, retryAt) {
+  const update = {
+    status: 'pending',
+    attempts: Math.max(job.attempts - 1, 0),
+    next_attempt_at: retryAt,
+    locked_at: null,
+    locked_by: null,
+    updated_at: new Date().toISOString()
+  };
+
+  await recordDestinationResult(job.submission_id, job.destination_type, {
+    status: 'paused',
+    jobId: job.id,
+    error: `Paused due to errors: ${breaker.lastError || 'repeated delivery failures'}`,
+    attempts: update.attempts,
+    nextAttemptAt: retryAt
+  });
+
+  const { error } = await supabaseAdmin
+    .from('delivery_jobs')
+    .update(update)
+    .eq('id', job.id);
+
+  if (error) {
+    console.error(`❌ Failed to pause delivery job ${job.id}:`, error.message);
+  }
+
+  console.log(`⏸️  ${job.destination_type} job ${job.id} paused by circuit breaker until ${retryAt}`);
+  return { ...job, ...update, status: 'paused' };
+}
+
+/**
+ * Loads what a claimed job needs before its handler runs
+ *
+ * Jobs for a destination whose circuit breaker is open are paused instead of
+ * attempted (see `circuitBreaker.js`). Errors are returned rather than thrown
+ * so the caller can record them like a failed attempt.
+ *
+ * @param {Object} job - Claimed `delivery_jobs` row
+ * @returns {Promise<{ connector: Object|null, breaker: Object|null, formData: Object|null, paused: Object|null, error: Error|null }>}
+ *   Connector row, breaker state, transformed submission fields, the paused job
+ *   (if the breaker is open) and the error that stopped the attempt
+ * @private
+ */
+async function prepareJob(job) {
+  const prepared = { connector: null, breaker: null, formData: null, paused: null, error: null };
+
+  try {
+    if (!destinationHandlers[job.destination_type]) {
+      throw permanentError(`Unknown destination type: ${job.destination_type}`);
+    }
+
+    const [{ data: submission, error: submissionError }, { data: connectorRow, error: connectorError }] = await Promise.all([
+      supabaseAdmin.from('submissions').select('form_data').eq('id', job.submission_id).single(),
+      supabaseAdmin.from('connectors').select('*').eq('id', job.connector_id).single()
+    ]);
+
+    if (submissionError || !submission) {
+      throw permanentError(`Submission ${job.submission_id} not found`);
+    }
+    if (connectorError || !connectorRow) {
+      throw permanentError(`Connector ${job.connector_id} not found`);
+    }
+    prepared.connector = connectorRow;
+
+    let breaker = getBreaker(connectorRow, job.destination);
+    const gate = checkBreaker(breaker);
+    if (!gate.allowed) {
+      prepared.paused = await pauseJob(job, breaker, gate.retryAt);
+      return prepared;
+    }
+    if (gate.probe) {
+      breaker = startProbe(breaker);
+      await saveBreaker(job.connector_id, job.destination, breaker);
+      console.log(`🔌 Sending half-open probe for ${job.destination_type} on connector ${job.connector_id}`);
+    }
+    prepared.breaker = breaker;
+
+    try {
+      prepared.formData = transformForDestination(submission.form_data, connectorRow, job.destination);
+    } catch (transformError) {
+      throw permanentError(transformError.message, { cause: transformError });
+    }
+  } catch (error) {
+    prepared.error = error;
+  }
+
+  return prepared;
+}
+
+/**
+ * Gets a breaker's state after an attempt whose handler ran
+ *
+ * @param {Object} breaker - Breaker state before the attempt
+ * @param {Error|null} error - Error of the attempt, or null on success
+ * @returns {Object} New breaker state
+ * @private
+ */
+function nextBreakerState(breaker, error) {
+  return error ? recordBreakerFailure(breaker, error) : recordBreakerSuccess();
+}
+
+/**
+ * Records the outcome of a job's attempt
+ *
+ * Feeds the outcome into the destination's circuit breaker (when the handler
+ * ran), appends to the attempt history, stores the result on the submission
+ * and either completes, reschedules or dead-letters the job.
+ *
+ * @param {Object} job - Claimed `delivery_jobs` row
+ * @param {Object} prepared - Result of `prepareJob`
+ * @param {Date} startedAt - When the attempt started
+ * @param {{ details?: Object, error?: Error }} outcome - Handler details, or the error of the attempt
+ * @returns {Promise<Object>} Updated job fields (`status`, `attempts`, `last_error`, ...)
+ * @private
+ */
+async function finishJob(job, { connector, breaker }, startedAt, { details = null, error = null }) {
+  // Feed the outcome back into the breaker (only when the handler actually ran)
+  if (breaker && (error || breaker.state !== 'closed' || breaker.failures > 0)) {
+    await saveBreaker(job.connector_id, job.destination, nextBreakerState(breaker, error));
+  }
+
+  const finishedAt = new Date();
+  const historyEntry = {
+    attempt: job.attempts,
+    started_at: startedAt.toISOString(),
+    finished_at: finishedAt.toISOString(),
+    duration_ms: finishedAt - startedAt,
+    success: !error,
+    ...(error ? { error: error.message } : {})
+  };
+
+  const update = {
+    attempt_history: [...(job.attempt_history || []), historyEntry],
+    locked_at: null,
+    locked_by: null,
+    updated_at: finishedAt.toISOString()
+  };
+
+  if (!error) {
+    const result = { ...(details || {}), success: true, attempts: job.attempts, timestamp: finishedAt.toISOString() };
+    Object.assign(update, {
+      status: 'succeeded',
+      result,
+      last_error: null,
+      completed_at: finishedAt.toISOString()
+    });
+    await recordDestinationResult(job.submission_id, job.destination_type, result);
+    if (job.destination_type === 'slack' && result.channel && result.ts) {
+      await recordSlackThread(job.submission_id, result);
+    }
+    console.log(`✅ ${job.destination_type} job ${job.id} succeeded`);
+  } else if (isPermanentDeliveryError(error) || job.attempts >= job.max_attempts) {
+    Object.assign(update, {
+      status: 'failed',
+      result: error.details || job.result || null,
+      last_error: error.message,
+      completed_at: finishedAt.toISOString()
+    });
+    await recordDestinationResult(job.submission_id, job.destination_type, {
+      ...(update.result || {}),
+      success: false,
+      error: error.message,
+      attempts: job.attempts,
+      timestamp: finishedAt.toISOString()
+    });
+    console.error(`❌ ${job.destination_type} job ${job.id} failed permanently:`, error.message);
+    await deadLetterJob({ ...job, ...update });
+
+    if (connector && job.destination_type !== 'slack') {
+      await postSlackFollowUp(
+        job.submission_id,
+        connector,
+        `⚠️ Delivery to *${job.destination_type}* failed after ${job.attempts} attempt(s): ${error.message}`
+      );
+    }
+  } else {
+    const delayMs = getRetryDelay(job.attempts, error);
+    Object.assign(update, {
+      status: 'pending',
+      result: error.details || job.result || null,
+      last_error: error.message,
+      next_attempt_at: new Date(finishedAt.getTime() + delayMs).toISOString()
+    });
+    await recordDestinationResult(job.submission_id, job.destination_type, {
+      ...(update.result || {}),
+      status: 'retrying',
+      jobId: job.id,
+      error: error.message,
+      attempts: job.attempts,
+      nextAttemptAt: update.next_attempt_at
+    });
+    console.log(`⏳ ${job.destination_type} job ${job.id} failed, retrying in ${delayMs}ms:`, error.message);
+  }
+
+  const { error: updateError } = await supabaseAdmin
+    .from('delivery_jobs')
+    .update(update)
+    .eq('id', job.id);
+
+  if (updateError) {
+    console.error(`❌ Failed to update delivery job ${job.id}:`, updateError.message);
+  }
+
+  return { ...job, ...update };
+}
+
+/**
+ * Runs a single claimed job and records the outcome
+ *
+ * Jobs for a destination whose circuit breaker is open are paused instead of
+ * attempted (see `circuitBreaker.js`); every attempt's outcome is fed back
+ * into the breaker.
+ *
+ * @param {Object} job - Claimed `delivery_jobs` row
+ * @returns {Promise<Object>} Updated job fields (`status`, `attempts`, `last_error`, ...)
+ */
+export async function runJob(job) {
+  const startedAt = new Date();
+  const prepared = await prepareJob(job);
+
+  if (prepared.paused) {
+    return prepared.paused;
+  }
+  if (prepared.error) {
+    return finishJob(job, prepared, startedAt, { error: prepared.error });
+  }
+
+  console.log(`🔄 Running ${job.destination_type} job ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+  let outcome;
+  try {
+    const details = await destinationHandlers[job.destination_type](job.destination, prepared.formData, prepared.connector, 1, {
+      submissionId: job.submission_id,
+      partialResult: job.result || null
+    });
+    outcome = { details };
+  } catch (error) {
+    outcome = { error };
+  }
+
+  return finishJob(job, prepared, startedAt, outcome);
+}
+
+/**
+ * Runs claimed Google Sheets jobs that share a batch key with one append
+ *
+ * Each job is still prepared, recorded and retried on its own; only the write
+ * is shared. If the append fails, every job in the batch records the error and
+ * counts as one failure of its destination's circuit breaker, as it would
+ * unbatched.
+ *
+ * @param {Array<Object>} jobs - Claimed sheets jobs with the same `getSheetsBatchKey`
+ * @returns {Promise<Array<Object>>} Updated job fields per job
+ * @private
+ */
+async function runSheetsBatch(jobs) {
+  const startedAt = new Date();
+  const finished = [];
+  const ready = [];
+
+  for (const job of jobs) {
+    const prepared = await prepareJob(job);
+    if (prepared.paused) {
+      finished.push(prepared.paused);
+    } else if (prepared.error) {
+      finished.push(await finishJob(job, prepared, startedAt, { error: prepared.error }));
+    } else {
+      ready.push({ job, prepared });
+    }
+  }
+
+  if (ready.length === 0) {
+    return finished;
+  }
+
+  console.log(`🔄 Running ${ready.length} batched sheets job(s): ${ready.map(({ job }) => job.id).join(', ')}`);
+  let outcomes;
+  try {
+    const results = await handleSheetsBatch(ready.map(({ job, prepared }) => ({
+      destination: job.destination,
+      formData: prepared.formData,
+      connector: prepared.connector,
+      context: { submissionId: job.submission_id }
+    })));
+    outcomes = results.map(details => ({ details }));
+  } catch (error) {
+    outcomes = ready.map(() => ({ error }));
+  }
+
+  // Each job was prepared with the breaker as it was before the batch; carry
+  // the state from job to job so every job's outcome is counted
+  const breakers = new Map();
+  for (const [index, { job, prepared }] of ready.entries()) {
+    const breakerId = `${job.connector_id}\u0000${getBreakerKey(job.destination)}`;
+    const breaker = breakers.has(breakerId) ? breakers.get(breakerId) : prepared.breaker;
+    breakers.set(breakerId, nextBreakerState(breaker, outcomes[index].error || null));
+    finished.push(await finishJob(job, { ...prepared, breaker }, startedAt, outcomes[index]));
+  }
+
+  return finished;
+}
+
+/**
+ * Claims more due Google Sheets jobs for a spreadsheet to fill a batch
+ *
+ * Uses the `claim_matching_delivery_jobs` RPC, which claims like
+ * `claim_delivery_jobs` but only jobs whose destination config contains the
+ * given values.
+ *
+ * @param {string} workerId - Identifier of the claiming worker
+ * @param {string} spreadsheetId - Spreadsheet the batch writes to
+ * @param {number} limit - Maximum jobs to claim
+ * @returns {Promise<Array<Object>>} Claimed jobs (their batch keys may still differ, e.g. by sheet name)
+ * @private
+ */
+async function claimSheetsJobs(workerId, spreadsheetId, limit) {
+  if (limit <= 0) {
+    return [];
+  }
+
+  const { data, error } = await supabaseAdmin.rpc('claim_matching_delivery_jobs', {
+    p_worker_id: workerId,
+    p_destination_type: 'sheets',
+    p_config: { spreadsheetId, batchAppends: true },
+    p_limit: limit
+  });
+
+  if (error) {
+    console.error(`❌ Failed to claim batched sheets jobs for spreadsheet ${spreadsheetId}:`, error.message);
+    return [];
+  }
+
+  return data || [];
+}
+
+/**
+ * Claims and runs due delivery jobs
+ *
+ * Google Sheets jobs with `batchAppends` are grouped by sheet; the worker
+ * claims the other due jobs for the same spreadsheet (up to
+ * `MAX_SHEETS_BATCH_ROWS` per batch) and appends each group with one request.
+ * Runs limited to one submission do not claim jobs of other submissions.
+ *
+ * @param {Object} [options] - Worker options
+ * @param {number} [options.limit=10] - Maximum jobs to claim (batched sheets jobs claimed to fill a batch are extra)
+ * @param {string|null} [options.submissionId=null] - Only run jobs for this submission
+ * @param {string} [options.workerId] - Worker identifier (random by default)
+ * @returns {Promise<{ claimed: number, succeeded: number, failed: number, retrying: number, paused: number }>} Run summary
+ *
+ * @example
+ * // Cron worker
+ * const summary = await processDeliveryQueue({ limit: 25 });
+ */
+export async function processDeliveryQueue({ limit = 10, submissionId = null, workerId = `worker-${randomUUID()}` } = {}) {
+  const jobs = await claimJobs(workerId, { limit, submissionId });
+  const summary = { claimed: jobs.length, succeeded: 0, failed: 0, retrying: 0, paused: 0 };
+  const batches = new Map();
+
+  const count = (updated) => {
+    if (updated.status === 'succeeded') summary.succeeded += 1;
+    else if (updated.status === 'failed') summary.failed += 1;
+    else if (updated.status === 'paused') summary.paused += 1;
+    else summary.retrying += 1;
+  };
+
+  const addToBatch = async (job) => {
+    const batchKey = job.destination_type === 'sheets' ? getSheetsBatchKey(job.destination) : null;
+    if (!batchKey) {
+      count(await runJob(job));
+      return;
+    }
+    if (!batches.has(batchKey)) batches.set(batchKey, []);
+    batches.get(batchKey).push(job);
+  };
+
+  for (const job of jobs) {
+    await addToBatch(job);
+  }
+
+  if (!submissionId) {
+    for (const batch of [...batches.values()]) {
+      const config = batch[0].destination.config;
+      const more = await claimSheetsJobs(workerId, config.spreadsheetId || config.spreadsheet_id, MAX_SHEETS_BATCH_ROWS - batch.length);
+      summary.claimed += more.length;
+      for (const job of more) {
+        await addToBatch(job);
+      }
+    }
+  }
+
+  for (const batch of batches.values()) {
+    for (let start = 0; start < batch.length; start += MAX_SHEETS_BATCH_ROWS) {
+      const updated = await runSheetsBatch(batch.slice(start, start + MAX_SHEETS_BATCH_ROWS));
+      updated.forEach(count);
+    }
+  }
+
+  if (summary.claimed > 0) {
+    console.log(`📊 Delivery worker ${workerId}:`, summary);
+  }
+
+  return summary;
+}
+
+/**
+ * Gets the destination types of a submission that failed their last delivery
+ *
+ * @param {Object} submission - Submission row
+ * @returns {string[]} Destination types whose `destinations_sent` entry has `success: false`
+ */
+export function getFailedDestinationTypes(submission) {
+  return Object.entries(submission.destinations_sent || {})
+    .filter(([, result]) => result?.success === false)
+    .map(([type]) => type);
+}
+
+/**
+ * Queues deliveries for a submission and attempts them immediately
+ *
+ * Jobs that fail with a retryable error stay queued and are retried by the
+ * worker as usual. Batched Google Sheets jobs are not due yet and are
+ * reported as `pending`; the worker appends them.
+ *
+ * @param {Object} submission - Submission row
+ * @param {Array<Object>} destinations - Destinations to deliver (`{ type, enabled, config }`)
+ * @returns {Promise<Object<string, { status: string, success: boolean|null, attempts: number, error: string|null }>>}
+ *   Outcome per destination type
+ * @throws {Error} If the jobs cannot be queued or claimed
+ */
+export async function deliverNow(submission, destinations) {
+  const jobs = await enqueueDeliveries(submission, destinations);
+  return attemptQueuedJobs(submission, jobs);
+}
+
+/**
+ * Attempts a submission's freshly queued jobs immediately
+ *
+ * The second half of `deliverNow`, for callers that need to act once the jobs
+ * are safely queued (e.g. closing a dead-letter entry) before they run.
+ *
+ * @param {Object} submission - Submission row
+ * @param {Array<Object>} jobs - Jobs returned by `enqueueDeliveries`
+ * @returns {Promise<Object<string, { status: string, success: boolean|null, attempts: number, error: string|null }>>}
+ *   Outcome per destination type (same as `deliverNow`)
+ * @throws {Error} If the jobs cannot be claimed (they stay queued for the worker)
+ *
+ * @example
+ * const jobs = await enqueueDeliveries(submission, [destination]);
+ * const results = await attemptQueuedJobs(submission, jobs);
+ */
+export async function attemptQueuedJobs(submission, jobs) {
+  const results = {};
+
+  if (jobs.length > 0) {
+    const workerId = `immediate-${randomUUID()}`;
+    const claimed = await claimJobs(workerId, { limit: jobs.length, submissionId: submission.id });
+    const queuedIds = new Set(jobs.map(job => job.id));
+
+    for (const job of claimed) {
+      const updated = await runJob(job);
+      if (queuedIds.has(job.id)) {
+        results[job.destination_type] = {
+          status: updated.status,
+          success: updated.status === 'succeeded',
+          attempts: updated.attempts,
+          error: updated.last_error || null
+        };
+      }
+    }
+
+    // Not claimed in this run (e.g. taken by a concurrent worker); the worker delivers it
+    jobs.filter(job => !results[job.destination_type]).forEach(job => {
+      results[job.destination_type] = { status: 'pending', success: null, attempts: 0, error: null };
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Re-delivers a stored submission to some of its connector's destinations
+ *
+ * Uses the connector's current destination configuration, so fixes made after
+ * the original failure (a new Slack webhook, shared spreadsheet) take effect.
+ * The replayed jobs are attempted immediately; jobs that fail with a
+ * retryable error stay queued and are retried by the worker as usual.
+ *
+ * Destinations that already have a pending or in-progress job are skipped so
+ * a delivery is never queued twice.
+ *
+ * @param {Object} submission - Submission row
+ * @param {Object} connector - Connector row (current configuration)
+ * @param {string[]} types - Destination types to replay
+ * @returns {Promise<{ results: Object<string, Object>, skipped: Array<{ destination: string, reason: string }> }>}
+ *   Outcome per replayed destination and the destinations that were skipped
+ * @throws {Error} If the jobs cannot be queued or claimed
+ *
+ * @example
+ * const { results } = await replayDeliveries(submission, connector, ['slack']);
+ * // results.slack => { status: 'succeeded', success: true, attempts: 1, ... }
+ */
+export async function replayDeliveries(submission, connector, types) {
+  const { data: activeJobs, error } = await supabaseAdmin
+    .from('delivery_jobs')
+    .select('destination_type')
+    .eq('submission_id', submission.id)
+    .in('status', ['pending', 'in_progress']);
+
+  if (error) {
+    throw new Error(`Failed to load delivery jobs: ${error.message}`);
+  }
+
+  const active = new Set((activeJobs || []).map(job => job.destination_type));
+  const skipped = [];
+  const destinations = [];
+
+  for (const type of types) {
+    const destination = getConnectorDestinations(connector).find(dest => dest.type === type);
+
+    if (!destination || !destination.enabled) {
+      skipped.push({ destination: type, reason: 'Destination is not configured or is disabled' });
+    } else if (active.has(type)) {
+      skipped.push({ destination: type, reason: 'A delivery is already queued' });
+    } else {
+      destinations.push(destination);
+    }
+  }
+
+  const results = await deliverNow(submission, destinations);
+  await postReplayFollowUp(submission.id, connector, results);
+
+  console.log(`🔁 Replayed ${Object.keys(results).length} destination(s) for submission ${submission.id}`);
+  return { results, skipped };
+}
+
+/**
+ * Posts the outcome of a replay in the Slack thread of the submission's notification
+ *
+ * A replayed Slack destination posts a new notification instead, so it is not
+ * listed. Nothing is posted when the submission has no bot-mode thread.
+ *
+ * @param {string} submissionId - Submission UUID
+ * @param {Object} connector - Connector row
+ * @param {Object<string, Object>} results - Outcome per destination type (from `deliverNow`)
+ * @returns {Promise<void>} Resolves when posted or skipped
+ *
+ * @example
+ * const results = await deliverNow(submission, [destination]);
+ * await postReplayFollowUp(submission.id, connector, results);
+ */
+export async function postReplayFollowUp(submissionId, connector, results) {
+  const lines = Object.entries(results)
+    .filter(([type]) => type !== 'slack')
+    .map(([type, result]) => {
+      if (result.status === 'succeeded') return `• *${type}*: delivered`;
+      if (result.status === 'failed') return `• *${type}*: failed (${result.error})`;
+      if (result.error) return `• *${type}*: retrying (${result.error})`;
+      return `• *${type}*: ${result.status}`;
+    });
+
+  if (lines.length === 0) {
+    return;
+  }
+
+  await postSlackFollowUp(submissionId, connector, `🔁 Replayed delivery:\n${lines.join('\n')}`);
+}
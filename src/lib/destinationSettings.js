@@ -0,0 +1,88 @@
+import { normalizeDestinationIds } from './circuitBreaker';
+import { normalizeDestinationConditions } from './routingRules';
+import { normalizeDestinationTransforms } from './transforms';
+import { validateDestinationTemplates } from './templates';
+import { normalizeDestinationAutoReplies } from './autoReply';
+import { validateDestinationEmailTransports } from './mail';
+import { normalizeDestinationRecipients } from './emailRecipients';
+import { normalizeDestinationSheetSettings } from './sheetColumns';
+import { normalizeDestinationSlackSettings } from './slackApi';
+import { normalizeDestinationPropertyMappings } from './recordMapping';
+import { normalizeDestinationWebhookSettings } from './webhookSettings';
+
+/**
+ * Rejects connectors with more than one destination of a type
+ *
+ * Delivery results (`destinations_sent`), replays, dead-letter edits and the
+ * Slack follow-ups identify a connector's destination by its type, so a
+ * second destination of the same type would overwrite the first one's
+ * results and be redelivered in its place.
+ *
+ * @param {Array<Object>} destinations - Destinations submitted by the client
+ * @returns {Array<Object>} The same destinations
+ * @throws {Error} If a type appears more than once
+ * @private
+ */
+function assertOneDestinationPerType(destinations) {
+  if (!Array.isArray(destinations)) {
+    return destinations;
+  }
+
+  const types = new Set();
+  for (const destination of destinations) {
+    if (!destination?.type) continue;
+    if (types.has(destination.type)) {
+      throw new Error(`A connector can have only one ${destination.type} destination`);
+    }
+    types.add(destination.type);
+  }
+
+  return destinations;
+}
+
+/**
+ * Checks run on a connector's destinations before they are saved
+ *
+ * Each step takes the destinations array and returns the normalized array, or
+ * throws an `Error` whose message is shown to the user. Steps run in order,
+ * so ids are assigned first and per-type settings are checked on destinations
+ * whose conditions and transforms are already normalized. A new destination
+ * setting adds its normalizer here, and every save path picks it up.
+ *
+ * @private
+ */
+const DESTINATION_NORMALIZERS = [
+  assertOneDestinationPerType,
+  normalizeDestinationIds,
+  normalizeDestinationConditions,
+  normalizeDestinationTransforms,
+  validateDestinationTemplates,
+  normalizeDestinationAutoReplies,
+  validateDestinationEmailTransports,
+  normalizeDestinationRecipients,
+  normalizeDestinationSheetSettings,
+  normalizeDestinationSlackSettings,
+  normalizeDestinationPropertyMappings,
+  normalizeDestinationWebhookSettings
+];
+
+/**
+ * Validates and normalizes a connector's destinations before they are saved
+ *
+ * Used by every path that writes destinations: creating and updating a
+ * connector, and editing a dead letter's destination settings.
+ *
+ * @param {Array<Object>} destinations - Destinations submitted by the client
+ * @returns {Array<Object>} Destinations ready to be stored
+ * @throws {Error} If a destination setting is invalid
+ *
+ * @example
+ * normalizeDestinations([{ type: 'webhook', enabled: true, config: { url: 'https://example.com/hook' } }]);
+ * // [{ id: '6f1c...', type: 'webhook', enabled: true, config: { url: '...', secret: 'whsec_...' } }]
+ */
+export function normalizeDestinations(destinations) {
+  return DESTINATION_NORMALIZERS.reduce(
+    (normalized, normalize) => normalize(normalized),
+    destinations || []
+  );
+}
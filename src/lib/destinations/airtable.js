@@ -0,0 +1,204 @@
+import { DeliveryError, getRetryAfterMs, permanentError } from '../deliveryErrors.js';
+import { withRetries } from './retry.js';
+import { buildPropertyValues, coercePropertyValue } from '../recordMapping.js';
+
+// Default Airtable Web API base URL (override with AIRTABLE_API_BASE_URL, e.g. for a local mock)
+const DEFAULT_AIRTABLE_API_BASE_URL = 'https://api.airtable.com/v0';
+
+/**
+ * Builds the Airtable fields of a record
+ *
+ * @param {Array<Object>} values - Values from `buildPropertyValues`
+ * @returns {{ fields: Object, skippedProperties: string[] }} Record fields and
+ *   the properties whose value could not be coerced
+ * @private
+ */
+function buildRecordFields(values) {
+  const fields = {};
+  const skippedProperties = [];
+
+  for (const { property, type, value } of values) {
+    const coerced = coercePropertyValue(value, type);
+    if (coerced === null) {
+      skippedProperties.push(property);
+    } else if (!Object.prototype.hasOwnProperty.call(fields, property)) {
+      fields[property] = coerced;
+    }
+  }
+
+  return { fields, skippedProperties };
+}
+
+/**
+ * Translates an Airtable error response into an actionable error
+ *
+ * @param {Response} response - Failed response
+ * @param {string} baseId - Base ID
+ * @param {string} table - Table name or ID
+ * @returns {Promise<DeliveryError>} Error to throw
+ * @private
+ */
+async function describeAirtableError(response, baseId, table) {
+  const errorText = await response.text();
+  let body = null;
+  try {
+    body = JSON.parse(errorText);
+  } catch {
+    // Not JSON (e.g. a proxy error page)
+  }
+  const detail = typeof body?.error === 'string' ? body.error : body?.error?.message || body?.error?.type || errorText;
+
+  if (response.status === 401) {
+    return permanentError('Airtable access denied. Please check the personal access token.', { status: 401 });
+  }
+  if (response.status === 403 || response.status === 404) {
+    return permanentError(
+      `Airtable base ${baseId} or table "${table}" not found, or the token cannot access it. ` +
+      `Give the token the data.records:write scope and access to the base.`,
+      { status: response.status }
+    );
+  }
+  if (response.status === 422) {
+    return permanentError(`Airtable rejected the request: ${detail}`, { status: 422 });
+  }
+  if (response.status === 429) {
+    // Airtable asks clients to wait 30 seconds after a 429
+    return new DeliveryError('Airtable rate limit exceeded (5 requests per second per base).', {
+      status: 429,
+      retryAfterMs: getRetryAfterMs(response.headers, 30)
+    });
+  }
+  return new DeliveryError(`Airtable API error: ${response.status} ${response.statusText}. ${detail}`, {
+    status: response.status
+  });
+}
+
+/**
+ * Handles Airtable destination processing for form submissions
+ *
+ * This function creates one record per form submission in an Airtable table.
+ * Form fields are written to Airtable fields through the destination's
+ * property mapping (see `recordMapping.js`), coercing numbers, checkboxes,
+ * select options and dates. Records are created with `typecast` so Airtable
+ * converts text into the field's type and adds missing select options.
+ *
+ * **Setup Instructions:**
+ *
+ * 1. **Create a Personal Access Token:**
+ *    - Go to https://airtable.com/create/tokens
+ *    - Add the `data.records:write` scope and the base to write to
+ *    - Copy the token into the connector, or set AIRTABLE_API_KEY
+ *
+ * 2. **Find the Base ID and Table:**
+ *    - Open the table in Airtable; the URL looks like
+ *      `https://airtable.com/appXXXXXXXXXXXXXX/tblYYYYYYYYYYYYYY/...`
+ *    - The base ID starts with `app`; use the table's name or `tbl` ID
+ *
+ * **Destination Configuration Structure:**
+ * ```javascript
+ * {
+ *   type: 'airtable',
+ *   enabled: true,
+ *   config: {
+ *     baseId: 'appXXXXXXXXXXXXXX',
+ *     table: 'Leads',                      // Table name or ID
+ *     apiKey: 'pat...',                    // (optional) default: AIRTABLE_API_KEY
+ *     propertyMapping: [                   // (optional) default: same-named fields
+ *       { field: 'email', property: 'Email', type: 'auto' },
+ *       { field: 'budget', property: 'Budget', type: 'number' }
+ *     ]
+ *   }
+ * }
+ * ```
+ *
+ * **Environment Variables:**
+ * - AIRTABLE_API_KEY: Default personal access token
+ * - AIRTABLE_API_BASE_URL: API base URL (default: https://api.airtable.com/v0)
+ *
+ * **Error Handling:**
+ *
+ * - Missing base, table or token: Returns clear error message
+ * - Unknown base or table, invalid token: Fails immediately
+ * - Unknown field names or invalid values: Fails immediately (Airtable's message is included)
+ * - Rate limiting and network errors: Retries with exponential backoff (3 attempts)
+ *
+ * @param {Object} destination - Destination configuration object
+ * @param {string} destination.type - Must be 'airtable'
+ * @param {boolean} destination.enabled - Whether this destination is enabled
+ * @param {Object} destination.config - Airtable configuration
+ * @param {string} destination.config.baseId - Base ID (`app...`)
+ * @param {string} destination.config.table - Table name or ID
+ * @param {string} [destination.config.apiKey] - Personal access token (default: AIRTABLE_API_KEY)
+ * @param {Array<Object>} [destination.config.propertyMapping] - Field → Airtable field mapping
+ * @param {Object} formData - Form submission data (key-value pairs)
+ * @param {Object} connector - Connector metadata
+ * @param {string} connector.name - Connector name
+ * @param {number} [maxRetries=3] - Maximum number of attempts
+ * @param {Object} [context] - Delivery context
+ * @param {string} [context.submissionId] - Submission being delivered (for `@submission_id`)
+ * @returns {Promise<Object>} Success object
+ * @returns {number} returns.attempts - Number of attempts made (1-based)
+ * @returns {string} returns.recordId - ID of the created record
+ * @returns {string[]} [returns.skippedProperties] - Fields left out because their value could not be coerced
+ * @throws {Error} If configuration is missing, the base or table is not found, or API errors occur
+ *
+ * @example
+ * await handleAirtable(
+ *   { type: 'airtable', enabled: true, config: { baseId: 'appXXXXXXXXXXXXXX', table: 'Leads' } },
+ *   { name: 'John Doe', email: 'john@example.com' },
+ *   { name: 'Contact Form' }
+ * );
+ */
+export async function handleAirtable(destination, formData, connector, maxRetries = 3, context = {}) {
+  const config = destination.config || {};
+  const baseId = config.baseId || config.base_id;
+  const table = config.table || config.tableName;
+  const apiKey = config.apiKey || process.env.AIRTABLE_API_KEY;
+
+  if (!baseId) {
+    throw permanentError('Airtable base ID is required in destination config');
+  }
+  if (!table) {
+    throw permanentError('Airtable table is required in destination config');
+  }
+  if (!apiKey) {
+    throw permanentError('Airtable access token is required (set it on the destination or AIRTABLE_API_KEY)');
+  }
+
+  const { fields, skippedProperties } = buildRecordFields(buildPropertyValues(formData, connector, {
+    propertyMapping: config.propertyMapping,
+    submissionId: context.submissionId
+  }));
+  const baseUrl = (process.env.AIRTABLE_API_BASE_URL || DEFAULT_AIRTABLE_API_BASE_URL).replace(/\/+$/, '');
+  const url = `${baseUrl}/${encodeURIComponent(baseId)}/${encodeURIComponent(table)}`;
+
+  console.log(`🗃️  Processing Airtable submission to base: ${baseId}, table: ${table}`);
+
+  return withRetries(async attempt => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`,
+      },
+      body: JSON.stringify({ records: [{ fields }], typecast: true }),
+    });
+
+    if (!response.ok) {
+      throw await describeAirtableError(response, baseId, table);
+    }
+
+    const data = await response.json();
+    const recordId = data.records?.[0]?.id || null;
+
+    if (skippedProperties.length > 0) {
+      console.log(`🗃️  Could not coerce value(s) for ${skippedProperties.join(', ')}, left out`);
+    }
+    console.log(`✅ Airtable record ${recordId} created on attempt ${attempt}`);
+
+    // Success - return
+    const result = { success: true, attempts: attempt, recordId };
+    if (skippedProperties.length > 0) result.skippedProperties = skippedProperties;
+    return result;
+  }, { maxRetries, emoji: '🗃️', name: 'Airtable', failure: 'Failed to create Airtable record' });
+}
@@ -0,0 +1,252 @@
+import { isFileReference } from '../attachments.js';
+import { DeliveryError, getRetryAfterMs, permanentError } from '../deliveryErrors.js';
+import { withRetries } from './retry.js';
+
+// Discord embed limits (https://discord.com/developers/docs/resources/message#embed-object-embed-limits)
+const MAX_EMBEDS = 10;
+const MAX_FIELDS_PER_EMBED = 25;
+const MAX_FIELD_NAME_LENGTH = 256;
+const MAX_FIELD_VALUE_LENGTH = 1024;
+const MAX_EMBED_CHARACTERS = 6000;
+
+// Embed accent color (Discord blurple)
+const EMBED_COLOR = 0x5865f2;
+
+/**
+ * Checks that a URL is a Discord webhook URL
+ *
+ * @param {string} webhookUrl - Configured webhook URL
+ * @returns {boolean} True if the URL can be used
+ * @private
+ */
+function isDiscordWebhookUrl(webhookUrl) {
+  try {
+    const url = new URL(webhookUrl);
+    return url.protocol === 'https:' &&
+      /^(?:(?:ptb|canary)\.)?discord(?:app)?\.com$/.test(url.hostname) &&
+      url.pathname.startsWith('/api/webhooks/');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Shortens text to a Discord length limit
+ *
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Text of at most `maxLength` characters
+ * @private
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Formats a form value as Discord markdown, linking uploaded files
+ *
+ * @param {*} value - Form value (string, array or file reference)
+ * @returns {string} Discord markdown text
+ * @private
+ */
+function formatDiscordValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(formatDiscordValue).join(', ');
+  }
+  if (isFileReference(value)) {
+    return `[${value.filename.replace(/[[\]]/g, '')}](${value.url})`;
+  }
+  return String(value || '');
+}
+
+/**
+ * Builds the embeds for a submission
+ *
+ * Form fields become inline embed fields, 25 per embed. Values are trimmed
+ * to Discord's limits; fields that do not fit in the message are counted in
+ * the footer instead.
+ *
+ * @param {Object} formData - Form submission data
+ * @param {Object} connector - Connector metadata
+ * @returns {Array<Object>} Discord embeds
+ * @private
+ */
+function buildEmbeds(formData, connector) {
+  const title = truncate(`📋 New Form Submission: ${connector.name}`, MAX_FIELD_NAME_LENGTH);
+  const footer = `📊 Connector: ${connector.name}`;
+  const fields = Object.entries(formData).map(([key, value]) => ({
+    name: truncate(key.charAt(0).toUpperCase() + key.slice(1), MAX_FIELD_NAME_LENGTH),
+    value: truncate(formatDiscordValue(value) || '(empty)', MAX_FIELD_VALUE_LENGTH),
+    inline: true
+  }));
+
+  // The character limit covers every embed of the message (titles, fields, footers)
+  let budget = MAX_EMBED_CHARACTERS - title.length - footer.length - 40;
+  const included = [];
+  for (const field of fields) {
+    const size = field.name.length + field.value.length;
+    if (included.length >= MAX_EMBEDS * MAX_FIELDS_PER_EMBED || size > budget) break;
+    included.push(field);
+    budget -= size;
+  }
+
+  const embeds = [];
+  for (let i = 0; i < Math.max(included.length, 1); i += MAX_FIELDS_PER_EMBED) {
+    embeds.push({ color: EMBED_COLOR, fields: included.slice(i, i + MAX_FIELDS_PER_EMBED) });
+  }
+
+  const omitted = fields.length - included.length;
+  embeds[0].title = title;
+  embeds[embeds.length - 1].footer = {
+    text: omitted > 0 ? `${footer} | ${omitted} more field(s) not shown` : footer
+  };
+  embeds[embeds.length - 1].timestamp = new Date().toISOString();
+
+  return embeds;
+}
+
+/**
+ * Handles Discord destination processing for form submissions
+ *
+ * This function posts a form submission to a Discord channel via a webhook,
+ * formatted as embeds. Mentions in submitted values (`@everyone`, roles,
+ * users) are never resolved.
+ *
+ * **Setup Instructions:**
+ *
+ * 1. **Create a Discord Webhook:**
+ *    - Open the channel's settings → "Integrations" → "Webhooks"
+ *    - Click "New Webhook", name it and pick the channel
+ *    - Click "Copy Webhook URL"
+ *
+ * 2. **Add Webhook URL to Connector:**
+ *    - When creating/editing a connector, select Discord destination
+ *    - Paste the webhook URL in the configuration
+ *
+ * **Destination Configuration Structure:**
+ * ```javascript
+ * {
+ *   type: 'discord',
+ *   enabled: true,
+ *   config: {
+ *     webhookUrl: 'your-discord-webhook-url-here',
+ *     username: 'Form Connector'       // (optional) overrides the webhook's name
+ *   }
+ * }
+ * ```
+ *
+ * **Message Format:**
+ *
+ * - Embed title with form name and emoji
+ * - Inline fields in key-value format (files are linked)
+ * - Footer with connector name and timestamp
+ *
+ * **Error Handling:**
+ *
+ * - Invalid webhook URL: Returns clear error message
+ * - Deleted webhook: Fails immediately
+ * - Message rejected by Discord: Fails immediately
+ * - Rate limiting: Waits for Discord's `retry_after` before retrying
+ * - Network errors: Retries with exponential backoff (3 attempts)
+ *
+ * @param {Object} destination - Destination configuration object
+ * @param {string} destination.type - Must be 'discord'
+ * @param {boolean} destination.enabled - Whether this destination is enabled
+ * @param {Object} destination.config - Discord configuration
+ * @param {string} destination.config.webhookUrl - Discord webhook URL
+ * @param {string} [destination.config.username] - Display name for the message
+ * @param {Object} formData - Form submission data (key-value pairs)
+ * @param {Object} connector - Connector metadata
+ * @param {string} connector.name - Connector name
+ * @param {number} [maxRetries=3] - Maximum number of retry attempts
+ * @returns {Promise<{ success: boolean, attempts: number, messageId: string|null }>} Result
+ * @throws {Error} If webhook URL is missing, invalid, or API errors occur
+ *
+ * @example
+ * await handleDiscord(
+ *   { type: 'discord', enabled: true, config: { webhookUrl: 'your-discord-webhook-url-here' } },
+ *   { name: 'John Doe', email: 'john@example.com' },
+ *   { name: 'Contact Form' }
+ * );
+ */
+export async function handleDiscord(destination, formData, connector, maxRetries = 3) {
+  const config = destination.config || {};
+  const webhookUrl = config.webhookUrl || config.webhook_url;
+
+  if (!webhookUrl) {
+    throw permanentError('Discord webhook URL is required in destination config');
+  }
+
+  // Validate webhook URL format
+  if (!isDiscordWebhookUrl(webhookUrl)) {
+    throw permanentError('Invalid Discord webhook URL format. Please provide a valid Discord webhook URL.');
+  }
+
+  console.log(`🎮 Processing Discord notification for connector: ${connector.name}`);
+
+  // wait=true makes Discord return the created message
+  const url = new URL(webhookUrl);
+  url.searchParams.set('wait', 'true');
+
+  const payload = {
+    ...(config.username ? { username: truncate(String(config.username), 80) } : {}),
+    embeds: buildEmbeds(formData, connector),
+    allowed_mentions: { parse: [] }
+  };
+
+  return withRetries(async attempt => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(payload),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      let errorBody = null;
+      try {
+        errorBody = JSON.parse(errorText);
+      } catch {
+        // Not JSON (e.g. a proxy error page)
+      }
+
+      if (response.status === 404) {
+        throw permanentError(
+          'Discord webhook not found. Please check that the webhook URL is correct and the webhook has not been deleted.',
+          { status: 404 }
+        );
+      } else if (response.status === 401 || response.status === 403) {
+        throw permanentError(
+          'Discord webhook access denied. The webhook token may be invalid or the channel no longer accessible.',
+          { status: response.status }
+        );
+      } else if (response.status === 429) {
+        // Rate limited - retry_after is in seconds (may be fractional)
+        const retryAfter = Number(errorBody?.retry_after);
+        const retryAfterMs = Number.isFinite(retryAfter)
+          ? Math.ceil(retryAfter * 1000)
+          : getRetryAfterMs(response.headers);
+        throw new DeliveryError(`Discord rate limit exceeded. Retry after ${Math.ceil(retryAfterMs / 1000)} seconds.`, {
+          status: 429,
+          retryAfterMs
+        });
+      } else if (response.status === 400 || response.status === 413) {
+        throw permanentError(
+          `Discord rejected the request (${response.status}): ${errorBody?.message || errorText.slice(0, 200)}`,
+          { status: response.status }
+        );
+      }
+
+      throw new DeliveryError(`Discord API error: ${response.status} ${response.statusText}. ${errorText}`, {
+        status: response.status
+      });
+    }
+
+    const message = await response.json().catch(() => null);
+
+    console.log(`✅ Discord message sent successfully on attempt ${attempt}`);
+    return { success: true, attempts: attempt, messageId: message?.id || null };
+  }, { maxRetries, emoji: '🎮', name: 'Discord send', failure: 'Failed to send Discord message' });
+}
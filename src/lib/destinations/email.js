@@ -1,9 +1,10 @@
-import sgMail from '@sendgrid/mail';
-
-// Initialize SendGrid with API key
-if (process.env.SENDGRID_API_KEY) {
-  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-}
+import { collectFileReferences, formatFieldValue, isFileReference, loadAttachment } from '../attachments.js';
+import { buildTemplateContext, renderTemplate } from '../templates.js';
+import { sendAutoReply } from '../autoReply.js';
+import { permanentError } from '../deliveryErrors.js';
+import { withRetries } from './retry.js';
+import { getEmailTransport } from '../mail/index.js';
+import { resolveEmailRecipients } from '../emailRecipients.js';
 
 /**
  * Helper function to escape HTML to prevent XSS attacks
@@ -27,68 +28,66 @@ function escapeHtml(text) {
   return String(text).replace(/[&<>"']/g, m => map[m]);
 }
 
+// Uploaded files larger than this (in total) are linked instead of attached
+const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+
 /**
- * Sends an email via SendGrid (single attempt, no retry)
- * 
- * This function processes a form submission and sends it via SendGrid email.
- * It creates a beautifully formatted HTML email with all form fields displayed
- * in a structured layout. The email includes both HTML and plain text versions
- * for maximum compatibility.
- * 
- * **SendGrid Configuration Requirements:**
- * - SENDGRID_API_KEY environment variable must be set
- * - SendGrid account must be verified
- * - From email address must be verified in SendGrid (unless using domain authentication)
- * 
- * **Destination Configuration Structure:**
- * ```javascript
- * {
- *   type: 'email',
- *   enabled: true,
- *   config: {
- *     to_email: 'recipient@example.com',      // or toEmail
- *     from_email: 'sender@example.com',        // or fromEmail
- *     from_name: 'Form Connector',             // or fromName (optional)
- *     subject: 'New Form Submission'           // (optional)
- *   }
- * }
- * ```
+ * Renders a form value as escaped HTML, linking uploaded files
  * 
- * **Form Data Structure:**
- * The formData object should contain key-value pairs where:
- * - Keys are field names (will be capitalized for display)
- * - Values are strings, numbers, or booleans
+ * @param {*} value - Form value (string, array or file reference)
+ * @returns {string} HTML string
+ * @private
+ */
+function renderHtmlValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(renderHtmlValue).join(', ');
+  }
+  if (isFileReference(value)) {
+    return `<a href="${escapeHtml(value.url)}" style="color: #667eea;">📎 ${escapeHtml(value.filename)}</a>`;
+  }
+  return escapeHtml(value);
+}
+
+/**
+ * Builds attachments for the uploaded files in a submission
  * 
- * **Connector Structure:**
- * The connector object should contain:
- * - name: string - Name of the connector (used in email)
+ * Files are skipped (and only linked in the email body) when their combined
+ * size exceeds MAX_ATTACHMENT_BYTES.
  * 
- * @param {Object} destination - Destination configuration object
- * @param {string} destination.type - Must be 'email'
- * @param {boolean} destination.enabled - Whether this destination is enabled
- * @param {Object} destination.config - Email configuration
- * @param {string} destination.config.to_email - Recipient email address (or toEmail)
- * @param {string} destination.config.from_email - Sender email address (or fromEmail)
- * @param {string} [destination.config.from_name] - Sender display name (or fromName)
- * @param {string} [destination.config.subject] - Email subject line
- * @param {Object} formData - Form submission data (key-value pairs)
- * @param {Object} connector - Connector metadata
- * @param {string} connector.name - Connector name
- * @returns {Promise<void>} Resolves when email is sent successfully
- * @throws {Error} If SendGrid API key is not configured
- * @throws {Error} If SendGrid send fails (network error, invalid config, etc.)
+ * @param {Object} formData - Form submission data
+ * @returns {Promise<Object[]>} Attachment objects (see `mail/index.js`)
  * @private
  */
-async function sendEmailOnce(destination, formData, connector) {
-  console.log('📧 sendEmail called with destination:', JSON.stringify(destination, null, 2));
-  
-  if (!process.env.SENDGRID_API_KEY) {
-    throw new Error('SendGrid API key not configured');
+async function buildAttachments(formData) {
+  const references = collectFileReferences(formData);
+  if (references.length === 0) return [];
+
+  const totalSize = references.reduce((sum, ref) => sum + (ref.size || 0), 0);
+  if (totalSize > MAX_ATTACHMENT_BYTES) {
+    console.log(`📎 Attachments too large to email (${totalSize} bytes), sending links only`);
+    return [];
   }
 
-  const config = destination.config || {};
-  console.log('📧 Email config:', JSON.stringify(config, null, 2));
-  
+  return Promise.all(references.map(async ref => {
+    const { body } = await loadAttachment(ref);
+    return {
+      content: body.toString('base64'),
+      filename: ref.filename,
+      type: ref.contentType,
+      disposition: 'attachment'
+    };
+  }));
+}
+
+/**
+ * Builds the built-in HTML email body
+ * 
+ * @param {Object} formData - Form submission data
+ * @param {Object} connector - Connector metadata
+ * @returns {string} HTML string
+ * @private
+ */
+function buildDefaultHtml(formData, connector) {
   // Escape connector name to prevent HTML injection
   const safeConnectorName = escapeHtml(connector.name);
   
@@ -110,7 +109,7 @@ async function sendEmailOnce(destination, formData, connector) {
   // Add form fields with HTML escaping
   Object.entries(formData).forEach(([key, value]) => {
     const label = escapeHtml(key.charAt(0).toUpperCase() + key.slice(1));
-    const safeValue = escapeHtml(value);
+    const safeValue = renderHtmlValue(value);
     htmlContent += `
       <div style="margin-bottom: 15px; border-bottom: 1px solid #eee; padding-bottom: 15px;">
         <strong style="color: #667eea; display: block; margin-bottom: 5px;">
@@ -141,44 +140,193 @@ async function sendEmailOnce(destination, formData, connector) {
     </div>
   `;
 
+  return htmlContent;
+}
+
+/**
+ * Builds the built-in plain-text email body
+ * 
+ * @param {Object} formData - Form submission data
+ * @param {Object} connector - Connector metadata
+ * @returns {string} Plain text
+ * @private
+ */
+function buildDefaultText(formData, connector) {
   // Plain text version (no escaping needed for plain text)
   let textContent = `New Form Submission from ${connector.name}\n\n`;
   Object.entries(formData).forEach(([key, value]) => {
     const label = key.charAt(0).toUpperCase() + key.slice(1);
-    textContent += `${label}: ${value || '(empty)'}\n`;
+    textContent += `${label}: ${formatFieldValue(value) || '(empty)'}\n`;
   });
 
+  return textContent;
+}
+
+/**
+ * Resolves the transport, recipients and rendered content of an email
+ *
+ * Problems here come from the destination's settings (unknown transport,
+ * invalid addresses, broken templates), so they are reported as permanent
+ * errors that are not retried.
+ *
+ * @param {Object} config - Email destination configuration
+ * @param {Object} formData - Form submission data
+ * @param {Object} connector - Connector metadata
+ * @returns {{ transport: Object, recipients: Object, subject: string, htmlContent: string, textContent: string }} Email parts
+ * @throws {DeliveryError} Permanent error if a setting is invalid
+ * @private
+ */
+function prepareEmail(config, formData, connector) {
+  try {
+    // Custom templates replace the built-in layout (see templates.js)
+    const templateContext = buildTemplateContext(formData, connector);
+
+    return {
+      transport: getEmailTransport(config.transport),
+      recipients: resolveEmailRecipients(config, formData),
+      subject: config.subject
+        ? renderTemplate(config.subject, templateContext, 'text')
+        : `New Form Submission - ${connector.name}`,
+      htmlContent: config.htmlTemplate
+        ? renderTemplate(config.htmlTemplate, templateContext, 'html')
+        : buildDefaultHtml(formData, connector),
+      textContent: config.textTemplate
+        ? renderTemplate(config.textTemplate, templateContext, 'text')
+        : buildDefaultText(formData, connector)
+    };
+  } catch (error) {
+    throw permanentError(error.message, { cause: error });
+  }
+}
+
+/**
+ * Sends an email through the destination's transport (single attempt, no retry)
+ * 
+ * This function processes a form submission and sends it by email.
+ * It creates a beautifully formatted HTML email with all form fields displayed
+ * in a structured layout. The email includes both HTML and plain text versions
+ * for maximum compatibility. Either body (and the subject) can be replaced
+ * with a custom template (see `templates.js`); values in the HTML template are
+ * escaped automatically.
+ * 
+ * **Transport:**
+ * The email is sent with the transport named in `config.transport`, or the
+ * EMAIL_TRANSPORT default (see `mail/index.js`). With SendGrid, the from
+ * address must be verified (unless using domain authentication).
+ * 
+ * **Destination Configuration Structure:**
+ * ```javascript
+ * {
+ *   type: 'email',
+ *   enabled: true,
+ *   config: {
+ *     to_email: 'owner@example.com, team@example.com', // or toEmail (comma-separated list)
+ *     cc: 'sales@example.com',                 // (optional, comma-separated list)
+ *     bcc: 'archive@example.com',              // (optional, comma-separated list)
+ *     recipientRouting: {                      // (optional, see emailRecipients.js)
+ *       field: 'department',
+ *       routes: [{ value: 'Support', to: 'help@example.com' }]
+ *     },
+ *     from_email: 'sender@example.com',        // or fromEmail
+ *     from_name: 'Form Connector',             // or fromName (optional)
+ *     subject: 'New lead: {{fields.name}}',    // (optional, template)
+ *     htmlTemplate: '<h1>{{connector.name}}</h1>{{#all_fields}}<p>{{label}}: {{value}}</p>{{/all_fields}}', // (optional)
+ *     textTemplate: '{{#all_fields}}{{label}}: {{value}}\n{{/all_fields}}',  // (optional)
+ *     autoReply: { enabled: true, emailField: 'email', subject: 'Thanks!' }, // (optional, see autoReply.js)
+ *     transport: 'smtp'                        // (optional) sendgrid, smtp or capture
+ *   }
+ * }
+ * ```
+ * 
+ * **Form Data Structure:**
+ * The formData object should contain key-value pairs where:
+ * - Keys are field names (will be capitalized for display)
+ * - Values are strings, numbers, booleans, arrays, or file references
+ * - Uploaded files are linked in the body and attached (up to 20MB in total)
+ * 
+ * **Connector Structure:**
+ * The connector object should contain:
+ * - name: string - Name of the connector (used in email)
+ * 
+ * @param {Object} destination - Destination configuration object
+ * @param {string} destination.type - Must be 'email'
+ * @param {boolean} destination.enabled - Whether this destination is enabled
+ * @param {Object} destination.config - Email configuration
+ * @param {string} destination.config.to_email - Recipient email addresses (or toEmail)
+ * @param {string} [destination.config.cc] - CC email addresses
+ * @param {string} [destination.config.bcc] - BCC email addresses
+ * @param {Object} [destination.config.recipientRouting] - Recipients chosen by a form value
+ * @param {string} destination.config.from_email - Sender email address (or fromEmail)
+ * @param {string} [destination.config.from_name] - Sender display name (or fromName)
+ * @param {string} [destination.config.subject] - Email subject line template
+ * @param {string} [destination.config.htmlTemplate] - HTML body template
+ * @param {string} [destination.config.textTemplate] - Plain-text body template
+ * @param {string} [destination.config.transport] - Email transport name (defaults to EMAIL_TRANSPORT)
+ * @param {Object} formData - Form submission data (key-value pairs)
+ * @param {Object} connector - Connector metadata
+ * @param {string} connector.name - Connector name
+ * @returns {Promise<{ recipients: Object[], routes: string[] }>} Per-recipient
+ *   { email, type, status, reason? } results and the recipient routes that matched
+ * @throws {Error} If a recipient address is invalid or missing
+ * @throws {Error} If the transport is unknown or not configured
+ * @throws {Error} If a custom template is invalid
+ * @throws {Error} If the transport fails to send (network error, invalid config, etc.)
+ * @private
+ */
+async function sendEmailOnce(destination, formData, connector) {
+  console.log('📧 sendEmail called with destination:', JSON.stringify(destination, null, 2));
+
+  const config = destination.config || {};
+  console.log('📧 Email config:', JSON.stringify(config, null, 2));
+
+  const { transport, recipients, subject, htmlContent, textContent } = prepareEmail(config, formData, connector);
+
   // Send email
   const msg = {
-    to: config.to_email || config.toEmail,
+    to: recipients.to,
     from: {
       email: config.from_email || config.fromEmail,
       name: config.from_name || config.fromName || 'Form Connector'
     },
-    subject: config.subject || `New Form Submission - ${safeConnectorName}`,
+    subject,
     text: textContent,
     html: htmlContent
   };
+  if (recipients.cc.length > 0) {
+    msg.cc = recipients.cc;
+  }
+  if (recipients.bcc.length > 0) {
+    msg.bcc = recipients.bcc;
+  }
+
+  const attachments = await buildAttachments(formData);
+  if (attachments.length > 0) {
+    msg.attachments = attachments;
+  }
 
   console.log('📧 Sending email with config:', JSON.stringify({
     to: msg.to,
+    cc: msg.cc,
+    bcc: msg.bcc,
+    routes: recipients.routes,
     from: msg.from,
-    subject: msg.subject
+    subject: msg.subject,
+    attachments: attachments.length,
+    transport: transport.name
   }, null, 2));
   
-  await sgMail.send(msg);
-  console.log('📧 SendGrid send() completed');
-}
+  const result = await transport.send(msg);
+  console.log(`📧 ${transport.name} send() completed`);
 
-/**
- * Helper function to delay execution (for retry backoff)
- * 
- * @param {number} ms - Milliseconds to delay
- * @returns {Promise<void>} Resolves after the delay
- * @private
- */
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+  // Report each recipient separately; transports list the addresses they refused
+  const rejected = new Map((result?.rejected || []).map(entry => [entry.email.toLowerCase(), entry.reason]));
+  return {
+    recipients: ['to', 'cc', 'bcc'].flatMap(type => recipients[type].map(email => {
+      const reason = rejected.get(email.toLowerCase());
+      return reason ? { email, type, status: 'rejected', reason } : { email, type, status: 'sent' };
+    })),
+    routes: recipients.routes
+  };
 }
 
 /**
@@ -187,7 +335,7 @@ function delay(ms) {
  * This function wraps sendEmailOnce with exponential backoff retry logic.
  * It attempts to send the email up to maxRetries times, with delays of 1s, 2s, and 4s
  * between retries. This improves reliability when dealing with transient network
- * issues or temporary SendGrid service unavailability.
+ * issues or temporary email service unavailability.
  * 
  * **Retry Strategy:**
  * - Attempt 1: Immediate
@@ -202,9 +350,15 @@ function delay(ms) {
  * @param {Object} formData - Form submission data (key-value pairs)
  * @param {Object} connector - Connector metadata
  * @param {number} [maxRetries=3] - Maximum number of retry attempts (default: 3)
+ * @param {Object} [context] - Delivery context
+ * @param {string} [context.submissionId] - Submission being delivered (one auto-reply per submission)
  * @returns {Promise<Object>} Success object with attempt count
  * @returns {boolean} returns.success - Always true on success
  * @returns {number} returns.attempts - Number of attempts made (1-based)
+ * @returns {Object[]} returns.recipients - Per-recipient { email, type: 'to'|'cc'|'bcc', status: 'sent'|'rejected', reason? }
+ * @returns {string[]} [returns.routes] - Values of the recipient routes that matched
+ * @returns {Object} [returns.autoReply] - Auto-reply outcome when `config.autoReply` is enabled
+ *   (see `autoReply.js`); sent once per submission, after the owner email succeeds
  * @throws {Error} If all retry attempts fail, includes attempt count in error message
  * 
  * @example
@@ -215,38 +369,27 @@ function delay(ms) {
  *   console.error('Failed to send email after all retries:', error.message);
  * }
  */
-export async function handleEmail(destination, formData, connector, maxRetries = 3) {
-  let lastError = null;
-  let attempts = 0;
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    attempts = attempt;
-    
-    try {
-      console.log(`📧 Email send attempt ${attempt}/${maxRetries}`);
-      await sendEmailOnce(destination, formData, connector);
-      
-      // Success - return with attempt count
-      console.log(`✅ Email sent successfully on attempt ${attempt}`);
-      return { success: true, attempts };
-      
-    } catch (error) {
-      lastError = error;
-      console.error(`❌ Email send attempt ${attempt} failed:`, error.message);
-      
-      // If this is not the last attempt, wait before retrying
-      if (attempt < maxRetries) {
-        // Exponential backoff: 1s, 2s, 4s
-        const delayMs = Math.pow(2, attempt - 1) * 1000;
-        console.log(`⏳ Waiting ${delayMs}ms before retry...`);
-        await delay(delayMs);
-      }
+export async function handleEmail(destination, formData, connector, maxRetries = 3, context = {}) {
+  return withRetries(async attempt => {
+    const { recipients, routes } = await sendEmailOnce(destination, formData, connector);
+
+    // Success - return with attempt count
+    console.log(`✅ Email sent successfully on attempt ${attempt}`);
+
+    const result = { success: true, attempts: attempt, recipients };
+    const config = destination.config || {};
+    if (routes.length > 0) {
+      result.routes = routes;
+    }
+
+    if (config.autoReply?.enabled) {
+      result.autoReply = await sendAutoReply(config.autoReply, formData, connector, {
+        email: config.from_email || config.fromEmail,
+        name: config.from_name || config.fromName || 'Form Connector'
+      }, { transport: config.transport, submissionId: context.submissionId });
     }
-  }
 
-  // All attempts failed
-  throw new Error(
-    `Failed to send email after ${attempts} attempt(s). Last error: ${lastError?.message || 'Unknown error'}`
-  );
+    return result;
+  }, { maxRetries, emoji: '📧', name: 'Email send', failure: 'Failed to send email' });
 }
 
@@ -0,0 +1,259 @@
+import { getContactEmail, syncCrmContact } from '../crmContacts.js';
+import { DeliveryError, getRetryAfterMs, permanentError } from '../deliveryErrors.js';
+import { withRetries } from './retry.js';
+
+// Default HubSpot API base URL (override with HUBSPOT_API_BASE_URL, e.g. for a local mock)
+const DEFAULT_HUBSPOT_API_BASE_URL = 'https://api.hubapi.com';
+
+// HubSpot-defined association type for note → contact
+const NOTE_TO_CONTACT_ASSOCIATION_TYPE_ID = 202;
+
+/**
+ * Escapes text for a HubSpot note body (HTML)
+ *
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ * @private
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Calls the HubSpot CRM API
+ *
+ * @param {Object} config - Destination configuration
+ * @param {string} path - API path (e.g. `/crm/v3/objects/notes`)
+ * @param {Object} body - JSON body (sent with POST)
+ * @returns {Promise<Object>} Parsed response
+ * @throws {Error} Actionable error for failed requests
+ * @private
+ */
+async function callHubspotApi(config, path, body) {
+  const token = config.accessToken || process.env.HUBSPOT_ACCESS_TOKEN;
+  const baseUrl = (process.env.HUBSPOT_API_BASE_URL || DEFAULT_HUBSPOT_API_BASE_URL).replace(/\/+$/, '');
+
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`,
+    },
+    body: JSON.stringify(body),
+  });
+
+  if (response.ok) {
+    return response.json();
+  }
+
+  const errorText = await response.text();
+  let errorBody = null;
+  try {
+    errorBody = JSON.parse(errorText);
+  } catch {
+    // Not JSON (e.g. a proxy error page)
+  }
+  const detail = errorBody?.message || errorText.slice(0, 200);
+
+  if (response.status === 401) {
+    throw permanentError('HubSpot access denied. Please check the private app access token.', { status: 401 });
+  }
+  if (response.status === 403) {
+    throw permanentError(`HubSpot access denied (missing scope): ${detail}`, { status: 403 });
+  }
+  if (response.status === 404) {
+    throw permanentError(`HubSpot API endpoint not found: ${path}`, { status: 404 });
+  }
+  if (response.status === 400 || response.status === 409) {
+    // e.g. PROPERTY_DOESNT_EXIST, INVALID_EMAIL, INVALID_OPTION
+    throw permanentError(`HubSpot rejected the request: ${detail}`, { status: response.status });
+  }
+  if (response.status === 429) {
+    const retryAfterMs = getRetryAfterMs(response.headers, 10);
+    throw new DeliveryError(`HubSpot rate limit exceeded. Retry after ${Math.ceil(retryAfterMs / 1000)} seconds.`, {
+      status: 429,
+      retryAfterMs
+    });
+  }
+  throw new DeliveryError(`HubSpot API error: ${response.status} ${response.statusText}. ${detail}`, {
+    status: response.status
+  });
+}
+
+/**
+ * HubSpot CRM client for `syncCrmContact` (see `crmContacts.js`)
+ *
+ * @private
+ */
+const hubspotClient = {
+  name: 'HubSpot',
+
+  // Internal names of HubSpot's default contact properties
+  standardProperties: {
+    email: 'email',
+    firstName: 'firstname',
+    lastName: 'lastname',
+    phone: 'phone',
+    company: 'company',
+    jobTitle: 'jobtitle',
+    website: 'website'
+  },
+
+  /**
+   * Formats a coerced value as a HubSpot property value
+   *
+   * @param {string|number|boolean|string[]} value - Coerced value
+   * @returns {string} Property value (multiple checkbox options are separated by `;`)
+   */
+  formatValue(value) {
+    if (Array.isArray(value)) return value.join(';');
+    return String(value);
+  },
+
+  /**
+   * Creates or updates the contact with an email address
+   *
+   * @param {Object} config - Destination configuration
+   * @param {string} email - Contact email address
+   * @param {Object} properties - Contact properties
+   * @returns {Promise<{ contactId: string, created: boolean }>} Contact ID, and whether it is new
+   */
+  async upsertContact(config, email, properties) {
+    const data = await callHubspotApi(config, '/crm/v3/objects/contacts/batch/upsert', {
+      inputs: [{ idProperty: 'email', id: email, properties: { ...properties, email } }]
+    });
+
+    const contact = data.results?.[0];
+    if (!contact?.id) {
+      throw new Error(`HubSpot API error: no contact returned for ${email}`);
+    }
+    return { contactId: contact.id, created: contact.new === true };
+  },
+
+  /**
+   * Logs a note on a contact
+   *
+   * @param {Object} config - Destination configuration
+   * @param {string} contactId - Contact ID
+   * @param {{ title: string, lines: string[] }} note - Note from `formatSubmissionNote`
+   * @returns {Promise<{ noteId: string }>} Note ID
+   */
+  async createNote(config, contactId, note) {
+    const body = [`<strong>${escapeHtml(note.title)}</strong>`, ...note.lines.map(escapeHtml)].join('<br>');
+    const data = await callHubspotApi(config, '/crm/v3/objects/notes', {
+      properties: {
+        hs_timestamp: new Date().toISOString(),
+        hs_note_body: body
+      },
+      associations: [{
+        to: { id: contactId },
+        types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: NOTE_TO_CONTACT_ASSOCIATION_TYPE_ID }]
+      }]
+    });
+    return { noteId: data.id };
+  }
+};
+
+/**
+ * Handles HubSpot destination processing for form submissions
+ *
+ * This function creates or updates a HubSpot contact for each submission,
+ * keyed by email address, and can log the full submission as a note on the
+ * contact. Form fields are written to contact properties through the
+ * destination's property mapping (see `recordMapping.js`); without a mapping,
+ * standard fields (name, phone, company, job title, website) are detected by
+ * name (see `crmContacts.js`).
+ *
+ * **Setup Instructions:**
+ *
+ * 1. **Create a Private App:**
+ *    - In HubSpot, go to Settings → Integrations → Private Apps → "Create a private app"
+ *    - Add the `crm.objects.contacts.write` and `crm.objects.contacts.read` scopes
+ *    - Copy the access token into the connector, or set HUBSPOT_ACCESS_TOKEN
+ *
+ * 2. **Map Fields (optional):**
+ *    - Use HubSpot's internal property names (Settings → Properties → property → "Internal name")
+ *
+ * **Destination Configuration Structure:**
+ * ```javascript
+ * {
+ *   type: 'hubspot',
+ *   enabled: true,
+ *   config: {
+ *     accessToken: 'pat-...',              // (optional) default: HUBSPOT_ACCESS_TOKEN
+ *     emailField: 'email',                 // (optional) default: first field named like an email
+ *     propertyMapping: [                   // (optional) default: standard fields
+ *       { field: 'first_name', property: 'firstname', type: 'text' },
+ *       { field: 'budget', property: 'budget', type: 'number' }
+ *     ],
+ *     logNote: true                        // (optional) log the submission as a note
+ *   }
+ * }
+ * ```
+ *
+ * **Environment Variables:**
+ * - HUBSPOT_ACCESS_TOKEN: Default private app access token
+ * - HUBSPOT_API_BASE_URL: API base URL (default: https://api.hubapi.com)
+ *
+ * **Error Handling:**
+ *
+ * - Missing token or email address: Returns clear error message
+ * - Invalid token or missing scopes: Fails immediately
+ * - Unknown properties or invalid values: Fails immediately (HubSpot's message is included)
+ * - Note failures: Reported in the result, the contact is still saved
+ * - Rate limiting and network errors: Retries with exponential backoff (3 attempts)
+ *
+ * @param {Object} destination - Destination configuration object
+ * @param {string} destination.type - Must be 'hubspot'
+ * @param {boolean} destination.enabled - Whether this destination is enabled
+ * @param {Object} destination.config - HubSpot configuration
+ * @param {string} [destination.config.accessToken] - Private app token (default: HUBSPOT_ACCESS_TOKEN)
+ * @param {string} [destination.config.emailField] - Form field holding the contact's email
+ * @param {Array<Object>} [destination.config.propertyMapping] - Field → contact property mapping
+ * @param {boolean} [destination.config.logNote] - Log the submission as a note on the contact
+ * @param {Object} formData - Form submission data (key-value pairs)
+ * @param {Object} connector - Connector metadata
+ * @param {string} connector.name - Connector name
+ * @param {number} [maxRetries=3] - Maximum number of attempts
+ * @param {Object} [context] - Delivery context
+ * @param {string} [context.submissionId] - Submission being delivered (for `@submission_id`)
+ * @returns {Promise<Object>} Success object
+ * @returns {number} returns.attempts - Number of attempts made (1-based)
+ * @returns {string} returns.contactId - HubSpot contact ID
+ * @returns {string} returns.action - `created` or `updated`
+ * @returns {string[]} [returns.skippedProperties] - Properties left out because their value could not be coerced
+ * @returns {Object} [returns.note] - Note outcome when `config.logNote` is set
+ * @throws {Error} If configuration or the email address is missing, or API errors occur
+ *
+ * @example
+ * await handleHubspot(
+ *   { type: 'hubspot', enabled: true, config: { logNote: true } },
+ *   { name: 'Ada Lovelace', email: 'ada@example.com', company: 'Analytical Engines' },
+ *   { name: 'Contact Form' }
+ * );
+ */
+export async function handleHubspot(destination, formData, connector, maxRetries = 3, context = {}) {
+  const config = destination.config || {};
+
+  if (!config.accessToken && !process.env.HUBSPOT_ACCESS_TOKEN) {
+    throw permanentError('HubSpot access token is required (set it on the destination or HUBSPOT_ACCESS_TOKEN)');
+  }
+  if (!getContactEmail(formData, config.emailField)) {
+    throw permanentError(
+      `A valid email address is required to create a HubSpot contact (field "${config.emailField || 'email'}")`
+    );
+  }
+
+  console.log(`🧲 Processing HubSpot contact for connector: ${connector.name}`);
+
+  return withRetries(async attempt => {
+    const outcome = await syncCrmContact(hubspotClient, config, formData, connector, context);
+
+    // Success - return
+    return { success: true, attempts: attempt, ...outcome };
+  }, { maxRetries, emoji: '🧲', name: 'HubSpot', failure: 'Failed to sync HubSpot contact' });
+}
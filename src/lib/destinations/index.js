@@ -1,32 +1,13 @@
+import { handleAirtable } from './airtable.js';
+import { handleDiscord } from './discord.js';
 import { handleEmail } from './email.js';
+import { handleHubspot } from './hubspot.js';
+import { handleNotion } from './notion.js';
 import { handleSheets } from './sheets.js';
 import { handleSlack } from './slack.js';
-
-/**
- * Placeholder handler for SMS destination
- * 
- * @param {Object} destination - Destination configuration
- * @param {Object} formData - Form submission data
- * @param {Object} connector - Connector metadata
- * @throws {Error} Always throws error indicating not implemented
- */
-async function handleSms(destination, formData, connector) {
-  console.log('⚠️  SMS destination handler is not yet implemented');
-  throw new Error('This destination type is not yet implemented');
-}
-
-/**
- * Placeholder handler for Webhook destination
- * 
- * @param {Object} destination - Destination configuration
- * @param {Object} formData - Form submission data
- * @param {Object} connector - Connector metadata
- * @throws {Error} Always throws error indicating not implemented
- */
-async function handleWebhook(destination, formData, connector) {
-  console.log('⚠️  Webhook destination handler is not yet implemented');
-  throw new Error('This destination type is not yet implemented');
-}
+import { handleSms } from './sms.js';
+import { handleTeams } from './teams.js';
+import { handleWebhook } from './webhook.js';
 
 /**
  * Destination handlers registry
@@ -36,11 +17,15 @@ async function handleWebhook(destination, formData, connector) {
  * - destination: The destination configuration object
  * - formData: The form submission data
  * - connector: The connector metadata
+ * - maxRetries: In-handler attempts (the delivery queue passes 1 and retries itself)
+ * - context: Delivery context ({ submissionId })
  * 
  * Handlers should:
  * - Process the form submission according to the destination type
- * - Throw errors if processing fails
- * - Return void (Promise<void>) on success
+ * - Throw errors if processing fails; failures that retrying cannot fix are thrown
+ *   as permanent `DeliveryError`s (see `deliveryErrors.js`)
+ * - Return void, or an object of result details (e.g. attempts, status, latencyMs)
+ *   that is merged into the submission's `destinations_sent` entry
  * 
  * @type {Object<string, Function>}
  * 
@@ -48,14 +33,39 @@ async function handleWebhook(destination, formData, connector) {
  * // Use a handler
  * const handler = destinationHandlers[destination.type];
  * if (handler) {
- *   await handler(destination, formData, connector);
+ *   const details = await handler(destination, formData, connector);
  * }
  */
 export const destinationHandlers = {
   email: handleEmail,
   slack: handleSlack,
+  teams: handleTeams,
+  discord: handleDiscord,
   sms: handleSms,
   sheets: handleSheets,
+  airtable: handleAirtable,
+  notion: handleNotion,
+  hubspot: handleHubspot,
   webhook: handleWebhook
 };
 
+
+/**
+ * Gets a connector's destinations as a flat array
+ * 
+ * Some connectors were stored with their destinations double-nested
+ * (`[[...]]`); those are flattened so callers always see `[{ type, enabled, config }]`.
+ * 
+ * @param {Object} connector - Connector row
+ * @returns {Array<Object>} Destination configurations
+ */
+export function getConnectorDestinations(connector) {
+  const destinations = connector?.destinations || [];
+
+  if (destinations.length > 0 && Array.isArray(destinations[0])) {
+    console.log('⚠️  Detected double-nested array, flattening...');
+    return destinations[0];
+  }
+
+  return destinations;
+}
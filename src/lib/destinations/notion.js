@@ -0,0 +1,350 @@
+import { isFileReference } from '../attachments.js';
+import { DeliveryError, getRetryAfterMs, permanentError } from '../deliveryErrors.js';
+import { withRetries } from './retry.js';
+import { buildPropertyValues, coercePropertyValue } from '../recordMapping.js';
+
+// Default Notion API base URL (override with NOTION_API_BASE_URL, e.g. for a local mock)
+const DEFAULT_NOTION_API_BASE_URL = 'https://api.notion.com/v1';
+const NOTION_VERSION = '2022-06-28';
+
+// How long a database's property schema is reused before it is read again
+const DATABASE_SCHEMA_TTL_MS = 5 * 60 * 1000;
+
+// Notion limits each rich text object to 2000 characters
+const MAX_TEXT_LENGTH = 2000;
+
+// Cached property schemas per database ID
+const databaseSchemaCache = new Map();
+
+// Property coercion used for `auto` mappings, by Notion property type
+const SCHEMA_COERCIONS = {
+  title: 'text',
+  rich_text: 'text',
+  email: 'text',
+  url: 'text',
+  phone_number: 'text',
+  number: 'number',
+  checkbox: 'checkbox',
+  select: 'select',
+  status: 'select',
+  multi_select: 'multi_select',
+  date: 'date'
+};
+
+/**
+ * Extracts a database ID from an ID or a Notion database URL
+ *
+ * @param {string} value - Configured database ID or URL
+ * @returns {string|null} 32-character database ID, or null if none is found
+ * @private
+ */
+function parseDatabaseId(value) {
+  const text = String(value || '').trim();
+  let candidate = text;
+  try {
+    // https://www.notion.so/workspace/Leads-0123456789abcdef0123456789abcdef?v=...
+    candidate = new URL(text).pathname.split('/').pop();
+  } catch {
+    // Not a URL
+  }
+  const match = candidate.replace(/-/g, '').match(/[0-9a-f]{32}$/i);
+  return match ? match[0].toLowerCase() : null;
+}
+
+/**
+ * Calls the Notion API
+ *
+ * @param {string} path - API path (e.g. `/pages`)
+ * @param {string} apiKey - Integration token
+ * @param {Object} [options] - Request options
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {Object} [options.body] - JSON body
+ * @returns {Promise<Object>} Parsed response
+ * @throws {Error} Actionable error for failed requests
+ * @private
+ */
+async function callNotionApi(path, apiKey, { method = 'GET', body } = {}) {
+  const baseUrl = (process.env.NOTION_API_BASE_URL || DEFAULT_NOTION_API_BASE_URL).replace(/\/+$/, '');
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Notion-Version': NOTION_VERSION,
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+    },
+    ...(body ? { body: JSON.stringify(body) } : {}),
+  });
+
+  if (response.ok) {
+    return response.json();
+  }
+
+  const errorText = await response.text();
+  let errorBody = null;
+  try {
+    errorBody = JSON.parse(errorText);
+  } catch {
+    // Not JSON (e.g. a proxy error page)
+  }
+  const detail = errorBody?.message || errorText.slice(0, 200);
+
+  if (response.status === 401 || response.status === 403) {
+    throw permanentError('Notion access denied. Please check the integration token and its capabilities.', {
+      status: response.status
+    });
+  }
+  if (response.status === 404) {
+    throw permanentError(
+      'Notion database not found, or not shared with the integration. Add the integration under the database\'s "Connections" menu.',
+      { status: 404 }
+    );
+  }
+  if (response.status === 400) {
+    throw permanentError(`Notion rejected the request: ${detail}`, { status: 400 });
+  }
+  if (response.status === 429) {
+    const retryAfterMs = getRetryAfterMs(response.headers, 1);
+    throw new DeliveryError(`Notion rate limit exceeded. Retry after ${Math.ceil(retryAfterMs / 1000)} seconds.`, {
+      status: 429,
+      retryAfterMs
+    });
+  }
+  throw new DeliveryError(`Notion API error: ${response.status} ${response.statusText}. ${detail}`, {
+    status: response.status
+  });
+}
+
+/**
+ * Gets a database's property types, keyed by property name
+ *
+ * Results are cached for DATABASE_SCHEMA_TTL_MS, so most submissions need a
+ * single request.
+ *
+ * @param {string} databaseId - Database ID
+ * @param {string} apiKey - Integration token
+ * @returns {Promise<Object<string, string>>} Property name → Notion property type
+ * @private
+ */
+async function getDatabaseSchema(databaseId, apiKey) {
+  const cached = databaseSchemaCache.get(databaseId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.schema;
+  }
+
+  const database = await callNotionApi(`/databases/${databaseId}`, apiKey);
+  const schema = Object.fromEntries(
+    Object.entries(database.properties || {}).map(([name, property]) => [name, property.type])
+  );
+
+  databaseSchemaCache.set(databaseId, { schema, expiresAt: Date.now() + DATABASE_SCHEMA_TTL_MS });
+  return schema;
+}
+
+/**
+ * Wraps a value in a Notion property value object
+ *
+ * The value is first coerced to the mapping's type (or, for `auto`, the
+ * database property's type), then converted to the database property's type.
+ *
+ * @param {*} value - Form value
+ * @param {string} type - Mapping type (see PROPERTY_TYPES)
+ * @param {string} propertyType - Notion property type
+ * @returns {Object|null} Property value, or null if the value cannot be written
+ * @private
+ */
+function toNotionPropertyValue(value, type, propertyType) {
+  const schemaCoercion = SCHEMA_COERCIONS[propertyType];
+  if (!schemaCoercion) return null; // e.g. people, files, relation, formula
+
+  const mapped = type === 'auto' ? value : coercePropertyValue(value, type);
+  if (mapped === null) return null;
+
+  // File uploads are written as their link in URL properties
+  const source = propertyType === 'url' && isFileReference(mapped) ? mapped.url : mapped;
+  const coerced = coercePropertyValue(source, schemaCoercion);
+  if (coerced === null) return null;
+
+  switch (propertyType) {
+    case 'title':
+    case 'rich_text':
+      return { [propertyType]: [{ type: 'text', text: { content: coerced.slice(0, MAX_TEXT_LENGTH) } }] };
+    case 'email':
+    case 'url':
+    case 'phone_number':
+      return { [propertyType]: coerced.trim() || null };
+    case 'select':
+    case 'status':
+      return { [propertyType]: { name: coerced.slice(0, 100) } };
+    case 'multi_select':
+      return { multi_select: coerced.map(name => ({ name: name.slice(0, 100) })) };
+    case 'date':
+      return { date: { start: coerced } };
+    default:
+      return { [propertyType]: coerced };
+  }
+}
+
+/**
+ * Builds the properties of the page for a submission
+ *
+ * Properties that do not exist in the database, have a type that cannot be
+ * written (people, files, formulas, ...), or whose value cannot be coerced are
+ * left out. If the title property is not mapped, the page is titled after the
+ * connector.
+ *
+ * @param {Array<Object>} values - Values from `buildPropertyValues`
+ * @param {Object<string, string>} schema - Database property types
+ * @param {Object} connector - Connector metadata
+ * @returns {{ properties: Object, skippedProperties: string[] }} Page properties
+ *   and the properties that were left out
+ * @private
+ */
+function buildPageProperties(values, schema, connector) {
+  const properties = {};
+  const skippedProperties = [];
+
+  for (const { property, type, value } of values) {
+    if (Object.prototype.hasOwnProperty.call(properties, property)) continue;
+
+    const propertyType = Object.prototype.hasOwnProperty.call(schema, property) ? schema[property] : null;
+    const propertyValue = propertyType ? toNotionPropertyValue(value, type, propertyType) : null;
+    if (propertyValue) {
+      properties[property] = propertyValue;
+    } else {
+      skippedProperties.push(property);
+    }
+  }
+
+  const titleProperty = Object.keys(schema).find(name => schema[name] === 'title');
+  if (titleProperty && !properties[titleProperty]) {
+    properties[titleProperty] = toNotionPropertyValue(`New Form Submission: ${connector.name}`, 'text', 'title');
+  }
+
+  return { properties, skippedProperties };
+}
+
+/**
+ * Handles Notion destination processing for form submissions
+ *
+ * This function creates one page per form submission in a Notion database.
+ * Form fields are written to database properties through the destination's
+ * property mapping (see `recordMapping.js`). The database's schema is read
+ * (and cached for 5 minutes) so each value is sent in the format of its
+ * property: numbers, checkboxes, select and multi-select options, dates,
+ * text, emails, URLs and phone numbers.
+ *
+ * **Setup Instructions:**
+ *
+ * 1. **Create an Integration:**
+ *    - Go to https://www.notion.so/profile/integrations and create an internal integration
+ *    - Give it the "Insert content" and "Read content" capabilities
+ *    - Copy the token into the connector, or set NOTION_API_KEY
+ *
+ * 2. **Share the Database:**
+ *    - Open the database → "..." → "Connections" → add the integration
+ *    - Copy the database link; the ID is the 32 characters before `?v=`
+ *
+ * **Destination Configuration Structure:**
+ * ```javascript
+ * {
+ *   type: 'notion',
+ *   enabled: true,
+ *   config: {
+ *     databaseId: '0123456789abcdef0123456789abcdef', // ID or database URL
+ *     apiKey: 'ntn_...',                   // (optional) default: NOTION_API_KEY
+ *     propertyMapping: [                   // (optional) default: same-named properties
+ *       { field: 'name', property: 'Name', type: 'auto' },
+ *       { field: 'topics', property: 'Topics', type: 'multi_select' }
+ *     ]
+ *   }
+ * }
+ * ```
+ *
+ * **Environment Variables:**
+ * - NOTION_API_KEY: Default integration token
+ * - NOTION_API_BASE_URL: API base URL (default: https://api.notion.com/v1)
+ *
+ * **Error Handling:**
+ *
+ * - Missing or malformed database ID, missing token: Returns clear error message
+ * - Database not found or not shared, invalid token: Fails immediately
+ * - Page rejected by Notion (validation error): Fails immediately
+ * - Rate limiting and network errors: Retries with exponential backoff (3 attempts)
+ *
+ * @param {Object} destination - Destination configuration object
+ * @param {string} destination.type - Must be 'notion'
+ * @param {boolean} destination.enabled - Whether this destination is enabled
+ * @param {Object} destination.config - Notion configuration
+ * @param {string} destination.config.databaseId - Database ID or URL
+ * @param {string} [destination.config.apiKey] - Integration token (default: NOTION_API_KEY)
+ * @param {Array<Object>} [destination.config.propertyMapping] - Field → property mapping
+ * @param {Object} formData - Form submission data (key-value pairs)
+ * @param {Object} connector - Connector metadata
+ * @param {string} connector.name - Connector name
+ * @param {number} [maxRetries=3] - Maximum number of attempts
+ * @param {Object} [context] - Delivery context
+ * @param {string} [context.submissionId] - Submission being delivered (for `@submission_id`)
+ * @returns {Promise<Object>} Success object
+ * @returns {number} returns.attempts - Number of attempts made (1-based)
+ * @returns {string} returns.pageId - ID of the created page
+ * @returns {string} returns.url - Link to the created page
+ * @returns {string[]} [returns.skippedProperties] - Properties left out (missing, unsupported or not coercible)
+ * @throws {Error} If configuration is missing, the database is not found, or API errors occur
+ *
+ * @example
+ * await handleNotion(
+ *   { type: 'notion', enabled: true, config: { databaseId: '0123456789abcdef0123456789abcdef' } },
+ *   { name: 'John Doe', email: 'john@example.com' },
+ *   { name: 'Contact Form' }
+ * );
+ */
+export async function handleNotion(destination, formData, connector, maxRetries = 3, context = {}) {
+  const config = destination.config || {};
+  const configuredDatabase = config.databaseId || config.database_id;
+  const apiKey = config.apiKey || process.env.NOTION_API_KEY;
+
+  if (!configuredDatabase) {
+    throw permanentError('Notion database ID is required in destination config');
+  }
+  const databaseId = parseDatabaseId(configuredDatabase);
+  if (!databaseId) {
+    throw permanentError('Invalid Notion database ID. Use the database\'s 32-character ID or its link.');
+  }
+  if (!apiKey) {
+    throw permanentError('Notion integration token is required (set it on the destination or NOTION_API_KEY)');
+  }
+
+  const values = buildPropertyValues(formData, connector, {
+    propertyMapping: config.propertyMapping,
+    submissionId: context.submissionId
+  });
+
+  console.log(`📓 Processing Notion submission to database: ${databaseId}`);
+
+  return withRetries(async attempt => {
+    const schema = await getDatabaseSchema(databaseId, apiKey);
+    const { properties, skippedProperties } = buildPageProperties(values, schema, connector);
+
+    let page;
+    try {
+      page = await callNotionApi('/pages', apiKey, {
+        method: 'POST',
+        body: { parent: { database_id: databaseId }, properties }
+      });
+    } catch (error) {
+      // The database may have been edited; read its schema again next time
+      databaseSchemaCache.delete(databaseId);
+      throw error;
+    }
+
+    if (skippedProperties.length > 0) {
+      console.log(`📓 No writable property for ${skippedProperties.join(', ')}, left out`);
+    }
+    console.log(`✅ Notion page ${page.id} created on attempt ${attempt}`);
+
+    // Success - return
+    const result = { success: true, attempts: attempt, pageId: page.id, url: page.url || null };
+    if (skippedProperties.length > 0) result.skippedProperties = skippedProperties;
+    return result;
+  }, { maxRetries, emoji: '📓', name: 'Notion', failure: 'Failed to create Notion page' });
+}
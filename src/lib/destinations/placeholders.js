@@ -0,0 +1,65 @@
+/**
+ * Placeholder helpers shared by destination handlers
+ *
+ * Destinations that let users write their own payloads (webhook bodies, SMS
+ * messages) use `{{path}}` placeholders that resolve against a context object:
+ * - `fields` - The submitted form data (e.g. `{{fields.email}}`)
+ * - `connector.id` / `connector.name` - Connector metadata
+ * - `timestamp` - ISO timestamp of the delivery
+ */
+
+// Matches a single `{{ path }}` placeholder
+export const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * Builds the placeholder context for a submission
+ *
+ * @param {Object} formData - Form submission data (key-value pairs)
+ * @param {Object} connector - Connector metadata
+ * @returns {Object} Context object ({ fields, connector, timestamp })
+ */
+export function buildPlaceholderContext(formData, connector) {
+  return {
+    fields: formData,
+    connector: { id: connector.id, name: connector.name },
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Resolves a dotted path (e.g. "fields.email") against a context object
+ *
+ * Only own properties are followed, so inherited ones such as
+ * `{{fields.constructor}}` or `{{fields.__proto__}}` resolve to nothing.
+ *
+ * @param {Object} context - Placeholder context object
+ * @param {string} path - Dotted path to resolve
+ * @returns {*} Resolved value, or undefined if any segment is missing
+ */
+export function resolvePath(context, path) {
+  return path.split('.').reduce((value, key) => {
+    if (value === null || value === undefined || typeof value !== 'object') return undefined;
+    return Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined;
+  }, context);
+}
+
+/**
+ * Replaces every `{{path}}` placeholder in a string with its text value
+ *
+ * Missing values render as an empty string and objects are serialized as JSON.
+ *
+ * @param {string} template - Template string
+ * @param {Object} context - Placeholder context object
+ * @returns {string} Interpolated string
+ *
+ * @example
+ * interpolate('New lead: {{fields.name}}', { fields: { name: 'Jane' } });
+ * // Returns: 'New lead: Jane'
+ */
+export function interpolate(template, context) {
+  return template.replace(PLACEHOLDER_PATTERN, (_, path) => {
+    const value = resolvePath(context, path);
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
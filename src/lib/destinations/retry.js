@@ -0,0 +1,77 @@
+import { DeliveryError } from '../deliveryErrors.js';
+
+/**
+ * In-handler retries shared by the destination handlers
+ *
+ * A handler makes up to `maxRetries` attempts (the delivery queue passes 1
+ * and schedules retries itself). Between attempts it waits 1s, 2s, 4s..., or
+ * as long as a rate limited destination asked (`retryAfterMs`). Permanent
+ * errors are thrown at once.
+ */
+
+/**
+ * Helper function to delay execution (for retry backoff)
+ *
+ * @param {number} ms - Milliseconds to delay
+ * @returns {Promise<void>} Resolves after the delay
+ * @private
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Runs a delivery until an attempt succeeds or the attempts run out
+ *
+ * @param {function(number): Promise<*>} attemptDelivery - Makes one attempt; receives the 1-based attempt number
+ * @param {Object} options - Retry options
+ * @param {number} options.maxRetries - Maximum number of attempts
+ * @param {string} options.emoji - Emoji of the destination in the attempt logs
+ * @param {string} options.name - Name used in the attempt logs (e.g. 'Email send')
+ * @param {string} options.failure - Start of the error thrown once all attempts fail (e.g. 'Failed to send email')
+ * @returns {Promise<*>} Result of the successful attempt
+ * @throws {DeliveryError} The first permanent error, or one wrapping the last error once all attempts fail
+ *
+ * @example
+ * return withRetries(async attempt => {
+ *   await postMessage(payload);
+ *   return { success: true, attempts: attempt };
+ * }, { maxRetries, emoji: '👥', name: 'Teams send', failure: 'Failed to send Teams message' });
+ */
+export async function withRetries(attemptDelivery, { maxRetries, emoji, name, failure }) {
+  let lastError = null;
+  let attempts = 0;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    attempts = attempt;
+
+    try {
+      console.log(`${emoji} ${name} attempt ${attempt}/${maxRetries}`);
+      return await attemptDelivery(attempt);
+
+    } catch (error) {
+      lastError = error;
+      console.error(`❌ ${name} attempt ${attempt} failed:`, error.message);
+
+      // Don't retry on configuration errors or requests the destination refused
+      if (error.permanent) {
+        throw error;
+      }
+
+      // If this is not the last attempt, wait before retrying
+      if (attempt < maxRetries) {
+        // Exponential backoff: 1s, 2s, 4s
+        // For rate limits, wait as long as the destination asks
+        const delayMs = error.retryAfterMs ?? Math.pow(2, attempt - 1) * 1000;
+        console.log(`⏳ Waiting ${delayMs}ms before retry...`);
+        await delay(delayMs);
+      }
+    }
+  }
+
+  // All attempts failed
+  throw new DeliveryError(
+    `${failure} after ${attempts} attempt(s). Last error: ${lastError?.message || 'Unknown error'}`,
+    { status: lastError?.status, retryAfterMs: lastError?.retryAfterMs, cause: lastError }
+  );
+}
@@ -1,15 +1,17 @@
 import { google } from 'googleapis';
+import { DeliveryError, isPermanentStatus, permanentError } from '../deliveryErrors.js';
+import { withRetries } from './retry.js';
+import { SUBMISSION_ID_FIELD, buildSheetRecord, columnLetter, normalizeHeader } from '../sheetColumns.js';
 
-/**
- * Helper function to delay execution (for retry backoff)
- * 
- * @param {number} ms - Milliseconds to delay
- * @returns {Promise<void>} Resolves after the delay
- * @private
- */
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+// Spreadsheet metadata (sheet ID, grid size, header row) is reused for this long
+const SHEET_METADATA_TTL_MS = 5 * 60 * 1000;
+
+// Most rows written by one batched append (see handleSheetsBatch)
+export const MAX_SHEETS_BATCH_ROWS = 100;
+
+// Cached metadata and in-flight work per spreadsheet sheet, keyed by sheetKey()
+const sheetMetadataCache = new Map();
+const sheetLocks = new Map();
 
 /**
  * Authenticates with Google Sheets API using service account credentials
@@ -25,7 +27,7 @@ async function authenticateGoogleSheets() {
   const serviceAccountJson = process.env.GOOGLE_SERVICE_ACCOUNT_JSON;
   
   if (!serviceAccountJson) {
-    throw new Error('GOOGLE_SERVICE_ACCOUNT_JSON environment variable is not set');
+    throw permanentError('GOOGLE_SERVICE_ACCOUNT_JSON environment variable is not set');
   }
 
   let credentials;
@@ -34,11 +36,11 @@ async function authenticateGoogleSheets() {
       ? JSON.parse(serviceAccountJson) 
       : serviceAccountJson;
   } catch (error) {
-    throw new Error(`Failed to parse GOOGLE_SERVICE_ACCOUNT_JSON: ${error.message}`);
+    throw permanentError(`Failed to parse GOOGLE_SERVICE_ACCOUNT_JSON: ${error.message}`);
   }
 
   if (!credentials.client_email || !credentials.private_key) {
-    throw new Error('Invalid service account credentials: missing client_email or private_key');
+    throw permanentError('Invalid service account credentials: missing client_email or private_key');
   }
 
   const auth = new google.auth.JWT({
@@ -50,12 +52,504 @@ async function authenticateGoogleSheets() {
   return auth;
 }
 
+/**
+ * Builds the cache key of a spreadsheet sheet
+ *
+ * @param {string} spreadsheetId - Spreadsheet ID
+ * @param {string} sheetName - Sheet name
+ * @returns {string} Cache key
+ * @private
+ */
+function sheetKey(spreadsheetId, sheetName) {
+  return `${spreadsheetId}\u0000${sheetName}`;
+}
+
+/**
+ * Builds an A1 range on a sheet, quoting the sheet name
+ *
+ * @param {string} sheetName - Sheet name
+ * @param {string} range - Range within the sheet (e.g. "1:1", "AA1")
+ * @returns {string} A1 range
+ * @private
+ */
+function sheetRange(sheetName, range) {
+  return `'${sheetName.replace(/'/g, "''")}'!${range}`;
+}
+
+/**
+ * Translates Google API errors into actionable messages
+ *
+ * @param {Error} error - Error from the Sheets API
+ * @param {string} spreadsheetId - Spreadsheet ID
+ * @returns {Error} Error to throw
+ * @private
+ */
+function describeSheetsError(error, spreadsheetId) {
+  if (error.code === 404) {
+    return permanentError(`Spreadsheet not found. Please check the spreadsheet ID: ${spreadsheetId}`, { status: 404 });
+  }
+  if (error.code === 403) {
+    return permanentError(
+      `Permission denied. Please share the spreadsheet with the service account email ` +
+      `(found in GOOGLE_SERVICE_ACCOUNT_JSON as "client_email") and give it Editor permissions.`,
+      { status: 403 }
+    );
+  }
+  // Other API errors carry the HTTP status as a number; network errors have string codes
+  if (typeof error.code === 'number') {
+    return new DeliveryError(error.message, {
+      permanent: isPermanentStatus(error.code),
+      status: error.code,
+      cause: error
+    });
+  }
+  return error;
+}
+
+/**
+ * Runs work for a sheet after any work already running for it in this process
+ *
+ * Keeps concurrent deliveries from adding the same new column twice.
+ *
+ * @param {string} key - Sheet cache key
+ * @param {Function} work - Async work
+ * @returns {Promise<*>} Result of the work
+ * @private
+ */
+function withSheetLock(key, work) {
+  const previous = sheetLocks.get(key) || Promise.resolve();
+  const current = previous.catch(() => {}).then(work);
+  const settled = current.catch(() => {});
+
+  sheetLocks.set(key, settled);
+  settled.then(() => {
+    if (sheetLocks.get(key) === settled) sheetLocks.delete(key);
+  });
+
+  return current;
+}
+
+/**
+ * Gets a sheet's ID, column count and header row, creating the sheet if it is missing
+ *
+ * Results are cached for SHEET_METADATA_TTL_MS, so most submissions need no
+ * read requests at all.
+ *
+ * @param {Object} sheets - Google Sheets API client
+ * @param {Object} target - Sheet target ({ key, spreadsheetId, sheetName })
+ * @returns {Promise<{ sheetId: number, columnCount: number, headers: string[] }>} Sheet metadata
+ * @throws {Error} If the spreadsheet is missing or not shared with the service account
+ * @private
+ */
+async function getSheetMetadata(sheets, target) {
+  const cached = sheetMetadataCache.get(target.key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.metadata;
+  }
+
+  const { spreadsheetId, sheetName } = target;
+  let properties;
+  try {
+    const spreadsheet = await sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: 'sheets.properties(sheetId,title,gridProperties.columnCount)'
+    });
+    properties = (spreadsheet.data.sheets || [])
+      .map(sheet => sheet.properties)
+      .find(sheet => sheet?.title === sheetName);
+
+    if (!properties) {
+      console.log(`📊 Sheet "${sheetName}" not found, creating it`);
+      const created = await sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        requestBody: { requests: [{ addSheet: { properties: { title: sheetName } } }] }
+      });
+      properties = created.data.replies[0].addSheet.properties;
+    }
+  } catch (error) {
+    throw describeSheetsError(error, spreadsheetId);
+  }
+
+  // Whole first row, so headers past column Z are included
+  const headerRow = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: sheetRange(sheetName, '1:1')
+  });
+
+  const metadata = {
+    sheetId: properties.sheetId,
+    columnCount: properties.gridProperties?.columnCount || 26,
+    headers: (headerRow.data.values?.[0] || []).map(header => String(header ?? ''))
+  };
+  sheetMetadataCache.set(target.key, { metadata, expiresAt: Date.now() + SHEET_METADATA_TTL_MS });
+  return metadata;
+}
+
+/**
+ * Adds columns to the sheet's grid so it is at least `width` columns wide
+ *
+ * @param {Object} sheets - Google Sheets API client
+ * @param {Object} target - Sheet target
+ * @param {Object} metadata - Cached sheet metadata (updated in place)
+ * @param {number} width - Columns needed
+ * @returns {Promise<void>} Resolves when the grid is wide enough
+ * @private
+ */
+async function ensureColumnCount(sheets, target, metadata, width) {
+  if (width <= metadata.columnCount) return;
+
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId: target.spreadsheetId,
+    requestBody: {
+      requests: [{
+        appendDimension: { sheetId: metadata.sheetId, dimension: 'COLUMNS', length: width - metadata.columnCount }
+      }]
+    }
+  });
+  metadata.columnCount = width;
+}
+
+/**
+ * Makes sure the header row has a column for every cell of the records
+ *
+ * On an empty sheet the header row is created from the records. Otherwise
+ * cells without a matching column are added as new columns when
+ * `unknownFields` is `append`, and left out when it is `ignore`. The
+ * Submission ID column is always added when enabled, and is hidden.
+ *
+ * @param {Object} sheets - Google Sheets API client
+ * @param {Object} target - Sheet target ({ key, spreadsheetId, sheetName, unknownFields })
+ * @param {Array<Array<Object>>} records - Records from `buildSheetRecord`
+ * @returns {Promise<{ headers: string[], addedColumns: string[] }>} Header row and the columns added
+ * @private
+ */
+async function ensureHeaders(sheets, target, records) {
+  const { spreadsheetId, sheetName } = target;
+  const metadata = await getSheetMetadata(sheets, target);
+  const headers = metadata.headers;
+
+  const known = new Set(headers.map(normalizeHeader).filter(Boolean));
+  const missing = [];
+  for (const cell of records.flat()) {
+    const key = normalizeHeader(cell.column);
+    if (!known.has(key)) {
+      known.add(key);
+      missing.push(cell);
+    }
+  }
+
+  const isEmpty = headers.every(header => !header.trim());
+  const added = isEmpty || target.unknownFields === 'append'
+    ? missing
+    : missing.filter(cell => cell.field === SUBMISSION_ID_FIELD);
+  if (added.length === 0) {
+    return { headers, addedColumns: [] };
+  }
+
+  // Empty sheet - the header row starts at A1
+  const start = isEmpty ? 0 : headers.length;
+  const addedColumns = added.map(cell => cell.column);
+  if (isEmpty) {
+    console.log('📊 First submission detected, creating headers');
+  }
+
+  await ensureColumnCount(sheets, target, metadata, start + addedColumns.length);
+  await sheets.spreadsheets.values.update({
+    spreadsheetId,
+    range: sheetRange(sheetName, `${columnLetter(start)}1`),
+    valueInputOption: 'RAW',
+    requestBody: { values: [addedColumns] }
+  });
+  console.log(`📊 Added column(s) ${addedColumns.join(', ')} to sheet "${sheetName}"`);
+
+  const hiddenIndex = added.findIndex(cell => cell.field === SUBMISSION_ID_FIELD);
+  if (hiddenIndex !== -1) {
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        requests: [{
+          updateDimensionProperties: {
+            range: { sheetId: metadata.sheetId, dimension: 'COLUMNS', startIndex: start + hiddenIndex, endIndex: start + hiddenIndex + 1 },
+            properties: { hiddenByUser: true },
+            fields: 'hiddenByUser'
+          }
+        }]
+      }
+    });
+  }
+
+  metadata.headers = [...headers.slice(0, start), ...addedColumns];
+  return { headers: metadata.headers, addedColumns };
+}
+
+/**
+ * Lays a record out along the header row
+ *
+ * @param {string[]} headers - Header row
+ * @param {Array<Object>} record - Record from `buildSheetRecord`
+ * @returns {{ cells: Array<{ index: number, value: string }>, ignoredFields: string[] }} Cells with
+ *   their column index, and the fields that have no column
+ * @private
+ */
+function placeRecord(headers, record) {
+  const columnIndexes = new Map(headers.map((header, index) => [normalizeHeader(header), index]).reverse());
+  const cells = [];
+  const ignoredFields = [];
+
+  for (const cell of record) {
+    const index = columnIndexes.get(normalizeHeader(cell.column));
+    if (index === undefined) ignoredFields.push(cell.field);
+    else cells.push({ index, value: cell.value });
+  }
+
+  return { cells, ignoredFields };
+}
+
+/**
+ * Gets the sheet row number written by an append request
+ *
+ * @param {Object} response - values.append response
+ * @returns {number|null} First row number written, if reported
+ * @private
+ */
+function getAppendedRow(response) {
+  const match = /![A-Z]+(\d+)/.exec(response?.data?.updates?.updatedRange || '');
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Appends records to a sheet, matching cells to header columns
+ *
+ * @param {Object} sheets - Google Sheets API client
+ * @param {Object} target - Sheet target ({ key, spreadsheetId, sheetName, unknownFields })
+ * @param {Array<Array<Object>>} records - Records from `buildSheetRecord`
+ * @returns {Promise<Array<Object>>} Outcome per record ({ action, row, addedColumns, ignoredFields })
+ * @private
+ */
+async function appendRecords(sheets, target, records) {
+  const { spreadsheetId, sheetName } = target;
+
+  try {
+    const { headers, addedColumns } = await ensureHeaders(sheets, target, records);
+
+    const placed = records.map(record => placeRecord(headers, record));
+    const rows = placed.map(({ cells }) => {
+      const row = headers.map(() => '');
+      cells.forEach(({ index, value }) => { row[index] = value; });
+      return row;
+    });
+
+    const response = await sheets.spreadsheets.values.append({
+      spreadsheetId,
+      range: sheetRange(sheetName, 'A1'),
+      valueInputOption: 'USER_ENTERED',
+      insertDataOption: 'INSERT_ROWS',
+      requestBody: { values: rows }
+    });
+
+    console.log(`✅ Appended ${records.length} row(s) to sheet "${sheetName}"`);
+    const firstRow = getAppendedRow(response);
+    return placed.map(({ ignoredFields }, index) => ({
+      action: 'appended',
+      row: firstRow ? firstRow + index : null,
+      addedColumns,
+      ignoredFields
+    }));
+  } catch (error) {
+    // The sheet may have been edited; read it again next time
+    sheetMetadataCache.delete(target.key);
+    throw describeSheetsError(error, spreadsheetId);
+  }
+}
+
+/**
+ * Updates the row whose key column matches the record, or appends the record
+ *
+ * Only the record's own cells are written, so columns filled in by hand
+ * (notes, status) are kept. Keys match ignoring case and surrounding
+ * whitespace; the first matching row is updated.
+ *
+ * @param {Object} sheets - Google Sheets API client
+ * @param {Object} target - Sheet target ({ key, spreadsheetId, sheetName, unknownFields, upsertKey })
+ * @param {Array<Object>} record - Record from `buildSheetRecord`
+ * @returns {Promise<Object>} Outcome ({ action: 'updated'|'appended', row, addedColumns, ignoredFields })
+ * @private
+ */
+async function upsertRecord(sheets, target, record) {
+  const { spreadsheetId, sheetName } = target;
+  const keyCell = record.find(cell => cell.field === target.upsertKey);
+  const keyValue = String(keyCell?.value ?? '').trim().toLowerCase();
+
+  if (!keyValue) {
+    console.log(`📊 Upsert key "${target.upsertKey}" is empty, appending`);
+    return (await appendRecords(sheets, target, [record]))[0];
+  }
+
+  try {
+    const { headers, addedColumns } = await ensureHeaders(sheets, target, [record]);
+    const keyIndex = headers.findIndex(header => normalizeHeader(header) === normalizeHeader(keyCell.column));
+
+    let row = null;
+    if (keyIndex !== -1) {
+      const keyColumn = columnLetter(keyIndex);
+      const existing = await sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range: sheetRange(sheetName, `${keyColumn}2:${keyColumn}`)
+      });
+      const offset = (existing.data.values || []).findIndex(([value]) => String(value ?? '').trim().toLowerCase() === keyValue);
+      row = offset === -1 ? null : offset + 2;
+    }
+
+    if (row === null) {
+      const [outcome] = await appendRecords(sheets, target, [record]);
+      return { ...outcome, addedColumns: [...addedColumns, ...outcome.addedColumns] };
+    }
+
+    const { cells, ignoredFields } = placeRecord(headers, record);
+    await sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        valueInputOption: 'USER_ENTERED',
+        data: cells.map(({ index, value }) => ({
+          range: sheetRange(sheetName, `${columnLetter(index)}${row}`),
+          values: [[value]]
+        }))
+      }
+    });
+
+    console.log(`✅ Updated row ${row} of sheet "${sheetName}" (${target.upsertKey} = ${keyCell.value})`);
+    return { action: 'updated', row, addedColumns, ignoredFields };
+  } catch (error) {
+    sheetMetadataCache.delete(target.key);
+    throw describeSheetsError(error, spreadsheetId);
+  }
+}
+
+/**
+ * Resolves the sheet a destination writes to
+ *
+ * @param {Object} config - Sheets destination config
+ * @returns {Object} Sheet target ({ key, spreadsheetId, sheetName, unknownFields, upsertKey })
+ * @throws {DeliveryError} If the spreadsheet ID (or the upsert key in upsert mode) is missing
+ * @private
+ */
+function resolveSheetTarget(config) {
+  const spreadsheetId = config.spreadsheetId || config.spreadsheet_id;
+  const sheetName = config.sheetName || config.sheet_name || 'Form Submissions';
+
+  if (!spreadsheetId) {
+    throw permanentError('Google Sheets spreadsheet ID is required in destination config');
+  }
+  if (config.writeMode === 'upsert' && !config.upsertKey) {
+    throw permanentError('Google Sheets upsert key is required in upsert mode');
+  }
+
+  return {
+    key: sheetKey(spreadsheetId, sheetName),
+    spreadsheetId,
+    sheetName,
+    unknownFields: config.unknownFields === 'append' ? 'append' : 'ignore',
+    upsertKey: config.upsertKey
+  };
+}
+
+/**
+ * Turns a write outcome into the delivery result stored on the submission
+ *
+ * @param {Object} outcome - Outcome from `appendRecords` or `upsertRecord`
+ * @param {number} attempts - Attempts made
+ * @returns {Object} Result ({ success, attempts, action, row, addedColumns?, ignoredFields? })
+ * @private
+ */
+function describeOutcome({ action, row, addedColumns, ignoredFields }, attempts) {
+  if (ignoredFields.length > 0) {
+    console.log(`📊 No column for field(s) ${ignoredFields.join(', ')}, left out`);
+  }
+
+  const result = { success: true, attempts, action, row };
+  if (addedColumns.length > 0) result.addedColumns = addedColumns;
+  if (ignoredFields.length > 0) result.ignoredFields = ignoredFields;
+  return result;
+}
+
+/**
+ * Gets the key under which the delivery queue batches a destination's rows
+ *
+ * Destinations with the same key append to the same sheet with the same
+ * new-column handling, so their rows can be written with one request.
+ *
+ * @param {Object} destination - Sheets destination (`{ type, enabled, config }`)
+ * @returns {string|null} Batch key, or null if the destination is not batched
+ *   (`batchAppends` off, upsert mode or no spreadsheet ID)
+ */
+export function getSheetsBatchKey(destination) {
+  const config = destination?.config || {};
+  const spreadsheetId = config.spreadsheetId || config.spreadsheet_id;
+
+  if (!config.batchAppends || config.writeMode === 'upsert' || !spreadsheetId) {
+    return null;
+  }
+
+  const target = resolveSheetTarget(config);
+  return `${target.key}\u0000${target.unknownFields}`;
+}
+
+/**
+ * Appends the rows of several deliveries to one sheet with a single request
+ *
+ * Used by the delivery queue for destinations with `batchAppends`: the worker
+ * claims the waiting jobs for a spreadsheet and writes them together, which
+ * keeps busy forms under the Sheets API write quota. Every delivery must have
+ * the same `getSheetsBatchKey`. The append is attempted once; the queue
+ * retries the jobs if it fails.
+ *
+ * @param {Array<Object>} deliveries - Deliveries to write (at most `MAX_SHEETS_BATCH_ROWS`)
+ * @param {Object} deliveries[].destination - Sheets destination
+ * @param {Object} deliveries[].formData - Form submission data
+ * @param {Object} deliveries[].connector - Connector metadata
+ * @param {Object} [deliveries[].context] - Delivery context (`submissionId`)
+ * @returns {Promise<Array<Object>>} Result per delivery, in order (same shape as `handleSheets`)
+ * @throws {Error} If authentication or the append fails (the error applies to every delivery)
+ *
+ * @example
+ * const results = await handleSheetsBatch([
+ *   { destination, formData: { email: 'a@example.com' }, connector, context: { submissionId: 'uuid-1' } },
+ *   { destination, formData: { email: 'b@example.com' }, connector, context: { submissionId: 'uuid-2' } }
+ * ]);
+ * // results[1] => { success: true, attempts: 1, action: 'appended', row: 43 }
+ */
+export async function handleSheetsBatch(deliveries) {
+  if (deliveries.length === 0) {
+    return [];
+  }
+  if (deliveries.length > MAX_SHEETS_BATCH_ROWS) {
+    throw permanentError(`A Google Sheets batch can hold at most ${MAX_SHEETS_BATCH_ROWS} rows`);
+  }
+
+  const target = resolveSheetTarget(deliveries[0].destination.config || {});
+  const records = deliveries.map(({ destination, formData, connector, context = {} }) =>
+    buildSheetRecord(formData, connector, {
+      columnMapping: destination.config?.columnMapping,
+      submissionId: destination.config?.trackSubmissionId ? context.submissionId : undefined
+    })
+  );
+
+  console.log(`📊 Appending ${records.length} batched row(s) to spreadsheet: ${target.spreadsheetId}, sheet: ${target.sheetName}`);
+
+  const auth = await authenticateGoogleSheets();
+  const sheets = google.sheets({ version: 'v4', auth });
+  const outcomes = await withSheetLock(target.key, () => appendRecords(sheets, target, records));
+
+  return outcomes.map(outcome => describeOutcome(outcome, 1));
+}
+
 /**
  * Handles Google Sheets destination processing for form submissions
  * 
  * This function processes a form submission and appends it to a Google Sheet.
  * It automatically creates headers on the first submission if the sheet is empty,
- * and maintains consistent column order for all subsequent submissions.
+ * and places every value under its matching header for all subsequent
+ * submissions (see `sheetColumns.js`).
  * 
  * **Setup Instructions:**
  * 
@@ -96,7 +590,13 @@ async function authenticateGoogleSheets() {
  *   enabled: true,
  *   config: {
  *     spreadsheetId: '1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms',  // Required
- *     sheetName: 'Form Submissions'  // Optional, defaults to 'Form Submissions'
+ *     sheetName: 'Form Submissions',  // Optional, defaults to 'Form Submissions'
+ *     columnMapping: [{ field: 'email', column: 'Email Address' }],  // Optional
+ *     unknownFields: 'append',  // Optional, 'ignore' (default) or 'append'
+ *     batchAppends: true,  // Optional, let the delivery queue append rows together
+ *     writeMode: 'upsert',  // Optional, 'append' (default) or 'upsert'
+ *     upsertKey: 'email',  // Required in upsert mode
+ *     trackSubmissionId: true  // Optional, hidden "Submission ID" column
  *   }
  * }
  * ```
@@ -104,21 +604,35 @@ async function authenticateGoogleSheets() {
  * **How It Works:**
  * 
  * 1. Authenticates with Google Sheets API using service account
- * 2. Gets the specified spreadsheet and sheet
+ * 2. Gets the sheet's ID, grid size and header row (cached for 5 minutes, the
+ *    sheet is created if it does not exist)
  * 3. On first submission (empty sheet):
- *    - Creates header row with: Timestamp, Connector Name, and all form field names
+ *    - Creates header row with: Timestamp, Connector Name, and all form field
+ *      names (or their mapped column names)
  * 4. Appends new row with:
- *    - Current timestamp (ISO format)
- *    - Connector name
- *    - All form field values in the same order as headers
+ *    - Current timestamp (ISO format) under "Timestamp"
+ *    - Connector name under "Connector Name"
+ *    - Each form field value under its matching header, in any column
+ *    - Fields without a header are added as new columns (`unknownFields: 'append'`)
+ *      or left out (`'ignore'`)
  * 5. Handles errors gracefully with retry logic
  * 
+ * In upsert mode (registrations, RSVPs), the row whose `upsertKey` column
+ * matches the submitted value is updated in place instead, keeping columns
+ * filled in by hand; a row is appended only when no row matches.
+ * 
+ * With `batchAppends`, the delivery queue leaves the first attempt to the
+ * worker, which writes the waiting rows for the same sheet with a single
+ * append request (up to 100 rows, see `handleSheetsBatch`); this keeps busy
+ * forms under the Sheets API write quota. Called directly, this handler
+ * always writes one row. Upserts are not batched.
+ * 
  * **Error Handling:**
  * 
  * - Invalid spreadsheet ID: Returns clear error message
  * - Missing permissions: Suggests sharing spreadsheet with service account
  * - Network errors: Retries with exponential backoff (3 attempts)
- * - Invalid sheet name: Creates the sheet automatically if possible
+ * - Missing sheet: Creates the sheet automatically
  * 
  * @param {Object} destination - Destination configuration object
  * @param {string} destination.type - Must be 'sheets'
@@ -126,10 +640,24 @@ async function authenticateGoogleSheets() {
  * @param {Object} destination.config - Google Sheets configuration
  * @param {string} destination.config.spreadsheetId - Google Spreadsheet ID (from URL)
  * @param {string} [destination.config.sheetName] - Sheet name (default: 'Form Submissions')
+ * @param {Array<Object>} [destination.config.columnMapping] - Field → column names
+ * @param {string} [destination.config.unknownFields='ignore'] - `ignore` or `append` fields without a column
+ * @param {boolean} [destination.config.batchAppends=false] - Let the delivery queue batch this destination's appends
+ * @param {string} [destination.config.writeMode='append'] - `append` or `upsert`
+ * @param {string} [destination.config.upsertKey] - Field matched against existing rows in upsert mode
+ * @param {boolean} [destination.config.trackSubmissionId=false] - Write the submission ID to a hidden column
  * @param {Object} formData - Form submission data (key-value pairs)
  * @param {Object} connector - Connector metadata
  * @param {string} connector.name - Connector name
- * @returns {Promise<void>} Resolves when data is successfully appended to sheet
+ * @param {number} [maxRetries=3] - Maximum number of attempts
+ * @param {Object} [context] - Delivery context
+ * @param {string} [context.submissionId] - Submission being delivered
+ * @returns {Promise<Object>} Success object
+ * @returns {number} returns.attempts - Number of attempts made (1-based)
+ * @returns {string} returns.action - `appended` or `updated`
+ * @returns {number|null} returns.row - Sheet row written
+ * @returns {string[]} [returns.addedColumns] - Columns created by this submission
+ * @returns {string[]} [returns.ignoredFields] - Fields left out because the sheet has no column for them
  * @throws {Error} If authentication fails, spreadsheet not found, or API errors occur
  * 
  * @example
@@ -154,142 +682,33 @@ async function authenticateGoogleSheets() {
  * 
  * await handleSheets(destination, formData, connector);
  */
-export async function handleSheets(destination, formData, connector, maxRetries = 3) {
+export async function handleSheets(destination, formData, connector, maxRetries = 3, context = {}) {
   console.log('📊 Google Sheets handler called with destination:', JSON.stringify(destination, null, 2));
   
   const config = destination.config || {};
-  const spreadsheetId = config.spreadsheetId || config.spreadsheet_id;
-  const sheetName = config.sheetName || config.sheet_name || 'Form Submissions';
-
-  if (!spreadsheetId) {
-    throw new Error('Google Sheets spreadsheet ID is required in destination config');
-  }
-
-  console.log(`📊 Processing Google Sheets submission to spreadsheet: ${spreadsheetId}, sheet: ${sheetName}`);
-
-  let lastError = null;
-  let attempts = 0;
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    attempts = attempt;
-    
-    try {
-      console.log(`📊 Google Sheets attempt ${attempt}/${maxRetries}`);
-
-      // Authenticate
-      const auth = await authenticateGoogleSheets();
-      const sheets = google.sheets({ version: 'v4', auth });
-
-      // Get spreadsheet metadata to verify access
-      try {
-        await sheets.spreadsheets.get({
-          spreadsheetId,
-        });
-        console.log('✅ Successfully authenticated and accessed spreadsheet');
-      } catch (error) {
-        if (error.code === 404) {
-          throw new Error(`Spreadsheet not found. Please check the spreadsheet ID: ${spreadsheetId}`);
-        } else if (error.code === 403) {
-          throw new Error(
-            `Permission denied. Please share the spreadsheet with the service account email ` +
-            `(found in GOOGLE_SERVICE_ACCOUNT_JSON as "client_email") and give it Editor permissions.`
-          );
-        }
-        throw error;
-      }
-
-      // Get existing data to check if headers exist
-      const existingData = await sheets.spreadsheets.values.get({
-        spreadsheetId,
-        range: `${sheetName}!A1:Z1`, // Get first row (headers)
-      });
-
-      const existingRows = existingData.data.values || [];
-      const hasHeaders = existingRows.length > 0;
-
-      // Prepare row data
-      const timestamp = new Date().toISOString();
-      const fieldNames = Object.keys(formData);
-      
-      let rowData;
-
-      if (!hasHeaders) {
-        // First submission - create headers and data row
-        console.log('📊 First submission detected, creating headers');
-        
-        const headers = ['Timestamp', 'Connector Name', ...fieldNames];
-        const values = [timestamp, connector.name, ...fieldNames.map(key => formData[key] || '')];
-
-        // Append headers and first row
-        await sheets.spreadsheets.values.append({
-          spreadsheetId,
-          range: `${sheetName}!A1`,
-          valueInputOption: 'USER_ENTERED',
-          resource: {
-            values: [headers, values],
-          },
-        });
-
-        console.log(`✅ Created headers and appended first row to sheet "${sheetName}"`);
-      } else {
-        // Subsequent submissions - append data row matching header order
-        const headers = existingRows[0];
-        const connectorNameIndex = headers.indexOf('Connector Name');
-        const timestampIndex = headers.indexOf('Timestamp');
-
-        // Build row matching header order
-        rowData = headers.map((header, index) => {
-          if (index === timestampIndex) {
-            return timestamp;
-          } else if (index === connectorNameIndex) {
-            return connector.name;
-          } else {
-            // Find matching form field
-            const formValue = formData[header];
-            return formValue !== undefined && formValue !== null ? String(formValue) : '';
-          }
-        });
-
-        // Append row
-        await sheets.spreadsheets.values.append({
-          spreadsheetId,
-          range: `${sheetName}!A:A`,
-          valueInputOption: 'USER_ENTERED',
-          resource: {
-            values: [rowData],
-          },
-        });
-
-        console.log(`✅ Appended row to sheet "${sheetName}"`);
-      }
-
-      // Success - return
-      return;
+  const upsert = config.writeMode === 'upsert';
+  const target = resolveSheetTarget(config);
+  const record = buildSheetRecord(formData, connector, {
+    columnMapping: config.columnMapping,
+    submissionId: config.trackSubmissionId ? context.submissionId : undefined
+  });
 
-    } catch (error) {
-      lastError = error;
-      console.error(`❌ Google Sheets attempt ${attempt} failed:`, error.message);
+  console.log(`📊 Processing Google Sheets submission to spreadsheet: ${target.spreadsheetId}, sheet: ${target.sheetName}`);
 
-      // Don't retry on certain errors
-      if (error.message.includes('not found') || 
-          error.message.includes('Permission denied') ||
-          error.message.includes('spreadsheet ID')) {
-        throw error; // Fail immediately for configuration errors
-      }
+  return withRetries(async attempt => {
+    // Authenticate
+    const auth = await authenticateGoogleSheets();
+    const sheets = google.sheets({ version: 'v4', auth });
 
-      // If this is not the last attempt, wait before retrying
-      if (attempt < maxRetries) {
-        // Exponential backoff: 1s, 2s, 4s
-        const delayMs = Math.pow(2, attempt - 1) * 1000;
-        console.log(`⏳ Waiting ${delayMs}ms before retry...`);
-        await delay(delayMs);
-      }
+    let outcome;
+    if (upsert) {
+      outcome = await withSheetLock(target.key, () => upsertRecord(sheets, target, record));
+    } else {
+      [outcome] = await withSheetLock(target.key, () => appendRecords(sheets, target, [record]));
     }
-  }
 
-  // All attempts failed
-  throw new Error(
-    `Failed to append to Google Sheets after ${attempts} attempt(s). Last error: ${lastError?.message || 'Unknown error'}`
-  );
+    // Success - return
+    return describeOutcome(outcome, attempt);
+  }, { maxRetries, emoji: '📊', name: 'Google Sheets', failure: 'Failed to append to Google Sheets' });
 }
 
@@ -1,22 +1,166 @@
+import { DeliveryError, getRetryAfterMs, isPermanentStatus, permanentError } from '../deliveryErrors.js';
+import { withRetries } from './retry.js';
+import { isFileReference } from '../attachments.js';
+import { buildTemplateContext, renderSlackTemplate } from '../templates.js';
+import { buildTriageActionsBlock, callSlackApi, getSlackBotToken } from '../slackApi.js';
+
 /**
- * Helper function to delay execution (for retry backoff)
+ * Formats a form value as Slack mrkdwn, linking uploaded files
  * 
- * @param {number} ms - Milliseconds to delay
- * @returns {Promise<void>} Resolves after the delay
+ * @param {*} value - Form value (string, array or file reference)
+ * @returns {string} Slack mrkdwn text
  * @private
  */
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function formatSlackValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(formatSlackValue).join(', ');
+  }
+  if (isFileReference(value)) {
+    return `<${value.url}|${value.filename.replace(/[<>|]/g, '')}>`;
+  }
+  return String(value || '');
+}
+
+/**
+ * Builds the built-in Block Kit layout for a submission
+ * 
+ * @param {Object} formData - Form submission data
+ * @param {Object} connector - Connector metadata
+ * @returns {Array<Object>} Slack blocks
+ * @private
+ */
+function buildDefaultBlocks(formData, connector) {
+  // Build Slack message blocks
+  const blocks = [];
+
+  // Header block
+  blocks.push({
+    type: 'header',
+    text: {
+      type: 'plain_text',
+      text: `📋 New Form Submission: ${connector.name}`,
+      emoji: true
+    }
+  });
+
+  // Divider
+  blocks.push({
+    type: 'divider'
+  });
+
+  // Form fields - split into pairs for better layout
+  const fieldEntries = Object.entries(formData);
+  const fieldPairs = [];
+
+  for (let i = 0; i < fieldEntries.length; i += 2) {
+    const pair = [];
+    
+    // First field
+    const [key1, value1] = fieldEntries[i];
+    pair.push({
+      type: 'mrkdwn',
+      text: `*${key1.charAt(0).toUpperCase() + key1.slice(1)}:*\n${formatSlackValue(value1) || '(empty)'}`
+    });
+
+    // Second field (if exists)
+    if (i + 1 < fieldEntries.length) {
+      const [key2, value2] = fieldEntries[i + 1];
+      pair.push({
+        type: 'mrkdwn',
+        text: `*${key2.charAt(0).toUpperCase() + key2.slice(1)}:*\n${formatSlackValue(value2) || '(empty)'}`
+      });
+    } else {
+      // Add empty field to maintain layout
+      pair.push({
+        type: 'mrkdwn',
+        text: ' '
+      });
+    }
+
+    fieldPairs.push(pair);
+  }
+
+  // Add field sections
+  fieldPairs.forEach(pair => {
+    blocks.push({
+      type: 'section',
+      fields: pair
+    });
+  });
+
+  // Footer with timestamp and connector name
+  blocks.push({
+    type: 'divider'
+  });
+
+  blocks.push({
+    type: 'context',
+    elements: [
+      {
+        type: 'mrkdwn',
+        text: `📊 *Connector:* ${connector.name} | 🕐 *Time:* <!date^${Math.floor(Date.now() / 1000)}^{date_short_pretty} at {time}|${new Date().toISOString()}>`
+      }
+    ]
+  });
+
+  return blocks;
+}
+
+/**
+ * Posts a message through an incoming webhook
+ * 
+ * @param {string} webhookUrl - Slack incoming webhook URL
+ * @param {Object} payload - Message payload (`text`, `blocks`)
+ * @returns {Promise<void>} Resolves when Slack accepts the message
+ * @throws {Error} If the webhook is invalid or the request fails
+ * @private
+ */
+async function postWebhookMessage(webhookUrl, payload) {
+  // Validate webhook URL format
+  if (!webhookUrl.startsWith('https://') || !webhookUrl.includes('slack.com')) {
+    throw permanentError('Invalid Slack webhook URL format. Please provide a valid Slack webhook URL.');
+  }
+
+  const response = await fetch(webhookUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(payload),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    
+    if (response.status === 404) {
+      throw permanentError('Slack webhook not found. Please check that the webhook URL is correct and the webhook is still active.', { status: 404 });
+    } else if (response.status === 403) {
+      throw permanentError('Slack webhook access denied. The webhook may have been revoked or the app removed.', { status: 403 });
+    } else if (response.status === 429) {
+      // Rate limited - will retry
+      const retryAfterMs = getRetryAfterMs(response.headers);
+      throw new DeliveryError(`Slack rate limit exceeded. Retry after ${Math.ceil(retryAfterMs / 1000)} seconds.`, {
+        status: 429,
+        retryAfterMs
+      });
+    }
+    
+    throw new DeliveryError(`Slack API error: ${response.status} ${response.statusText}. ${errorText}`, {
+      permanent: isPermanentStatus(response.status),
+      status: response.status
+    });
+  }
 }
 
 /**
  * Handles Slack destination processing for form submissions
  * 
- * This function processes a form submission and sends it to a Slack channel
- * via an incoming webhook. It formats the message using Slack's Block Kit
- * for rich, structured messages with proper formatting.
+ * This function processes a form submission and sends it to a Slack channel,
+ * either via an incoming webhook or as a Slack app's bot user (bot mode). It
+ * formats the message using Slack's Block Kit for rich, structured messages
+ * with proper formatting.
  * 
- * **Setup Instructions:**
+ * **Setup Instructions (webhook mode):**
  * 
  * 1. **Create Slack Incoming Webhook:**
  *    - Go to https://api.slack.com/apps
@@ -33,13 +177,34 @@ function delay(ms) {
  *    - When creating/editing a connector, select Slack destination
  *    - Paste the webhook URL in the configuration
  * 
+ * **Setup Instructions (bot mode):**
+ * 
+ * 1. In your Slack app, go to "OAuth & Permissions", add the `chat:write`
+ *    bot scope and install the app to your workspace
+ * 2. Copy the "Bot User OAuth Token" (`xoxb-...`) into the connector, or set
+ *    SLACK_BOT_TOKEN to share one token between connectors
+ * 3. Invite the app to the channel (`/invite @your-app`) and enter the
+ *    channel name or ID in the connector
+ * 
+ * Bot mode returns the posted message's `channel` and `ts`; the delivery
+ * queue stores them on the submission (`slack_thread`) and replies in that thread when
+ * another destination fails or a submission is replayed (see `slackApi.js`).
+ * With `triageActions`, bot-mode messages also get "Mark handled", "Assign to
+ * me" and "Mark spam" buttons (see `slackTriage.js`).
+ * 
  * **Destination Configuration Structure:**
  * ```javascript
  * {
  *   type: 'slack',
  *   enabled: true,
  *   config: {
- *     webhookUrl: 'your-slack-webhook-url-here'
+ *     mode: 'webhook',                      // 'webhook' (default) or 'bot'
+ *     webhookUrl: 'your-slack-webhook-url-here', // Webhook mode
+ *     botToken: 'xoxb-...',                 // Bot mode (default: SLACK_BOT_TOKEN)
+ *     signingSecret: '8f14e4...',           // Bot mode: signing secret of botToken's app (for triage buttons)
+ *     channel: '#leads',                    // Bot mode
+ *     triageActions: true,                  // Bot mode: add triage buttons (optional)
+ *     blocksTemplate: '[{ "type": "section", "text": { "type": "mrkdwn", "text": "*{{fields.name}}*" } }]' // (optional)
  *   }
  * }
  * ```
@@ -53,9 +218,14 @@ function delay(ms) {
  * - Timestamp footer
  * - Connector name in footer
  * 
+ * A `blocksTemplate` (Block Kit JSON with template placeholders, see
+ * `templates.js`) replaces this layout. Values are escaped for Slack and JSON
+ * automatically.
+ * 
  * **Error Handling:**
  * 
  * - Invalid webhook URL: Returns clear error message
+ * - Missing bot token or channel, unknown channel, app not in channel: Fails immediately
  * - Rate limiting: Handles Slack rate limits with retry
  * - Network errors: Retries with exponential backoff (3 attempts)
  * - Invalid webhook: Returns error if webhook is revoked or invalid
@@ -64,13 +234,21 @@ function delay(ms) {
  * @param {string} destination.type - Must be 'slack'
  * @param {boolean} destination.enabled - Whether this destination is enabled
  * @param {Object} destination.config - Slack configuration
- * @param {string} destination.config.webhookUrl - Slack incoming webhook URL
+ * @param {string} [destination.config.mode='webhook'] - 'webhook' or 'bot'
+ * @param {string} [destination.config.webhookUrl] - Slack incoming webhook URL (webhook mode)
+ * @param {string} [destination.config.botToken] - Bot token (bot mode, default: SLACK_BOT_TOKEN)
+ * @param {string} [destination.config.channel] - Channel name or ID (bot mode)
+ * @param {boolean} [destination.config.triageActions] - Add triage buttons (bot mode)
+ * @param {string} [destination.config.blocksTemplate] - Block Kit JSON template
  * @param {Object} formData - Form submission data (key-value pairs)
  * @param {Object} connector - Connector metadata
  * @param {string} connector.name - Connector name
  * @param {number} [maxRetries=3] - Maximum number of retry attempts
- * @returns {Promise<void>} Resolves when message is successfully sent to Slack
- * @throws {Error} If webhook URL is missing, invalid, or API errors occur
+ * @param {Object} [context] - Delivery context
+ * @param {string} [context.submissionId] - Submission ID, identifies the submission in triage buttons
+ * @returns {Promise<{ success: boolean, attempts: number, mode: string, channel?: string, ts?: string }>}
+ *   Result; bot mode includes the posted message's channel ID and `ts`
+ * @throws {Error} If the webhook URL, bot token or channel is missing or invalid, or API errors occur
  * 
  * @example
  * const destination = {
@@ -92,165 +270,70 @@ function delay(ms) {
  * };
  * 
  * await handleSlack(destination, formData, connector);
+ * 
+ * // Bot mode
+ * const { channel, ts } = await handleSlack(
+ *   { type: 'slack', enabled: true, config: { mode: 'bot', botToken: 'xoxb-...', channel: '#leads' } },
+ *   formData,
+ *   connector
+ * );
  */
-export async function handleSlack(destination, formData, connector, maxRetries = 3) {
-  console.log('💬 Slack handler called with destination:', JSON.stringify(destination, null, 2));
+export async function handleSlack(destination, formData, connector, maxRetries = 3, context = {}) {
+  console.log('💬 Slack handler called with destination:', JSON.stringify({
+    ...destination,
+    config: destination.config?.botToken || destination.config?.signingSecret
+      ? { ...destination.config, botToken: '[redacted]', signingSecret: '[redacted]' }
+      : destination.config
+  }, null, 2));
   
   const config = destination.config || {};
+  const mode = config.mode || 'webhook';
   const webhookUrl = config.webhookUrl || config.webhook_url;
+  const botToken = getSlackBotToken(config);
 
-  if (!webhookUrl) {
-    throw new Error('Slack webhook URL is required in destination config');
-  }
-
-  // Validate webhook URL format
-  if (!webhookUrl.startsWith('https://') || !webhookUrl.includes('slack.com')) {
-    throw new Error('Invalid Slack webhook URL format. Please provide a valid Slack webhook URL.');
+  if (mode === 'bot') {
+    if (!botToken) {
+      throw permanentError('Slack bot token is required in bot mode (set it on the destination or SLACK_BOT_TOKEN)');
+    }
+    if (!config.channel) {
+      throw permanentError('Slack channel is required in bot mode');
+    }
+  } else if (!webhookUrl) {
+    throw permanentError('Slack webhook URL is required in destination config');
   }
 
   console.log(`💬 Processing Slack notification for connector: ${connector.name}`);
 
-  let lastError = null;
-  let attempts = 0;
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    attempts = attempt;
-    
-    try {
-      console.log(`💬 Slack send attempt ${attempt}/${maxRetries}`);
-
-      // Build Slack message blocks
-      const blocks = [];
-
-      // Header block
-      blocks.push({
-        type: 'header',
-        text: {
-          type: 'plain_text',
-          text: `📋 New Form Submission: ${connector.name}`,
-          emoji: true
-        }
-      });
-
-      // Divider
-      blocks.push({
-        type: 'divider'
-      });
-
-      // Form fields - split into pairs for better layout
-      const fieldEntries = Object.entries(formData);
-      const fieldPairs = [];
-
-      for (let i = 0; i < fieldEntries.length; i += 2) {
-        const pair = [];
-        
-        // First field
-        const [key1, value1] = fieldEntries[i];
-        pair.push({
-          type: 'mrkdwn',
-          text: `*${key1.charAt(0).toUpperCase() + key1.slice(1)}:*\n${String(value1 || '(empty)')}`
-        });
-
-        // Second field (if exists)
-        if (i + 1 < fieldEntries.length) {
-          const [key2, value2] = fieldEntries[i + 1];
-          pair.push({
-            type: 'mrkdwn',
-            text: `*${key2.charAt(0).toUpperCase() + key2.slice(1)}:*\n${String(value2 || '(empty)')}`
-          });
-        } else {
-          // Add empty field to maintain layout
-          pair.push({
-            type: 'mrkdwn',
-            text: ' '
-          });
-        }
-
-        fieldPairs.push(pair);
-      }
-
-      // Add field sections
-      fieldPairs.forEach(pair => {
-        blocks.push({
-          type: 'section',
-          fields: pair
-        });
-      });
-
-      // Footer with timestamp and connector name
-      blocks.push({
-        type: 'divider'
-      });
-
-      blocks.push({
-        type: 'context',
-        elements: [
-          {
-            type: 'mrkdwn',
-            text: `📊 *Connector:* ${connector.name} | 🕐 *Time:* <!date^${Math.floor(Date.now() / 1000)}^{date_short_pretty} at {time}|${new Date().toISOString()}>`
-          }
-        ]
-      });
-
-      // Send to Slack
-      const response = await fetch(webhookUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          blocks,
-          text: `New form submission from ${connector.name}`, // Fallback text for notifications
-        }),
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        
-        if (response.status === 404) {
-          throw new Error('Slack webhook not found. Please check that the webhook URL is correct and the webhook is still active.');
-        } else if (response.status === 403) {
-          throw new Error('Slack webhook access denied. The webhook may have been revoked or the app removed.');
-        } else if (response.status === 429) {
-          // Rate limited - will retry
-          const retryAfter = response.headers.get('Retry-After') || '60';
-          throw new Error(`Slack rate limit exceeded. Retry after ${retryAfter} seconds.`);
-        }
-        
-        throw new Error(`Slack API error: ${response.status} ${response.statusText}. ${errorText}`);
-      }
-
-      console.log(`✅ Slack message sent successfully on attempt ${attempt}`);
-      return;
+  // A custom Block Kit template replaces the built-in layout (see templates.js)
+  let message;
+  try {
+    message = config.blocksTemplate
+      ? renderSlackTemplate(config.blocksTemplate, buildTemplateContext(formData, connector))
+      : { blocks: buildDefaultBlocks(formData, connector) };
+  } catch (error) {
+    throw permanentError(error.message, { cause: error });
+  }
+  const payload = {
+    ...message,
+    text: message.text || `New form submission from ${connector.name}`, // Fallback text for notifications
+  };
 
-    } catch (error) {
-      lastError = error;
-      console.error(`❌ Slack attempt ${attempt} failed:`, error.message);
+  // Triage buttons need the bot token to rewrite the message once clicked
+  if (mode === 'bot' && config.triageActions && context.submissionId) {
+    payload.blocks = [...(payload.blocks || []), buildTriageActionsBlock(context.submissionId)];
+  }
 
-      // Don't retry on certain errors
-      if (error.message.includes('not found') || 
-          error.message.includes('access denied') ||
-          error.message.includes('Invalid Slack webhook')) {
-        throw error; // Fail immediately for configuration errors
-      }
+  return withRetries(async attempt => {
+    if (mode === 'bot') {
+      const data = await callSlackApi('chat.postMessage', botToken, { ...payload, channel: config.channel });
 
-      // If this is not the last attempt, wait before retrying
-      if (attempt < maxRetries) {
-        // Exponential backoff: 1s, 2s, 4s
-        // For rate limits, use longer delay
-        const delayMs = error.message.includes('rate limit')
-          ? 60000 // 60 seconds for rate limits
-          : Math.pow(2, attempt - 1) * 1000; // Exponential backoff for other errors
-        
-        console.log(`⏳ Waiting ${delayMs}ms before retry...`);
-        await delay(delayMs);
-      }
+      console.log(`✅ Slack message ${data.ts} posted to ${data.channel} on attempt ${attempt}`);
+      return { success: true, attempts: attempt, mode, channel: data.channel, ts: data.ts };
     }
-  }
 
-  // All attempts failed
-  throw new Error(
-    `Failed to send Slack message after ${attempts} attempt(s). Last error: ${lastError?.message || 'Unknown error'}`
-  );
-}
+    await postWebhookMessage(webhookUrl, payload);
 
+    console.log(`✅ Slack message sent successfully on attempt ${attempt}`);
+    return { success: true, attempts: attempt, mode };
+  }, { maxRetries, emoji: '💬', name: `Slack send (${mode} mode)`, failure: 'Failed to send Slack message' });
+}
@@ -0,0 +1,424 @@
+import twilio from 'twilio';
+import { DeliveryError, permanentError } from '../deliveryErrors.js';
+import { withRetries } from './retry.js';
+import { buildPlaceholderContext, interpolate } from './placeholders.js';
+import { formatFieldValue } from '../attachments.js';
+
+// GSM 03.38 basic character set: one 7-bit unit each
+const GSM_7_BASIC_CHARACTERS = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?¡' +
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+
+// GSM 03.38 extension table: an escape plus the character, two units each
+const GSM_7_EXTENSION_CHARACTERS = new Set('^{}\\[~]|€\f');
+
+// Units per SMS by encoding: a single message, and each part of a multipart message
+// (the rest of a part is taken by the header that joins the parts)
+const SMS_SEGMENT_LENGTHS = {
+  gsm7: { single: 160, multipart: 153 },
+  ucs2: { single: 70, multipart: 67 }
+};
+
+// Marks a truncated message ("…" is not in GSM-7 and would force UCS-2)
+const TRUNCATION_MARKER = '...';
+
+// Upper bound on the number of messages sent per recipient in split mode
+const DEFAULT_MAX_SEGMENTS = 5;
+
+// E.164: "+" followed by up to 15 digits, no leading zero in the country code
+const E164_PATTERN = /^\+[1-9]\d{1,14}$/;
+
+/**
+ * Twilio error codes that will never succeed on retry
+ *
+ * - 20003: Authentication failed
+ * - 20404: Resource not found (e.g. unknown messaging service)
+ * - 21211: Invalid "To" phone number
+ * - 21212: Invalid "From" phone number
+ * - 21408: Permission to send to this region is not enabled
+ * - 21601/21602: Phone number is not SMS-capable / message body is required
+ * - 21606: "From" number is not a valid, SMS-capable number for this account
+ * - 21608: Trial accounts can only send to verified numbers
+ * - 21610: Recipient has unsubscribed (replied STOP)
+ * - 21612: Cannot route to this number
+ * - 21614: "To" number is not a mobile number
+ * - 21617: Message body exceeds the maximum length
+ *
+ * @see https://www.twilio.com/docs/api/errors
+ */
+const PERMANENT_TWILIO_ERROR_CODES = new Set([
+  20003, 20404, 21211, 21212, 21408, 21601, 21602, 21606, 21608, 21610, 21612, 21614, 21617
+]);
+
+/**
+ * Checks whether a phone number is in E.164 format
+ *
+ * @param {string} phoneNumber - Phone number to check
+ * @returns {boolean} True if the number is valid E.164 (e.g. +14155552671)
+ */
+export function isValidE164(phoneNumber) {
+  return typeof phoneNumber === 'string' && E164_PATTERN.test(phoneNumber);
+}
+
+/**
+ * Normalizes the configured recipients into an array of phone numbers
+ *
+ * Recipients may be stored as an array or as a comma/newline separated string
+ * (as entered in the connector editor). Duplicates are removed.
+ *
+ * @param {string|string[]|undefined} recipients - Configured recipients
+ * @returns {string[]} Trimmed, de-duplicated phone numbers
+ * @private
+ */
+function parseRecipients(recipients) {
+  if (!recipients) return [];
+
+  const list = Array.isArray(recipients) ? recipients : String(recipients).split(/[,\n]/);
+  return [...new Set(list.map(number => String(number).trim()).filter(Boolean))];
+}
+
+/**
+ * Builds the default message body when no template is configured
+ *
+ * @param {Object} formData - Form submission data (key-value pairs)
+ * @param {Object} connector - Connector metadata
+ * @returns {string} Message body
+ * @private
+ */
+function buildDefaultMessage(formData, connector) {
+  const lines = Object.entries(formData).map(([key, value]) => `${key}: ${formatFieldValue(value)}`);
+  return [`New submission: ${connector.name}`, ...lines].join('\n');
+}
+
+/**
+ * Picks the encoding a message body is sent with
+ *
+ * @param {string} text - Message body
+ * @returns {'gsm7'|'ucs2'} GSM-7 if every character is in the GSM 03.38
+ *   character set; otherwise UCS-2 (emoji, most non-Latin scripts, "…")
+ */
+export function getSmsEncoding(text) {
+  for (const char of text) {
+    if (!GSM_7_BASIC_CHARACTERS.has(char) && !GSM_7_EXTENSION_CHARACTERS.has(char)) {
+      return 'ucs2';
+    }
+  }
+  return 'gsm7';
+}
+
+/**
+ * Counts the units a character takes in an encoding
+ *
+ * @param {string} char - Single character (code point)
+ * @param {'gsm7'|'ucs2'} encoding - Message encoding
+ * @returns {number} GSM-7 septets, or UTF-16 code units (2 for characters outside the BMP)
+ * @private
+ */
+function characterUnits(char, encoding) {
+  if (encoding === 'ucs2') return char.length;
+  return GSM_7_EXTENSION_CHARACTERS.has(char) ? 2 : 1;
+}
+
+/**
+ * Splits text after the last whole character that fits in a number of units
+ *
+ * @param {string} text - Text to split
+ * @param {number} maxUnits - Units available
+ * @param {'gsm7'|'ucs2'} encoding - Message encoding
+ * @returns {[string, string]} The part that fits, and the remainder
+ * @private
+ */
+function splitAtUnits(text, maxUnits, encoding) {
+  let units = 0;
+  let index = 0;
+  for (const char of text) {
+    units += characterUnits(char, encoding);
+    if (units > maxUnits) break;
+    index += char.length;
+  }
+  return [text.slice(0, index), text.slice(index)];
+}
+
+/**
+ * Fits a message body into SMS segments
+ *
+ * Lengths depend on the body's encoding (see `getSmsEncoding`): a single
+ * message holds 160 GSM-7 units or 70 UCS-2 units, a part of a longer message
+ * 153 or 67.
+ *
+ * - `truncate` mode cuts the body to a single message ending in "..."
+ * - `split` mode breaks the body into numbered messages ("(1/3) ...") that each
+ *   fit in a part, capped at `maxSegments` (the last one is truncated)
+ *
+ * @param {string} body - Full message body
+ * @param {'truncate'|'split'} mode - How to handle bodies longer than a single message
+ * @param {number} maxSegments - Maximum number of messages in split mode
+ * @returns {string[]} One or more message bodies to send in order
+ */
+export function segmentMessage(body, mode = 'truncate', maxSegments = DEFAULT_MAX_SEGMENTS) {
+  const encoding = getSmsEncoding(body);
+  const { single, multipart } = SMS_SEGMENT_LENGTHS[encoding];
+
+  const [, overflow] = splitAtUnits(body, single, encoding);
+  if (!overflow) {
+    return [body];
+  }
+
+  const truncate = (text, length) => {
+    if (!splitAtUnits(text, length, encoding)[1]) return text;
+    return `${splitAtUnits(text, length - TRUNCATION_MARKER.length, encoding)[0]}${TRUNCATION_MARKER}`;
+  };
+
+  if (mode !== 'split' || maxSegments <= 1) {
+    return [truncate(body, single)];
+  }
+
+  // Reserve room for the "(n/N) " prefix, assuming the widest counter
+  const prefixLength = `(${maxSegments}/${maxSegments}) `.length;
+  const chunkLength = multipart - prefixLength;
+
+  const chunks = [];
+  for (let rest = body; rest;) {
+    const [chunk, remainder] = splitAtUnits(rest, chunkLength, encoding);
+    chunks.push(chunk);
+    rest = remainder;
+  }
+
+  if (chunks.length > maxSegments) {
+    const remainder = chunks.slice(maxSegments - 1).join('');
+    chunks.length = maxSegments - 1;
+    chunks.push(truncate(remainder, chunkLength));
+  }
+
+  return chunks.map((chunk, index) => `(${index + 1}/${chunks.length}) ${chunk}`);
+}
+
+/**
+ * Creates a Twilio REST client from environment credentials
+ *
+ * @returns {import('twilio').Twilio} Twilio client
+ * @throws {Error} If TWILIO_ACCOUNT_SID or TWILIO_AUTH_TOKEN is not set
+ * @private
+ */
+function createTwilioClient() {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+  if (!accountSid || !authToken) {
+    throw permanentError('Twilio credentials not configured (TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN)');
+  }
+
+  return twilio(accountSid, authToken);
+}
+
+/**
+ * Sends every segment of a message to a single recipient with retry logic
+ *
+ * Segments that were already accepted by Twilio (listed in `recipient.sids`,
+ * also across queue attempts) are not re-sent. The recipient's `sids` and
+ * `attempts` are updated as segments go out, so they are accurate even when
+ * a later segment fails.
+ *
+ * @param {import('twilio').Twilio} client - Twilio client
+ * @param {Object} sender - Either { from } or { messagingServiceSid }
+ * @param {{ to: string, sids: string[], attempts: number }} recipient - Recipient (E.164) and its progress
+ * @param {string[]} segments - Message bodies to send in order
+ * @param {number} maxRetries - Maximum number of attempts per segment
+ * @returns {Promise<void>} Resolves when every segment has been accepted
+ * @throws {Error} If a segment fails permanently or after all retries
+ * @private
+ */
+async function sendToRecipient(client, sender, recipient, segments, maxRetries) {
+  const { to } = recipient;
+
+  for (const body of segments.slice(recipient.sids.length)) {
+    await withRetries(async () => {
+      recipient.attempts++;
+
+      try {
+        const message = await client.messages.create({ ...sender, to, body });
+        recipient.sids.push(message.sid);
+      } catch (error) {
+        // Don't retry on permanent Twilio errors
+        if (PERMANENT_TWILIO_ERROR_CODES.has(error.code)) {
+          throw permanentError(`Twilio permanent failure (code ${error.code}): ${error.message}`, {
+            status: error.status
+          });
+        }
+
+        // For rate limits, wait 60 seconds before the next attempt
+        if (error.status === 429) {
+          throw new DeliveryError(error.message, { status: 429, retryAfterMs: 60000, cause: error });
+        }
+
+        throw error;
+      }
+    }, { maxRetries, emoji: '📱', name: `SMS to ${to}`, failure: 'Failed' });
+  }
+}
+
+/**
+ * Handles SMS destination processing for form submissions
+ *
+ * This function sends a text message for each form submission to one or more
+ * recipients using the Twilio SDK. The message body is rendered from a template
+ * with field placeholders and fitted into SMS segments (160 characters, or 70
+ * when the message needs UCS-2, see `segmentMessage`).
+ *
+ * **Setup Instructions:**
+ *
+ * 1. Create a Twilio account at https://www.twilio.com
+ * 2. Buy an SMS-capable phone number, or create a Messaging Service
+ * 3. Add your credentials to `.env.local`:
+ *    ```
+ *    TWILIO_ACCOUNT_SID=ACxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx
+ *    TWILIO_AUTH_TOKEN=your_auth_token
+ *    ```
+ *
+ * **Destination Configuration Structure:**
+ * ```javascript
+ * {
+ *   type: 'sms',
+ *   enabled: true,
+ *   config: {
+ *     recipients: ['+14155552671', '+447700900123'], // Required (array or comma-separated string)
+ *     from: '+14155550100',                          // From number (or fromNumber)
+ *     messagingServiceSid: 'MGxxxxxxxx',             // Or a messaging service SID
+ *     template: 'Urgent lead: {{fields.name}} ({{fields.phone}})', // Optional
+ *     longMessageMode: 'truncate',                   // Optional: 'truncate' or 'split'
+ *     maxSegments: 5                                 // Optional, split mode only
+ *   }
+ * }
+ * ```
+ *
+ * **Message Template:**
+ *
+ * Placeholders use `{{path}}` syntax: `{{fields.<name>}}`, `{{connector.name}}`
+ * and `{{timestamp}}`. Without a template, the message lists every field.
+ *
+ * **Error Handling:**
+ *
+ * - Missing credentials, sender or recipients: Fails immediately
+ * - Numbers not in E.164 format: Fails immediately
+ * - Permanent Twilio errors (invalid number, unsubscribed, auth): Fails immediately
+ * - Network errors and rate limits: Retries with exponential backoff (3 attempts)
+ * - Each recipient is attempted even if another fails. Recipients that failed
+ *   permanently are not tried again; if others failed for a transient reason,
+ *   the handler throws a retryable error whose `details` list every recipient,
+ *   and the next queue attempt (`context.partialResult`) only sends to the
+ *   recipients still pending
+ * - Once nothing is pending, the handler throws a permanent error if any
+ *   recipient failed, and succeeds otherwise
+ *
+ * @param {Object} destination - Destination configuration object
+ * @param {string} destination.type - Must be 'sms'
+ * @param {boolean} destination.enabled - Whether this destination is enabled
+ * @param {Object} destination.config - SMS configuration
+ * @param {string|string[]} destination.config.recipients - Recipient phone numbers (E.164)
+ * @param {string} [destination.config.from] - Sender phone number (E.164)
+ * @param {string} [destination.config.messagingServiceSid] - Twilio messaging service SID
+ * @param {string} [destination.config.template] - Message template
+ * @param {string} [destination.config.longMessageMode='truncate'] - 'truncate' or 'split'
+ * @param {number} [destination.config.maxSegments=5] - Maximum messages per recipient in split mode
+ * @param {Object} formData - Form submission data (key-value pairs)
+ * @param {Object} connector - Connector metadata
+ * @param {string} connector.name - Connector name
+ * @param {number} [maxRetries=3] - Maximum number of retry attempts
+ * @param {Object} [context] - Delivery context
+ * @param {Object} [context.partialResult] - Details of the job's previous attempt (recipients already reached)
+ * @returns {Promise<Object>} Delivery result
+ * @returns {boolean} returns.success - Always true on success
+ * @returns {number} returns.segments - Number of messages sent per recipient
+ * @returns {Object[]} returns.recipients - Per-recipient { to, status: 'sent', sids, attempts }
+ * @throws {DeliveryError} If configuration is invalid or any recipient could not be reached;
+ *   `details.recipients` also lists `{ to, status: 'failed'|'pending', error }` entries
+ *
+ * @example
+ * await handleSms({
+ *   type: 'sms',
+ *   enabled: true,
+ *   config: {
+ *     recipients: '+14155552671',
+ *     from: '+14155550100',
+ *     template: 'New lead from {{fields.name}}'
+ *   }
+ * }, { name: 'Jane' }, { name: 'Urgent Leads' });
+ */
+export async function handleSms(destination, formData, connector, maxRetries = 3, context = {}) {
+  console.log('📱 SMS handler called for connector:', connector.name);
+
+  const config = destination.config || {};
+  const recipients = parseRecipients(config.recipients || config.to || config.toNumbers);
+  const from = config.from || config.fromNumber || config.from_number;
+  const messagingServiceSid = config.messagingServiceSid || config.messaging_service_sid;
+  const template = config.template || config.messageTemplate;
+  const mode = config.longMessageMode || config.long_message_mode || 'truncate';
+  const maxSegments = parseInt(config.maxSegments || config.max_segments, 10) || DEFAULT_MAX_SEGMENTS;
+
+  if (recipients.length === 0) {
+    throw permanentError('At least one SMS recipient is required in destination config');
+  }
+
+  const invalidRecipients = recipients.filter(number => !isValidE164(number));
+  if (invalidRecipients.length > 0) {
+    throw permanentError(
+      `Invalid SMS recipient number(s): ${invalidRecipients.join(', ')}. Use E.164 format, e.g. +14155552671`
+    );
+  }
+
+  if (!from && !messagingServiceSid) {
+    throw permanentError('SMS destination requires a from number or a messaging service SID');
+  }
+
+  if (from && !isValidE164(from)) {
+    throw permanentError(`Invalid SMS from number: ${from}. Use E.164 format, e.g. +14155552671`);
+  }
+
+  const client = createTwilioClient();
+  const sender = messagingServiceSid ? { messagingServiceSid } : { from };
+
+  const body = template
+    ? interpolate(template, buildPlaceholderContext(formData, connector))
+    : buildDefaultMessage(formData, connector);
+  const segments = segmentMessage(body, mode, maxSegments);
+
+  // Progress from the job's previous attempt: sent and permanently failed recipients are final
+  const previous = new Map((context.partialResult?.recipients || []).map(entry => [entry.to, entry]));
+  const results = recipients.map(to => {
+    const entry = previous.get(to);
+    return entry?.status === 'sent' || entry?.status === 'failed'
+      ? entry
+      : { to, status: 'pending', sids: entry?.sids || [], attempts: entry?.attempts || 0 };
+  });
+  const pending = results.filter(entry => entry.status === 'pending');
+
+  console.log(
+    `📱 Sending ${segments.length} message(s) to ${pending.length} of ${recipients.length} recipient(s)`
+  );
+
+  for (const entry of pending) {
+    try {
+      await sendToRecipient(client, sender, entry, segments, maxRetries);
+      entry.status = 'sent';
+      delete entry.error;
+      console.log(`✅ SMS sent to ${entry.to}`);
+    } catch (error) {
+      entry.error = error.message;
+      if (error.permanent) entry.status = 'failed';
+    }
+  }
+
+  const unsent = results.filter(entry => entry.status !== 'sent');
+  if (unsent.length > 0) {
+    const details = { segments: segments.length, recipients: results };
+    throw new DeliveryError(
+      `Failed to send SMS to ${unsent.length} of ${recipients.length} recipient(s). ` +
+      unsent.map(entry => `${entry.to}: ${entry.error}`).join('; '),
+      // Retry while any recipient may still succeed; earlier recipients are not re-sent
+      { permanent: unsent.every(entry => entry.status === 'failed'), details }
+    );
+  }
+
+  return { success: true, segments: segments.length, recipients: results };
+}
@@ -0,0 +1,227 @@
+import { isFileReference } from '../attachments.js';
+import { DeliveryError, getRetryAfterMs, permanentError } from '../deliveryErrors.js';
+import { withRetries } from './retry.js';
+
+// Hosts that issue Teams incoming webhook URLs (Office 365 connectors and Workflows)
+const TEAMS_WEBHOOK_HOSTS = ['.webhook.office.com', '.logic.azure.com', '.api.powerplatform.com'];
+
+/**
+ * Checks that a URL is an HTTPS Teams incoming webhook
+ *
+ * @param {string} webhookUrl - Configured webhook URL
+ * @returns {boolean} True if the URL can be used
+ * @private
+ */
+function isTeamsWebhookUrl(webhookUrl) {
+  try {
+    const url = new URL(webhookUrl);
+    return url.protocol === 'https:' && TEAMS_WEBHOOK_HOSTS.some(host => url.hostname.endsWith(host));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Formats a form value as Adaptive Card markdown, linking uploaded files
+ *
+ * @param {*} value - Form value (string, array or file reference)
+ * @returns {string} Markdown text
+ * @private
+ */
+function formatTeamsValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(formatTeamsValue).join(', ');
+  }
+  if (isFileReference(value)) {
+    return `[${value.filename.replace(/[[\]]/g, '')}](${value.url})`;
+  }
+  return String(value || '');
+}
+
+/**
+ * Builds the Adaptive Card for a submission
+ *
+ * @param {Object} formData - Form submission data
+ * @param {Object} connector - Connector metadata
+ * @returns {Object} Adaptive Card
+ * @private
+ */
+function buildAdaptiveCard(formData, connector) {
+  return {
+    $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+    type: 'AdaptiveCard',
+    version: '1.4',
+    msteams: { width: 'Full' },
+    body: [
+      // Header
+      {
+        type: 'TextBlock',
+        text: `📋 New Form Submission: ${connector.name}`,
+        weight: 'Bolder',
+        size: 'Medium',
+        wrap: true
+      },
+      // Form fields as title/value facts
+      {
+        type: 'FactSet',
+        separator: true,
+        facts: Object.entries(formData).map(([key, value]) => ({
+          title: key.charAt(0).toUpperCase() + key.slice(1),
+          value: formatTeamsValue(value) || '(empty)'
+        }))
+      },
+      // Footer with connector name and timestamp
+      {
+        type: 'TextBlock',
+        text: `📊 Connector: ${connector.name} | 🕐 Time: ${new Date().toISOString()}`,
+        size: 'Small',
+        isSubtle: true,
+        wrap: true,
+        separator: true
+      }
+    ]
+  };
+}
+
+/**
+ * Handles Microsoft Teams destination processing for form submissions
+ *
+ * This function posts a form submission to a Teams channel via an incoming
+ * webhook, formatted as an Adaptive Card.
+ *
+ * **Setup Instructions:**
+ *
+ * 1. **Create a Teams Incoming Webhook:**
+ *    - In Teams, open the channel's "..." menu → "Workflows"
+ *    - Choose "Post to a channel when a webhook request is received"
+ *    - Select the team and channel, then click "Add workflow"
+ *    - Copy the webhook URL
+ *    (Webhook URLs from the older "Connectors" → "Incoming Webhook" setup also work.)
+ *
+ * 2. **Add Webhook URL to Connector:**
+ *    - When creating/editing a connector, select Microsoft Teams destination
+ *    - Paste the webhook URL in the configuration
+ *
+ * **Destination Configuration Structure:**
+ * ```javascript
+ * {
+ *   type: 'teams',
+ *   enabled: true,
+ *   config: {
+ *     webhookUrl: 'your-teams-webhook-url-here'
+ *   }
+ * }
+ * ```
+ *
+ * **Message Format:**
+ *
+ * The Adaptive Card contains:
+ * - Header with form name and emoji
+ * - A fact set with one title/value row per form field (files are linked)
+ * - Footer with connector name and timestamp
+ *
+ * **Error Handling:**
+ *
+ * - Invalid webhook URL: Returns clear error message
+ * - Removed or disabled webhook: Fails immediately
+ * - Card rejected by Teams: Fails immediately
+ * - Rate limiting: Handles Teams rate limits with retry
+ * - Network errors: Retries with exponential backoff (3 attempts)
+ *
+ * @param {Object} destination - Destination configuration object
+ * @param {string} destination.type - Must be 'teams'
+ * @param {boolean} destination.enabled - Whether this destination is enabled
+ * @param {Object} destination.config - Teams configuration
+ * @param {string} destination.config.webhookUrl - Teams incoming webhook URL
+ * @param {Object} formData - Form submission data (key-value pairs)
+ * @param {Object} connector - Connector metadata
+ * @param {string} connector.name - Connector name
+ * @param {number} [maxRetries=3] - Maximum number of retry attempts
+ * @returns {Promise<{ success: boolean, attempts: number }>} Result
+ * @throws {Error} If webhook URL is missing, invalid, or API errors occur
+ *
+ * @example
+ * await handleTeams(
+ *   { type: 'teams', enabled: true, config: { webhookUrl: 'your-teams-webhook-url-here' } },
+ *   { name: 'John Doe', email: 'john@example.com' },
+ *   { name: 'Contact Form' }
+ * );
+ */
+export async function handleTeams(destination, formData, connector, maxRetries = 3) {
+  const config = destination.config || {};
+  const webhookUrl = config.webhookUrl || config.webhook_url;
+
+  if (!webhookUrl) {
+    throw permanentError('Teams webhook URL is required in destination config');
+  }
+
+  // Validate webhook URL format
+  if (!isTeamsWebhookUrl(webhookUrl)) {
+    throw permanentError('Invalid Teams webhook URL format. Please provide a Teams incoming webhook or Workflows URL.');
+  }
+
+  console.log(`👥 Processing Teams notification for connector: ${connector.name}`);
+
+  const payload = {
+    type: 'message',
+    attachments: [
+      {
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: buildAdaptiveCard(formData, connector)
+      }
+    ]
+  };
+
+  return withRetries(async attempt => {
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(payload),
+    });
+
+    const responseText = await response.text();
+
+    if (!response.ok) {
+      if (response.status === 404 || response.status === 410) {
+        throw permanentError(
+          'Teams webhook not found. Please check that the webhook URL is correct and the workflow or connector is still active.',
+          { status: response.status }
+        );
+      } else if (response.status === 401 || response.status === 403) {
+        throw permanentError(
+          'Teams webhook access denied. The webhook may have been removed or its workflow turned off.',
+          { status: response.status }
+        );
+      } else if (response.status === 429) {
+        // Rate limited - will retry
+        const retryAfterMs = getRetryAfterMs(response.headers);
+        throw new DeliveryError(`Teams rate limit exceeded. Retry after ${Math.ceil(retryAfterMs / 1000)} seconds.`, {
+          status: 429,
+          retryAfterMs
+        });
+      } else if (response.status === 400 || response.status === 413) {
+        throw permanentError(`Teams rejected the request (${response.status}): ${responseText.slice(0, 200)}`, {
+          status: response.status
+        });
+      }
+
+      throw new DeliveryError(`Teams API error: ${response.status} ${response.statusText}. ${responseText}`, {
+        status: response.status
+      });
+    }
+
+    // Office 365 connector webhooks report some failures in a 200 response body
+    if (/returned HTTP error 429/i.test(responseText)) {
+      throw new DeliveryError('Teams rate limit exceeded. Retry after 60 seconds.', { status: 429, retryAfterMs: 60000 });
+    }
+    if (/returned HTTP error/i.test(responseText)) {
+      throw permanentError(`Teams rejected the request: ${responseText.slice(0, 200)}`);
+    }
+
+    console.log(`✅ Teams message sent successfully on attempt ${attempt}`);
+    return { success: true, attempts: attempt };
+  }, { maxRetries, emoji: '👥', name: 'Teams send', failure: 'Failed to send Teams message' });
+}
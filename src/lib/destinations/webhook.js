@@ -0,0 +1,272 @@
+import { createHmac } from 'crypto';
+import { DeliveryError, getRetryAfterMs, isPermanentStatus, permanentError } from '../deliveryErrors.js';
+import { withRetries } from './retry.js';
+import { fetchWebhook, parseWebhookUrl } from '../webhookSettings.js';
+import { buildPlaceholderContext, interpolate, resolvePath } from './placeholders.js';
+
+// HTTP methods that may be configured for a webhook destination
+const ALLOWED_METHODS = ['POST', 'PUT', 'PATCH'];
+
+/**
+ * Renders a JSON body template against the submission context
+ *
+ * The template is parsed as JSON first, then every string value is scanned for
+ * `{{path}}` placeholders. A string that consists of a single placeholder is
+ * replaced by the raw value (so numbers, booleans and objects keep their type);
+ * placeholders embedded in longer strings are interpolated as text. Because
+ * substitution happens after parsing, submitted values can never break out of
+ * the JSON structure.
+ *
+ * @param {string|Object} template - JSON template (string or already-parsed object)
+ * @param {Object} context - Template context ({ fields, connector, timestamp, ... })
+ * @returns {Object} Rendered body object
+ * @throws {Error} If the template is not valid JSON
+ * @private
+ */
+function renderBodyTemplate(template, context) {
+  let parsed;
+  try {
+    parsed = typeof template === 'string' ? JSON.parse(template) : template;
+  } catch (error) {
+    throw permanentError(`Invalid webhook body template: ${error.message}`);
+  }
+
+  const render = (node) => {
+    if (typeof node === 'string') {
+      const exact = node.match(/^\{\{\s*([\w.-]+)\s*\}\}$/);
+      if (exact) {
+        const value = resolvePath(context, exact[1]);
+        return value === undefined ? null : value;
+      }
+      return interpolate(node, context);
+    }
+    if (Array.isArray(node)) {
+      return node.map(render);
+    }
+    if (node && typeof node === 'object') {
+      return Object.fromEntries(
+        Object.entries(node).map(([key, value]) => [key, render(value)])
+      );
+    }
+    return node;
+  };
+
+  return render(parsed);
+}
+
+/**
+ * Normalizes the configured custom headers into a plain object
+ *
+ * Headers may be stored either as an object or as a JSON string (as entered
+ * in the connector editor).
+ *
+ * @param {Object|string|undefined} headers - Configured headers
+ * @returns {Object<string, string>} Header map
+ * @throws {Error} If the headers cannot be parsed
+ * @private
+ */
+function parseHeaders(headers) {
+  if (!headers) return {};
+
+  let parsed = headers;
+  if (typeof headers === 'string') {
+    if (!headers.trim()) return {};
+    try {
+      parsed = JSON.parse(headers);
+    } catch (error) {
+      throw permanentError(`Invalid webhook headers: ${error.message}`);
+    }
+  }
+
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw permanentError('Invalid webhook headers: expected an object of header names to values');
+  }
+
+  return Object.fromEntries(
+    Object.entries(parsed).map(([name, value]) => [name, String(value)])
+  );
+}
+
+/**
+ * Signs a webhook payload with HMAC-SHA256
+ *
+ * The signature covers `${timestamp}.${body}` so receivers can reject replayed
+ * requests by checking the timestamp header.
+ *
+ * @param {string} secret - Per-destination signing secret
+ * @param {string} timestamp - Unix timestamp (seconds) as a string
+ * @param {string} body - Serialized request body
+ * @returns {string} Hex-encoded signature prefixed with "sha256="
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  const digest = createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Handles generic webhook destination processing for form submissions
+ *
+ * This function sends the form submission to a user-configured HTTP endpoint.
+ * The request method, custom headers and JSON body are configurable, and every
+ * request is signed with HMAC-SHA256. Requests are sent with `fetchWebhook`
+ * (see `webhookSettings.js`): they only connect to public addresses, checked
+ * when the connection resolves the host, and redirects are not followed.
+ *
+ * **Destination Configuration Structure:**
+ * ```javascript
+ * {
+ *   type: 'webhook',
+ *   enabled: true,
+ *   config: {
+ *     url: 'https://example.com/hooks/forms',   // Required (or webhookUrl)
+ *     method: 'POST',                           // Optional: POST, PUT or PATCH
+ *     headers: { 'X-Api-Key': '...' },          // Optional (object or JSON string)
+ *     bodyTemplate: '{"email": "{{fields.email}}"}', // Optional (or body_template)
+ *     secret: 'whsec_...'                       // Signing secret (generated on save)
+ *   }
+ * }
+ * ```
+ *
+ * **Body Template:**
+ *
+ * Placeholders use `{{path}}` syntax and resolve against:
+ * - `fields` - The submitted form data (e.g. `{{fields.email}}`)
+ * - `connector.id` / `connector.name` - Connector metadata
+ * - `timestamp` - ISO timestamp of the delivery
+ *
+ * Without a template, the body is `{ connector: { id, name }, timestamp, data }`.
+ *
+ * **Request Signing:**
+ *
+ * Two headers are added to every request:
+ * - `X-FormConnector-Timestamp`: Unix timestamp (seconds)
+ * - `X-FormConnector-Signature`: `sha256=` + HMAC-SHA256 of `${timestamp}.${body}`
+ *
+ * **Error Handling:**
+ *
+ * - Missing or invalid URL, headers, template or secret: Fails immediately
+ * - URL of a local, private or link-local host: Fails immediately
+ * - 3xx responses: Fails immediately, redirects are not followed
+ * - 4xx responses (except 408, 409, 425 and 429): Fails immediately, the receiver rejected the payload
+ * - 5xx responses and network errors: Retries with exponential backoff (3 attempts)
+ * - Rate limiting (429): Retries after the Retry-After delay
+ *
+ * @param {Object} destination - Destination configuration object
+ * @param {string} destination.type - Must be 'webhook'
+ * @param {boolean} destination.enabled - Whether this destination is enabled
+ * @param {Object} destination.config - Webhook configuration
+ * @param {string} destination.config.url - Endpoint URL (or webhookUrl)
+ * @param {string} [destination.config.method='POST'] - HTTP method
+ * @param {Object|string} [destination.config.headers] - Custom request headers
+ * @param {string|Object} [destination.config.bodyTemplate] - JSON body template
+ * @param {string} destination.config.secret - HMAC signing secret
+ * @param {Object} formData - Form submission data (key-value pairs)
+ * @param {Object} connector - Connector metadata
+ * @param {string} connector.name - Connector name
+ * @param {number} [maxRetries=3] - Maximum number of retry attempts
+ * @returns {Promise<Object>} Delivery result
+ * @returns {boolean} returns.success - Always true on success
+ * @returns {number} returns.attempts - Number of attempts made (1-based)
+ * @returns {number} returns.status - HTTP status returned by the endpoint
+ * @returns {number} returns.latencyMs - Duration of the successful request in milliseconds
+ * @throws {Error} If configuration is invalid or all retry attempts fail
+ *
+ * @example
+ * const result = await handleWebhook({
+ *   type: 'webhook',
+ *   enabled: true,
+ *   config: { url: 'https://example.com/hooks/forms', secret: 'whsec_123' }
+ * }, { email: 'john@example.com' }, { id: 'abc', name: 'Contact Form' });
+ * // result: { success: true, attempts: 1, status: 200, latencyMs: 142 }
+ */
+export async function handleWebhook(destination, formData, connector, maxRetries = 3) {
+  console.log('🔗 Webhook handler called for connector:', connector.name);
+
+  const config = destination.config || {};
+  const url = config.url || config.webhookUrl || config.webhook_url;
+  const method = (config.method || 'POST').toUpperCase();
+  const secret = config.secret || config.signingSecret || config.signing_secret;
+  const bodyTemplate = config.bodyTemplate || config.body_template;
+
+  if (!url) {
+    throw permanentError('Webhook URL is required in destination config');
+  }
+
+  let parsedUrl;
+  try {
+    parsedUrl = parseWebhookUrl(url);
+  } catch (error) {
+    throw permanentError(error.message);
+  }
+
+  if (!secret) {
+    throw permanentError('Webhook signing secret is required. Save the connector to generate one.');
+  }
+
+  if (!ALLOWED_METHODS.includes(method)) {
+    throw permanentError(`Invalid webhook method "${method}". Allowed methods: ${ALLOWED_METHODS.join(', ')}`);
+  }
+
+  const customHeaders = parseHeaders(config.headers);
+  const context = buildPlaceholderContext(formData, connector);
+
+  const payload = bodyTemplate
+    ? renderBodyTemplate(bodyTemplate, context)
+    : { connector: context.connector, timestamp: context.timestamp, data: formData };
+  const body = JSON.stringify(payload);
+
+  console.log(`🔗 Sending ${method} webhook to ${parsedUrl.origin}${parsedUrl.pathname}`);
+
+  return withRetries(async attempt => {
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'FormConnector-Webhook/1.0',
+      ...customHeaders
+    };
+
+    // Sign each attempt with a fresh timestamp so retries are not rejected as stale
+    const signatureTimestamp = String(Math.floor(Date.now() / 1000));
+    headers['X-FormConnector-Timestamp'] = signatureTimestamp;
+    headers['X-FormConnector-Signature'] = signWebhookPayload(secret, signatureTimestamp, body);
+
+    const startedAt = Date.now();
+    const response = await fetchWebhook(parsedUrl.href, { method, headers, body });
+    const latencyMs = Date.now() - startedAt;
+
+    if (response.status >= 300 && response.status < 400) {
+      // A redirect could lead to an internal address the URL checks never saw
+      throw permanentError(
+        `Webhook endpoint redirected (${response.status}). Configure the final URL; redirects are not followed.`,
+        { status: response.status }
+      );
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+
+      if (response.status === 429) {
+        // Rate limited - will retry
+        const retryAfterMs = getRetryAfterMs(response.headers);
+        throw new DeliveryError(`Webhook rate limit exceeded. Retry after ${Math.ceil(retryAfterMs / 1000)} seconds.`, {
+          status: 429,
+          retryAfterMs
+        });
+      } else if (isPermanentStatus(response.status)) {
+        throw permanentError(
+          `Webhook endpoint rejected the request: ${response.status} ${response.statusText}. ${errorText}`.trim(),
+          { status: response.status }
+        );
+      }
+
+      throw new DeliveryError(
+        `Webhook endpoint error: ${response.status} ${response.statusText}. ${errorText}`.trim(),
+        { status: response.status }
+      );
+    }
+
+    console.log(`✅ Webhook delivered on attempt ${attempt} (${response.status}, ${latencyMs}ms)`);
+    return { success: true, attempts: attempt, status: response.status, latencyMs };
+  }, { maxRetries, emoji: '🔗', name: 'Webhook', failure: 'Failed to deliver webhook' });
+}
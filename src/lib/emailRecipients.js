@@ -0,0 +1,224 @@
+/**
+ * Recipients of the email destination
+ *
+ * An email destination sends one message to its To, CC and BCC lists. Each
+ * list is stored as a comma/semicolon/newline separated string (as entered in
+ * the connector editor) or an array. Addresses are validated when the
+ * connector is saved, and de-duplicated case-insensitively when sending: an
+ * address listed in To is not repeated in CC or BCC, and one in CC is not
+ * repeated in BCC.
+ *
+ * **Recipient Routing** (`config.recipientRouting`):
+ * ```javascript
+ * {
+ *   field: 'department',                                   // Form field to route on
+ *   routes: [
+ *     { value: 'Sales', to: 'sales@example.com, lead@example.com' },
+ *     { value: 'Support', to: 'help@example.com' }
+ *   ]
+ * }
+ * ```
+ * Values match case-insensitively (every selected value of a multi-select
+ * field counts). When a route matches, its addresses replace `to_email`; when
+ * none does, `to_email` is used. CC and BCC always apply. Routed addresses
+ * come from the connector settings, never from the submitted values.
+ */
+
+// Upper bounds on what one destination may configure
+export const MAX_EMAIL_RECIPIENTS = 50;
+export const MAX_RECIPIENT_ROUTES = 100;
+
+const EMAIL_PATTERN = /^[^\s@,;<>"]+@[^\s@,;<>"]+\.[^\s@,;<>"]+$/;
+const MAX_EMAIL_LENGTH = 254;
+const MAX_ROUTE_VALUE_LENGTH = 500;
+
+/**
+ * Checks an email address is a single, plain address
+ *
+ * @param {*} value - Candidate address
+ * @returns {boolean} True if it is safe to send to
+ */
+export function isValidEmailAddress(value) {
+  return typeof value === 'string' && value.length <= MAX_EMAIL_LENGTH && EMAIL_PATTERN.test(value);
+}
+
+/**
+ * Splits a recipient list into trimmed addresses
+ *
+ * @param {string|string[]|undefined} value - Comma/semicolon/newline separated string or array
+ * @returns {string[]} Addresses in their original order (not validated)
+ *
+ * @example
+ * parseEmailList('a@example.com; b@example.com\nc@example.com');
+ * // Returns: ['a@example.com', 'b@example.com', 'c@example.com']
+ */
+export function parseEmailList(value) {
+  if (!value) return [];
+
+  const list = Array.isArray(value) ? value : String(value).split(/[,;\n]/);
+  return list.map(address => String(address ?? '').trim()).filter(Boolean);
+}
+
+/**
+ * Parses and validates a recipient list
+ *
+ * @param {*} value - Recipient list
+ * @param {string} label - List name used in errors
+ * @returns {string[]} Valid addresses
+ * @throws {Error} If an address is invalid or the list is too long
+ * @private
+ */
+function parseValidEmailList(value, label) {
+  const addresses = parseEmailList(value);
+
+  const invalid = addresses.filter(address => !isValidEmailAddress(address));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid ${label} email address(es): ${invalid.join(', ')}`);
+  }
+  if (addresses.length > MAX_EMAIL_RECIPIENTS) {
+    throw new Error(`${label} can list at most ${MAX_EMAIL_RECIPIENTS} email addresses`);
+  }
+
+  return addresses;
+}
+
+/**
+ * Finds the routes matching a submission
+ *
+ * @param {Object|undefined} routing - Recipient routing settings
+ * @param {Object} formData - Submission fields
+ * @returns {Array<Object>} Matching routes
+ * @private
+ */
+function findMatchingRoutes(routing, formData) {
+  if (!routing?.field || !Array.isArray(routing.routes)) return [];
+
+  const value = formData?.[routing.field];
+  const submitted = (Array.isArray(value) ? value : [value])
+    .filter(item => item !== null && item !== undefined && typeof item !== 'object')
+    .map(item => String(item).trim().toLowerCase());
+
+  return routing.routes.filter(route => submitted.includes(String(route?.value ?? '').trim().toLowerCase()));
+}
+
+/**
+ * Resolves the To, CC and BCC recipients of an email destination for a submission
+ *
+ * @param {Object} config - Email destination config
+ * @param {Object} formData - Submission fields (after transforms)
+ * @returns {{ to: string[], cc: string[], bcc: string[], routes: string[] }} De-duplicated
+ *   recipients and the values of the routes that matched
+ * @throws {Error} If an address is invalid or there is no To recipient
+ *
+ * @example
+ * resolveEmailRecipients({
+ *   to_email: 'team@example.com',
+ *   cc: 'TEAM@example.com, boss@example.com',
+ *   recipientRouting: { field: 'department', routes: [{ value: 'Sales', to: 'sales@example.com' }] }
+ * }, { department: 'sales' });
+ * // Returns: { to: ['sales@example.com'], cc: ['TEAM@example.com', 'boss@example.com'], bcc: [], routes: ['Sales'] }
+ */
+export function resolveEmailRecipients(config, formData) {
+  const matchedRoutes = findMatchingRoutes(config.recipientRouting, formData);
+
+  const to = matchedRoutes.length > 0
+    ? matchedRoutes.flatMap(route => parseValidEmailList(route.to, `Route "${route.value}"`))
+    : parseValidEmailList(config.to_email || config.toEmail, 'To');
+  const lists = {
+    to,
+    cc: parseValidEmailList(config.cc, 'CC'),
+    bcc: parseValidEmailList(config.bcc, 'BCC')
+  };
+
+  // Earlier lists win: each address is sent once
+  const seen = new Set();
+  for (const key of ['to', 'cc', 'bcc']) {
+    lists[key] = lists[key].filter(address => {
+      const normalized = address.toLowerCase();
+      if (seen.has(normalized)) return false;
+      seen.add(normalized);
+      return true;
+    });
+  }
+
+  if (lists.to.length === 0) {
+    throw new Error('Recipient email address is required in destination config');
+  }
+
+  return { ...lists, routes: matchedRoutes.map(route => String(route.value)) };
+}
+
+/**
+ * Validates and normalizes recipient routing settings before they are saved
+ *
+ * @param {*} routing - Settings submitted from the edit page
+ * @returns {Object} Normalized settings
+ * @throws {Error} If a route is invalid
+ * @private
+ */
+function normalizeRecipientRouting(routing) {
+  if (!routing || typeof routing !== 'object' || Array.isArray(routing)) {
+    throw new Error('recipientRouting must be an object');
+  }
+  if (routing.routes !== undefined && !Array.isArray(routing.routes)) {
+    throw new Error('Recipient routes must be an array');
+  }
+
+  const field = String(routing.field || '').trim();
+  if (field.length > 255) {
+    throw new Error('Recipient routing field must be at most 255 characters');
+  }
+
+  const routes = (routing.routes || []).filter(route => route && (String(route.value ?? '').trim() || route.to));
+  if (routes.length > MAX_RECIPIENT_ROUTES) {
+    throw new Error(`Recipient routing can have at most ${MAX_RECIPIENT_ROUTES} routes`);
+  }
+  if (routes.length > 0 && !field) {
+    throw new Error('Recipient routing field is required');
+  }
+
+  return {
+    field,
+    routes: routes.map(route => {
+      const value = String(route.value ?? '').trim();
+      if (!value || value.length > MAX_ROUTE_VALUE_LENGTH) {
+        throw new Error(`Recipient route values must be 1-${MAX_ROUTE_VALUE_LENGTH} characters`);
+      }
+
+      const to = parseValidEmailList(route.to, `Route "${value}"`);
+      if (to.length === 0) {
+        throw new Error(`Route "${value}" needs at least one email address`);
+      }
+      return { value, to: to.join(', ') };
+    })
+  };
+}
+
+/**
+ * Normalizes the recipients of a connector's email destinations before they are saved
+ *
+ * Lists are stored as ", " separated strings so the editor can show them as typed.
+ *
+ * @param {Array<Object>} destinations - Destinations submitted from the edit page
+ * @returns {Array<Object>} Destinations with normalized recipient settings
+ * @throws {Error} If an address or route is invalid
+ */
+export function normalizeDestinationRecipients(destinations) {
+  return destinations.map(destination => {
+    if (destination?.type !== 'email' || !destination.config) {
+      return destination;
+    }
+
+    const config = { ...destination.config };
+    for (const [key, label] of [['to_email', 'To'], ['toEmail', 'To'], ['cc', 'CC'], ['bcc', 'BCC']]) {
+      if (config[key] !== undefined) {
+        config[key] = parseValidEmailList(config[key], label).join(', ');
+      }
+    }
+    if (config.recipientRouting) {
+      config.recipientRouting = normalizeRecipientRouting(config.recipientRouting);
+    }
+
+    return { ...destination, config };
+  });
+}
@@ -1,3 +1,5 @@
+import { getEmailTransport, getMissingTransportEnv } from './mail';
+
 /**
  * Environment variable validation module
  * 
@@ -11,14 +13,38 @@
  * 
  * - NEXT_PUBLIC_SUPABASE_URL: Supabase project URL for database connection
  * - NEXT_PUBLIC_SUPABASE_ANON_KEY: Supabase anonymous key for client-side operations
- * - SENDGRID_API_KEY: SendGrid API key for sending emails
+ * - SUPABASE_SERVICE_ROLE_KEY: Supabase service role key for the delivery queue,
+ *   dead letters, auto-replies and user settings (server-only)
+ *
+ * Email variables are only required when EMAIL_TRANSPORT selects a transport
+ * (see `getConfiguredEmailTransportEnv`).
  */
 const REQUIRED_ENV_VARS = [
   'NEXT_PUBLIC_SUPABASE_URL',
   'NEXT_PUBLIC_SUPABASE_ANON_KEY',
-  'SENDGRID_API_KEY'
+  'SUPABASE_SERVICE_ROLE_KEY'
 ];
 
+/**
+ * Gets the environment variables required by the configured email transport
+ *
+ * Teams that never send email leave EMAIL_TRANSPORT unset and need no email
+ * variables; the default SendGrid transport then reports a missing API key
+ * only when an email is actually sent. Transports chosen per destination are
+ * checked the same way, at send time.
+ *
+ * @returns {string[]} Missing variable names
+ * @throws {Error} If EMAIL_TRANSPORT names an unknown transport
+ * @private
+ */
+function getConfiguredEmailTransportEnv() {
+  if (!process.env.EMAIL_TRANSPORT) {
+    return [];
+  }
+
+  return getMissingTransportEnv(getEmailTransport(process.env.EMAIL_TRANSPORT));
+}
+
 /**
  * Validates that all required environment variables are present
  * 
@@ -51,6 +77,9 @@ export function validateEnv() {
     }
   }
 
+  // Check the variables of the configured email transport
+  missingVars.push(...getConfiguredEmailTransportEnv());
+
   // If any variables are missing, throw descriptive error
   if (missingVars.length > 0) {
     const errorMessage = 
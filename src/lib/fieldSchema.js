@@ -0,0 +1,406 @@
+import { assertSafePattern, isSafePattern } from './safeRegex';
+
+/**
+ * Per-connector field schema module
+ *
+ * Connectors may declare a field schema (stored in the `field_schema` column)
+ * describing the fields a form is expected to send. Submissions are checked
+ * against it after the generic limits in `validation.js`, and every failing
+ * field is reported at once.
+ *
+ * **Field Rule Structure:**
+ * ```javascript
+ * {
+ *   name: 'email',            // Field name as posted by the form (required)
+ *   type: 'email',            // text | email | url | phone | integer | number | date | enum | boolean | file
+ *   required: true,           // Reject submissions where the field is missing or empty
+ *   min: 1,                   // text: min length, integer/number: min value, date: earliest YYYY-MM-DD
+ *   max: 500,                 // text: max length, integer/number: max value, date: latest YYYY-MM-DD
+ *   pattern: '^[^@]+@acme\\.com$', // Regular expression the value must match (text-like types)
+ *                                  // (must pass `assertSafePattern`; values over 1000 characters are rejected)
+ *   options: ['a', 'b'],      // Allowed values (enum only)
+ *   message: 'Use your work email' // Custom error message shown instead of the default
+ * }
+ * ```
+ *
+ * Fields that are not declared in the schema are accepted unchanged.
+ */
+
+// Supported field types
+export const FIELD_TYPES = [
+  'text',
+  'email',
+  'url',
+  'phone',
+  'integer',
+  'number',
+  'date',
+  'enum',
+  'boolean',
+  'file'
+];
+
+// Same limit as the generic field count check in validation.js
+const MAX_SCHEMA_FIELDS = 50;
+const MAX_PATTERN_LENGTH = 500;
+// Longest value a custom pattern is run against. Patterns that can backtrack
+// exponentially are rejected on save (see safeRegex.js); this bounds the
+// polynomial backtracking a safe pattern may still do.
+const MAX_PATTERN_INPUT_LENGTH = 1000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?\d{7,15}$/;
+const INTEGER_PATTERN = /^-?\d+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const BOOLEAN_VALUES = ['true', 'false', 'on', 'off', 'yes', 'no', '1', '0'];
+
+/**
+ * Checks whether a value counts as "not provided"
+ *
+ * @param {*} value - Form value
+ * @returns {boolean} True for missing values, blank strings and empty arrays
+ * @private
+ */
+function isEmptyValue(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  return false;
+}
+
+/**
+ * Parses a number the way a form would send it (number or numeric string)
+ *
+ * @param {*} value - Form value
+ * @returns {number} Parsed number, or NaN
+ * @private
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value.trim());
+  return NaN;
+}
+
+/**
+ * Checks a YYYY-MM-DD string for a real calendar date
+ *
+ * @param {string} value - Date string
+ * @returns {boolean} True if the date exists
+ * @private
+ */
+function isValidDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Checks a single (non-array) value against a field rule
+ *
+ * @param {Object} rule - Field rule
+ * @param {*} value - Non-empty form value
+ * @returns {string|null} Default error message, or null if the value is valid
+ * @private
+ */
+function checkValue(rule, value) {
+  if (rule.type === 'file') {
+    return typeof value === 'object' && value.kind === 'file' ? null : 'must be an uploaded file';
+  }
+  if (typeof value === 'object') {
+    return 'must not be a file';
+  }
+
+  const text = typeof value === 'string' ? value.trim() : String(value);
+
+  switch (rule.type) {
+    case 'email':
+      if (!EMAIL_PATTERN.test(text)) return 'must be a valid email address';
+      break;
+
+    case 'url':
+      try {
+        const url = new URL(text);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+          return 'must be a valid http(s) URL';
+        }
+      } catch {
+        return 'must be a valid http(s) URL';
+      }
+      break;
+
+    case 'phone':
+      if (!PHONE_PATTERN.test(text.replace(/[\s().-]/g, ''))) {
+        return 'must be a valid phone number';
+      }
+      break;
+
+    case 'integer':
+    case 'number': {
+      const number = toNumber(value);
+      if (!Number.isFinite(number)) return 'must be a number';
+      if (rule.type === 'integer' && !(Number.isInteger(number) && (typeof value === 'number' || INTEGER_PATTERN.test(text)))) {
+        return 'must be a whole number';
+      }
+      if (rule.min != null && number < rule.min) return `must be at least ${rule.min}`;
+      if (rule.max != null && number > rule.max) return `must be at most ${rule.max}`;
+      break;
+    }
+
+    case 'date':
+      if (!isValidDate(text)) return 'must be a date in YYYY-MM-DD format';
+      if (rule.min && text < rule.min) return `must be on or after ${rule.min}`;
+      if (rule.max && text > rule.max) return `must be on or before ${rule.max}`;
+      break;
+
+    case 'enum':
+      if (!(rule.options || []).includes(text)) {
+        return `must be one of: ${(rule.options || []).join(', ')}`;
+      }
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean' && !BOOLEAN_VALUES.includes(text.toLowerCase())) {
+        return 'must be true or false';
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  if (rule.type === 'text' || !rule.type) {
+    if (rule.min != null && text.length < rule.min) return `must be at least ${rule.min} characters`;
+    if (rule.max != null && text.length > rule.max) return `must be at most ${rule.max} characters`;
+  }
+
+  // Patterns saved before the safety check existed are not run
+  if (rule.pattern && isSafePattern(rule.pattern)) {
+    if (text.length > MAX_PATTERN_INPUT_LENGTH) {
+      return `must be at most ${MAX_PATTERN_INPUT_LENGTH} characters`;
+    }
+    if (!new RegExp(rule.pattern).test(text)) {
+      return 'has an invalid format';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validates a submission against a connector's field schema
+ *
+ * Unlike `validateSubmission`, this does not throw on the first problem: it
+ * returns every failing field so the client can show all errors at once.
+ * Array values (checkbox groups, multiple files) are checked item by item.
+ *
+ * @param {Object} formData - Submission fields (uploaded files as `{ kind: 'file', ... }` objects)
+ * @param {Array<Object>|null|undefined} schema - Connector `field_schema` column
+ * @returns {Array<{ field: string, message: string }>} Field errors (empty if valid)
+ *
+ * @example
+ * const errors = validateAgainstSchema(
+ *   { email: 'not-an-email' },
+ *   [{ name: 'email', type: 'email', required: true }]
+ * );
+ * // Returns: [{ field: 'email', message: 'email must be a valid email address' }]
+ */
+export function validateAgainstSchema(formData, schema) {
+  const errors = [];
+
+  for (const rule of schema || []) {
+    const value = formData[rule.name];
+    let problem = null;
+
+    if (isEmptyValue(value)) {
+      if (rule.required) problem = 'is required';
+    } else {
+      const items = Array.isArray(value) ? value : [value];
+      for (const item of items) {
+        problem = checkValue(rule, item);
+        if (problem) break;
+      }
+    }
+
+    if (problem) {
+      errors.push({ field: rule.name, message: rule.message || `${rule.name} ${problem}` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates and normalizes a field schema definition before it is saved
+ *
+ * @param {*} schema - Schema submitted from the edit page
+ * @returns {Array<Object>} Normalized schema
+ * @throws {Error} Descriptive error naming the offending field rule
+ *
+ * @example
+ * const fieldSchema = normalizeFieldSchema(body.field_schema);
+ */
+export function normalizeFieldSchema(schema) {
+  if (!Array.isArray(schema)) {
+    throw new Error('field_schema must be an array of field rules');
+  }
+
+  if (schema.length > MAX_SCHEMA_FIELDS) {
+    throw new Error(`field_schema has too many fields: ${schema.length} > ${MAX_SCHEMA_FIELDS}`);
+  }
+
+  const seen = new Set();
+
+  return schema.map((rule, index) => {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`Field rule ${index + 1} must be an object`);
+    }
+
+    const name = typeof rule.name === 'string' ? rule.name.trim() : '';
+    if (!name || name.length > 255) {
+      throw new Error(`Field rule ${index + 1} needs a name of 1-255 characters`);
+    }
+    if (seen.has(name)) {
+      throw new Error(`Field "${name}" is defined more than once`);
+    }
+    seen.add(name);
+
+    const type = rule.type || 'text';
+    if (!FIELD_TYPES.includes(type)) {
+      throw new Error(`Field "${name}" has unknown type "${type}"`);
+    }
+
+    const normalized = { name, type, required: rule.required === true };
+
+    if (type === 'date') {
+      for (const bound of ['min', 'max']) {
+        if (rule[bound] != null && rule[bound] !== '') {
+          if (!isValidDate(String(rule[bound]))) {
+            throw new Error(`Field "${name}" ${bound} must be a date in YYYY-MM-DD format`);
+          }
+          normalized[bound] = String(rule[bound]);
+        }
+      }
+    } else if (['text', 'integer', 'number'].includes(type)) {
+      for (const bound of ['min', 'max']) {
+        if (rule[bound] != null && rule[bound] !== '') {
+          const number = Number(rule[bound]);
+          if (!Number.isFinite(number)) {
+            throw new Error(`Field "${name}" ${bound} must be a number`);
+          }
+          normalized[bound] = number;
+        }
+      }
+    }
+
+    if (normalized.min != null && normalized.max != null && normalized.min > normalized.max) {
+      throw new Error(`Field "${name}" min must not be greater than max`);
+    }
+
+    if (type === 'enum') {
+      const options = (Array.isArray(rule.options) ? rule.options : String(rule.options || '').split(','))
+        .map(option => String(option).trim())
+        .filter(Boolean);
+      if (options.length === 0) {
+        throw new Error(`Field "${name}" needs at least one option`);
+      }
+      normalized.options = [...new Set(options)];
+    }
+
+    if (rule.pattern && !['enum', 'boolean', 'file'].includes(type)) {
+      const pattern = String(rule.pattern);
+      if (pattern.length > MAX_PATTERN_LENGTH) {
+        throw new Error(`Field "${name}" pattern exceeds ${MAX_PATTERN_LENGTH} characters`);
+      }
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        throw new Error(`Field "${name}" has an invalid pattern: ${error.message}`);
+      }
+      try {
+        assertSafePattern(pattern);
+      } catch (error) {
+        throw new Error(`Field "${name}" has an unsafe pattern: ${error.message}`);
+      }
+      normalized.pattern = pattern;
+    }
+
+    if (typeof rule.message === 'string' && rule.message.trim()) {
+      normalized.message = rule.message.trim().slice(0, 500);
+    }
+
+    return normalized;
+  });
+}
+
+/**
+ * Guesses the narrowest field type that fits every sample value
+ *
+ * @param {Array<*>} values - Non-empty sample values for one field
+ * @returns {string} Field type
+ * @private
+ */
+function inferFieldType(values) {
+  const texts = values.map(value => (typeof value === 'string' ? value.trim() : value));
+  const all = test => texts.every(test);
+
+  if (all(value => typeof value === 'object' && value?.kind === 'file')) return 'file';
+  if (all(value => typeof value === 'boolean')) return 'boolean';
+  if (all(value => typeof value === 'number' ? Number.isInteger(value) : INTEGER_PATTERN.test(value))) return 'integer';
+  if (all(value => Number.isFinite(toNumber(value)))) return 'number';
+  if (all(value => typeof value === 'string' && EMAIL_PATTERN.test(value))) return 'email';
+  if (all(value => typeof value === 'string' && /^https?:\/\//i.test(value))) return 'url';
+  if (all(value => typeof value === 'string' && isValidDate(value))) return 'date';
+  if (all(value => typeof value === 'string' && /\d/.test(value) && PHONE_PATTERN.test(value.replace(/[\s().-]/g, '')))) {
+    return 'phone';
+  }
+
+  // A handful of repeated values looks like a select or radio group
+  const distinct = new Set(texts.map(String));
+  if (texts.length >= 5 && distinct.size <= 5 && distinct.size < texts.length / 2) return 'enum';
+
+  return 'text';
+}
+
+/**
+ * Infers a draft field schema from recent submissions
+ *
+ * Every field seen in the samples gets a rule. A field is marked required when
+ * it was filled in on every sample, and its type is the narrowest type that
+ * fits all sampled values. The result is a starting point to review in the
+ * schema editor, not a schema to save blindly.
+ *
+ * @param {Array<Object>} samples - `form_data` objects from recent submissions
+ * @returns {Array<Object>} Draft schema (field rules in first-seen order)
+ *
+ * @example
+ * inferFieldSchema([{ email: 'a@b.co', age: '31' }, { email: 'c@d.io' }]);
+ * // Returns: [
+ * //   { name: 'email', type: 'email', required: true },
+ * //   { name: 'age', type: 'integer', required: false }
+ * // ]
+ */
+export function inferFieldSchema(samples) {
+  const fieldValues = new Map();
+
+  for (const formData of samples) {
+    for (const [name, value] of Object.entries(formData || {})) {
+      if (!fieldValues.has(name)) fieldValues.set(name, { filled: 0, values: [] });
+      const entry = fieldValues.get(name);
+      if (!isEmptyValue(value)) {
+        entry.filled += 1;
+        entry.values.push(...(Array.isArray(value) ? value : [value]));
+      }
+    }
+  }
+
+  return [...fieldValues.entries()].slice(0, MAX_SCHEMA_FIELDS).map(([name, { filled, values }]) => {
+    const type = values.length > 0 ? inferFieldType(values) : 'text';
+    const rule = { name, type, required: samples.length > 0 && filled === samples.length };
+
+    if (type === 'enum') {
+      rule.options = [...new Set(values.map(value => String(value).trim()))];
+    }
+
+    return rule;
+  });
+}
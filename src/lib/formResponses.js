@@ -0,0 +1,152 @@
+import { NextResponse } from 'next/server';
+import { isFormPost } from './requestBody';
+
+/**
+ * Browser form post response helpers
+ *
+ * When a plain HTML `<form>` posts to the submit endpoint, the browser navigates
+ * to whatever the endpoint returns. Instead of leaving the visitor on a raw JSON
+ * page, these helpers turn the endpoint's JSON result into either a 303 redirect
+ * to a connector-configured URL or a minimal HTML result page.
+ */
+
+/**
+ * Escapes HTML special characters for safe interpolation into the fallback page
+ *
+ * @param {string|null|undefined} text - Text to escape
+ * @returns {string} Escaped HTML string
+ * @private
+ */
+function escapeHtml(text) {
+  if (text == null) return '';
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return String(text).replace(/[&<>"']/g, m => map[m]);
+}
+
+/**
+ * Checks whether a URL is an absolute http(s) URL
+ *
+ * @param {string} value - URL to check
+ * @returns {boolean} True if the URL can be used as a redirect target
+ */
+export function isValidRedirectUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Checks whether a request is a browser form navigation expecting an HTML page
+ *
+ * Scripts that post FormData with `fetch()` send `Accept: *\/*`, while a browser
+ * submitting a `<form>` asks for `text/html`. Only the latter gets redirects.
+ *
+ * @param {Request} request - Incoming request
+ * @returns {boolean} True if the response should be a redirect or HTML page
+ */
+export function wantsHtmlResponse(request) {
+  const accept = request.headers.get('accept') || '';
+  return isFormPost(request) && accept.includes('text/html');
+}
+
+/**
+ * Builds the fallback HTML result page served when no redirect URL is configured
+ *
+ * @param {Object} options - Page options
+ * @param {boolean} options.success - Whether the submission succeeded
+ * @param {string} options.message - Message shown under the title
+ * @param {string|null} [options.backUrl] - Link target for the "Go back" link
+ * @returns {string} Complete HTML document
+ * @private
+ */
+function renderResultPage({ success, message, backUrl }) {
+  const title = success ? 'Thank you!' : 'Something went wrong';
+  const accent = success ? '#10b981' : '#ef4444';
+  const backLink = backUrl
+    ? `<p><a href="${escapeHtml(backUrl)}" style="color: #667eea;">← Go back</a></p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body style="margin: 0; font-family: Arial, sans-serif; background: #f9f9f9; display: flex; align-items: center; justify-content: center; min-height: 100vh;">
+  <div style="background: white; border-radius: 12px; padding: 40px; max-width: 480px; text-align: center; box-shadow: 0 2px 8px rgba(0,0,0,0.1); border-top: 4px solid ${accent};">
+    <h1 style="color: #333; margin: 0 0 12px;">${escapeHtml(title)}</h1>
+    <p style="color: #666; margin: 0 0 20px;">${escapeHtml(message)}</p>
+    ${backLink}
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Converts a JSON submit endpoint response into a browser-friendly response
+ *
+ * - Success with `success_redirect_url`: 303 redirect with `submission_id` and `status=success`
+ * - Failure with `error_redirect_url`: 303 redirect with `status=error` and `error_code`
+ * - No redirect URL configured: HTML thank-you or error page with the original status code
+ *
+ * @param {Request} request - Original request (used for the Referer "Go back" link)
+ * @param {NextResponse} response - JSON response produced by the submit endpoint
+ * @param {Object|null} connector - Connector row (may be null if it could not be loaded)
+ * @param {string} [connector.success_redirect_url] - Redirect target after success
+ * @param {string} [connector.error_redirect_url] - Redirect target after failure
+ * @returns {Promise<NextResponse>} Redirect or HTML response
+ *
+ * @example
+ * const jsonResponse = NextResponse.json({ success: true, submissionId: 'abc' });
+ * return createFormPostResponse(request, jsonResponse, connector);
+ * // 303 → https://example.com/thanks?submission_id=abc&status=success
+ */
+export async function createFormPostResponse(request, response, connector) {
+  let body = {};
+  try {
+    body = await response.clone().json();
+  } catch {
+    // Non-JSON response bodies fall through to the generic messages below
+  }
+
+  const success = response.ok && body.success === true;
+  const redirectTarget = success
+    ? connector?.success_redirect_url
+    : connector?.error_redirect_url;
+
+  if (redirectTarget && isValidRedirectUrl(redirectTarget)) {
+    const url = new URL(redirectTarget);
+    if (body.submissionId) {
+      url.searchParams.set('submission_id', body.submissionId);
+    }
+    url.searchParams.set('status', success ? 'success' : 'error');
+    if (!success && body.code) {
+      url.searchParams.set('error_code', body.code);
+    }
+    return NextResponse.redirect(url, 303);
+  }
+
+  const referer = request.headers.get('referer');
+  const html = renderResultPage({
+    success,
+    message: success
+      ? 'Your submission has been received.'
+      : body.error || 'Your submission could not be processed. Please try again.',
+    backUrl: referer && isValidRedirectUrl(referer) ? referer : null
+  });
+
+  return new NextResponse(html, {
+    status: response.status,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
+  });
+}
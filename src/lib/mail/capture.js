@@ -0,0 +1,74 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+/**
+ * Capture email transport for development and tests
+ *
+ * Nothing is sent. Each message is kept in memory and, when EMAIL_CAPTURE_DIR
+ * is set, also written to that directory as a JSON file so it can be inspected
+ * after the request finishes.
+ *
+ * **Environment Variables:**
+ * - EMAIL_CAPTURE_DIR: Directory for captured messages (optional, memory only without it)
+ */
+
+// Oldest captured messages are dropped beyond this many
+const MAX_CAPTURED_MESSAGES = 100;
+
+const capturedMessages = [];
+
+/**
+ * Capture transport
+ *
+ * @type {{ name: string, requiredEnv: string[], send: Function }}
+ */
+export const captureEmailTransport = {
+  name: 'capture',
+  requiredEnv: [],
+
+  /**
+   * Captures a message
+   *
+   * @param {Object} message - Message to capture
+   * @returns {Promise<void>} Resolves when the message is stored
+   */
+  async send(message) {
+    const captured = {
+      id: randomUUID(),
+      capturedAt: new Date().toISOString(),
+      message
+    };
+
+    capturedMessages.push(captured);
+    if (capturedMessages.length > MAX_CAPTURED_MESSAGES) {
+      capturedMessages.shift();
+    }
+
+    const dir = process.env.EMAIL_CAPTURE_DIR;
+    if (dir) {
+      const filePath = path.resolve(dir, `${captured.capturedAt.replace(/[:.]/g, '-')}-${captured.id}.json`);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify(captured, null, 2));
+      console.log(`📥 Email captured to ${filePath}`);
+    } else {
+      console.log(`📥 Email captured in memory: "${message.subject}"`);
+    }
+  }
+};
+
+/**
+ * Gets the messages captured by this process, oldest first
+ *
+ * @returns {Array<{ id: string, capturedAt: string, message: Object }>} Captured messages
+ */
+export function getCapturedEmails() {
+  return [...capturedMessages];
+}
+
+/**
+ * Forgets all messages captured in memory (files are left in place)
+ */
+export function clearCapturedEmails() {
+  capturedMessages.length = 0;
+}
@@ -0,0 +1,92 @@
+import { sendgridEmailTransport } from './sendgrid.js';
+import { smtpEmailTransport } from './smtp.js';
+import { captureEmailTransport } from './capture.js';
+
+/**
+ * Email transports registry
+ *
+ * This object maps transport names to email transports. Each transport exposes:
+ * - requiredEnv: Environment variables it cannot send without
+ * - send(message): Sends a message; may resolve with `{ rejected: [{ email, reason }] }`
+ *   for recipients the server refused (the others still received it)
+ *
+ * **Message Structure** (SendGrid's format, which every transport accepts):
+ * ```javascript
+ * {
+ *   to: 'owner@example.com',                          // Address, { email, name } or a list of either
+ *   cc: ['sales@example.com'],                        // (optional)
+ *   bcc: ['archive@example.com'],                     // (optional)
+ *   from: { email: 'forms@example.com', name: 'Form Connector' },
+ *   replyTo: 'support@example.com',                   // (optional)
+ *   subject: 'New Form Submission',
+ *   text: 'Plain-text body',
+ *   html: '<p>HTML body</p>',                         // (optional)
+ *   attachments: [                                    // (optional)
+ *     { content: '<base64>', filename: 'cv.pdf', type: 'application/pdf', disposition: 'attachment' }
+ *   ]
+ * }
+ * ```
+ *
+ * @type {Object<string, Object>}
+ */
+export const emailTransports = {
+  sendgrid: sendgridEmailTransport,
+  smtp: smtpEmailTransport,
+  capture: captureEmailTransport
+};
+
+/**
+ * Gets an email transport by name, or the configured default transport
+ *
+ * The default is selected with the EMAIL_TRANSPORT environment variable
+ * (`sendgrid`, `smtp` or `capture`, default: `sendgrid`). Email destinations
+ * can override it with `config.transport`.
+ *
+ * @param {string} [name] - Transport name (defaults to EMAIL_TRANSPORT)
+ * @returns {Object} Email transport
+ * @throws {Error} If the transport name is unknown
+ *
+ * @example
+ * const transport = getEmailTransport(destination.config.transport);
+ * await transport.send({ to, from, subject, text });
+ */
+export function getEmailTransport(name) {
+  const transportName = name || process.env.EMAIL_TRANSPORT || 'sendgrid';
+  const transport = Object.prototype.hasOwnProperty.call(emailTransports, transportName)
+    ? emailTransports[transportName]
+    : null;
+
+  if (!transport) {
+    throw new Error(`Unknown email transport: ${transportName}`);
+  }
+
+  return transport;
+}
+
+/**
+ * Lists the environment variables a transport needs that are not set
+ *
+ * @param {Object} transport - Email transport
+ * @returns {string[]} Missing variable names (empty when the transport can send)
+ */
+export function getMissingTransportEnv(transport) {
+  return transport.requiredEnv.filter(varName => !process.env[varName] || process.env[varName].trim() === '');
+}
+
+/**
+ * Checks the transport selected by each email destination before it is saved
+ *
+ * @param {Array<Object>} destinations - Destinations submitted from the edit page
+ * @returns {Array<Object>} The same destinations
+ * @throws {Error} If an email destination names an unknown transport
+ */
+export function validateDestinationEmailTransports(destinations) {
+  for (const destination of destinations) {
+    const transport = destination?.type === 'email' ? destination.config?.transport : null;
+    if (transport) {
+      getEmailTransport(transport);
+    }
+  }
+
+  return destinations;
+}
@@ -0,0 +1,51 @@
+import sgMail from '@sendgrid/mail';
+import { DeliveryError, isPermanentStatus, permanentError } from '../deliveryErrors.js';
+
+/**
+ * SendGrid email transport
+ *
+ * Sends messages through the SendGrid Web API. Messages are already in
+ * SendGrid's format (see `index.js`), so they are passed through unchanged.
+ *
+ * **Environment Variables:**
+ * - SENDGRID_API_KEY: SendGrid API key (required)
+ *
+ * Sender addresses must be verified in SendGrid (unless the domain is authenticated).
+ */
+
+/**
+ * SendGrid transport
+ *
+ * @type {{ name: string, requiredEnv: string[], send: Function }}
+ */
+export const sendgridEmailTransport = {
+  name: 'sendgrid',
+  requiredEnv: ['SENDGRID_API_KEY'],
+
+  /**
+   * Sends a message
+   *
+   * @param {Object} message - Message to send
+   * @returns {Promise<void>} Resolves when SendGrid accepts the message
+   * @throws {Error} If the API key is not configured or SendGrid rejects the message
+   */
+  async send(message) {
+    if (!process.env.SENDGRID_API_KEY) {
+      throw permanentError('SendGrid API key not configured');
+    }
+
+    sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+    try {
+      await sgMail.send(message);
+    } catch (error) {
+      // SendGrid's ResponseError carries the HTTP status as `code`
+      if (typeof error.code !== 'number') throw error;
+      const detail = error.response?.body?.errors?.map(entry => entry.message).join('; ') || error.message;
+      throw new DeliveryError(`SendGrid API error: ${error.code} ${detail}`, {
+        permanent: isPermanentStatus(error.code),
+        status: error.code,
+        cause: error
+      });
+    }
+  }
+};
@@ -0,0 +1,196 @@
+import { createTransport } from 'nodemailer';
+import { DeliveryError, permanentError } from '../deliveryErrors.js';
+
+/**
+ * Generic SMTP email transport
+ *
+ * Sends through any mail server or relay (Postfix, Amazon SES, Mailgun,
+ * Mailpit, ...) with Nodemailer, so no vendor SDK is needed. Messages are sent
+ * as MIME with a plain-text part, an optional HTML part and base64-encoded
+ * attachments.
+ *
+ * **Environment Variables:**
+ * - SMTP_HOST: Server hostname (required)
+ * - SMTP_PORT: Server port (default: `465` when SMTP_SECURE is `true`, otherwise `587`)
+ * - SMTP_SECURE: `true` to connect with TLS from the start (implicit TLS, usually port 465)
+ * - SMTP_STARTTLS: `true` to require STARTTLS, `false` to never use it
+ *   (default: upgrade when the server offers it)
+ * - SMTP_USER / SMTP_PASS: Credentials for AUTH PLAIN or LOGIN (optional)
+ *
+ * Credentials are only sent over an encrypted connection unless SMTP_STARTTLS
+ * is explicitly `false` (e.g. a local relay without TLS).
+ */
+
+// Limit for connecting, the server greeting and each step of the conversation
+const SMTP_TIMEOUT_MS = 30 * 1000;
+
+// Same check as the destination settings; also keeps CR/LF and <> out of commands
+const ADDRESS_PATTERN = /^[^\s@,;<>"]+@[^\s@,;<>"]+\.[^\s@,;<>"]+$/;
+
+// Nodemailer error codes, without a server reply, that retrying cannot fix
+const PERMANENT_ERROR_CODES = ['EAUTH', 'EENVELOPE', 'EMESSAGE'];
+
+/**
+ * Reads and validates the SMTP configuration from environment variables
+ *
+ * @returns {Object} Nodemailer SMTP transport options
+ * @throws {Error} If a required variable is missing
+ * @private
+ */
+function getSmtpConfig() {
+  const host = process.env.SMTP_HOST;
+  if (!host) {
+    throw permanentError('SMTP transport requires SMTP_HOST');
+  }
+
+  const user = process.env.SMTP_USER;
+  const pass = process.env.SMTP_PASS;
+  if (Boolean(user) !== Boolean(pass)) {
+    throw permanentError('SMTP transport requires both SMTP_USER and SMTP_PASS for authentication');
+  }
+
+  const secure = process.env.SMTP_SECURE === 'true';
+  const startTls = { true: 'required', false: 'off' }[process.env.SMTP_STARTTLS] || 'auto';
+
+  return {
+    host,
+    port: Number(process.env.SMTP_PORT) || (secure ? 465 : 587),
+    secure,
+    // Credentials need STARTTLS unless it is switched off
+    requireTLS: !secure && (startTls === 'required' || (Boolean(user) && startTls !== 'off')),
+    ignoreTLS: startTls === 'off',
+    auth: user ? { user, pass } : undefined,
+    connectionTimeout: SMTP_TIMEOUT_MS,
+    greetingTimeout: SMTP_TIMEOUT_MS,
+    socketTimeout: SMTP_TIMEOUT_MS
+  };
+}
+
+/**
+ * Normalizes a recipient or sender value to a list of Nodemailer addresses
+ *
+ * @param {string|Object|Array<string|Object>} value - Address, `{ email, name }` or a list of either
+ * @returns {Array<{ address: string, name: string }>} Addresses
+ * @throws {Error} If an address is invalid
+ * @private
+ */
+function toAddressList(value) {
+  if (!value) return [];
+
+  return (Array.isArray(value) ? value : [value]).map(entry => {
+    const email = String((typeof entry === 'string' ? entry : entry?.email) || '').trim();
+    if (!ADDRESS_PATTERN.test(email)) {
+      throw permanentError(`Invalid email address: ${email}`);
+    }
+
+    const name = typeof entry === 'string' ? '' : String(entry?.name || '').replace(/[\r\n]+/g, ' ');
+    return { address: email, name };
+  });
+}
+
+/**
+ * Converts a SendGrid-style attachment to a Nodemailer attachment
+ *
+ * @param {{ content: string, filename: string, type?: string, disposition?: string }} attachment - Attachment (base64 content)
+ * @returns {Object} Nodemailer attachment
+ * @private
+ */
+function toNodemailerAttachment(attachment) {
+  return {
+    filename: String(attachment.filename || 'attachment'),
+    content: attachment.content || '',
+    encoding: 'base64',
+    contentType: String(attachment.type || 'application/octet-stream'),
+    contentDisposition: attachment.disposition === 'inline' ? 'inline' : 'attachment'
+  };
+}
+
+/**
+ * Converts a Nodemailer error to a delivery error
+ *
+ * 5xx replies are permanent and 4xx replies temporary. Errors without a reply
+ * are permanent when they come from the message or the credentials, and
+ * temporary otherwise (connection problems, timeouts, TLS failures).
+ *
+ * @param {Error} error - Nodemailer error
+ * @returns {DeliveryError} Delivery error
+ * @private
+ */
+function toDeliveryError(error) {
+  const permanent = error.responseCode
+    ? error.responseCode >= 500
+    : PERMANENT_ERROR_CODES.includes(error.code);
+
+  return new DeliveryError(`SMTP delivery failed${permanent ? ' (permanent failure)' : ''}: ${error.message}`, {
+    permanent,
+    status: error.responseCode || null,
+    cause: error
+  });
+}
+
+/**
+ * SMTP transport
+ *
+ * @type {{ name: string, requiredEnv: string[], send: Function }}
+ */
+export const smtpEmailTransport = {
+  name: 'smtp',
+  requiredEnv: ['SMTP_HOST'],
+
+  /**
+   * Sends a message over a new SMTP connection
+   *
+   * Failures are reported as `DeliveryError`s, permanent for 5xx replies (so
+   * the delivery queue does not retry them) and temporary for 4xx replies and
+   * connection problems. Recipients the server refuses are reported in
+   * `rejected` while the message still goes to the others; the message only
+   * fails when every recipient is refused.
+   *
+   * @param {Object} message - Message to send
+   * @returns {Promise<{ rejected: Array<{ email: string, reason: string }> }>} Recipients the server refused
+   * @throws {Error} If the configuration or an address is invalid, or the server rejects the message
+   */
+  async send(message) {
+    const config = getSmtpConfig();
+
+    const [from] = toAddressList(message.from);
+    const to = toAddressList(message.to);
+    if (!from) {
+      throw permanentError('Sender email address is required');
+    }
+    if (to.length === 0) {
+      throw permanentError('Recipient email address is required');
+    }
+
+    const transporter = createTransport(config);
+    try {
+      const info = await transporter.sendMail({
+        from,
+        to,
+        cc: toAddressList(message.cc),
+        bcc: toAddressList(message.bcc),
+        replyTo: toAddressList(message.replyTo),
+        subject: String(message.subject ?? ''),
+        text: message.text || '',
+        html: message.html || undefined,
+        attachments: (message.attachments || []).map(toNodemailerAttachment),
+        // Message content comes from submissions: never read files or URLs
+        disableFileAccess: true,
+        disableUrlAccess: true
+      });
+
+      console.log(`📧 SMTP message accepted by ${config.host}`);
+      return {
+        rejected: (info.rejectedErrors || []).map(error => ({
+          email: error.recipient,
+          reason: error.message
+        }))
+      };
+    } catch (error) {
+      if (error instanceof DeliveryError) throw error;
+      throw toDeliveryError(error);
+    } finally {
+      transporter.close();
+    }
+  }
+};
@@ -0,0 +1,157 @@
+import { createServer } from 'net';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { smtpEmailTransport } from './smtp.js';
+
+/**
+ * Starts a minimal SMTP server on a random local port
+ *
+ * Commands and the DATA payload are recorded. `respond(line)` can answer a
+ * command instead of the default reply: a string, or a list of Buffers and
+ * strings written as separate chunks.
+ */
+async function startFakeSmtpServer(respond = () => null) {
+  const session = { commands: [], data: '' };
+
+  const server = createServer(socket => {
+    let buffer = '';
+    let inData = false;
+
+    const write = (...parts) => {
+      parts.forEach((part, index) => setTimeout(() => socket.write(part), index * 20));
+    };
+
+    socket.write('220 fake.test ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            write('250 2.0.0 Queued\r\n');
+          } else {
+            session.data += `${line}\n`;
+          }
+          continue;
+        }
+
+        session.commands.push(line);
+        const custom = respond(line);
+        if (custom) {
+          write(...[].concat(custom));
+          continue;
+        }
+
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        if (verb === 'EHLO') write('250-fake.test\r\n250 AUTH PLAIN LOGIN\r\n');
+        else if (verb === 'DATA') {
+          inData = true;
+          write('354 Go ahead\r\n');
+        } else if (verb === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else if (['MAIL', 'RCPT', 'RSET', 'NOOP'].includes(verb)) write('250 OK\r\n');
+        else write('502 Not implemented\r\n');
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, session, port: server.address().port };
+}
+
+const message = {
+  from: { email: 'forms@example.com', name: 'Form Connector' },
+  to: 'owner@example.com',
+  cc: [{ email: 'sales@example.com', name: 'Sales' }],
+  bcc: ['archive@example.com'],
+  subject: 'New submission: Zoë',
+  text: 'Hello',
+  attachments: [{ content: Buffer.from('pdf').toString('base64'), filename: 'cv.pdf', type: 'application/pdf' }]
+};
+
+describe('smtpEmailTransport', () => {
+  let fake;
+
+  const start = async (respond) => {
+    fake = await startFakeSmtpServer(respond);
+    vi.stubEnv('SMTP_HOST', '127.0.0.1');
+    vi.stubEnv('SMTP_PORT', String(fake.port));
+  };
+
+  beforeEach(() => {
+    vi.stubEnv('SMTP_SECURE', '');
+    vi.stubEnv('SMTP_STARTTLS', '');
+    vi.stubEnv('SMTP_USER', '');
+    vi.stubEnv('SMTP_PASS', '');
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    await new Promise(resolve => fake.server.close(resolve));
+  });
+
+  it('sends the message to every recipient', async () => {
+    await start();
+
+    await expect(smtpEmailTransport.send(message)).resolves.toEqual({ rejected: [] });
+    expect(fake.session.commands).toEqual(expect.arrayContaining([
+      'MAIL FROM:<forms@example.com>',
+      'RCPT TO:<owner@example.com>',
+      'RCPT TO:<sales@example.com>',
+      'RCPT TO:<archive@example.com>'
+    ]));
+    expect(fake.session.data).toContain('From: Form Connector <forms@example.com>');
+    expect(fake.session.data).toContain('Cc: Sales <sales@example.com>');
+    expect(fake.session.data).not.toContain('archive@example.com');
+    expect(fake.session.data).toContain('Subject: =?UTF-8?');
+    expect(fake.session.data).toContain('filename=cv.pdf');
+  });
+
+  it('reports refused recipients and still sends to the others', async () => {
+    // The reply's "î" is split across two chunks
+    const reply = Buffer.from('550 5.1.1 Boîte inconnue\r\n');
+    await start(line => (line === 'RCPT TO:<sales@example.com>' ? [reply.subarray(0, 13), reply.subarray(13)] : null));
+
+    const result = await smtpEmailTransport.send(message);
+
+    expect(result.rejected).toEqual([
+      { email: 'sales@example.com', reason: expect.stringContaining('550 5.1.1 Boîte inconnue') }
+    ]);
+    expect(fake.session.commands).toContain('DATA');
+  });
+
+  it('fails permanently when every recipient is refused', async () => {
+    await start(line => (line.startsWith('RCPT') ? '550 No such user\r\n' : null));
+
+    await expect(smtpEmailTransport.send({ ...message, cc: [], bcc: [] }))
+      .rejects.toMatchObject({ name: 'DeliveryError', permanent: true, status: 550 });
+    expect(fake.session.commands).not.toContain('DATA');
+  });
+
+  it('retries temporary failures', async () => {
+    await start(line => (line.startsWith('MAIL') ? '451 4.3.0 Try again later\r\n' : null));
+
+    await expect(smtpEmailTransport.send(message))
+      .rejects.toMatchObject({ name: 'DeliveryError', permanent: false, status: 451 });
+  });
+
+  it('never sends credentials over an unencrypted connection', async () => {
+    await start();
+    vi.stubEnv('SMTP_USER', 'forms');
+    vi.stubEnv('SMTP_PASS', 'secret');
+
+    await expect(smtpEmailTransport.send(message)).rejects.toMatchObject({ permanent: true });
+    expect(fake.session.commands.some(line => line.startsWith('AUTH'))).toBe(false);
+  });
+
+  it('rejects invalid addresses before connecting', async () => {
+    await start();
+
+    await expect(smtpEmailTransport.send({ ...message, to: 'owner@example.com>\r\nRCPT TO:<x@evil.test' }))
+      .rejects.toMatchObject({ permanent: true, message: expect.stringContaining('Invalid email address') });
+    expect(fake.session.commands).toEqual([]);
+  });
+});
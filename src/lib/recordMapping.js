@@ -0,0 +1,212 @@
+import { formatFieldValue } from './attachments.js';
+
+/**
+ * Field-to-property mapping for the Airtable, Notion and CRM destinations
+ *
+ * Each submission becomes one Airtable record, Notion page or CRM contact
+ * (see crmContacts.js). The destination's `propertyMapping` decides which
+ * form fields are written to which Airtable fields / Notion properties / CRM
+ * contact properties, and how each value is coerced. Without a mapping,
+ * Airtable and Notion write every form field to the property of the same
+ * name.
+ *
+ * **Settings** (`config` of an airtable, notion or CRM destination):
+ * ```javascript
+ * {
+ *   propertyMapping: [
+ *     { field: 'email', property: 'Email', type: 'auto' },
+ *     { field: 'budget', property: 'Budget', type: 'number' },       // "$12,500" → 12500
+ *     { field: 'newsletter', property: 'Subscribed', type: 'checkbox' }, // "yes" → true
+ *     { field: 'topics', property: 'Topics', type: 'multi_select' }, // "A, B" → ['A', 'B']
+ *     { field: '@timestamp', property: 'Submitted', type: 'date' }
+ *   ]
+ * }
+ * ```
+ *
+ * **Types:**
+ * - `auto`: Notion uses the database property's type; Airtable sends text and
+ *   lets Airtable convert it (`typecast`); CRMs receive text
+ * - `text`, `number`, `checkbox`, `select`, `multi_select`, `date`
+ *
+ * Values that cannot be coerced (e.g. "soon" as a number) are left out and
+ * reported as skipped in the delivery result.
+ */
+
+export const PROPERTY_TYPES = ['auto', 'text', 'number', 'checkbox', 'select', 'multi_select', 'date'];
+
+/**
+ * Pseudo-fields that can be mapped besides the form fields
+ */
+export const BUILT_IN_FIELDS = {
+  '@timestamp': 'Submission time',
+  '@connector': 'Connector name',
+  '@submission_id': 'Submission ID'
+};
+
+// Destination types that use a property mapping
+const MAPPED_DESTINATION_TYPES = ['airtable', 'notion', 'hubspot'];
+
+const MAX_PROPERTY_MAPPINGS = 200;
+const MAX_PROPERTY_NAME_LENGTH = 255;
+
+// Form values read as a checked checkbox
+const TRUTHY_VALUES = ['true', 'yes', 'y', 'on', '1', 'checked', 'x'];
+
+/**
+ * Lists the values to write for a submission
+ *
+ * @param {Object} formData - Submission fields (after transforms)
+ * @param {Object} connector - Connector metadata
+ * @param {Object} [options] - Mapping options
+ * @param {Array<{ field: string, property: string, type?: string }>} [options.propertyMapping] - Field → property mapping
+ * @param {string} [options.submissionId] - Submission ID, for `@submission_id`
+ * @returns {Array<{ field: string, property: string, type: string, value: * }>} Raw values per property
+ */
+export function buildPropertyValues(formData, connector, { propertyMapping = [], submissionId } = {}) {
+  const builtIns = {
+    '@timestamp': new Date().toISOString(),
+    '@connector': connector.name,
+    '@submission_id': submissionId
+  };
+
+  const mapping = Array.isArray(propertyMapping) && propertyMapping.length > 0
+    ? propertyMapping
+    : Object.keys(formData).map(field => ({ field, property: field, type: 'auto' }));
+
+  return mapping
+    .filter(entry => entry?.field && entry.property)
+    .map(entry => ({
+      field: entry.field,
+      property: entry.property,
+      type: PROPERTY_TYPES.includes(entry.type) ? entry.type : 'auto',
+      value: Object.prototype.hasOwnProperty.call(builtIns, entry.field) ? builtIns[entry.field] : formData[entry.field]
+    }))
+    .filter(entry => entry.value !== undefined);
+}
+
+/**
+ * Parses a number the way people type it into forms
+ *
+ * @param {*} value - Form value
+ * @returns {number|null} Number, or null if the value is not numeric
+ * @private
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  // Drop currency symbols, spaces and thousands separators: "$ 12,500.50" → 12500.5
+  const text = formatFieldValue(value).trim().replace(/^[^\d+\-.]+/, '').replace(/[\s,]/g, '');
+  if (!text) return null;
+
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parses a date, keeping date-only values as dates
+ *
+ * @param {*} value - Form value
+ * @returns {string|null} `YYYY-MM-DD` or an ISO timestamp, or null if the value is not a date
+ * @private
+ */
+function parseDate(value) {
+  const text = formatFieldValue(value).trim();
+  if (!text) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Coerces a form value to a property type
+ *
+ * @param {*} value - Form value
+ * @param {string} type - Property type (see PROPERTY_TYPES; `auto` is treated as `text`)
+ * @returns {string|number|boolean|string[]|null} Coerced value, or null if it cannot be coerced
+ *
+ * @example
+ * coercePropertyValue('$1,200', 'number');      // 1200
+ * coercePropertyValue('Yes', 'checkbox');       // true
+ * coercePropertyValue('a, b', 'multi_select');  // ['a', 'b']
+ * coercePropertyValue('2024-05-01', 'date');    // '2024-05-01'
+ * coercePropertyValue('soon', 'date');          // null
+ */
+export function coercePropertyValue(value, type) {
+  switch (type) {
+    case 'number':
+      return parseNumber(Array.isArray(value) ? value[0] : value);
+    case 'checkbox':
+      if (typeof value === 'boolean') return value;
+      if (Array.isArray(value)) return value.length > 0;
+      return TRUTHY_VALUES.includes(formatFieldValue(value).trim().toLowerCase());
+    case 'select': {
+      const option = formatFieldValue(Array.isArray(value) ? value[0] : value).trim();
+      return option || null;
+    }
+    case 'multi_select': {
+      const options = (Array.isArray(value) ? value : formatFieldValue(value).split(','))
+        .map(option => formatFieldValue(option).trim())
+        .filter(Boolean);
+      return [...new Set(options)];
+    }
+    case 'date':
+      return parseDate(Array.isArray(value) ? value[0] : value);
+    default:
+      return formatFieldValue(value);
+  }
+}
+
+/**
+ * Validates and normalizes the property mapping of Airtable, Notion and CRM destinations before they are saved
+ *
+ * @param {Array<Object>} destinations - Destinations submitted from the edit page
+ * @returns {Array<Object>} Destinations with normalized mappings
+ * @throws {Error} If a mapping is invalid
+ */
+export function normalizeDestinationPropertyMappings(destinations) {
+  return destinations.map(destination => {
+    if (!MAPPED_DESTINATION_TYPES.includes(destination?.type) || !destination.config) {
+      return destination;
+    }
+
+    const config = { ...destination.config };
+    for (const key of ['baseId', 'table', 'databaseId', 'apiKey', 'accessToken', 'emailField']) {
+      if (config[key] !== undefined) {
+        config[key] = String(config[key] || '').trim();
+      }
+    }
+    if (config.logNote !== undefined) {
+      config.logNote = config.logNote === true;
+    }
+
+    if (config.propertyMapping !== undefined) {
+      if (!Array.isArray(config.propertyMapping)) {
+        throw new Error('Property mapping must be an array');
+      }
+
+      const mappings = config.propertyMapping.filter(mapping => mapping && (mapping.field || mapping.property));
+      if (mappings.length > MAX_PROPERTY_MAPPINGS) {
+        throw new Error(`Property mapping can have at most ${MAX_PROPERTY_MAPPINGS} entries`);
+      }
+
+      config.propertyMapping = mappings.map(mapping => {
+        const field = String(mapping.field || '').trim();
+        const property = String(mapping.property || '').trim();
+        const type = mapping.type || 'auto';
+        if (!field || !property) {
+          throw new Error('Each property mapping needs a field and a property name');
+        }
+        if (field.length > MAX_PROPERTY_NAME_LENGTH || property.length > MAX_PROPERTY_NAME_LENGTH) {
+          throw new Error(`Property mapping names must be at most ${MAX_PROPERTY_NAME_LENGTH} characters`);
+        }
+        if (!PROPERTY_TYPES.includes(type)) {
+          throw new Error(`Property type must be one of: ${PROPERTY_TYPES.join(', ')}`);
+        }
+        return { field, property, type };
+      });
+    }
+
+    return { ...destination, config };
+  });
+}
@@ -0,0 +1,213 @@
+/**
+ * Request body parsing module for form submissions
+ *
+ * This module turns the body of a submission request into the flat
+ * `{ field: value }` object that `validateSubmission` checks, regardless of
+ * whether it was sent as JSON by a script or posted by a plain HTML form.
+ * Files from multipart bodies are returned separately so they can be checked
+ * and stored before being merged into the submission (see `attachments.js`).
+ *
+ * Bodies are never read past a size limit: a `Content-Length` over the limit
+ * is rejected before anything is read, and bodies without one (chunked) are
+ * read only up to the limit.
+ */
+
+// Content types handled by the Web FormData parser
+const FORM_CONTENT_TYPES = [
+  'application/x-www-form-urlencoded',
+  'multipart/form-data'
+];
+
+// Room for a submission's text fields (validation allows 100KB of JSON) plus
+// multipart encoding overhead
+const MAX_TEXT_BODY_BYTES = 256 * 1024;
+
+/**
+ * Error thrown when a request body is larger than allowed
+ */
+export class PayloadTooLargeError extends Error {
+  /**
+   * @param {number} maxBytes - Largest body accepted
+   */
+  constructor(maxBytes) {
+    super(`Request body exceeds maximum size of ${(maxBytes / 1024 / 1024).toFixed(2)}MB`);
+    this.name = 'PayloadTooLargeError';
+    this.maxBytes = maxBytes;
+  }
+}
+
+/**
+ * Calculates the largest submission body a connector accepts
+ *
+ * @param {Object} attachmentSettings - Resolved attachment settings (see `resolveAttachmentSettings`)
+ * @returns {number} Maximum body size in bytes: the text allowance plus, when
+ *   uploads are enabled, the largest files the connector allows
+ *
+ * @example
+ * getMaxBodyBytes({ enabled: true, maxFiles: 5, maxFileSizeMb: 10 });
+ * // => 52690944 (50MB of files + 256KB of fields)
+ */
+export function getMaxBodyBytes(attachmentSettings) {
+  if (!attachmentSettings?.enabled) {
+    return MAX_TEXT_BODY_BYTES;
+  }
+  return MAX_TEXT_BODY_BYTES + attachmentSettings.maxFiles * attachmentSettings.maxFileSizeMb * 1024 * 1024;
+}
+
+/**
+ * Rejects a request whose declared Content-Length is over a limit
+ *
+ * Lets callers refuse oversized uploads before reading the body or doing any
+ * other work. Requests without a Content-Length pass; `parseSubmissionBody`
+ * stops reading them at its own limit.
+ *
+ * @param {Request} request - Incoming request
+ * @param {number} maxBytes - Largest body accepted
+ * @returns {void}
+ * @throws {PayloadTooLargeError} If Content-Length is over the limit
+ */
+export function assertContentLength(request, maxBytes) {
+  const contentLength = parseInt(request.headers.get('content-length'), 10);
+  if (Number.isFinite(contentLength) && contentLength > maxBytes) {
+    throw new PayloadTooLargeError(maxBytes);
+  }
+}
+
+/**
+ * Reads a request body, stopping as soon as it grows over a limit
+ *
+ * @param {Request} request - Incoming request
+ * @param {number} maxBytes - Largest body accepted
+ * @returns {Promise<Buffer>} Body bytes
+ * @throws {PayloadTooLargeError} If the body is over the limit
+ * @private
+ */
+async function readBody(request, maxBytes) {
+  if (!request.body) {
+    return Buffer.alloc(0);
+  }
+
+  const reader = request.body.getReader();
+  const chunks = [];
+  let size = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    size += value.byteLength;
+    if (size > maxBytes) {
+      await reader.cancel();
+      throw new PayloadTooLargeError(maxBytes);
+    }
+    chunks.push(value);
+  }
+
+  return Buffer.concat(chunks, size);
+}
+
+/**
+ * Gets the media type of a request without parameters (charset, boundary)
+ *
+ * @param {Request} request - Incoming request
+ * @returns {string} Lower-cased media type, or an empty string if absent
+ */
+export function getMediaType(request) {
+  const contentType = request.headers.get('content-type') || '';
+  return contentType.split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Checks whether a request was sent as an HTML form post
+ *
+ * @param {Request} request - Incoming request
+ * @returns {boolean} True for urlencoded and multipart bodies
+ */
+export function isFormPost(request) {
+  return FORM_CONTENT_TYPES.includes(getMediaType(request));
+}
+
+/**
+ * Converts a FormData instance into a flat submission object plus uploaded files
+ *
+ * - Keys that appear once map to a single string value
+ * - Keys that repeat (e.g. checkbox groups) are collected into arrays
+ * - A trailing "[]" (PHP-style `interests[]`) is stripped and always yields an array
+ * - File values are collected into `files`; empty file inputs (no file chosen) are skipped
+ * - `__proto__` keys are skipped, so a field cannot replace the object's prototype
+ *
+ * @param {FormData} formData - Parsed form body
+ * @returns {{ fields: Object, files: Array<{ field: string, file: File, multiple: boolean }> }}
+ *   Text fields and uploaded files
+ */
+export function formDataToObject(formData) {
+  const fields = {};
+  const files = [];
+
+  for (const [rawKey, value] of formData.entries()) {
+    const isArrayKey = rawKey.endsWith('[]');
+    const key = isArrayKey ? rawKey.slice(0, -2) : rawKey;
+    if (key === '__proto__') {
+      continue;
+    }
+
+    if (typeof value !== 'string') {
+      if (value.size > 0 || value.name) {
+        files.push({ field: key, file: value, multiple: isArrayKey });
+      }
+      continue;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(fields, key)) {
+      const existing = fields[key];
+      fields[key] = Array.isArray(existing) ? [...existing, value] : [existing, value];
+    } else {
+      fields[key] = isArrayKey ? [value] : value;
+    }
+  }
+
+  return { fields, files };
+}
+
+/**
+ * Parses a submission request body based on its Content-Type
+ *
+ * - `application/x-www-form-urlencoded` and `multipart/form-data` are parsed
+ *   as form fields (see `formDataToObject`)
+ * - Anything else is parsed as JSON, which keeps `fetch()` calls that omit the
+ *   Content-Type header (and therefore send `text/plain`) working
+ *
+ * @param {Request} request - Incoming request
+ * @param {Object} [options] - Parsing options
+ * @param {number} [options.maxBytes] - Largest body accepted (see `getMaxBodyBytes`; text fields only by default)
+ * @returns {Promise<{ fields: Object, files: Array<{ field: string, file: File, multiple: boolean }> }>}
+ *   Submission fields and any uploaded files (always empty for JSON bodies)
+ * @throws {PayloadTooLargeError} If the body is over `maxBytes`
+ * @throws {Error} If the body cannot be parsed
+ *
+ * @example
+ * const { fields, files } = await parseSubmissionBody(request, { maxBytes: getMaxBodyBytes(settings) });
+ * validateSubmission(fields);
+ */
+export async function parseSubmissionBody(request, { maxBytes = MAX_TEXT_BODY_BYTES } = {}) {
+  assertContentLength(request, maxBytes);
+  const body = await readBody(request, maxBytes);
+
+  if (isFormPost(request)) {
+    let formData;
+    try {
+      formData = await new Response(body, {
+        headers: { 'content-type': request.headers.get('content-type') }
+      }).formData();
+    } catch (error) {
+      throw new Error(`Invalid form body: ${error.message}`);
+    }
+    return formDataToObject(formData);
+  }
+
+  try {
+    return { fields: JSON.parse(body.toString('utf8')), files: [] };
+  } catch {
+    throw new Error('Request body must be valid JSON or form data');
+  }
+}
@@ -0,0 +1,385 @@
+import { assertSafePattern, isSafePattern } from './safeRegex';
+
+/**
+ * Per-destination routing conditions
+ *
+ * A destination may carry a `condition` over the submitted form fields. The
+ * submit route only queues the destination when the condition matches; other
+ * destinations are recorded as skipped in the submission's `destinations_sent`.
+ * Destinations without a condition receive every submission.
+ *
+ * **Condition Structure** (stored on the destination, e.g. `{ type, enabled, config, condition }`):
+ * ```javascript
+ * {
+ *   match: 'all',                                   // all (AND) | any (OR)
+ *   rules: [
+ *     { field: 'budget', operator: 'gt', value: '10000' },
+ *     {
+ *       match: 'any',                               // Nested group
+ *       rules: [
+ *         { field: 'topic', operator: 'equals', value: 'support' },
+ *         { field: 'message', operator: 'matches', value: 'urgent|asap' }
+ *       ]
+ *     }
+ *   ]
+ * }
+ * ```
+ *
+ * **Operators:**
+ * - `equals` / `not_equals`: case-insensitive text comparison
+ * - `gt` / `gte` / `lt` / `lte`: numeric comparison (non-numeric values never match)
+ * - `contains` / `not_contains`: case-insensitive substring
+ * - `matches`: regular expression (case-insensitive, must pass
+ *   `assertSafePattern`); values over 1000 characters never match
+ * - `is_empty` / `is_not_empty`: missing, blank or empty list
+ *
+ * Array values (checkbox groups, multiple files) match when any item matches;
+ * the negated operators match when no item matches. Uploaded files are
+ * compared by filename.
+ */
+
+// Supported rule operators
+export const CONDITION_OPERATORS = [
+  'equals',
+  'not_equals',
+  'gt',
+  'gte',
+  'lt',
+  'lte',
+  'contains',
+  'not_contains',
+  'matches',
+  'is_empty',
+  'is_not_empty'
+];
+
+// Operators that compare against a number
+const NUMERIC_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+// Operators that ignore the rule value
+const VALUELESS_OPERATORS = ['is_empty', 'is_not_empty'];
+
+// Operators that match when no array item matches the positive operator
+const NEGATED_OPERATORS = {
+  not_equals: 'equals',
+  not_contains: 'contains'
+};
+
+const OPERATOR_SYMBOLS = {
+  equals: '==',
+  not_equals: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  contains: 'contains',
+  not_contains: 'does not contain',
+  matches: 'matches',
+  is_empty: 'is empty',
+  is_not_empty: 'is not empty'
+};
+
+const MAX_RULES = 50;
+const MAX_DEPTH = 3;
+const MAX_VALUE_LENGTH = 500;
+// Longer field values never match a `matches` rule. Patterns that can backtrack
+// exponentially are rejected on save (see safeRegex.js); this bounds the
+// polynomial backtracking a safe pattern may still do.
+const MAX_MATCH_INPUT_LENGTH = 1000;
+
+/**
+ * Checks whether a condition has any rules
+ *
+ * @param {*} condition - Destination condition
+ * @returns {boolean} True if the condition restricts deliveries
+ */
+export function hasCondition(condition) {
+  return Array.isArray(condition?.rules) && condition.rules.length > 0;
+}
+
+/**
+ * Checks whether a value counts as "not provided"
+ *
+ * @param {*} value - Form value
+ * @returns {boolean} True for missing values, blank strings and empty arrays
+ * @private
+ */
+function isEmptyValue(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  return false;
+}
+
+/**
+ * Converts a single form value to comparable text
+ *
+ * @param {*} value - Form value (file references become their filename)
+ * @returns {string} Trimmed text
+ * @private
+ */
+function toText(value) {
+  if (value && typeof value === 'object') {
+    return String(value.kind === 'file' ? value.filename || '' : JSON.stringify(value)).trim();
+  }
+  return String(value ?? '').trim();
+}
+
+/**
+ * Parses a number the way a form would send it (number or numeric string)
+ *
+ * @param {*} value - Form value
+ * @returns {number} Parsed number, or NaN
+ * @private
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value.trim());
+  return NaN;
+}
+
+/**
+ * Tests a single (non-array) form value against a positive operator
+ *
+ * @param {string} operator - Rule operator (not negated, not valueless)
+ * @param {*} item - Form value
+ * @param {*} expected - Rule value
+ * @returns {boolean} True if the value matches
+ * @private
+ */
+function testValue(operator, item, expected) {
+  if (NUMERIC_OPERATORS.includes(operator)) {
+    const actual = toNumber(item);
+    const target = toNumber(expected);
+    if (!Number.isFinite(actual) || !Number.isFinite(target)) return false;
+    if (operator === 'gt') return actual > target;
+    if (operator === 'gte') return actual >= target;
+    if (operator === 'lt') return actual < target;
+    return actual <= target;
+  }
+
+  const text = toText(item);
+
+  switch (operator) {
+    case 'equals':
+      return text.toLowerCase() === toText(expected).toLowerCase();
+    case 'contains':
+      return text.toLowerCase().includes(toText(expected).toLowerCase());
+    case 'matches':
+      // Patterns saved before the safety check existed never match
+      if (text.length > MAX_MATCH_INPUT_LENGTH || !isSafePattern(String(expected))) return false;
+      try {
+        return new RegExp(String(expected), 'i').test(text);
+      } catch {
+        return false;
+      }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluates a single rule against the form data
+ *
+ * @param {{ field: string, operator: string, value: * }} rule - Rule
+ * @param {Object} formData - Submission fields
+ * @returns {boolean} True if the rule matches
+ * @private
+ */
+function evaluateRule(rule, formData) {
+  const value = formData?.[rule.field];
+
+  if (rule.operator === 'is_empty') return isEmptyValue(value);
+  if (rule.operator === 'is_not_empty') return !isEmptyValue(value);
+
+  const items = Array.isArray(value) ? value : [value];
+  const negated = NEGATED_OPERATORS[rule.operator];
+
+  if (negated) {
+    return !items.some(item => testValue(negated, item, rule.value));
+  }
+  if (isEmptyValue(value)) return false;
+  return items.some(item => testValue(rule.operator, item, rule.value));
+}
+
+/**
+ * Evaluates a destination condition against a submission
+ *
+ * @param {Object|null|undefined} condition - Destination condition
+ * @param {Object} formData - Submission fields
+ * @returns {boolean} True if the destination should receive the submission
+ *   (always true without a condition)
+ *
+ * @example
+ * evaluateCondition(
+ *   { match: 'all', rules: [{ field: 'budget', operator: 'gt', value: '10000' }] },
+ *   { budget: '25000' }
+ * );
+ * // Returns: true
+ */
+export function evaluateCondition(condition, formData) {
+  if (!hasCondition(condition)) return true;
+
+  const test = rule => (Array.isArray(rule.rules) ? evaluateCondition(rule, formData) : evaluateRule(rule, formData));
+
+  return condition.match === 'any'
+    ? condition.rules.some(test)
+    : condition.rules.every(test);
+}
+
+/**
+ * Describes a condition in a compact, readable form
+ *
+ * @param {Object|null|undefined} condition - Destination condition
+ * @returns {string} Description such as `budget > 10000 AND topic == "support"`
+ *   (empty without a condition)
+ */
+export function describeCondition(condition) {
+  if (!hasCondition(condition)) return '';
+
+  const parts = condition.rules.map(rule => {
+    if (Array.isArray(rule.rules)) {
+      return hasCondition(rule) ? `(${describeCondition(rule)})` : null;
+    }
+    const symbol = OPERATOR_SYMBOLS[rule.operator] || rule.operator;
+    if (VALUELESS_OPERATORS.includes(rule.operator)) return `${rule.field} ${symbol}`;
+    if (NUMERIC_OPERATORS.includes(rule.operator)) return `${rule.field} ${symbol} ${rule.value}`;
+    return `${rule.field} ${symbol} ${JSON.stringify(String(rule.value ?? ''))}`;
+  }).filter(Boolean);
+
+  return parts.join(condition.match === 'any' ? ' OR ' : ' AND ');
+}
+
+/**
+ * Validates and normalizes a condition group
+ *
+ * @param {*} group - Condition group
+ * @param {number} depth - Nesting depth (1 for the top-level group)
+ * @param {{ count: number }} counter - Running rule count
+ * @returns {Object} Normalized group
+ * @throws {Error} If the group or one of its rules is invalid
+ * @private
+ */
+function normalizeGroup(group, depth, counter) {
+  if (!group || typeof group !== 'object' || Array.isArray(group)) {
+    throw new Error('Condition must be an object');
+  }
+  if (depth > MAX_DEPTH) {
+    throw new Error(`Condition groups can be nested at most ${MAX_DEPTH} levels deep`);
+  }
+  if (!Array.isArray(group.rules)) {
+    throw new Error('Condition must have a rules array');
+  }
+
+  const match = group.match === 'any' ? 'any' : 'all';
+  const rules = [];
+
+  for (const rule of group.rules) {
+    if (rule && Array.isArray(rule.rules)) {
+      const nested = normalizeGroup(rule, depth + 1, counter);
+      if (nested.rules.length > 0) rules.push(nested);
+      continue;
+    }
+
+    counter.count += 1;
+    if (counter.count > MAX_RULES) {
+      throw new Error(`Condition has too many rules (max ${MAX_RULES})`);
+    }
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`Rule ${counter.count} must be an object`);
+    }
+
+    const field = typeof rule.field === 'string' ? rule.field.trim() : '';
+    if (!field || field.length > 255) {
+      throw new Error(`Rule ${counter.count} needs a field name of 1-255 characters`);
+    }
+
+    const operator = rule.operator || 'equals';
+    if (!CONDITION_OPERATORS.includes(operator)) {
+      throw new Error(`Rule on "${field}" has unknown operator "${operator}"`);
+    }
+
+    if (VALUELESS_OPERATORS.includes(operator)) {
+      rules.push({ field, operator });
+      continue;
+    }
+
+    const value = String(rule.value ?? '').trim();
+    if (value.length > MAX_VALUE_LENGTH) {
+      throw new Error(`Rule on "${field}" value exceeds ${MAX_VALUE_LENGTH} characters`);
+    }
+
+    if (NUMERIC_OPERATORS.includes(operator) && !Number.isFinite(toNumber(value))) {
+      throw new Error(`Rule on "${field}" needs a number to compare with`);
+    }
+
+    if (operator === 'matches') {
+      if (!value) {
+        throw new Error(`Rule on "${field}" needs a regular expression`);
+      }
+      try {
+        new RegExp(value, 'i');
+      } catch (error) {
+        throw new Error(`Rule on "${field}" has an invalid regular expression: ${error.message}`);
+      }
+      try {
+        assertSafePattern(value);
+      } catch (error) {
+        throw new Error(`Rule on "${field}" has an unsafe regular expression: ${error.message}`);
+      }
+    }
+
+    rules.push({ field, operator, value });
+  }
+
+  return { match, rules };
+}
+
+/**
+ * Validates and normalizes a destination condition before it is saved
+ *
+ * Empty groups are dropped; a condition without rules becomes null.
+ *
+ * @param {*} condition - Condition submitted from the edit page
+ * @returns {Object|null} Normalized condition, or null if it has no rules
+ * @throws {Error} Descriptive error naming the offending rule
+ *
+ * @example
+ * const condition = normalizeCondition(destination.condition);
+ */
+export function normalizeCondition(condition) {
+  if (condition === null || condition === undefined) return null;
+
+  const normalized = normalizeGroup(condition, 1, { count: 0 });
+  return normalized.rules.length > 0 ? normalized : null;
+}
+
+/**
+ * Normalizes the conditions of a connector's destinations before they are saved
+ *
+ * @param {Array<Object>} destinations - Destinations submitted from the edit page
+ * @returns {Array<Object>} Destinations with normalized conditions (`condition`
+ *   removed where it has no rules)
+ * @throws {Error} Descriptive error naming the destination and offending rule
+ */
+export function normalizeDestinationConditions(destinations) {
+  if (!Array.isArray(destinations)) {
+    throw new Error('destinations must be an array');
+  }
+
+  return destinations.map(destination => {
+    if (!destination || typeof destination !== 'object' || Array.isArray(destination) || !('condition' in destination)) {
+      return destination;
+    }
+
+    const { condition, ...rest } = destination;
+    let normalized;
+    try {
+      normalized = normalizeCondition(condition);
+    } catch (error) {
+      throw new Error(`${destination.type || 'Destination'} condition: ${error.message}`);
+    }
+
+    return normalized ? { ...rest, condition: normalized } : rest;
+  });
+}
@@ -0,0 +1,189 @@
+/**
+ * Safety check for user-supplied regular expressions
+ *
+ * Connector owners can write regular expressions (field schema `pattern`,
+ * routing `matches` rules) that run against public, unauthenticated
+ * submissions on the server's single event loop. JavaScript's backtracking
+ * engine needs exponential time for some patterns: `^(a+)+$` stalls the
+ * process on about 30 characters. Such patterns are rejected when they are
+ * saved, and patterns stored before this check are not run.
+ *
+ * **Rejected Constructs:**
+ * - Nested repetition: a repeated group that contains a repetition
+ *   (`(a+)+`, `(\w*\s?)*`), i.e. a star height above 1
+ * - Repeated alternation: a repeated group that contains `|` (`(a|ab)*`),
+ *   whose alternatives may overlap
+ * - Adjacent repetition: two unbounded repeats with nothing required between
+ *   them (`\d*\d*`, `\s+x?\s+`), which backtracks in polynomial time
+ * - Backreferences (`\1`, `\k<name>`)
+ *
+ * A single unbounded repeat still backtracks in quadratic time in the worst
+ * case, so callers also cap the length of the value a pattern runs against.
+ */
+
+// Quantifier at the start of a string: *, +, ? or {n}, {n,}, {n,m}, optionally lazy
+const QUANTIFIER_PATTERN = /^(?:([*+?])|\{(\d+)(?:(,)(\d*))?\})\??/;
+
+/**
+ * Creates the state of one group level while scanning a pattern
+ *
+ * @param {boolean} pendingBefore - Whether an unbounded repeat directly precedes the group
+ * @returns {Object} Group state
+ * @private
+ */
+function createGroup(pendingBefore = false) {
+  return {
+    containsRepeat: false,
+    containsAlternation: false,
+    pendingUnbounded: pendingBefore,
+    pendingBefore
+  };
+}
+
+/**
+ * Gets the length of the character class starting at `start`
+ *
+ * @param {string} pattern - Regular expression source
+ * @param {number} start - Index of the opening `[`
+ * @returns {number} Length including both brackets
+ * @private
+ */
+function classLength(pattern, start) {
+  let index = start + 1;
+  while (index < pattern.length && pattern[index] !== ']') {
+    index += pattern[index] === '\\' ? 2 : 1;
+  }
+  return index - start + 1;
+}
+
+/**
+ * Checks that a regular expression cannot backtrack catastrophically
+ *
+ * The pattern must already compile with `new RegExp`.
+ *
+ * @param {string} pattern - Regular expression source
+ * @throws {Error} Naming the rejected construct
+ *
+ * @example
+ * assertSafePattern('^[^@]+@acme\\.com$'); // ok
+ * assertSafePattern('^(a+)+$');             // throws "nested repetition..."
+ */
+export function assertSafePattern(pattern) {
+  const source = String(pattern);
+  const stack = [createGroup()];
+  // The atom a following quantifier applies to: { group?, pendingBefore }
+  let lastAtom = null;
+  let index = 0;
+
+  while (index < source.length) {
+    const group = stack[stack.length - 1];
+    const char = source[index];
+
+    if (char === '(') {
+      const inner = createGroup(group.pendingUnbounded);
+      group.pendingUnbounded = false;
+      stack.push(inner);
+      lastAtom = null;
+      const prefix = source.slice(index).match(/^\((?:\?(?:[:=!]|<[=!]|<[^>]+>))?/);
+      index += prefix[0].length;
+      continue;
+    }
+
+    if (char === ')') {
+      const closed = stack.length > 1 ? stack.pop() : group;
+      const parent = stack[stack.length - 1];
+      parent.containsRepeat = parent.containsRepeat || closed.containsRepeat;
+      parent.containsAlternation = parent.containsAlternation || closed.containsAlternation;
+      // A group ending in an unbounded repeat is still followed by it
+      parent.pendingUnbounded = closed.pendingUnbounded;
+      lastAtom = { group: closed, pendingBefore: closed.pendingBefore };
+      index += 1;
+      continue;
+    }
+
+    if (char === '|') {
+      group.containsAlternation = true;
+      group.pendingUnbounded = group.pendingBefore;
+      lastAtom = null;
+      index += 1;
+      continue;
+    }
+
+    const quantifier = source.slice(index).match(QUANTIFIER_PATTERN);
+    if (quantifier && lastAtom) {
+      const [text, symbol, minText, comma, maxText] = quantifier;
+      let min;
+      let max;
+      if (symbol) {
+        min = symbol === '+' ? 1 : 0;
+        max = symbol === '?' ? 1 : Infinity;
+      } else {
+        min = Number(minText);
+        max = comma ? (maxText ? Number(maxText) : Infinity) : min;
+      }
+
+      if (max > 1) {
+        if (lastAtom.group?.containsRepeat) {
+          throw new Error('nested repetition such as (a+)+ can take exponential time');
+        }
+        if (lastAtom.group?.containsAlternation) {
+          throw new Error('repeated alternatives such as (a|ab)* can take exponential time');
+        }
+        group.containsRepeat = true;
+      }
+
+      if (max === Infinity) {
+        if (lastAtom.pendingBefore) {
+          throw new Error('adjacent repetition such as \\d*\\d* can take polynomial time');
+        }
+        group.pendingUnbounded = true;
+      } else if (min === 0) {
+        // An optional atom does not separate the repeats around it
+        group.pendingUnbounded = lastAtom.pendingBefore;
+      }
+
+      lastAtom = null;
+      index += text.length;
+      continue;
+    }
+
+    if (char === '^' || char === '$') {
+      index += 1;
+      continue;
+    }
+
+    if (char === '\\') {
+      const next = source[index + 1];
+      if (/[1-9]/.test(next) || (next === 'k' && source[index + 2] === '<')) {
+        throw new Error('backreferences are not allowed');
+      }
+      index += 2;
+      if (next === 'b' || next === 'B') {
+        continue;
+      }
+    } else if (char === '[') {
+      index += classLength(source, index);
+    } else {
+      index += 1;
+    }
+
+    // A single character, escape or class: it is required unless a quantifier makes it optional
+    lastAtom = { pendingBefore: group.pendingUnbounded };
+    group.pendingUnbounded = false;
+  }
+}
+
+/**
+ * Checks whether a regular expression passes `assertSafePattern`
+ *
+ * @param {string} pattern - Regular expression source
+ * @returns {boolean} True if the pattern may be run
+ */
+export function isSafePattern(pattern) {
+  try {
+    assertSafePattern(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { assertSafePattern, isSafePattern } from './safeRegex';
+
+describe('assertSafePattern', () => {
+  it.each([
+    '^[^@]+@acme\\.com$',
+    '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$',
+    'urgent|asap',
+    '^\\+?\\d{7,15}$',
+    '^(?:https?://)?[\\w-]+\\.example\\.com$',
+    '^[A-Z]{2}-\\d{4}$',
+    '(foo)?bar+',
+    '^\\d+-\\d+$',
+    '^(ab)+$',
+    '\\bquote\\b'
+  ])('accepts %s', (pattern) => {
+    expect(() => assertSafePattern(pattern)).not.toThrow();
+  });
+
+  it.each([
+    ['^(a+)+$', 'nested repetition'],
+    ['^(\\w*\\s?)*$', 'nested repetition'],
+    ['(x+y)+z', 'nested repetition'],
+    ['^((ab)*c)+$', 'nested repetition'],
+    ['^(a|aa)+$', 'repeated alternatives'],
+    ['^(\\d|\\w)*x$', 'repeated alternatives'],
+    ['^(?:a|b){2,}$', 'repeated alternatives'],
+    ['\\d*\\d*x', 'adjacent repetition'],
+    ['^\\s+x?\\s+$', 'adjacent repetition'],
+    ['^(\\d+)\\d+$', 'adjacent repetition'],
+    ['^\\d+(?:x|\\d+)$', 'adjacent repetition'],
+    ['(a)\\1', 'backreferences'],
+    ['(?<q>a)\\k<q>', 'backreferences']
+  ])('rejects %s', (pattern, reason) => {
+    expect(() => assertSafePattern(pattern)).toThrow(reason);
+  });
+
+  it('rejects patterns that stall the event loop', () => {
+    expect(isSafePattern('^(a+)+$')).toBe(false);
+    expect(isSafePattern('^(a|a)*$')).toBe(false);
+  });
+});
@@ -0,0 +1,207 @@
+import { formatFieldValue, isFileReference } from './attachments.js';
+
+/**
+ * Column matching for the Google Sheets destination
+ *
+ * A submission becomes a record of `{ column, value }` cells: the built-in
+ * Timestamp and Connector Name columns (and Submission ID when enabled)
+ * followed by one cell per form field.
+ * Every cell, built-in or not, is placed by matching its column name against
+ * the sheet's header row, ignoring case and surrounding/repeated whitespace.
+ *
+ * **Settings** (`config` of a sheets destination):
+ * ```javascript
+ * {
+ *   columnMapping: [                              // Optional field → column names
+ *     { field: 'email', column: 'Email Address' },
+ *     { field: '@timestamp', column: 'Submitted At' }  // Renames a built-in column
+ *   ],
+ *   unknownFields: 'append',                      // 'ignore' (default) or 'append' as new columns
+ *   batchAppends: true,                           // Let the queue worker append rows together
+ *   writeMode: 'upsert',                          // 'append' (default) or 'upsert'
+ *   upsertKey: 'email',                           // Field that identifies a row in upsert mode
+ *   trackSubmissionId: true                       // Write the submission ID to a hidden column
+ * }
+ * ```
+ *
+ * In upsert mode the row whose key column matches the submitted key value is
+ * updated in place; a row is appended only when none matches.
+ */
+
+/**
+ * Built-in columns, keyed by the pseudo-field used in `columnMapping`
+ */
+export const BUILT_IN_COLUMNS = {
+  '@timestamp': 'Timestamp',
+  '@connector': 'Connector Name',
+  '@submission_id': 'Submission ID'
+};
+
+// Pseudo-field of the hidden Submission ID column
+export const SUBMISSION_ID_FIELD = '@submission_id';
+
+export const UNKNOWN_FIELD_MODES = ['ignore', 'append'];
+export const WRITE_MODES = ['append', 'upsert'];
+
+const MAX_COLUMN_MAPPINGS = 200;
+const MAX_COLUMN_NAME_LENGTH = 255;
+
+/**
+ * Normalizes a header for matching
+ *
+ * @param {*} header - Header cell or column name
+ * @returns {string} Lowercased header with whitespace collapsed
+ */
+export function normalizeHeader(header) {
+  return String(header ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Converts a zero-based column index to its A1 letters
+ *
+ * @param {number} index - Zero-based column index
+ * @returns {string} Column letters
+ *
+ * @example
+ * columnLetter(0);   // 'A'
+ * columnLetter(26);  // 'AA'
+ * columnLetter(701); // 'ZZ'
+ */
+export function columnLetter(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+/**
+ * Converts a form value into a cell value
+ *
+ * A single uploaded file becomes a clickable `=HYPERLINK()` formula; arrays
+ * (including several files) are written as comma-separated text.
+ *
+ * @param {*} value - Form value
+ * @returns {string} Cell value
+ * @private
+ */
+function toCellValue(value) {
+  if (isFileReference(value)) {
+    const quote = text => String(text).replace(/"/g, '""');
+    return `=HYPERLINK("${quote(value.url)}","${quote(value.filename)}")`;
+  }
+  return formatFieldValue(value);
+}
+
+/**
+ * Builds the cells written for a submission
+ *
+ * Cells are listed in the order columns are created on an empty sheet. When
+ * two cells map to the same column, the first one wins.
+ *
+ * @param {Object} formData - Submission fields (after transforms)
+ * @param {Object} connector - Connector metadata
+ * @param {Object} [options] - Record options
+ * @param {Array<{ field: string, column: string }>} [options.columnMapping] - Field → column names
+ * @param {string} [options.submissionId] - Submission ID, adds the Submission ID column when set
+ * @returns {Array<{ field: string, column: string, value: string }>} Cells
+ */
+export function buildSheetRecord(formData, connector, { columnMapping = [], submissionId } = {}) {
+  const columnNames = new Map(
+    (Array.isArray(columnMapping) ? columnMapping : []).map(mapping => [mapping.field, mapping.column])
+  );
+
+  const entries = [
+    ['@timestamp', new Date().toISOString()],
+    ['@connector', connector.name],
+    ...(submissionId ? [[SUBMISSION_ID_FIELD, submissionId]] : []),
+    ...Object.entries(formData).map(([field, value]) => [field, toCellValue(value)])
+  ];
+
+  const seen = new Set();
+  return entries
+    .map(([field, value]) => ({
+      field,
+      column: columnNames.get(field) || BUILT_IN_COLUMNS[field] || field,
+      value
+    }))
+    .filter(cell => {
+      const key = normalizeHeader(cell.column);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Validates and normalizes Google Sheets settings before they are saved
+ *
+ * @param {Object} config - Sheets destination config
+ * @returns {Object} Config with normalized column, write mode and batching settings
+ * @throws {Error} If a setting is invalid
+ */
+export function normalizeSheetsSettings(config) {
+  const normalized = { ...config };
+
+  if (config.columnMapping !== undefined) {
+    if (!Array.isArray(config.columnMapping)) {
+      throw new Error('Column mapping must be an array');
+    }
+
+    const mappings = config.columnMapping.filter(mapping => mapping && (mapping.field || mapping.column));
+    if (mappings.length > MAX_COLUMN_MAPPINGS) {
+      throw new Error(`Column mapping can have at most ${MAX_COLUMN_MAPPINGS} entries`);
+    }
+
+    normalized.columnMapping = mappings.map(mapping => {
+      const field = String(mapping.field || '').trim();
+      const column = String(mapping.column || '').trim();
+      if (!field || !column) {
+        throw new Error('Each column mapping needs a field and a column name');
+      }
+      if (field.length > MAX_COLUMN_NAME_LENGTH || column.length > MAX_COLUMN_NAME_LENGTH) {
+        throw new Error(`Column mapping names must be at most ${MAX_COLUMN_NAME_LENGTH} characters`);
+      }
+      return { field, column };
+    });
+  }
+
+  if (config.unknownFields !== undefined && !UNKNOWN_FIELD_MODES.includes(config.unknownFields)) {
+    throw new Error(`unknownFields must be one of: ${UNKNOWN_FIELD_MODES.join(', ')}`);
+  }
+  if (config.batchAppends !== undefined) {
+    normalized.batchAppends = config.batchAppends === true;
+  }
+  if (config.trackSubmissionId !== undefined) {
+    normalized.trackSubmissionId = config.trackSubmissionId === true;
+  }
+
+  if (config.writeMode !== undefined && !WRITE_MODES.includes(config.writeMode)) {
+    throw new Error(`writeMode must be one of: ${WRITE_MODES.join(', ')}`);
+  }
+  if (config.upsertKey !== undefined) {
+    normalized.upsertKey = String(config.upsertKey || '').trim();
+  }
+  if (config.writeMode === 'upsert' && !normalized.upsertKey) {
+    throw new Error('Upsert key field is required in upsert mode');
+  }
+
+  return normalized;
+}
+
+/**
+ * Normalizes the settings of a connector's Google Sheets destinations before they are saved
+ *
+ * @param {Array<Object>} destinations - Destinations submitted from the edit page
+ * @returns {Array<Object>} Destinations with normalized sheets settings
+ * @throws {Error} If a setting is invalid
+ */
+export function normalizeDestinationSheetSettings(destinations) {
+  return destinations.map(destination => {
+    if (destination?.type !== 'sheets' || !destination.config) {
+      return destination;
+    }
+
+    return { ...destination, config: normalizeSheetsSettings(destination.config) };
+  });
+}
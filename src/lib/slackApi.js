@@ -0,0 +1,279 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { DeliveryError, getRetryAfterMs, isPermanentStatus, permanentError } from './deliveryErrors.js';
+
+/**
+ * Slack Web API client for bot-token Slack destinations
+ *
+ * A Slack destination posts either through an incoming webhook (`mode:
+ * 'webhook'`, the default) or as a Slack app's bot user with `chat.postMessage`
+ * (`mode: 'bot'`). Bot mode can pick the channel per destination and returns
+ * the message's `ts`, which is stored on the submission (`slack_thread`) so
+ * later events can reply in its thread.
+ *
+ * **Settings** (`config` of a slack destination):
+ * ```javascript
+ * {
+ *   mode: 'bot',                 // 'webhook' (default) or 'bot'
+ *   botToken: 'xoxb-...',        // Bot User OAuth Token (default: SLACK_BOT_TOKEN)
+ *   signingSecret: '8f14e4...',  // Signing secret of botToken's app (needed for triageActions)
+ *   channel: '#leads',           // Channel name or ID the app has been invited to
+ *   triageActions: true          // Add "Mark handled" / "Assign to me" / "Mark spam" buttons
+ * }
+ * ```
+ *
+ * **Environment Variables:**
+ * - SLACK_BOT_TOKEN: Default bot token for destinations without their own
+ * - SLACK_API_BASE_URL: Web API base URL (default: https://slack.com/api);
+ *   point it at a local stub server to test bot mode offline
+ * - SLACK_SIGNING_SECRET: Signing secret of the SLACK_BOT_TOKEN app, for
+ *   destinations without their own. Button clicks on `/api/slack/interactions`
+ *   are only accepted when signed with the clicked notification's secret (see
+ *   `slackTriage.js`)
+ */
+
+export const SLACK_MODES = ['webhook', 'bot'];
+
+const DEFAULT_SLACK_API_BASE_URL = 'https://slack.com/api';
+const MAX_CHANNEL_LENGTH = 80;
+
+// Oldest request timestamp accepted, so captured requests cannot be replayed later
+const MAX_SIGNATURE_AGE_SECONDS = 5 * 60;
+
+// Slack API error codes that retrying cannot fix
+const PERMANENT_SLACK_ERRORS = [
+  'not_authed',
+  'invalid_auth',
+  'account_inactive',
+  'token_revoked',
+  'token_expired',
+  'no_permission',
+  'missing_scope',
+  'not_in_channel',
+  'is_archived',
+  'restricted_action',
+  'msg_too_long',
+  'no_text',
+  'invalid_blocks',
+  'invalid_arguments',
+  'thread_not_found',
+  'message_not_found',
+  'cant_update_message'
+];
+
+/**
+ * Gets the Slack Web API base URL
+ *
+ * @returns {string} Base URL without a trailing slash
+ */
+export function getSlackApiBaseUrl() {
+  return (process.env.SLACK_API_BASE_URL || DEFAULT_SLACK_API_BASE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Gets the bot token of a Slack destination
+ *
+ * @param {Object} config - Slack destination config
+ * @returns {string|null} Destination token, or SLACK_BOT_TOKEN
+ */
+export function getSlackBotToken(config) {
+  return config?.botToken || process.env.SLACK_BOT_TOKEN || null;
+}
+
+/**
+ * Gets the signing secret of the app behind a Slack destination's bot token
+ *
+ * The secret goes with the token: a destination with its own bot token only
+ * uses its own secret, and SLACK_SIGNING_SECRET belongs to SLACK_BOT_TOKEN.
+ *
+ * @param {Object} config - Slack destination config
+ * @returns {string|null} Destination signing secret, or SLACK_SIGNING_SECRET
+ */
+export function getSlackSigningSecret(config) {
+  if (config?.botToken) {
+    return config.signingSecret || null;
+  }
+  return process.env.SLACK_SIGNING_SECRET || null;
+}
+
+/**
+ * Calls a Slack Web API method
+ *
+ * Slack reports most failures as HTTP 200 with `{ ok: false, error }`; those
+ * are turned into `DeliveryError`s (see `deliveryErrors.js`): unknown
+ * channels and rejected requests are permanent, rate limits carry status 429.
+ *
+ * @param {string} method - API method, e.g. 'chat.postMessage'
+ * @param {string} token - Bot token
+ * @param {Object} payload - JSON arguments
+ * @returns {Promise<Object>} Slack's response body (`ok: true`)
+ * @throws {Error} If the request fails or Slack returns an error
+ *
+ * @example
+ * const { channel, ts } = await callSlackApi('chat.postMessage', token, { channel: '#leads', text: 'Hi' });
+ */
+export async function callSlackApi(method, token, payload) {
+  const response = await fetch(`${getSlackApiBaseUrl()}/${method}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify(payload)
+  });
+
+  if (response.status === 429) {
+    const retryAfterMs = getRetryAfterMs(response.headers);
+    throw new DeliveryError(`Slack rate limit exceeded. Retry after ${Math.ceil(retryAfterMs / 1000)} seconds.`, {
+      status: 429,
+      retryAfterMs
+    });
+  }
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new DeliveryError(`Slack API error: ${response.status} ${response.statusText}. ${errorText}`, {
+      permanent: isPermanentStatus(response.status),
+      status: response.status
+    });
+  }
+
+  const data = await response.json().catch(() => null);
+  if (data?.ok) {
+    return data;
+  }
+
+  const code = data?.error || 'unknown_error';
+  if (code === 'channel_not_found') {
+    throw permanentError(`Slack channel ${payload.channel} not found. Check the channel name and that the app can see it.`);
+  }
+  if (code === 'ratelimited') {
+    throw new DeliveryError('Slack rate limit exceeded. Retry after 60 seconds.', { status: 429, retryAfterMs: 60000 });
+  }
+  if (PERMANENT_SLACK_ERRORS.includes(code)) {
+    throw permanentError(`Slack rejected the request (${code})${code === 'not_in_channel' ? '. Invite the app to the channel.' : ''}`);
+  }
+  throw new Error(`Slack API error: ${code}`);
+}
+
+/**
+ * Posts a reply in the thread of a bot-mode Slack notification
+ *
+ * @param {Object} destination - Slack destination (its bot token is used)
+ * @param {{ channel: string, ts: string }} thread - Channel and `ts` of the notification
+ * @param {string} text - Reply text (Slack mrkdwn)
+ * @returns {Promise<{ channel: string, ts: string }>} The reply's channel and `ts`
+ * @throws {Error} If no bot token is configured or Slack rejects the reply
+ */
+export async function postSlackThreadReply(destination, thread, text) {
+  const token = getSlackBotToken(destination?.config);
+  if (!token) {
+    throw permanentError('Slack bot token is required to reply in a thread');
+  }
+
+  const data = await callSlackApi('chat.postMessage', token, {
+    channel: thread.channel,
+    thread_ts: thread.ts,
+    text
+  });
+
+  return { channel: data.channel, ts: data.ts };
+}
+
+// Block ID of the triage buttons (see `slackTriage.js`)
+export const TRIAGE_ACTIONS_BLOCK_ID = 'submission_triage';
+
+/**
+ * Triage buttons by Slack `action_id`
+ */
+export const TRIAGE_ACTIONS = {
+  submission_handled: { label: 'Mark handled', style: 'primary' },
+  submission_assign: { label: 'Assign to me' },
+  submission_spam: { label: 'Mark spam', style: 'danger' }
+};
+
+/**
+ * Builds the actions block with the triage buttons for a submission
+ *
+ * @param {string} submissionId - Submission UUID (sent back as the button value)
+ * @returns {Object} Slack actions block
+ */
+export function buildTriageActionsBlock(submissionId) {
+  return {
+    type: 'actions',
+    block_id: TRIAGE_ACTIONS_BLOCK_ID,
+    elements: Object.entries(TRIAGE_ACTIONS).map(([actionId, action]) => ({
+      type: 'button',
+      action_id: actionId,
+      text: { type: 'plain_text', text: action.label, emoji: true },
+      value: submissionId,
+      ...(action.style ? { style: action.style } : {})
+    }))
+  };
+}
+
+/**
+ * Verifies the signature Slack sends with interactivity requests
+ *
+ * Slack signs `v0:<timestamp>:<raw body>` with the app's signing secret
+ * (HMAC-SHA256) and sends it as `X-Slack-Signature: v0=<hex>`.
+ *
+ * @param {string} rawBody - Raw request body, exactly as received
+ * @param {string|null} timestamp - `X-Slack-Request-Timestamp` header
+ * @param {string|null} signature - `X-Slack-Signature` header
+ * @param {string|null} secret - Signing secret of the app that sent the request
+ *   (see `getSlackSigningSecret`)
+ * @returns {boolean} True if a secret is given and the signature is valid and recent
+ */
+export function verifySlackSignature(rawBody, timestamp, signature, secret) {
+  if (!secret || !timestamp || !signature) return false;
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+  if (!Number.isFinite(age) || age > MAX_SIGNATURE_AGE_SECONDS) return false;
+
+  const expected = Buffer.from(`v0=${createHmac('sha256', secret).update(`v0:${timestamp}:${rawBody}`).digest('hex')}`);
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Validates and normalizes the settings of a connector's Slack destinations before they are saved
+ *
+ * @param {Array<Object>} destinations - Destinations submitted from the edit page
+ * @returns {Array<Object>} Destinations with normalized Slack settings
+ * @throws {Error} If a setting is invalid
+ */
+export function normalizeDestinationSlackSettings(destinations) {
+  return destinations.map(destination => {
+    if (destination?.type !== 'slack' || !destination.config) {
+      return destination;
+    }
+
+    const config = { ...destination.config };
+    if (config.mode !== undefined && !SLACK_MODES.includes(config.mode)) {
+      throw new Error(`Slack mode must be one of: ${SLACK_MODES.join(', ')}`);
+    }
+    if (config.channel !== undefined) {
+      config.channel = String(config.channel || '').trim();
+      if (config.channel.length > MAX_CHANNEL_LENGTH) {
+        throw new Error(`Slack channel must be at most ${MAX_CHANNEL_LENGTH} characters`);
+      }
+    }
+    if (config.botToken !== undefined) {
+      config.botToken = String(config.botToken || '').trim();
+    }
+    if (config.signingSecret !== undefined) {
+      config.signingSecret = String(config.signingSecret || '').trim();
+    }
+    if (config.triageActions !== undefined) {
+      config.triageActions = config.triageActions === true;
+    }
+    if (config.mode === 'bot' && !config.channel) {
+      throw new Error('Slack channel is required in bot mode');
+    }
+    // Clicks are verified with the secret of the app that posted the buttons
+    if (config.mode === 'bot' && config.triageActions && config.botToken && !config.signingSecret) {
+      throw new Error('Slack signing secret is required for triage buttons with a custom bot token');
+    }
+
+    return { ...destination, config };
+  });
+}
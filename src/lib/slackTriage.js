@@ -0,0 +1,214 @@
+import { supabase } from './supabase';
+import { getConnectorDestinations } from './destinations';
+import {
+  TRIAGE_ACTIONS,
+  TRIAGE_ACTIONS_BLOCK_ID,
+  buildTriageActionsBlock,
+  callSlackApi,
+  getSlackBotToken,
+  getSlackSigningSecret
+} from './slackApi';
+
+/**
+ * Triage buttons on Slack notifications
+ *
+ * Bot-mode Slack destinations with `triageActions: true` add "Mark handled",
+ * "Assign to me" and "Mark spam" buttons to each notification. Clicks are
+ * sent by Slack to `/api/slack/interactions`, which verifies the request
+ * signature with `getSlackInteractionSigningSecret` and calls
+ * `applySlackTriageAction`. The submission's status and
+ * assignee are updated, and the notification is rewritten to show who
+ * triaged it.
+ *
+ * **Slack App Setup:**
+ * - Interactivity & Shortcuts → Request URL: `<NEXT_PUBLIC_BASE_URL>/api/slack/interactions`
+ * - Basic Information → Signing Secret → the destination's "Signing Secret"
+ *   (SLACK_SIGNING_SECRET for destinations using SLACK_BOT_TOKEN)
+ *
+ * **Submission Fields** (see supabase-slack-triage-migration.sql):
+ * - status: `handled` or `spam` once triaged
+ * - assignee / assigned_at: Slack user who took the submission
+ * - handled_by / handled_at: Slack user who handled it or marked it as spam
+ */
+
+// Block ID of the triage status line added to a notification
+const TRIAGE_STATUS_BLOCK_ID = 'submission_triage_status';
+
+/**
+ * Gets the name stored for the Slack user who clicked a button
+ *
+ * @param {Object} user - `user` of the interaction payload
+ * @returns {string} `@username`, or the user ID
+ * @private
+ */
+function describeSlackUser(user) {
+  const name = user?.username || user?.name;
+  return name ? `@${name}` : user?.id || 'unknown';
+}
+
+/**
+ * Gets a connector's Slack destination
+ *
+ * @param {string} connectorId - Connector UUID
+ * @returns {Promise<Object|undefined>} Slack destination, if the connector has one
+ * @private
+ */
+async function findSlackDestination(connectorId) {
+  const { data: connector } = await supabase
+    .from('connectors')
+    .select('*')
+    .eq('id', connectorId)
+    .single();
+
+  return getConnectorDestinations(connector).find(dest => dest.type === 'slack');
+}
+
+/**
+ * Gets the signing secret to verify a Slack interaction request with
+ *
+ * Runs before the request is verified, so the payload only picks the
+ * submission whose notification was clicked. The secret of that connector's
+ * Slack destination is used, so only the app that posted the notification
+ * can triage it. Requests for unknown submissions are verified with
+ * SLACK_SIGNING_SECRET.
+ *
+ * @param {Object|null} payload - Unverified interaction payload
+ * @returns {Promise<string|null>} Signing secret, or null if none is configured
+ */
+export async function getSlackInteractionSigningSecret(payload) {
+  const submissionId = payload?.actions?.[0]?.value;
+  if (typeof submissionId !== 'string' || !submissionId) {
+    return getSlackSigningSecret(null);
+  }
+
+  const { data: submission } = await supabase
+    .from('submissions')
+    .select('connector_id, slack_thread')
+    .eq('id', submissionId)
+    .single();
+
+  if (!submission?.slack_thread) {
+    return getSlackSigningSecret(null);
+  }
+
+  return getSlackSigningSecret((await findSlackDestination(submission.connector_id))?.config);
+}
+
+/**
+ * Rebuilds a notification's blocks for a submission's triage state
+ *
+ * The previous triage blocks are replaced: a context line lists the assignee
+ * and who handled the submission, and the buttons stay until it is handled or
+ * marked as spam.
+ *
+ * @param {Array<Object>} blocks - Blocks of the posted notification
+ * @param {Object} submission - Updated submission row
+ * @returns {Array<Object>} New blocks
+ * @private
+ */
+function buildTriagedBlocks(blocks, submission) {
+  const kept = (blocks || []).filter(block =>
+    block.block_id !== TRIAGE_ACTIONS_BLOCK_ID && block.block_id !== TRIAGE_STATUS_BLOCK_ID
+  );
+
+  const lines = [];
+  if (submission.status === 'handled') {
+    lines.push(`✅ Handled by ${submission.handled_by}`);
+  } else if (submission.status === 'spam') {
+    lines.push(`🚫 Marked as spam by ${submission.handled_by}`);
+  }
+  if (submission.assignee) {
+    lines.push(`👤 Assigned to ${submission.assignee}`);
+  }
+
+  return [
+    ...kept,
+    ...(lines.length > 0
+      ? [{ type: 'context', block_id: TRIAGE_STATUS_BLOCK_ID, elements: [{ type: 'mrkdwn', text: lines.join(' | ') }] }]
+      : []),
+    ...(['handled', 'spam'].includes(submission.status) ? [] : [buildTriageActionsBlock(submission.id)])
+  ];
+}
+
+/**
+ * Applies a triage button click from Slack
+ *
+ * The clicked message must be the submission's recorded notification
+ * (`slack_thread`), so a button can only triage its own submission.
+ *
+ * @param {Object} payload - Slack `block_actions` interaction payload
+ * @returns {Promise<{ submissionId: string, action: string, status: string, assignee: string|null }>}
+ *   Updated triage state
+ * @throws {Error} If the action is unknown, or the submission or message does not match
+ *
+ * @example
+ * const result = await applySlackTriageAction(JSON.parse(form.get('payload')));
+ * // result => { submissionId: 'uuid', action: 'submission_handled', status: 'handled', assignee: null }
+ */
+export async function applySlackTriageAction(payload) {
+  const action = payload?.actions?.[0];
+  if (!action || !Object.prototype.hasOwnProperty.call(TRIAGE_ACTIONS, action.action_id)) {
+    throw new Error(`Unknown Slack action: ${action?.action_id || 'none'}`);
+  }
+
+  const submissionId = action.value;
+  const channel = payload.channel?.id || payload.container?.channel_id;
+  const ts = payload.message?.ts || payload.container?.message_ts;
+
+  const { data: submission, error } = await supabase
+    .from('submissions')
+    .select('*')
+    .eq('id', submissionId)
+    .single();
+
+  if (error || !submission) {
+    throw new Error(`Submission ${submissionId} not found`);
+  }
+
+  const thread = submission.slack_thread;
+  if (!thread?.ts || thread.ts !== ts || thread.channel !== channel) {
+    throw new Error(`Slack message ${ts} is not the notification of submission ${submissionId}`);
+  }
+
+  const user = describeSlackUser(payload.user);
+  const now = new Date().toISOString();
+  const changes = action.action_id === 'submission_assign'
+    ? { assignee: user, assigned_at: now }
+    : {
+      status: action.action_id === 'submission_spam' ? 'spam' : 'handled',
+      handled_by: user,
+      handled_at: now,
+      ...(action.action_id === 'submission_spam' ? { spam_reason: `slack: Marked as spam by ${user}` } : {})
+    };
+
+  const { data: updated, error: updateError } = await supabase
+    .from('submissions')
+    .update(changes)
+    .eq('id', submissionId)
+    .select()
+    .single();
+
+  if (updateError || !updated) {
+    throw new Error(`Failed to update submission ${submissionId}: ${updateError?.message || 'no row returned'}`);
+  }
+
+  console.log(`🏷️  Submission ${submissionId}: ${action.action_id} by ${user}`);
+
+  // Rewrite the notification (best effort: the submission is already updated)
+  const destination = await findSlackDestination(submission.connector_id);
+  const token = getSlackBotToken(destination?.config);
+  if (token) {
+    try {
+      await callSlackApi('chat.update', token, {
+        channel,
+        ts,
+        text: payload.message?.text || 'Form submission',
+        blocks: buildTriagedBlocks(payload.message?.blocks, updated)
+      });
+    } catch (slackError) {
+      console.error(`❌ Failed to update Slack message for submission ${submissionId}:`, slackError.message);
+    }
+  }
+
+  return { submissionId, action: action.action_id, status: updated.status, assignee: updated.assignee || null };
+}
@@ -0,0 +1,250 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { CAPTCHA_RESPONSE_FIELDS, getCaptchaVerifier } from './captcha';
+
+/**
+ * Spam protection module for form submissions
+ *
+ * Connectors can opt in to three independent checks, configured in the
+ * `spam_settings` column:
+ *
+ * 1. **Honeypot:** a hidden field real visitors leave empty. Any value marks
+ *    the submission as spam.
+ * 2. **Time trap:** the form embeds a signed timestamp token fetched from
+ *    `GET /api/submit/{connectorId}/token`. Submissions posted sooner than
+ *    `minFillSeconds` after the token was issued (or without a valid token)
+ *    are spam.
+ * 3. **CAPTCHA:** an hCaptcha, reCAPTCHA or Turnstile token verified with the
+ *    connector's secret key (see `captcha.js`).
+ *
+ * **Spam Settings Structure:**
+ * ```javascript
+ * {
+ *   honeypotField: 'website',     // Hidden field name ('' = disabled)
+ *   minFillSeconds: 3,            // Minimum seconds between token and submit (0 = disabled)
+ *   captchaProvider: 'turnstile', // hcaptcha | recaptcha | turnstile ('' = disabled)
+ *   captchaSecret: '0x4AAA...',   // Provider secret key
+ *   captchaMinScore: 0.5          // Minimum reCAPTCHA v3 score
+ * }
+ * ```
+ *
+ * **Environment Variables:**
+ * - FORM_TOKEN_SECRET: Secret used to sign time-trap tokens (required for the time trap)
+ */
+
+/**
+ * Field the time-trap token is posted in
+ */
+export const FORM_TOKEN_FIELD = '_fc_token';
+
+// Tokens older than this are rejected so scraped tokens cannot be reused forever
+const MAX_TOKEN_AGE_SECONDS = 24 * 60 * 60;
+
+/**
+ * Default per-connector spam settings (all checks disabled)
+ */
+export const DEFAULT_SPAM_SETTINGS = {
+  honeypotField: '',
+  minFillSeconds: 0,
+  captchaProvider: '',
+  captchaSecret: '',
+  captchaMinScore: 0.5
+};
+
+/**
+ * Merges a connector's spam settings with the defaults
+ *
+ * @param {Object|null|undefined} settings - Connector `spam_settings` column
+ * @returns {Object} Complete spam settings
+ */
+export function resolveSpamSettings(settings) {
+  const merged = { ...DEFAULT_SPAM_SETTINGS, ...(settings || {}) };
+
+  return {
+    honeypotField: String(merged.honeypotField || '').trim(),
+    minFillSeconds: Math.max(0, Number(merged.minFillSeconds) || 0),
+    captchaProvider: merged.captchaProvider || '',
+    captchaSecret: String(merged.captchaSecret || '').trim(),
+    captchaMinScore: Number(merged.captchaMinScore ?? DEFAULT_SPAM_SETTINGS.captchaMinScore)
+  };
+}
+
+/**
+ * Validates and normalizes spam settings before they are saved
+ *
+ * @param {*} settings - Settings submitted from the edit page
+ * @returns {Object} Normalized spam settings
+ * @throws {Error} If a setting is invalid
+ */
+export function normalizeSpamSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('spam_settings must be an object');
+  }
+
+  const resolved = resolveSpamSettings(settings);
+
+  if (resolved.honeypotField.length > 255) {
+    throw new Error('Honeypot field name must not exceed 255 characters');
+  }
+
+  if (resolved.minFillSeconds > 3600) {
+    throw new Error('Minimum fill time must not exceed 3600 seconds');
+  }
+
+  if (resolved.captchaProvider) {
+    if (!CAPTCHA_RESPONSE_FIELDS[resolved.captchaProvider]) {
+      throw new Error(`Unknown CAPTCHA provider: ${resolved.captchaProvider}`);
+    }
+    if (!resolved.captchaSecret) {
+      throw new Error('A CAPTCHA secret key is required when a CAPTCHA provider is selected');
+    }
+  }
+
+  if (!(resolved.captchaMinScore >= 0 && resolved.captchaMinScore <= 1)) {
+    throw new Error('CAPTCHA minimum score must be between 0 and 1');
+  }
+
+  return resolved;
+}
+
+/**
+ * Signs a time-trap token payload
+ *
+ * @param {string} payload - `${connectorId}.${issuedAt}`
+ * @returns {string} Hex HMAC-SHA256 signature
+ * @throws {Error} If FORM_TOKEN_SECRET is not set
+ * @private
+ */
+function signTokenPayload(payload) {
+  const secret = process.env.FORM_TOKEN_SECRET;
+
+  if (!secret) {
+    throw new Error('FORM_TOKEN_SECRET environment variable is not set');
+  }
+
+  return createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+/**
+ * Creates a signed time-trap token for a connector
+ *
+ * @param {string} connectorId - Connector the token is valid for
+ * @param {number} [issuedAt=Date.now()] - Issue time (ms)
+ * @returns {string} Token in the form `<issuedAt>.<signature>`
+ */
+export function createFormToken(connectorId, issuedAt = Date.now()) {
+  return `${issuedAt}.${signTokenPayload(`${connectorId}.${issuedAt}`)}`;
+}
+
+/**
+ * Verifies a time-trap token and returns its age
+ *
+ * @param {string} connectorId - Connector the submission was posted to
+ * @param {*} token - Token from the submission
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {number|null} Token age in seconds, or null if the token is missing or forged
+ */
+export function getFormTokenAge(connectorId, token, now = Date.now()) {
+  if (typeof token !== 'string') return null;
+
+  const [issuedAt, signature] = token.split('.');
+  if (!/^\d+$/.test(issuedAt || '') || !signature) return null;
+
+  const expected = Buffer.from(signTokenPayload(`${connectorId}.${issuedAt}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return (now - Number(issuedAt)) / 1000;
+}
+
+/**
+ * Checks a submission against a connector's spam settings
+ *
+ * Control fields (honeypot, time-trap token and CAPTCHA responses) are removed
+ * from the returned fields so they are never stored or forwarded.
+ *
+ * @param {Object} fields - Parsed submission fields
+ * @param {Object} connector - Connector row
+ * @param {Object} [options] - Request details
+ * @param {string|null} [options.remoteIp] - Visitor IP address (passed to CAPTCHA providers)
+ * @returns {Promise<{ fields: Object, spam: { check: string, reason: string } | null }>}
+ *   Cleaned fields and the failed check, if any
+ *
+ * @example
+ * const { fields, spam } = await checkSpam(formData, connector, { remoteIp });
+ * if (spam) {
+ *   // Store with status 'spam' and skip destinations
+ * }
+ */
+export async function checkSpam(fields, connector, { remoteIp = null } = {}) {
+  const settings = resolveSpamSettings(connector.spam_settings);
+  const cleaned = { ...fields };
+
+  const honeypotValue = settings.honeypotField ? cleaned[settings.honeypotField] : undefined;
+  const token = cleaned[FORM_TOKEN_FIELD];
+  const captchaToken = settings.captchaProvider
+    ? cleaned[CAPTCHA_RESPONSE_FIELDS[settings.captchaProvider]]
+    : undefined;
+
+  if (settings.honeypotField) delete cleaned[settings.honeypotField];
+  delete cleaned[FORM_TOKEN_FIELD];
+  Object.values(CAPTCHA_RESPONSE_FIELDS).forEach(field => delete cleaned[field]);
+
+  // 1. Honeypot
+  if (settings.honeypotField && honeypotValue !== undefined && String(honeypotValue).trim() !== '') {
+    return { fields: cleaned, spam: { check: 'honeypot', reason: 'Honeypot field was filled in' } };
+  }
+
+  // 2. Time trap
+  if (settings.minFillSeconds > 0) {
+    const age = getFormTokenAge(connector.id, token);
+
+    if (age === null) {
+      return { fields: cleaned, spam: { check: 'time_trap', reason: 'Missing or invalid form token' } };
+    }
+    if (age > MAX_TOKEN_AGE_SECONDS) {
+      return { fields: cleaned, spam: { check: 'time_trap', reason: 'Form token expired' } };
+    }
+    if (age < settings.minFillSeconds) {
+      return {
+        fields: cleaned,
+        spam: { check: 'time_trap', reason: `Form submitted after ${age.toFixed(1)}s (minimum ${settings.minFillSeconds}s)` }
+      };
+    }
+  }
+
+  // 3. CAPTCHA
+  if (settings.captchaProvider) {
+    if (typeof captchaToken !== 'string' || !captchaToken) {
+      return { fields: cleaned, spam: { check: 'captcha', reason: 'Missing CAPTCHA response' } };
+    }
+
+    let result;
+    try {
+      result = await getCaptchaVerifier(settings.captchaProvider).verify({
+        token: captchaToken,
+        secret: settings.captchaSecret,
+        remoteIp
+      });
+    } catch (error) {
+      console.error('❌ CAPTCHA verification error:', error.message);
+      return { fields: cleaned, spam: { check: 'captcha', reason: `CAPTCHA verification unavailable: ${error.message}` } };
+    }
+
+    if (!result.success) {
+      return {
+        fields: cleaned,
+        spam: { check: 'captcha', reason: `CAPTCHA rejected (${result.errorCodes.join(', ') || 'no reason given'})` }
+      };
+    }
+    if (result.score !== undefined && result.score < settings.captchaMinScore) {
+      return {
+        fields: cleaned,
+        spam: { check: 'captcha', reason: `CAPTCHA score ${result.score} below ${settings.captchaMinScore}` }
+      };
+    }
+  }
+
+  return { fields: cleaned, spam: null };
+}
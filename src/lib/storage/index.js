@@ -0,0 +1,44 @@
+import { localStorageDriver } from './local.js';
+import { s3StorageDriver } from './s3.js';
+
+/**
+ * Attachment storage drivers registry
+ *
+ * This object maps driver names to storage drivers. Each driver exposes:
+ * - put({ key, body, contentType }): Stores a file
+ * - get(key): Returns { body, contentType } for a stored file
+ *
+ * Stored file references record the driver name, so files remain readable
+ * after the default driver is changed.
+ *
+ * @type {Object<string, Object>}
+ */
+export const storageDrivers = {
+  local: localStorageDriver,
+  s3: s3StorageDriver
+};
+
+/**
+ * Gets a storage driver by name, or the configured default driver
+ *
+ * The default is selected with the ATTACHMENT_STORAGE_DRIVER environment
+ * variable (`local` or `s3`, default: `local`).
+ *
+ * @param {string} [name] - Driver name (defaults to ATTACHMENT_STORAGE_DRIVER)
+ * @returns {Object} Storage driver
+ * @throws {Error} If the driver name is unknown
+ *
+ * @example
+ * const driver = getStorageDriver();
+ * await driver.put({ key: 'abc/resume.pdf', body, contentType: 'application/pdf' });
+ */
+export function getStorageDriver(name) {
+  const driverName = name || process.env.ATTACHMENT_STORAGE_DRIVER || 'local';
+  const driver = storageDrivers[driverName];
+
+  if (!driver) {
+    throw new Error(`Unknown attachment storage driver: ${driverName}`);
+  }
+
+  return driver;
+}
@@ -0,0 +1,100 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { permanentError } from '../deliveryErrors.js';
+
+/**
+ * Local filesystem attachment storage driver
+ *
+ * Stores uploaded files under a base directory on the server's disk. Suitable
+ * for development and single-instance deployments; use the S3 driver when the
+ * app runs on multiple instances or on serverless platforms.
+ *
+ * **Environment Variables:**
+ * - ATTACHMENT_STORAGE_DIR: Base directory (default: `./uploads`)
+ */
+
+/**
+ * Gets the base directory for stored attachments
+ *
+ * @returns {string} Absolute base directory path
+ * @private
+ */
+function getBaseDir() {
+  return path.resolve(process.env.ATTACHMENT_STORAGE_DIR || path.join(process.cwd(), 'uploads'));
+}
+
+/**
+ * Resolves a storage key to a path inside the base directory
+ *
+ * @param {string} key - Storage key (e.g. "connector-id/uuid/resume.pdf")
+ * @returns {string} Absolute file path
+ * @throws {Error} If the key would escape the base directory
+ * @private
+ */
+function resolveKeyPath(key) {
+  const baseDir = getBaseDir();
+  const filePath = path.resolve(baseDir, key);
+
+  if (!filePath.startsWith(baseDir + path.sep)) {
+    throw new Error(`Invalid attachment key: ${key}`);
+  }
+
+  return filePath;
+}
+
+/**
+ * Local filesystem storage driver
+ *
+ * Content types are kept in a `.meta.json` sidecar next to each file.
+ *
+ * @type {{ name: string, put: Function, get: Function }}
+ */
+export const localStorageDriver = {
+  name: 'local',
+
+  /**
+   * Writes a file to disk
+   *
+   * @param {Object} object - Object to store
+   * @param {string} object.key - Storage key
+   * @param {Buffer} object.body - File contents
+   * @param {string} object.contentType - MIME type
+   * @returns {Promise<void>} Resolves when the file is written
+   */
+  async put({ key, body, contentType }) {
+    const filePath = resolveKeyPath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body);
+    await fs.writeFile(`${filePath}.meta.json`, JSON.stringify({ contentType }));
+  },
+
+  /**
+   * Reads a file from disk
+   *
+   * @param {string} key - Storage key
+   * @returns {Promise<{ body: Buffer, contentType: string }>} File contents and MIME type
+   * @throws {Error} If the file does not exist
+   */
+  async get(key) {
+    const filePath = resolveKeyPath(key);
+    let body;
+    try {
+      body = await fs.readFile(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw permanentError(`Attachment not found: ${key}`, { cause: error });
+      }
+      throw error;
+    }
+
+    let contentType = 'application/octet-stream';
+    try {
+      const meta = JSON.parse(await fs.readFile(`${filePath}.meta.json`, 'utf8'));
+      contentType = meta.contentType || contentType;
+    } catch {
+      // Missing sidecar: fall back to a generic binary type
+    }
+
+    return { body, contentType };
+  }
+};
@@ -0,0 +1,224 @@
+import { createHash, createHmac } from 'crypto';
+import { permanentError } from '../deliveryErrors.js';
+
+/**
+ * S3-compatible attachment storage driver
+ *
+ * Stores uploaded files in an S3 bucket using plain HTTPS requests signed with
+ * AWS Signature Version 4. Works with AWS S3 and S3-compatible services such as
+ * MinIO, Cloudflare R2 or a local stand-in server for tests.
+ *
+ * **Environment Variables:**
+ * - S3_BUCKET: Bucket name (required)
+ * - S3_ACCESS_KEY_ID: Access key (required)
+ * - S3_SECRET_ACCESS_KEY: Secret key (required)
+ * - S3_REGION: Region (default: `us-east-1`)
+ * - S3_ENDPOINT: Custom endpoint, e.g. `http://localhost:9000` (default: AWS)
+ * - S3_FORCE_PATH_STYLE: `true` to use `endpoint/bucket/key` URLs
+ *   (default: `true` when S3_ENDPOINT is set, otherwise virtual-hosted style)
+ */
+
+/**
+ * Reads and validates the S3 configuration from environment variables
+ *
+ * @returns {Object} S3 configuration
+ * @throws {Error} If a required variable is missing
+ * @private
+ */
+function getS3Config() {
+  const bucket = process.env.S3_BUCKET;
+  const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+  const region = process.env.S3_REGION || 'us-east-1';
+  const endpoint = process.env.S3_ENDPOINT;
+
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const forcePathStyle = process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === 'true'
+    : Boolean(endpoint);
+
+  return { bucket, accessKeyId, secretAccessKey, region, endpoint, forcePathStyle };
+}
+
+/**
+ * URI-encodes a string as required by SigV4 (RFC 3986, "/" optionally kept)
+ *
+ * @param {string} value - Value to encode
+ * @param {boolean} [keepSlashes=false] - Whether to leave "/" unencoded
+ * @returns {string} Encoded value
+ * @private
+ */
+function uriEncode(value, keepSlashes = false) {
+  const encoded = encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return keepSlashes ? encoded.replace(/%2F/g, '/') : encoded;
+}
+
+/**
+ * Hex-encoded SHA-256 digest
+ *
+ * @param {string|Buffer} data - Data to hash
+ * @returns {string} Hex digest
+ * @private
+ */
+function sha256Hex(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * HMAC-SHA256
+ *
+ * @param {string|Buffer} key - HMAC key
+ * @param {string} data - Data to sign
+ * @returns {Buffer} Raw HMAC digest
+ * @private
+ */
+function hmac(key, data) {
+  return createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Builds the request URL for an object key
+ *
+ * @param {Object} config - S3 configuration
+ * @param {string} key - Object key
+ * @returns {URL} Object URL
+ * @private
+ */
+function buildObjectUrl(config, key) {
+  const encodedKey = uriEncode(key, true);
+
+  if (config.endpoint) {
+    const base = new URL(config.endpoint);
+    return config.forcePathStyle
+      ? new URL(`${base.origin}/${config.bucket}/${encodedKey}`)
+      : new URL(`${base.protocol}//${config.bucket}.${base.host}/${encodedKey}`);
+  }
+
+  return config.forcePathStyle
+    ? new URL(`https://s3.${config.region}.amazonaws.com/${config.bucket}/${encodedKey}`)
+    : new URL(`https://${config.bucket}.s3.${config.region}.amazonaws.com/${encodedKey}`);
+}
+
+/**
+ * Sends a SigV4-signed request to S3
+ *
+ * @param {Object} config - S3 configuration
+ * @param {string} method - HTTP method
+ * @param {string} key - Object key
+ * @param {Object} [options] - Request options
+ * @param {Buffer} [options.body] - Request body
+ * @param {Object<string, string>} [options.headers] - Additional headers to sign and send
+ * @returns {Promise<Response>} Fetch response
+ * @private
+ */
+async function signedRequest(config, method, key, { body, headers = {} } = {}) {
+  const url = buildObjectUrl(config, key);
+  const now = new Date();
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256Hex(body || '');
+
+  const signedHeaderMap = {
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()]))
+  };
+  const headerNames = Object.keys(signedHeaderMap).sort();
+  const canonicalHeaders = headerNames.map(name => `${name}:${signedHeaderMap[name]}\n`).join('');
+  const signedHeaders = headerNames.join(';');
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    canonicalHeaders,
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${config.region}/s3/aws4_request`;
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    sha256Hex(canonicalRequest)
+  ].join('\n');
+
+  const signingKey = hmac(
+    hmac(hmac(hmac(`AWS4${config.secretAccessKey}`, dateStamp), config.region), 's3'),
+    'aws4_request'
+  );
+  const signature = createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  const requestHeaders = { ...signedHeaderMap };
+  delete requestHeaders.host;
+  requestHeaders.Authorization =
+    `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, ` +
+    `SignedHeaders=${signedHeaders}, Signature=${signature}`;
+
+  return fetch(url, { method, headers: requestHeaders, body });
+}
+
+/**
+ * S3-compatible storage driver
+ *
+ * @type {{ name: string, put: Function, get: Function }}
+ */
+export const s3StorageDriver = {
+  name: 's3',
+
+  /**
+   * Uploads an object to the bucket
+   *
+   * @param {Object} object - Object to store
+   * @param {string} object.key - Object key
+   * @param {Buffer} object.body - File contents
+   * @param {string} object.contentType - MIME type
+   * @returns {Promise<void>} Resolves when the upload succeeds
+   * @throws {Error} If S3 returns an error
+   */
+  async put({ key, body, contentType }) {
+    const config = getS3Config();
+    const response = await signedRequest(config, 'PUT', key, {
+      body,
+      headers: { 'Content-Type': contentType || 'application/octet-stream' }
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`S3 upload failed: ${response.status} ${response.statusText}. ${errorText}`);
+    }
+  },
+
+  /**
+   * Downloads an object from the bucket
+   *
+   * @param {string} key - Object key
+   * @returns {Promise<{ body: Buffer, contentType: string }>} File contents and MIME type
+   * @throws {Error} If the object does not exist or S3 returns an error
+   */
+  async get(key) {
+    const config = getS3Config();
+    const response = await signedRequest(config, 'GET', key);
+
+    if (!response.ok) {
+      if (response.status === 404) {
+        throw permanentError(`Attachment not found: ${key}`, { status: 404 });
+      }
+      const errorText = await response.text();
+      throw new Error(`S3 download failed: ${response.status} ${response.statusText}. ${errorText}`);
+    }
+
+    return {
+      body: Buffer.from(await response.arrayBuffer()),
+      contentType: response.headers.get('content-type') || 'application/octet-stream'
+    };
+  }
+};
@@ -2,11 +2,16 @@ import { createClient } from '@supabase/supabase-js'
 
 const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL || ''
 const supabaseAnonKey = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY || ''
+const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY || ''
 
 if (!supabaseUrl || !supabaseAnonKey) {
   console.warn('Supabase environment variables are not set. Please add NEXT_PUBLIC_SUPABASE_URL and NEXT_PUBLIC_SUPABASE_ANON_KEY to your .env.local file')
 }
 
+if (!supabaseServiceRoleKey) {
+  console.warn('SUPABASE_SERVICE_ROLE_KEY is not set. The delivery queue, dead letters, auto-replies and user settings need it (see supabase-worker-security-migration.sql)')
+}
+
 /**
  * Supabase client instance for database operations
  * 
@@ -44,5 +49,31 @@ export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
   },
 })
 
-
-
+/**
+ * Supabase client with the service role key, for server-only tables
+ * 
+ * `delivery_jobs`, `dead_letters`, `auto_replies` and `user_settings` have row
+ * level security without policies, and the queue's functions can only be
+ * executed by the service role (see supabase-worker-security-migration.sql).
+ * Job payloads hold destination secrets (bot tokens, signing secrets, API
+ * keys), so they must never be reachable with the public anon key.
+ * 
+ * The service role bypasses row level security: code using this client must
+ * check ownership itself (e.g. `getDeadLetterForUser`). Never import it from a
+ * client component.
+ * 
+ * **Required Environment Variables:**
+ * - NEXT_PUBLIC_SUPABASE_URL: Your Supabase project URL
+ * - SUPABASE_SERVICE_ROLE_KEY: Your Supabase service role key (server-only)
+ * 
+ * @type {import('@supabase/supabase-js').SupabaseClient}
+ */
+export const supabaseAdmin = createClient(supabaseUrl, supabaseServiceRoleKey || supabaseAnonKey, {
+  db: {
+    schema: 'public',
+  },
+  auth: {
+    persistSession: false,
+    autoRefreshToken: false,
+  },
+})
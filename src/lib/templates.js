@@ -0,0 +1,312 @@
+/**
+ * Logic-less message templates for email and Slack destinations
+ *
+ * Templates use a small Mustache-style syntax. There are no expressions or
+ * function calls, so a template can only read values from the context:
+ * - `{{fields.email}}` - A value, escaped for the output (HTML, Slack JSON or plain text)
+ * - `{{#all_fields}}...{{/all_fields}}` - Repeats the block for every submitted field
+ * - `{{#fields.company}}...{{/fields.company}}` - Renders the block if the value is
+ *   present (loops over it if it is a list)
+ * - `{{^fields.company}}...{{/fields.company}}` - Renders the block if the value is missing or empty
+ * - `{{.}}` - The current item inside a list loop
+ * - `{{! comment }}` - Ignored
+ *
+ * **Context:**
+ * ```javascript
+ * {
+ *   fields: { name: 'Jane', email: 'jane@example.com' },   // Submitted fields by name
+ *   all_fields: [                                           // Every field, in order
+ *     { name: 'name', label: 'Name', value: 'Jane', files: [] },
+ *     { name: 'resume', label: 'Resume', value: 'cv.pdf (https://...)', files: [{ filename: 'cv.pdf', url: 'https://...' }] }
+ *   ],
+ *   connector: { id: 'uuid', name: 'Contact Form' },
+ *   timestamp: '2024-01-01T00:00:00.000Z'
+ * }
+ * ```
+ *
+ * Inside a loop, names are looked up on the current item first, then on the
+ * enclosing contexts (so `{{connector.name}}` still works in `{{#all_fields}}`).
+ */
+
+// Matches a single tag: comment, section open/close, inverted section or variable
+const TAG_PATTERN = /\{\{\s*([#^/!]?)\s*([^}]*?)\s*\}\}/g;
+
+// Tag names are dotted paths, or "." for the current item
+const NAME_PATTERN = /^(\.|[\w-]+(\.[\w-]+)*)$/;
+
+const MAX_TEMPLATE_LENGTH = 20000;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#039;'
+};
+
+/**
+ * Output escapers
+ *
+ * - `html`: HTML entities (email bodies)
+ * - `slack`: Slack control characters, then JSON string escaping (Block Kit templates)
+ * - `text`: No escaping (plain-text bodies, subjects)
+ */
+const ESCAPERS = {
+  html: text => text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]),
+  slack: text => JSON.stringify(text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')).slice(1, -1),
+  text: text => text
+};
+
+/**
+ * Checks whether a value is an uploaded file reference
+ *
+ * @param {*} value - Form value
+ * @returns {boolean} True for file references
+ * @private
+ */
+function isFile(value) {
+  return Boolean(value) && typeof value === 'object' && value.kind === 'file';
+}
+
+/**
+ * Converts a value to text for output
+ *
+ * @param {*} value - Context value
+ * @returns {string} Text (lists joined with commas, files as "filename (url)")
+ * @private
+ */
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(toText).join(', ');
+  if (isFile(value)) return `${value.filename} (${value.url})`;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Checks whether a section should render
+ *
+ * @param {*} value - Context value
+ * @returns {boolean} False for missing values, false, blank strings and empty lists
+ * @private
+ */
+function isTruthy(value) {
+  if (value === null || value === undefined || value === false) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+/**
+ * Parses a template into a tree of text, variable and section nodes
+ *
+ * @param {string} template - Template source
+ * @returns {Array<Object>} Parsed nodes
+ * @throws {Error} If a tag is malformed or sections are not balanced
+ */
+export function parseTemplate(template) {
+  const source = String(template ?? '');
+  if (source.length > MAX_TEMPLATE_LENGTH) {
+    throw new Error(`Template exceeds ${MAX_TEMPLATE_LENGTH} characters`);
+  }
+
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const [tag, sigil, name] = match;
+    const current = stack[stack.length - 1];
+
+    if (match.index > lastIndex) {
+      current.children.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (sigil === '!') continue;
+
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid template tag "${tag}"`);
+    }
+
+    if (sigil === '#' || sigil === '^') {
+      const section = { type: 'section', name, inverted: sigil === '^', children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (sigil === '/') {
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`Unexpected closing tag "${tag}"`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: 'variable', name });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed section "{{#${stack[stack.length - 1].name}}}"`);
+  }
+
+  if (lastIndex < source.length) {
+    root.children.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+
+  return root.children;
+}
+
+/**
+ * Looks up a name in the context stack, innermost context first
+ *
+ * @param {string} name - Dotted path or "."
+ * @param {Array<*>} stack - Context stack
+ * @returns {*} Value, or undefined if not found
+ * @private
+ */
+function lookup(name, stack) {
+  if (name === '.') return stack[stack.length - 1];
+
+  const [head, ...rest] = name.split('.');
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const context = stack[i];
+    if (context && typeof context === 'object' && Object.prototype.hasOwnProperty.call(context, head)) {
+      return rest.reduce((value, key) => {
+        if (value === null || value === undefined || typeof value !== 'object') return undefined;
+        return Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined;
+      }, context[head]);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Renders parsed nodes against a context stack
+ *
+ * @param {Array<Object>} nodes - Parsed nodes
+ * @param {Array<*>} stack - Context stack
+ * @param {Function} escape - Output escaper
+ * @returns {string} Rendered text
+ * @private
+ */
+function renderNodes(nodes, stack, escape) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+    if (node.type === 'variable') return escape(toText(lookup(node.name, stack)));
+
+    const value = lookup(node.name, stack);
+    if (node.inverted) {
+      return isTruthy(value) ? '' : renderNodes(node.children, stack, escape);
+    }
+    if (!isTruthy(value)) return '';
+    if (Array.isArray(value)) {
+      return value.map(item => renderNodes(node.children, [...stack, item], escape)).join('');
+    }
+    return renderNodes(node.children, typeof value === 'object' ? [...stack, value] : stack, escape);
+  }).join('');
+}
+
+/**
+ * Renders a template
+ *
+ * @param {string} template - Template source
+ * @param {Object} context - Template context (see `buildTemplateContext`)
+ * @param {'html'|'slack'|'text'} [escape='text'] - How values are escaped
+ * @returns {string} Rendered output
+ * @throws {Error} If the template cannot be parsed
+ *
+ * @example
+ * renderTemplate('<p>{{fields.name}}</p>', { fields: { name: '<b>Jane</b>' } }, 'html');
+ * // Returns: '<p>&lt;b&gt;Jane&lt;/b&gt;</p>'
+ */
+export function renderTemplate(template, context, escape = 'text') {
+  return renderNodes(parseTemplate(template), [context], ESCAPERS[escape] || ESCAPERS.text);
+}
+
+/**
+ * Builds the template context for a submission
+ *
+ * @param {Object} formData - Submission fields (after transforms)
+ * @param {Object} connector - Connector metadata
+ * @returns {Object} Template context ({ fields, all_fields, connector, timestamp })
+ */
+export function buildTemplateContext(formData, connector) {
+  return {
+    fields: formData || {},
+    all_fields: Object.entries(formData || {}).map(([name, value]) => ({
+      name,
+      label: name.charAt(0).toUpperCase() + name.slice(1),
+      value: toText(value),
+      files: (Array.isArray(value) ? value : [value])
+        .filter(isFile)
+        .map(file => ({ filename: file.filename, url: file.url }))
+    })),
+    connector: { id: connector?.id, name: connector?.name },
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Renders a Slack Block Kit template into a message payload
+ *
+ * The template is JSON with placeholders inside its strings. It may be a
+ * list of blocks or a full message object with `blocks` (and optional `text`).
+ *
+ * @param {string} template - Block Kit JSON template
+ * @param {Object} context - Template context
+ * @returns {{ blocks: Array<Object>, text?: string }} Slack message payload
+ * @throws {Error} If the template is invalid or does not render to Block Kit JSON
+ */
+export function renderSlackTemplate(template, context) {
+  let message;
+  try {
+    message = JSON.parse(renderTemplate(template, context, 'slack'));
+  } catch (error) {
+    throw new Error(`Invalid Slack blocks template: ${error.message}`);
+  }
+
+  if (Array.isArray(message)) {
+    return { blocks: message };
+  }
+  if (message && typeof message === 'object' && Array.isArray(message.blocks)) {
+    return message;
+  }
+  throw new Error('Invalid Slack blocks template: expected a list of blocks or an object with "blocks"');
+}
+
+// Destination config keys holding templates, with the escaping used to render them
+const DESTINATION_TEMPLATES = {
+  email: { subject: 'text', htmlTemplate: 'html', textTemplate: 'text' },
+  slack: { blocksTemplate: 'slack' }
+};
+
+/**
+ * Checks the message templates of a connector's destinations before they are saved
+ *
+ * @param {Array<Object>} destinations - Destinations submitted from the edit page
+ * @returns {Array<Object>} The same destinations
+ * @throws {Error} Descriptive error naming the destination and template
+ */
+export function validateDestinationTemplates(destinations) {
+  const sampleContext = buildTemplateContext({ name: 'Sample' }, { id: 'sample', name: 'Sample' });
+
+  for (const destination of destinations) {
+    const templates = DESTINATION_TEMPLATES[destination?.type];
+    if (!templates) continue;
+
+    for (const key of Object.keys(templates)) {
+      const template = destination.config?.[key];
+      if (!template) continue;
+
+      try {
+        if (templates[key] === 'slack') {
+          renderSlackTemplate(template, sampleContext);
+        } else {
+          parseTemplate(template);
+        }
+      } catch (error) {
+        throw new Error(`${destination.type} ${key}: ${error.message}`);
+      }
+    }
+  }
+
+  return destinations;
+}
@@ -0,0 +1,430 @@
+import { interpolate } from './destinations/placeholders';
+
+/**
+ * Field mapping and transformation pipeline
+ *
+ * Before a destination handler runs, the submitted fields are passed through
+ * the connector's `transforms` pipeline and then through the destination's own
+ * `transforms` (stored on the destination, e.g. `{ type, enabled, config, transforms }`).
+ * Each step receives the output of the previous one, so a destination sees the
+ * connector-wide mapping plus its own adjustments. The stored submission is
+ * never changed, and routing conditions are evaluated on the raw fields.
+ *
+ * **Step Structure:**
+ * ```javascript
+ * [
+ *   { op: 'rename', field: 'fname', to: 'First Name' },
+ *   { op: 'drop', field: 'utm_source' },
+ *   { op: 'reorder', fields: ['email', 'First Name'] },        // Listed fields first, others after
+ *   { op: 'default', field: 'source', value: 'website' },      // Only fills missing or blank values
+ *   { op: 'trim', field: '*' },                                // '*' applies to every field
+ *   { op: 'lowercase', field: 'email' },                       // Also: uppercase, titlecase
+ *   { op: 'split_name', field: 'name', first: 'first_name', last: 'last_name' },
+ *   { op: 'format_date', field: 'date', format: 'DD/MM/YYYY' },
+ *   { op: 'format_number', field: 'budget', decimals: 2, locale: 'en-US', currency: 'USD' },
+ *   { op: 'template', field: 'summary', template: '{{fields.name}} <{{fields.email}}>' }
+ * ]
+ * ```
+ *
+ * Text steps apply to every string item of array values and leave uploaded
+ * files alone. Values a step cannot handle (an unparseable date, a
+ * non-numeric budget) are passed through unchanged.
+ */
+
+// Supported step operations
+export const TRANSFORM_OPS = [
+  'rename',
+  'drop',
+  'reorder',
+  'default',
+  'trim',
+  'lowercase',
+  'uppercase',
+  'titlecase',
+  'split_name',
+  'format_date',
+  'format_number',
+  'template'
+];
+
+// Steps that rewrite text values in place
+const TEXT_OPS = {
+  trim: text => text.trim(),
+  lowercase: text => text.toLowerCase(),
+  uppercase: text => text.toUpperCase(),
+  titlecase: text => text.toLowerCase().replace(/(^|[\s\-'])(\p{L})/gu, (_, separator, letter) => separator + letter.toUpperCase())
+};
+
+// Steps that may target every field with '*'
+const WILDCARD_OPS = ['drop', ...Object.keys(TEXT_OPS)];
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Longest tokens first so "YYYY" is not read as two "YY"
+const DATE_TOKEN_PATTERN = /YYYY|YY|MMM|MM|M|DD|D|HH|mm|ss/g;
+
+const MAX_STEPS = 50;
+const MAX_TEMPLATE_LENGTH = 2000;
+const MAX_DECIMALS = 10;
+
+/**
+ * Checks whether a value counts as "not provided"
+ *
+ * @param {*} value - Form value
+ * @returns {boolean} True for missing values, blank strings and empty arrays
+ * @private
+ */
+function isEmptyValue(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  return false;
+}
+
+/**
+ * Applies a function to a value, or to each item of an array value
+ *
+ * @param {*} value - Form value
+ * @param {Function} fn - Item mapper
+ * @returns {*} Mapped value
+ * @private
+ */
+function mapItems(value, fn) {
+  return Array.isArray(value) ? value.map(fn) : fn(value);
+}
+
+/**
+ * Formats a date value with a token pattern (UTC)
+ *
+ * @param {*} value - Date string or timestamp
+ * @param {string} format - Pattern such as `DD/MM/YYYY` or `MMM D, YYYY HH:mm`
+ * @returns {*} Formatted date, or the original value if it is not a date
+ * @private
+ */
+function formatDate(value, format) {
+  if (typeof value !== 'string' && typeof value !== 'number') return value;
+
+  const date = new Date(typeof value === 'string' ? value.trim() : value);
+  if (Number.isNaN(date.getTime())) return value;
+
+  const pad = number => String(number).padStart(2, '0');
+  const tokens = {
+    YYYY: String(date.getUTCFullYear()),
+    YY: String(date.getUTCFullYear()).slice(-2),
+    MMM: MONTH_NAMES[date.getUTCMonth()],
+    MM: pad(date.getUTCMonth() + 1),
+    M: String(date.getUTCMonth() + 1),
+    DD: pad(date.getUTCDate()),
+    D: String(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds())
+  };
+
+  return format.replace(DATE_TOKEN_PATTERN, token => tokens[token]);
+}
+
+/**
+ * Builds the number formatter for a `format_number` step
+ *
+ * @param {Object} step - Step definition
+ * @returns {Intl.NumberFormat} Formatter
+ * @throws {RangeError} If the locale or currency is invalid
+ * @private
+ */
+function createNumberFormat(step) {
+  const options = step.currency
+    ? { style: 'currency', currency: step.currency }
+    : {};
+
+  if (step.decimals !== undefined) {
+    options.minimumFractionDigits = step.decimals;
+    options.maximumFractionDigits = step.decimals;
+  }
+
+  return new Intl.NumberFormat(step.locale || 'en-US', options);
+}
+
+/**
+ * Formats a numeric value
+ *
+ * @param {*} value - Number or numeric string
+ * @param {Intl.NumberFormat} formatter - Formatter for the step
+ * @returns {*} Formatted number, or the original value if it is not numeric
+ * @private
+ */
+function formatNumber(value, formatter) {
+  const number = typeof value === 'number'
+    ? value
+    : (typeof value === 'string' && value.trim() !== '' ? Number(value.trim().replace(/,/g, '')) : NaN);
+
+  return Number.isFinite(number) ? formatter.format(number) : value;
+}
+
+/**
+ * Splits a full name into first and last name
+ *
+ * The last word becomes the last name; everything before it the first name.
+ *
+ * @param {*} value - Full name
+ * @returns {{ first: string, last: string }} Name parts (empty strings if not a name)
+ * @private
+ */
+function splitName(value) {
+  const words = typeof value === 'string' ? value.trim().split(/\s+/).filter(Boolean) : [];
+  if (words.length <= 1) return { first: words[0] || '', last: '' };
+  return { first: words.slice(0, -1).join(' '), last: words[words.length - 1] };
+}
+
+/**
+ * Gets the field names a step applies to
+ *
+ * @param {Object} step - Step definition
+ * @param {Object} fields - Current fields
+ * @returns {Array<string>} Existing field names
+ * @private
+ */
+function targetFields(step, fields) {
+  if (step.field === '*') return Object.keys(fields);
+  return step.field in fields ? [step.field] : [];
+}
+
+/**
+ * Applies a single step to a set of fields
+ *
+ * @param {Object} fields - Current fields
+ * @param {Object} step - Normalized step
+ * @returns {Object} New fields object
+ * @private
+ */
+function applyStep(fields, step) {
+  if (TEXT_OPS[step.op]) {
+    const next = { ...fields };
+    for (const name of targetFields(step, fields)) {
+      next[name] = mapItems(fields[name], item => (typeof item === 'string' ? TEXT_OPS[step.op](item) : item));
+    }
+    return next;
+  }
+
+  switch (step.op) {
+    case 'rename': {
+      if (!(step.field in fields) || step.field === step.to) return fields;
+      // Keep the renamed field in the original position
+      return Object.fromEntries(Object.entries(fields)
+        .filter(([name]) => name !== step.to)
+        .map(([name, value]) => [name === step.field ? step.to : name, value]));
+    }
+
+    case 'drop': {
+      if (step.field === '*') return {};
+      return Object.fromEntries(Object.entries(fields).filter(([name]) => name !== step.field));
+    }
+
+    case 'reorder': {
+      const listed = step.fields.filter(name => name in fields);
+      const ordered = Object.fromEntries(listed.map(name => [name, fields[name]]));
+      return { ...ordered, ...fields };
+    }
+
+    case 'default':
+      return isEmptyValue(fields[step.field]) ? { ...fields, [step.field]: step.value } : fields;
+
+    case 'split_name': {
+      if (!(step.field in fields)) return fields;
+      const { first, last } = splitName(fields[step.field]);
+      return { ...fields, [step.first]: first, [step.last]: last };
+    }
+
+    case 'format_date':
+      if (!(step.field in fields)) return fields;
+      return { ...fields, [step.field]: mapItems(fields[step.field], item => formatDate(item, step.format)) };
+
+    case 'format_number': {
+      if (!(step.field in fields)) return fields;
+      const formatter = createNumberFormat(step);
+      return { ...fields, [step.field]: mapItems(fields[step.field], item => formatNumber(item, formatter)) };
+    }
+
+    case 'template':
+      return { ...fields, [step.field]: interpolate(step.template, { fields }) };
+
+    default:
+      return fields;
+  }
+}
+
+/**
+ * Runs a transform pipeline over a set of fields
+ *
+ * @param {Object} formData - Submission fields
+ * @param {Array<Object>|null|undefined} steps - Normalized pipeline steps
+ * @returns {Object} Transformed fields (a new object; `formData` is not modified)
+ *
+ * @example
+ * applyTransforms(
+ *   { name: '  jane doe ' },
+ *   [{ op: 'trim', field: '*' }, { op: 'titlecase', field: 'name' }, { op: 'rename', field: 'name', to: 'Name' }]
+ * );
+ * // Returns: { Name: 'Jane Doe' }
+ */
+export function applyTransforms(formData, steps) {
+  return (steps || []).reduce(applyStep, { ...(formData || {}) });
+}
+
+/**
+ * Gets the fields a destination receives after the connector and destination pipelines
+ *
+ * @param {Object} formData - Submission fields
+ * @param {Object} connector - Connector row (`transforms` column)
+ * @param {Object} destination - Destination configuration (`transforms` array)
+ * @returns {Object} Transformed fields
+ */
+export function transformForDestination(formData, connector, destination) {
+  return applyTransforms(applyTransforms(formData, connector?.transforms), destination?.transforms);
+}
+
+/**
+ * Reads a required field name from a step
+ *
+ * @param {Object} step - Step definition
+ * @param {string} key - Property name
+ * @param {string} label - Step label for error messages
+ * @returns {string} Trimmed field name
+ * @throws {Error} If the field name is missing or too long
+ * @private
+ */
+function requireFieldName(step, key, label) {
+  const name = typeof step[key] === 'string' ? step[key].trim() : '';
+  if (!name || name.length > 255) {
+    throw new Error(`${label} needs a ${key} of 1-255 characters`);
+  }
+  return name;
+}
+
+/**
+ * Validates and normalizes a transform pipeline before it is saved
+ *
+ * @param {*} steps - Pipeline submitted from the edit page
+ * @returns {Array<Object>} Normalized steps
+ * @throws {Error} Descriptive error naming the offending step
+ *
+ * @example
+ * const transforms = normalizeTransforms(body.transforms);
+ */
+export function normalizeTransforms(steps) {
+  if (!Array.isArray(steps)) {
+    throw new Error('transforms must be an array of steps');
+  }
+
+  if (steps.length > MAX_STEPS) {
+    throw new Error(`transforms has too many steps: ${steps.length} > ${MAX_STEPS}`);
+  }
+
+  return steps.map((step, index) => {
+    const label = `Step ${index + 1}`;
+
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      throw new Error(`${label} must be an object`);
+    }
+    if (!TRANSFORM_OPS.includes(step.op)) {
+      throw new Error(`${label} has unknown operation "${step.op}"`);
+    }
+
+    if (step.op === 'reorder') {
+      const fields = (Array.isArray(step.fields) ? step.fields : String(step.fields || '').split(','))
+        .map(name => String(name).trim())
+        .filter(Boolean);
+      if (fields.length === 0) {
+        throw new Error(`${label} (reorder) needs at least one field`);
+      }
+      return { op: 'reorder', fields: [...new Set(fields)] };
+    }
+
+    const field = requireFieldName(step, 'field', `${label} (${step.op})`);
+    if (field === '*' && !WILDCARD_OPS.includes(step.op)) {
+      throw new Error(`${label} (${step.op}) cannot use "*" as the field`);
+    }
+
+    switch (step.op) {
+      case 'rename':
+        return { op: 'rename', field, to: requireFieldName(step, 'to', `${label} (rename)`) };
+
+      case 'default':
+        return { op: 'default', field, value: String(step.value ?? '').slice(0, MAX_TEMPLATE_LENGTH) };
+
+      case 'split_name':
+        return {
+          op: 'split_name',
+          field,
+          first: typeof step.first === 'string' && step.first.trim() ? step.first.trim() : 'first_name',
+          last: typeof step.last === 'string' && step.last.trim() ? step.last.trim() : 'last_name'
+        };
+
+      case 'format_date': {
+        const format = String(step.format || '').trim();
+        if (!format || !format.match(DATE_TOKEN_PATTERN)) {
+          throw new Error(`${label} (format_date) needs a format such as YYYY-MM-DD`);
+        }
+        return { op: 'format_date', field, format: format.slice(0, 100) };
+      }
+
+      case 'format_number': {
+        const normalized = { op: 'format_number', field };
+        if (step.decimals !== undefined && step.decimals !== null && step.decimals !== '') {
+          const decimals = Number(step.decimals);
+          if (!Number.isInteger(decimals) || decimals < 0 || decimals > MAX_DECIMALS) {
+            throw new Error(`${label} (format_number) decimals must be between 0 and ${MAX_DECIMALS}`);
+          }
+          normalized.decimals = decimals;
+        }
+        if (step.locale) normalized.locale = String(step.locale).trim();
+        if (step.currency) normalized.currency = String(step.currency).trim().toUpperCase();
+        try {
+          createNumberFormat(normalized);
+        } catch (error) {
+          throw new Error(`${label} (format_number) has an invalid locale or currency: ${error.message}`);
+        }
+        return normalized;
+      }
+
+      case 'template': {
+        const template = String(step.template || '');
+        if (!template.trim()) {
+          throw new Error(`${label} (template) needs a template`);
+        }
+        if (template.length > MAX_TEMPLATE_LENGTH) {
+          throw new Error(`${label} (template) exceeds ${MAX_TEMPLATE_LENGTH} characters`);
+        }
+        return { op: 'template', field, template };
+      }
+
+      default:
+        return { op: step.op, field };
+    }
+  });
+}
+
+/**
+ * Normalizes the transform pipelines of a connector's destinations before they are saved
+ *
+ * @param {Array<Object>} destinations - Destinations submitted from the edit page
+ * @returns {Array<Object>} Destinations with normalized `transforms` (removed when empty)
+ * @throws {Error} Descriptive error naming the destination and offending step
+ */
+export function normalizeDestinationTransforms(destinations) {
+  return destinations.map(destination => {
+    if (!destination || typeof destination !== 'object' || Array.isArray(destination) || !('transforms' in destination)) {
+      return destination;
+    }
+
+    const { transforms, ...rest } = destination;
+    let normalized;
+    try {
+      normalized = normalizeTransforms(transforms || []);
+    } catch (error) {
+      throw new Error(`${destination.type || 'Destination'} transforms: ${error.message}`);
+    }
+
+    return normalized.length > 0 ? { ...rest, transforms: normalized } : rest;
+  });
+}
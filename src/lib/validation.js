@@ -11,8 +11,9 @@
  * This function performs multiple validation checks:
  * - Payload size limit (100KB) to prevent DoS attacks via large payloads
  * - Field count limit (50 fields) to prevent resource exhaustion
- * - Field type validation (string, number, boolean only) to ensure data consistency
+ * - Field type validation (string, number, boolean, or arrays of those) to ensure data consistency
  * - String length limit (10,000 chars per field) to prevent memory issues
+ * - Array length limit (100 items per field) for repeated fields such as checkbox groups
  * 
  * @param {Object} formData - The form submission data object to validate
  * @returns {boolean} Returns true if all validation passes
@@ -64,47 +65,73 @@ export function validateSubmission(formData) {
       throw new Error(`Field name too long: "${fieldName}" exceeds 255 characters`);
     }
 
-    // Validate field type (only string, number, boolean allowed)
-    const fieldType = typeof fieldValue;
-    
-    if (fieldValue !== null && fieldValue !== undefined) {
-      if (fieldType !== 'string' && fieldType !== 'number' && fieldType !== 'boolean') {
+    // Repeated fields (e.g. checkbox groups) arrive as arrays of primitives
+    if (Array.isArray(fieldValue)) {
+      const maxArrayItems = 100;
+
+      if (fieldValue.length > maxArrayItems) {
         throw new Error(
-          `Invalid field type for "${fieldName}": expected string, number, or boolean, got ${fieldType}`
+          `Field "${fieldName}" has too many values: ${fieldValue.length} > ${maxArrayItems}`
         );
       }
 
-      // Validate string length
-      if (fieldType === 'string') {
-        const maxStringLength = 10000; // 10,000 characters
-        
-        if (fieldValue.length > maxStringLength) {
-          throw new Error(
-            `Field "${fieldName}" exceeds maximum length: ${fieldValue.length} > ${maxStringLength} characters`
-          );
-        }
-      }
-
-      // Validate number range (prevent extremely large numbers)
-      if (fieldType === 'number') {
-        if (!Number.isFinite(fieldValue)) {
-          throw new Error(`Field "${fieldName}" must be a finite number`);
-        }
-        
-        // Check for extremely large numbers that could cause issues
-        const maxNumber = Number.MAX_SAFE_INTEGER;
-        const minNumber = Number.MIN_SAFE_INTEGER;
-        
-        if (fieldValue > maxNumber || fieldValue < minNumber) {
-          throw new Error(
-            `Field "${fieldName}" number value out of safe range: ${fieldValue}`
-          );
-        }
-      }
+      fieldValue.forEach(item => validateFieldValue(fieldName, item));
+      continue;
     }
+
+    validateFieldValue(fieldName, fieldValue);
   }
 
   console.log(`✅ Validation passed: ${fieldCount} fields, ${(payloadSize / 1024).toFixed(2)}KB`);
   return true;
 }
 
+/**
+ * Validates a single primitive field value
+ * 
+ * @param {string} fieldName - Name of the field (used in error messages)
+ * @param {*} fieldValue - Value to validate
+ * @throws {Error} If the value has an invalid type, length or range
+ * @private
+ */
+function validateFieldValue(fieldName, fieldValue) {
+  // Validate field type (only string, number, boolean allowed)
+  const fieldType = typeof fieldValue;
+  
+  if (fieldValue !== null && fieldValue !== undefined) {
+    if (fieldType !== 'string' && fieldType !== 'number' && fieldType !== 'boolean') {
+      throw new Error(
+        `Invalid field type for "${fieldName}": expected string, number, or boolean, got ${fieldType}`
+      );
+    }
+
+    // Validate string length
+    if (fieldType === 'string') {
+      const maxStringLength = 10000; // 10,000 characters
+      
+      if (fieldValue.length > maxStringLength) {
+        throw new Error(
+          `Field "${fieldName}" exceeds maximum length: ${fieldValue.length} > ${maxStringLength} characters`
+        );
+      }
+    }
+
+    // Validate number range (prevent extremely large numbers)
+    if (fieldType === 'number') {
+      if (!Number.isFinite(fieldValue)) {
+        throw new Error(`Field "${fieldName}" must be a finite number`);
+      }
+      
+      // Check for extremely large numbers that could cause issues
+      const maxNumber = Number.MAX_SAFE_INTEGER;
+      const minNumber = Number.MIN_SAFE_INTEGER;
+      
+      if (fieldValue > maxNumber || fieldValue < minNumber) {
+        throw new Error(
+          `Field "${fieldName}" number value out of safe range: ${fieldValue}`
+        );
+      }
+    }
+  }
+}
+
@@ -0,0 +1,286 @@
+import { randomBytes } from 'crypto';
+import { lookup } from 'dns';
+import { isIP } from 'net';
+import { Agent, fetch } from 'undici';
+import { permanentError } from './deliveryErrors.js';
+
+/**
+ * Settings checks for generic webhook destinations
+ *
+ * A webhook destination posts submissions to a URL chosen by the connector's
+ * owner, from our servers. So the URL must be an http(s) URL of a public host:
+ * loopback, private, link-local (e.g. the cloud metadata address
+ * 169.254.169.254) and other reserved addresses are rejected when the
+ * connector is saved. Deliveries go through `fetchWebhook`, whose connections
+ * resolve the host name and check every address in the same lookup that
+ * picks the address to connect to, so a DNS answer that changes between a
+ * check and the connection (DNS rebinding) cannot reach an internal address.
+ *
+ * Every request is signed (see `signWebhookPayload` in
+ * `destinations/webhook.js`). A destination saved without a signing secret
+ * gets a generated one, shown on the edit page so it can be copied to the
+ * receiver.
+ */
+
+const WEBHOOK_PROTOCOLS = ['http:', 'https:'];
+const SECRET_PREFIX = 'whsec_';
+const MAX_SECRET_LENGTH = 256;
+
+// Host names that always point back at the server itself
+const LOCAL_HOSTNAMES = ['localhost', 'localhost.localdomain'];
+
+// Error code of a connection refused because the host resolved to a non-public address
+const NON_PUBLIC_ADDRESS_CODE = 'ERR_WEBHOOK_NON_PUBLIC_ADDRESS';
+
+/**
+ * Checks whether an IPv4 address is outside the public address space
+ *
+ * @param {string} address - Dotted IPv4 address
+ * @returns {boolean} True for unspecified, private, shared, loopback,
+ *   link-local, reserved, multicast and broadcast addresses
+ * @private
+ */
+function isNonPublicIPv4(address) {
+  const [a, b] = address.split('.').map(Number);
+
+  return a === 0 ||                          // 0.0.0.0/8 "this network"
+    a === 10 ||                              // 10.0.0.0/8 private
+    (a === 100 && b >= 64 && b <= 127) ||    // 100.64.0.0/10 carrier-grade NAT
+    a === 127 ||                             // 127.0.0.0/8 loopback
+    (a === 169 && b === 254) ||              // 169.254.0.0/16 link-local (cloud metadata)
+    (a === 172 && b >= 16 && b <= 31) ||     // 172.16.0.0/12 private
+    (a === 192 && b === 0) ||                // 192.0.0.0/24 and 192.0.2.0/24 reserved
+    (a === 192 && b === 168) ||              // 192.168.0.0/16 private
+    (a === 198 && (b === 18 || b === 19)) || // 198.18.0.0/15 benchmarking
+    a >= 224;                                // multicast, reserved and broadcast
+}
+
+/**
+ * Expands an IPv6 address into its eight 16-bit groups
+ *
+ * @param {string} address - IPv6 address (may end in a dotted IPv4 address)
+ * @returns {number[]} Eight groups
+ * @private
+ */
+function expandIPv6(address) {
+  let text = address.toLowerCase();
+
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = text.slice(0, dotted.index) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail === undefined ? [] : (tail ? tail.split(':') : []);
+  const zeros = Array(8 - headGroups.length - tailGroups.length).fill('0');
+
+  return [...headGroups, ...zeros, ...tailGroups].map(group => parseInt(group, 16));
+}
+
+/**
+ * Formats two 16-bit groups of an IPv6 address as a dotted IPv4 address
+ *
+ * @param {number} high - Group holding the first two octets
+ * @param {number} low - Group holding the last two octets
+ * @returns {string} Dotted IPv4 address
+ * @private
+ */
+function groupsToIPv4(high, low) {
+  return `${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`;
+}
+
+/**
+ * Checks whether an IP address is outside the public address space
+ *
+ * IPv6 addresses are rejected when they are unspecified, loopback, unique
+ * local, link-local, site-local, multicast, documentation, discard or Teredo
+ * addresses, and when they embed a non-public IPv4 address: IPv4-mapped
+ * (`::ffff:10.0.0.1`), IPv4-compatible (`::10.0.0.1`), 6to4 (`2002::/16`) and
+ * NAT64 (`64:ff9b::/96`; the local-use `64:ff9b:1::/48` is rejected outright).
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address must not be called
+ */
+export function isNonPublicAddress(address) {
+  const version = isIP(address);
+  if (version === 4) return isNonPublicIPv4(address);
+  if (version !== 6) return true;
+
+  const groups = expandIPv6(address);
+  const [g0, g1, g2, g3, g4, g5, g6, g7] = groups;
+
+  // ::/96 (unspecified, loopback, IPv4-compatible) and ::ffff:0:0/96 (IPv4-mapped)
+  if (groups.slice(0, 5).every(group => group === 0) && (g5 === 0 || g5 === 0xffff)) {
+    return isNonPublicIPv4(groupsToIPv4(g6, g7));
+  }
+  // 64:ff9b::/96 NAT64
+  if (g0 === 0x64 && g1 === 0xff9b && g2 === 0 && g3 === 0 && g4 === 0 && g5 === 0) {
+    return isNonPublicIPv4(groupsToIPv4(g6, g7));
+  }
+  // 2002::/16 6to4
+  if (g0 === 0x2002) {
+    return isNonPublicIPv4(groupsToIPv4(g1, g2));
+  }
+
+  return (g0 === 0x64 && g1 === 0xff9b && g2 === 1) || // 64:ff9b:1::/48 local-use NAT64
+    (g0 === 0x100 && g1 === 0 && g2 === 0 && g3 === 0) || // 100::/64 discard
+    (g0 === 0x2001 && g1 === 0) ||                      // 2001::/32 Teredo
+    (g0 === 0x2001 && g1 === 0xdb8) ||                  // 2001:db8::/32 documentation
+    (g0 & 0xfe00) === 0xfc00 ||                         // fc00::/7 unique local
+    (g0 & 0xffc0) === 0xfe80 ||                         // fe80::/10 link-local
+    (g0 & 0xffc0) === 0xfec0 ||                         // fec0::/10 site-local
+    (g0 & 0xff00) === 0xff00;                           // ff00::/8 multicast
+}
+
+/**
+ * Parses a webhook URL and checks its scheme and host, without DNS lookups
+ *
+ * @param {string} url - Configured endpoint URL
+ * @returns {URL} Parsed URL
+ * @throws {Error} If the URL is invalid, not http(s), carries credentials or
+ *   names a local host or a non-public IP address
+ */
+export function parseWebhookUrl(url) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(String(url).trim());
+  } catch {
+    throw new Error('Invalid webhook URL format. Please provide a valid http(s) URL.');
+  }
+
+  if (!WEBHOOK_PROTOCOLS.includes(parsedUrl.protocol)) {
+    throw new Error('Invalid webhook URL format. Please provide a valid http(s) URL.');
+  }
+  if (parsedUrl.username || parsedUrl.password) {
+    throw new Error('Webhook URL must not contain credentials. Use custom headers instead.');
+  }
+
+  const hostname = parsedUrl.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  if (
+    LOCAL_HOSTNAMES.includes(hostname) ||
+    hostname.endsWith('.localhost') ||
+    (isIP(hostname) && isNonPublicAddress(hostname))
+  ) {
+    throw new Error('Webhook URL must point to a public host, not a local, private or link-local address');
+  }
+
+  return parsedUrl;
+}
+
+/**
+ * Resolves a host name for a webhook connection, refusing non-public addresses
+ *
+ * Has the signature of `dns.lookup`, so it can be the `lookup` of a socket:
+ * the addresses checked here are the ones the socket connects to. A host with
+ * any non-public address is refused, so a round-robin answer cannot mix one in.
+ *
+ * @param {string} hostname - Host name to resolve
+ * @param {Object} options - `dns.lookup` options (`all`, `family`, ...)
+ * @param {Function} callback - `dns.lookup` callback
+ * @param {Function} [resolve=dns.lookup] - Resolver to use (for tests)
+ */
+export function lookupPublicAddress(hostname, options, callback, resolve = lookup) {
+  resolve(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    const nonPublic = addresses.find(({ address }) => isNonPublicAddress(address));
+    if (nonPublic) {
+      const refused = new Error(`Webhook host ${hostname} resolves to a local, private or link-local address (${nonPublic.address})`);
+      refused.code = NON_PUBLIC_ADDRESS_CODE;
+      callback(refused);
+      return;
+    }
+
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+// Connection pool for webhook deliveries; every connection resolves through lookupPublicAddress
+const webhookAgent = new Agent({
+  connect: {
+    lookup: (hostname, options, callback) => lookupPublicAddress(hostname, options, callback)
+  }
+});
+
+/**
+ * Sends a request to a webhook URL, only ever connecting to public addresses
+ *
+ * The URL is checked with `parseWebhookUrl`, every connection resolves its
+ * host with `lookupPublicAddress`, and redirects are returned rather than
+ * followed (a redirect could lead to an internal address).
+ *
+ * @param {string} url - Configured endpoint URL
+ * @param {Object} init - `fetch` options (`method`, `headers`, `body`)
+ * @returns {Promise<Response>} Response of the endpoint
+ * @throws {Error} Permanent delivery error if the URL or a resolved address is
+ *   rejected; network errors (including DNS failures) are thrown as they are
+ */
+export async function fetchWebhook(url, init) {
+  let parsedUrl;
+  try {
+    parsedUrl = parseWebhookUrl(url);
+  } catch (error) {
+    throw permanentError(error.message);
+  }
+
+  try {
+    return await fetch(parsedUrl.href, { ...init, redirect: 'manual', dispatcher: webhookAgent });
+  } catch (error) {
+    if (error.cause?.code === NON_PUBLIC_ADDRESS_CODE) {
+      throw permanentError(error.cause.message, { cause: error });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Generates a webhook signing secret
+ *
+ * @returns {string} Random secret prefixed with "whsec_"
+ */
+export function generateWebhookSecret() {
+  return `${SECRET_PREFIX}${randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Validates and normalizes the settings of a connector's webhook destinations before they are saved
+ *
+ * The URL must pass `parseWebhookUrl`, and destinations without a signing
+ * secret get one from `generateWebhookSecret`.
+ *
+ * @param {Array<Object>} destinations - Destinations submitted from the new connector or edit page
+ * @returns {Array<Object>} Destinations with normalized webhook settings
+ * @throws {Error} If a setting is invalid
+ */
+export function normalizeDestinationWebhookSettings(destinations) {
+  return destinations.map(destination => {
+    if (destination?.type !== 'webhook' || !destination.config) {
+      return destination;
+    }
+
+    const config = { ...destination.config };
+    const url = config.url || config.webhookUrl || config.webhook_url;
+    if (url) {
+      parseWebhookUrl(url);
+    }
+
+    const secret = String(config.secret || config.signingSecret || config.signing_secret || '').trim();
+    if (secret.length > MAX_SECRET_LENGTH) {
+      throw new Error(`Webhook signing secret must be at most ${MAX_SECRET_LENGTH} characters`);
+    }
+    delete config.signingSecret;
+    delete config.signing_secret;
+    config.secret = secret || generateWebhookSecret();
+
+    return { ...destination, config };
+  });
+}
@@ -0,0 +1,27 @@
+-- ============================================
+-- Allowed Origins Migration
+-- ============================================
+-- Adds a per-connector origin allowlist used for the submit endpoint's
+-- CORS policy, so a leaked webhook URL cannot be used from arbitrary sites.
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Add allowed origins column to connectors table
+-- An empty array accepts submissions from any origin (previous behavior)
+ALTER TABLE connectors
+ADD COLUMN IF NOT EXISTS allowed_origins JSONB DEFAULT '[]'::jsonb;
+
+-- ============================================
+-- Notes:
+-- ============================================
+-- 1. Entries are origins without paths, for example:
+--    - https://example.com       (exact origin)
+--    - http://localhost:3000     (ports are part of the origin)
+--    - https://*.example.com     (any subdomain of example.com)
+--    - *                         (any origin)
+--
+-- 2. Browser requests from other origins are rejected with a 403
+--    ORIGIN_NOT_ALLOWED error, on both preflight and actual requests.
+--    Requests without an Origin header (server-to-server) are not affected.
+--
+-- ============================================
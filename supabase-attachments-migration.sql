@@ -0,0 +1,33 @@
+-- ============================================
+-- File Attachments Migration
+-- ============================================
+-- Adds per-connector file upload settings so multipart form posts can
+-- include files, which are stored and linked in submissions.
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Add attachment settings column to connectors table
+-- Uploads stay disabled until enabled from the connector edit page
+ALTER TABLE connectors
+ADD COLUMN IF NOT EXISTS attachment_settings JSONB
+DEFAULT '{"enabled": false, "maxFileSizeMb": 10, "maxFiles": 5, "allowedMimeTypes": []}'::jsonb;
+
+-- ============================================
+-- Notes:
+-- ============================================
+-- 1. Uploaded files are not stored in the database. They are written by the
+--    storage driver selected with ATTACHMENT_STORAGE_DRIVER:
+--    - local: files under ATTACHMENT_STORAGE_DIR (default ./uploads)
+--    - s3: S3-compatible bucket (S3_BUCKET, S3_ACCESS_KEY_ID,
+--      S3_SECRET_ACCESS_KEY, S3_REGION, S3_ENDPOINT)
+--
+-- 2. Submissions store a file reference in form_data in place of each file:
+--    { "kind": "file", "filename", "contentType", "size", "driver", "key", "url" }
+--
+-- 3. Download links are signed with ATTACHMENT_SIGNING_SECRET and served by
+--    GET /api/attachments/<key>?driver=<driver>&expires=<unix time>&sig=<signature>.
+--    Links work for anyone until they expire (ATTACHMENT_LINK_TTL_DAYS,
+--    default 7); after that only the signed-in connector owner can download.
+--    Changing the secret invalidates previously issued links.
+--
+-- ============================================
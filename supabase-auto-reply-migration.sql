@@ -0,0 +1,73 @@
+-- ============================================
+-- Auto-Reply Migration
+-- ============================================
+-- Records the confirmation emails sent to submitters, so the per-address
+-- limit holds across server instances and a submission is never sent a
+-- second receipt when it is replayed or redelivered.
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Create auto replies table
+-- submission_id is NULL for replies sent outside a stored submission
+CREATE TABLE IF NOT EXISTS auto_replies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  submission_id UUID UNIQUE REFERENCES submissions(id) ON DELETE CASCADE,
+  recipient TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Step 2: Index for counting recent replies to an address
+CREATE INDEX IF NOT EXISTS idx_auto_replies_recipient
+  ON auto_replies(recipient, created_at DESC);
+
+-- Step 3: Function to reserve an auto-reply before it is sent
+-- Returns 'claimed' (send it), 'duplicate' (this submission already has a
+-- reply) or 'limited' (the address reached p_limit replies in the window).
+-- The advisory lock serializes claims for one address, so concurrent
+-- submissions cannot both pass the limit.
+CREATE OR REPLACE FUNCTION claim_auto_reply(
+  p_submission_id UUID,
+  p_recipient TEXT,
+  p_limit INTEGER,
+  p_window_seconds INTEGER
+)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('auto_reply:' || p_recipient));
+
+  IF p_submission_id IS NOT NULL
+    AND EXISTS (SELECT 1 FROM auto_replies WHERE submission_id = p_submission_id) THEN
+    RETURN 'duplicate';
+  END IF;
+
+  IF (
+    SELECT COUNT(*) FROM auto_replies
+    WHERE recipient = p_recipient
+      AND created_at > NOW() - make_interval(secs => p_window_seconds)
+  ) >= p_limit THEN
+    RETURN 'limited';
+  END IF;
+
+  INSERT INTO auto_replies (submission_id, recipient)
+  VALUES (p_submission_id, p_recipient);
+
+  RETURN 'claimed';
+END;
+$$;
+
+-- ============================================
+-- Notes:
+-- ============================================
+-- 1. A reply that fails to send releases its claim (the row is deleted), so
+--    a replay of the submission can try again.
+--
+-- 2. Each address receives at most 3 replies per hour (AUTO_REPLY_LIMIT and
+--    AUTO_REPLY_WINDOW_MS in src/lib/autoReply.js).
+--
+-- 3. Old rows are only needed for the window; they can be deleted with
+--    DELETE FROM auto_replies WHERE created_at < NOW() - INTERVAL '1 day';
+--
+-- ============================================
@@ -0,0 +1,48 @@
+-- ============================================
+-- Circuit Breaker Keys Migration
+-- ============================================
+-- Circuit breakers are keyed by destination id instead of destination type.
+-- Renames merge_circuit_breaker's key parameter to match.
+-- Requires supabase-circuit-breaker-migration.sql
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Replace merge_circuit_breaker
+-- A parameter cannot be renamed with CREATE OR REPLACE, so the function is
+-- dropped and created again
+DROP FUNCTION IF EXISTS merge_circuit_breaker(UUID, TEXT, JSONB);
+
+CREATE FUNCTION merge_circuit_breaker(
+  p_connector_id UUID,
+  p_destination_key TEXT,
+  p_state JSONB
+)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  UPDATE connectors
+  SET circuit_breakers = COALESCE(circuit_breakers, '{}'::jsonb)
+    || jsonb_build_object(p_destination_key, p_state)
+  WHERE id = p_connector_id;
+$$;
+
+-- Step 2: Only the service role may run it (see
+-- supabase-worker-security-migration.sql; dropping the function dropped its grants)
+REVOKE EXECUTE ON FUNCTION merge_circuit_breaker(UUID, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION merge_circuit_breaker(UUID, TEXT, JSONB) TO service_role;
+
+-- ============================================
+-- Notes:
+-- ============================================
+-- 1. Breaker states are stored in circuit_breakers.<destination id>, with the
+--    destination's type in circuit_breakers.<destination id>.type.
+--
+-- 2. Destinations get their id when the connector is saved. Until then they
+--    keep using their type as the key, so existing breakers still apply.
+--
+-- 3. Breakers stored under a type key are not removed; the Reset button
+--    still closes them.
+--
+-- ============================================
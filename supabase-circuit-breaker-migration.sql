@@ -0,0 +1,47 @@
+-- ============================================
+-- Circuit Breaker Migration
+-- ============================================
+-- Adds per-destination circuit breaker state to connectors so deliveries to
+-- a broken destination are paused instead of retried over and over.
+-- Requires supabase-delivery-queue-migration.sql
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Add circuit breaker column to connectors table
+-- Keyed by destination type; missing keys mean the breaker is closed
+ALTER TABLE connectors
+ADD COLUMN IF NOT EXISTS circuit_breakers JSONB DEFAULT '{}'::jsonb;
+
+-- Step 2: Function to store one destination's breaker state
+-- Merges into circuit_breakers so updates for different destinations do not
+-- overwrite each other
+CREATE OR REPLACE FUNCTION merge_circuit_breaker(
+  p_connector_id UUID,
+  p_destination_type TEXT,
+  p_state JSONB
+)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+AS $$
+  UPDATE connectors
+  SET circuit_breakers = COALESCE(circuit_breakers, '{}'::jsonb)
+    || jsonb_build_object(p_destination_type, p_state)
+  WHERE id = p_connector_id;
+$$;
+
+-- ============================================
+-- Notes:
+-- ============================================
+-- 1. Breaker states (circuit_breakers.<type>.state):
+--    - closed: deliveries run normally
+--    - open: paused until nextProbeAt (opens after 5 consecutive failures)
+--    - half_open: one probe delivery in flight
+--
+-- 2. Paused deliveries stay in delivery_jobs with status 'pending' and do
+--    not use up their attempts.
+--
+-- 3. The Reset button on the dashboard card and edit page closes the
+--    breaker and makes paused deliveries due immediately.
+--
+-- ============================================
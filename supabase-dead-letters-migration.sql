@@ -0,0 +1,60 @@
+-- ============================================
+-- Dead Letters Migration
+-- ============================================
+-- Adds a dead-letter store for deliveries that failed permanently and a
+-- per-user settings table for failure alert emails.
+-- Requires supabase-delivery-queue-migration.sql
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Create dead letters table
+CREATE TABLE IF NOT EXISTS dead_letters (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id UUID REFERENCES delivery_jobs(id) ON DELETE SET NULL,
+  submission_id UUID NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  connector_id UUID NOT NULL REFERENCES connectors(id) ON DELETE CASCADE,
+  destination_type TEXT NOT NULL,
+  destination JSONB NOT NULL,
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  attempt_history JSONB NOT NULL DEFAULT '[]'::jsonb,
+  status TEXT NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'redelivered', 'discarded')),
+  alerted_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ
+);
+
+-- Step 2: Indexes for the dashboard list and alert cooldown lookups
+CREATE INDEX IF NOT EXISTS idx_dead_letters_connector_status
+  ON dead_letters(connector_id, status, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_dead_letters_alerted
+  ON dead_letters(connector_id, destination_type, alerted_at);
+
+-- Step 3: Create user settings table
+-- user_id is the Clerk user ID (same as connectors.user_id)
+CREATE TABLE IF NOT EXISTS user_settings (
+  user_id TEXT PRIMARY KEY,
+  email_notifications BOOLEAN NOT NULL DEFAULT true,
+  notification_email TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ============================================
+-- Notes:
+-- ============================================
+-- 1. Dead letter statuses:
+--    - open: waiting for review on the Dead Letters page
+--    - redelivered: sent again; a repeated failure creates a new entry
+--    - discarded: dismissed
+--
+-- 2. Failure alerts need SENDGRID_API_KEY and ALERT_FROM_EMAIL. They go to
+--    user_settings.notification_email, or the Clerk account email when
+--    empty, and are sent at most once an hour per connector/destination.
+--
+-- 3. Users without a user_settings row receive alerts (the Settings page
+--    default).
+--
+-- ============================================
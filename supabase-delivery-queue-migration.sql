@@ -0,0 +1,110 @@
+-- ============================================
+-- Delivery Queue Migration
+-- ============================================
+-- Adds a durable queue of destination deliveries. The submit endpoint stores
+-- one job per enabled destination and returns immediately; workers claim due
+-- jobs, run them and reschedule failures with backoff.
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Create delivery jobs table
+CREATE TABLE IF NOT EXISTS delivery_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  submission_id UUID NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  connector_id UUID NOT NULL REFERENCES connectors(id) ON DELETE CASCADE,
+  destination_type TEXT NOT NULL,
+  destination JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'in_progress', 'succeeded', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMPTZ,
+  locked_by TEXT,
+  last_error TEXT,
+  attempt_history JSONB NOT NULL DEFAULT '[]'::jsonb,
+  result JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+-- Step 2: Indexes for claiming due jobs and listing a submission's jobs
+CREATE INDEX IF NOT EXISTS idx_delivery_jobs_due
+  ON delivery_jobs(next_attempt_at)
+  WHERE status IN ('pending', 'in_progress');
+
+CREATE INDEX IF NOT EXISTS idx_delivery_jobs_submission ON delivery_jobs(submission_id);
+
+-- Step 3: Function for workers to claim due jobs
+-- Claims pending jobs whose next_attempt_at has passed, plus in_progress
+-- jobs whose worker stopped responding more than 10 minutes ago.
+-- SKIP LOCKED lets several workers claim concurrently without overlap.
+CREATE OR REPLACE FUNCTION claim_delivery_jobs(
+  p_worker_id TEXT,
+  p_limit INTEGER DEFAULT 10,
+  p_submission_id UUID DEFAULT NULL
+)
+RETURNS SETOF delivery_jobs
+LANGUAGE sql
+SECURITY DEFINER
+AS $$
+  UPDATE delivery_jobs
+  SET status = 'in_progress',
+      attempts = attempts + 1,
+      locked_at = NOW(),
+      locked_by = p_worker_id,
+      updated_at = NOW()
+  WHERE id IN (
+    SELECT id FROM delivery_jobs
+    WHERE (
+      (status = 'pending' AND next_attempt_at <= NOW())
+      OR (status = 'in_progress' AND locked_at < NOW() - INTERVAL '10 minutes')
+    )
+    AND (p_submission_id IS NULL OR submission_id = p_submission_id)
+    ORDER BY next_attempt_at
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING *;
+$$;
+
+-- Step 4: Function to record one destination's result on a submission
+-- Merges into destinations_sent so concurrent jobs do not overwrite each other
+CREATE OR REPLACE FUNCTION merge_destination_result(
+  p_submission_id UUID,
+  p_destination_type TEXT,
+  p_result JSONB
+)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+AS $$
+  UPDATE submissions
+  SET destinations_sent = COALESCE(destinations_sent, '{}'::jsonb)
+    || jsonb_build_object(p_destination_type, p_result)
+  WHERE id = p_submission_id;
+$$;
+
+-- ============================================
+-- Notes:
+-- ============================================
+-- 1. Job statuses:
+--    - pending: waiting for next_attempt_at
+--    - in_progress: claimed by a worker (locked_by / locked_at)
+--    - succeeded: delivered; result holds the handler's details
+--      (pending and failed jobs may hold partial progress, e.g. the SMS
+--      recipients already reached, so retries skip them)
+--    - failed: retries exhausted or a permanent configuration error
+--
+-- 2. attempt_history holds one entry per attempt:
+--    { attempt, started_at, finished_at, duration_ms, success, error }
+--
+-- 3. Schedule GET /api/worker/deliveries (e.g. a Vercel cron every minute)
+--    with the CRON_SECRET environment variable set. The submit endpoint also
+--    makes the first attempt right after responding.
+--
+-- 4. Retries back off 30s, 1m, 2m, 4m... (capped at 1 hour); rate-limited
+--    deliveries retry after the destination's Retry-After, or 1 minute.
+--
+-- ============================================
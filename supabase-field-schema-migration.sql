@@ -0,0 +1,28 @@
+-- ============================================
+-- Field Schema Migration
+-- ============================================
+-- Adds a per-connector field schema so submissions can be validated against
+-- declared fields (required flags, types, min/max, patterns, enum options).
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Add field schema column to connectors table
+-- An empty array means no schema: only the generic payload limits apply
+ALTER TABLE connectors
+ADD COLUMN IF NOT EXISTS field_schema JSONB DEFAULT '[]'::jsonb;
+
+-- ============================================
+-- Notes:
+-- ============================================
+-- 1. Each entry is a field rule:
+--    { "name": "email", "type": "email", "required": true,
+--      "min": 1, "max": 500, "pattern": "...", "options": [...], "message": "..." }
+--    Supported types: text, email, url, phone, integer, number, date,
+--    enum, boolean, file
+--
+-- 2. Fields that are not declared in the schema are accepted unchanged.
+--
+-- 3. Submissions failing the schema are rejected with a 400 response whose
+--    "fields" array lists every invalid field and its message.
+--
+-- ============================================
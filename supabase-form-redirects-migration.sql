@@ -0,0 +1,29 @@
+-- ============================================
+-- Form Redirects Migration
+-- ============================================
+-- Adds redirect-after-submit settings to connectors so plain HTML forms
+-- can send visitors to a thank-you or error page after posting.
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Add redirect URL columns to connectors table
+-- Both are optional; when unset, the submit endpoint serves a built-in HTML page
+ALTER TABLE connectors
+ADD COLUMN IF NOT EXISTS success_redirect_url TEXT;
+
+ALTER TABLE connectors
+ADD COLUMN IF NOT EXISTS error_redirect_url TEXT;
+
+-- ============================================
+-- Notes:
+-- ============================================
+-- 1. Redirects only apply to browser form posts (urlencoded or multipart
+--    bodies sent with an Accept: text/html header). JSON clients keep
+--    receiving JSON responses.
+--
+-- 2. The visitor is redirected with a 303 status and these query parameters:
+--    - submission_id: ID of the stored submission (when one was created)
+--    - status: "success" or "error"
+--    - error_code: machine-readable error code (errors only)
+--
+-- ============================================
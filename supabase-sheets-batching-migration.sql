@@ -0,0 +1,58 @@
+-- ============================================
+-- Google Sheets Batching Migration
+-- ============================================
+-- Lets the delivery worker claim the waiting jobs of one spreadsheet so
+-- Google Sheets destinations with "Batch rows" enabled are appended with a
+-- single request.
+-- Requires supabase-delivery-queue-migration.sql
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Function for workers to claim due jobs with a matching destination
+-- Same due / abandoned conditions as claim_delivery_jobs, limited to one
+-- destination type whose config contains p_config (JSONB containment), e.g.
+-- { "spreadsheetId": "...", "batchAppends": true }
+CREATE OR REPLACE FUNCTION claim_matching_delivery_jobs(
+  p_worker_id TEXT,
+  p_destination_type TEXT,
+  p_config JSONB,
+  p_limit INTEGER DEFAULT 100
+)
+RETURNS SETOF delivery_jobs
+LANGUAGE sql
+SECURITY DEFINER
+AS $$
+  UPDATE delivery_jobs
+  SET status = 'in_progress',
+      attempts = attempts + 1,
+      locked_at = NOW(),
+      locked_by = p_worker_id,
+      updated_at = NOW()
+  WHERE id IN (
+    SELECT id FROM delivery_jobs
+    WHERE (
+      (status = 'pending' AND next_attempt_at <= NOW())
+      OR (status = 'in_progress' AND locked_at < NOW() - INTERVAL '10 minutes')
+    )
+    AND destination_type = p_destination_type
+    AND destination->'config' @> p_config
+    ORDER BY next_attempt_at
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING *;
+$$;
+
+-- ============================================
+-- Notes:
+-- ============================================
+-- 1. New jobs of batched Google Sheets destinations are first due 15 seconds
+--    after the submission, so the submit endpoint's immediate attempt leaves
+--    them to the worker. Rows are written on the worker's next run.
+--
+-- 2. The worker appends at most 100 rows per request; each job is still
+--    retried, dead-lettered and shown in delivery history on its own.
+--
+-- 3. Upsert-mode destinations are never batched.
+--
+-- ============================================
@@ -0,0 +1,36 @@
+-- ============================================
+-- Slack Thread Migration
+-- ============================================
+-- Stores the Slack notification of a submission in its own column, so
+-- follow-up replies and triage buttons keep working after later delivery
+-- results replace destinations_sent.slack.
+-- Requires supabase-slack-triage-migration.sql
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Add Slack thread column to submissions table
+-- { "channel": "C0123", "ts": "1712345678.000100" }
+ALTER TABLE submissions
+ADD COLUMN IF NOT EXISTS slack_thread JSONB;
+
+-- Step 2: Copy threads recorded before this migration
+UPDATE submissions
+SET slack_thread = jsonb_build_object(
+  'channel', destinations_sent->'slack'->>'channel',
+  'ts', destinations_sent->'slack'->>'ts'
+)
+WHERE slack_thread IS NULL
+  AND destinations_sent->'slack'->>'ts' IS NOT NULL
+  AND destinations_sent->'slack'->>'channel' IS NOT NULL;
+
+-- ============================================
+-- Notes:
+-- ============================================
+-- 1. slack_thread is set when a bot-mode Slack destination posts the
+--    submission's notification. Pending, retrying and failed Slack results
+--    do not change it; a replayed notification replaces it.
+--
+-- 2. Webhook-mode Slack destinations do not return a message ts, so their
+--    submissions have no thread.
+--
+-- ============================================
@@ -0,0 +1,38 @@
+-- ============================================
+-- Slack Triage Migration
+-- ============================================
+-- Adds assignee and handled columns to submissions so they can be triaged
+-- from the buttons on Slack notifications.
+-- Requires supabase-spam-protection-migration.sql (submissions.status)
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Add triage columns to submissions table
+ALTER TABLE submissions
+ADD COLUMN IF NOT EXISTS assignee TEXT;
+
+ALTER TABLE submissions
+ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMPTZ;
+
+ALTER TABLE submissions
+ADD COLUMN IF NOT EXISTS handled_by TEXT;
+
+ALTER TABLE submissions
+ADD COLUMN IF NOT EXISTS handled_at TIMESTAMPTZ;
+
+-- ============================================
+-- Notes:
+-- ============================================
+-- 1. Submission statuses after triage:
+--    - handled: "Mark handled" was clicked (handled_by, handled_at)
+--    - spam: "Mark spam" was clicked (handled_by, handled_at, and a
+--      spam_reason such as "slack: Marked as spam by @jane")
+--
+-- 2. assignee and handled_by hold the Slack user as "@username".
+--
+-- 3. Buttons are only added by bot-mode Slack destinations with
+--    "Triage buttons" enabled. The Slack app's Interactivity Request URL
+--    must point to /api/slack/interactions, and SLACK_SIGNING_SECRET must
+--    be set to the app's signing secret.
+--
+-- ============================================
@@ -0,0 +1,40 @@
+-- ============================================
+-- Spam Protection Migration
+-- ============================================
+-- Adds opt-in spam protection settings to connectors and a status to
+-- submissions so flagged submissions are kept but not routed.
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Add spam settings column to connectors table
+-- All checks are disabled until configured on the connector edit page
+ALTER TABLE connectors
+ADD COLUMN IF NOT EXISTS spam_settings JSONB DEFAULT '{}'::jsonb;
+
+-- Step 2: Add status and spam reason columns to submissions table
+ALTER TABLE submissions
+ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'received';
+
+ALTER TABLE submissions
+ADD COLUMN IF NOT EXISTS spam_reason TEXT;
+
+-- Step 3: Index for filtering submissions by status
+CREATE INDEX IF NOT EXISTS idx_submissions_status ON submissions(connector_id, status);
+
+-- ============================================
+-- Notes:
+-- ============================================
+-- 1. spam_settings keys:
+--    - honeypotField: hidden field name that must stay empty
+--    - minFillSeconds: minimum seconds between issuing the form token
+--      (GET /api/submit/<connectorId>/token) and submitting
+--    - captchaProvider: hcaptcha | recaptcha | turnstile
+--    - captchaSecret: provider secret key
+--    - captchaMinScore: minimum reCAPTCHA v3 score (default 0.5)
+--
+-- 2. The time trap requires the FORM_TOKEN_SECRET environment variable.
+--
+-- 3. Submissions flagged as spam have status = 'spam' and a spam_reason
+--    such as "honeypot: Honeypot field was filled in".
+--
+-- ============================================
@@ -0,0 +1,27 @@
+-- ============================================
+-- Field Transforms Migration
+-- ============================================
+-- Adds a connector-wide field mapping / transformation pipeline that runs
+-- before every destination handler.
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Add transforms column to connectors table
+-- Ordered list of steps, e.g. [{ "op": "rename", "field": "fname", "to": "First Name" }]
+ALTER TABLE connectors
+ADD COLUMN IF NOT EXISTS transforms JSONB DEFAULT '[]'::jsonb;
+
+-- ============================================
+-- Notes:
+-- ============================================
+-- 1. Per-destination pipelines are stored on each destination in the
+--    existing destinations column ({ type, enabled, config, transforms })
+--    and run after the connector pipeline.
+--
+-- 2. Stored submissions keep the raw form data; transforms are applied when
+--    each delivery job runs.
+--
+-- 3. Queued jobs keep the destination pipeline from when they were queued,
+--    like the rest of the destination config.
+--
+-- ============================================
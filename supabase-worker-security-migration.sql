@@ -0,0 +1,60 @@
+-- ============================================
+-- Worker Security Migration
+-- ============================================
+-- Closes the delivery queue, dead letters, auto-reply log and user settings
+-- to the public anon key. Job payloads hold destination secrets (bot tokens,
+-- webhook signing secrets, API keys), and the queue functions can claim or
+-- rewrite any job, so only the server's service role may use them.
+-- Requires supabase-delivery-queue-migration.sql,
+-- supabase-sheets-batching-migration.sql, supabase-circuit-breaker-migration.sql,
+-- supabase-auto-reply-migration.sql and supabase-dead-letters-migration.sql
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Enable row level security on the server-only tables
+-- No policies are added: the anon and authenticated roles see no rows, the
+-- service role bypasses RLS
+ALTER TABLE delivery_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE dead_letters ENABLE ROW LEVEL SECURITY;
+ALTER TABLE auto_replies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_settings ENABLE ROW LEVEL SECURITY;
+
+-- Step 2: Only the service role may run the SECURITY DEFINER functions
+-- Functions are executable by PUBLIC by default, and Supabase also grants
+-- anon and authenticated explicitly, so all three are revoked
+REVOKE EXECUTE ON FUNCTION claim_delivery_jobs(TEXT, INTEGER, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION claim_matching_delivery_jobs(TEXT, TEXT, JSONB, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION merge_destination_result(UUID, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION merge_circuit_breaker(UUID, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION claim_auto_reply(UUID, TEXT, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION claim_delivery_jobs(TEXT, INTEGER, UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION claim_matching_delivery_jobs(TEXT, TEXT, JSONB, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION merge_destination_result(UUID, TEXT, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION merge_circuit_breaker(UUID, TEXT, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION claim_auto_reply(UUID, TEXT, INTEGER, INTEGER) TO service_role;
+
+-- Step 3: Pin the functions' search path, so a table or function of the same
+-- name in another schema cannot be run with the owner's rights
+ALTER FUNCTION claim_delivery_jobs(TEXT, INTEGER, UUID) SET search_path = public;
+ALTER FUNCTION claim_matching_delivery_jobs(TEXT, TEXT, JSONB, INTEGER) SET search_path = public;
+ALTER FUNCTION merge_destination_result(UUID, TEXT, JSONB) SET search_path = public;
+ALTER FUNCTION merge_circuit_breaker(UUID, TEXT, JSONB) SET search_path = public;
+ALTER FUNCTION claim_auto_reply(UUID, TEXT, INTEGER, INTEGER) SET search_path = public;
+
+-- ============================================
+-- Notes:
+-- ============================================
+-- 1. Set SUPABASE_SERVICE_ROLE_KEY on the server. The worker, the submit
+--    endpoint's queue writes, dead letters, auto-replies and settings use the
+--    service-role client (`supabaseAdmin` in src/lib/supabase.js) and check
+--    ownership in code. Never expose this key to the browser.
+--
+-- 2. Until the key is set, queue and dead-letter reads return no rows and the
+--    queue functions fail with "permission denied".
+--
+-- 3. Functions created by later migrations must repeat the REVOKE/GRANT of
+--    Step 2 (CREATE OR REPLACE keeps the grants of an existing function, a
+--    new signature does not).
+--
+-- ============================================